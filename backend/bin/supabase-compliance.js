@@ -0,0 +1,487 @@
+#!/usr/bin/env node
+// supabase-compliance CLI
+//
+// Runs the same registered checks as /api/run-checks without starting the
+// Express server, so compliance can be enforced in CI pipelines.
+//
+// Exit codes:
+//   0 - every check passed (or was skipped / not applicable)
+//   1 - at least one check is FAILING or ERROR, a check named in --checks was
+//       SKIPPED, or --verify-evidence found a broken hash chain
+//   2 - invalid usage
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const USAGE = `Usage: supabase-compliance [options]
+
+Options:
+  --url <url>             Supabase project URL           (env: SUPABASE_URL)
+  --service-key <key>     service_role key               (env: SUPABASE_SERVICE_ROLE_KEY)
+  --db-url <conn>         Postgres connection string     (env: SUPABASE_DB_URL)
+  --project <id>          Use the URL and secrets of a project in the
+                          credential vault (env: VAULT_MASTER_KEY)
+  --pat <token>           Management API access token    (env: SUPABASE_PAT)
+  --checks <ids>          Comma separated check ids to run (default: all);
+                          a listed check that is skipped fails the run
+  --rls-schemas <list>    Schemas for the RLS, grants and functions checks and
+                          MFA enforcement (env: RLS_INCLUDE_SCHEMAS)
+                          (default: schemas exposed through PostgREST)
+  --rls-exclude-schemas <list>
+                          Schemas those checks skip (env: RLS_EXCLUDE_SCHEMAS)
+  --format <fmt>          text | json | junit | sarif    (default: text)
+  --output <file>         Write the report to a file instead of stdout
+  --list                  List the registered checks and exit
+  --verify-evidence       Verify the evidence log hash chain and exit
+                          (env: EVIDENCE_LOG_PATH; --format text | json)
+  -h, --help              Show this help
+`;
+
+const FORMATS = ["text", "json", "junit", "sarif"];
+const FAILING_STATUSES = ["FAILING", "ERROR"];
+
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      url: { type: "string" },
+      "service-key": { type: "string" },
+      "db-url": { type: "string" },
+      project: { type: "string" },
+      pat: { type: "string" },
+      checks: { type: "string" },
+      "rls-schemas": { type: "string" },
+      "rls-exclude-schemas": { type: "string" },
+      format: { type: "string", default: "text" },
+      output: { type: "string" },
+      list: { type: "boolean", default: false },
+      "verify-evidence": { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  return values;
+}
+
+// Flatten a check result into individual findings so each failing table,
+// user or project becomes its own JUnit test case / SARIF result.
+function collectFindings(check) {
+  const result = check.result;
+  if (!result) return [];
+  switch (check.id) {
+    case "rls":
+      return (result.tables || []).map((table) => {
+        const blocking = (table.recommendations || []).filter((r) =>
+          ["critical", "high"].includes(r.severity)
+        );
+        return {
+          name: table.name,
+          passed: table.status === "PASSING",
+          message: blocking.length
+            ? blocking.map((r) => r.message).join(" ")
+            : "RLS enabled",
+        };
+      });
+    case "grants":
+      return (result.objects || []).map((object) => {
+        const blocking = (object.recommendations || []).filter((r) =>
+          ["critical", "high"].includes(r.severity)
+        );
+        return {
+          name: object.name,
+          passed: object.status === "PASSING",
+          message: blocking.length
+            ? blocking.map((r) => r.message).join(" ")
+            : "No risky grants",
+        };
+      });
+    case "functions":
+      return (result.functions || []).map((fn) => {
+        const blocking = (fn.recommendations || []).filter((r) =>
+          ["critical", "high"].includes(r.severity)
+        );
+        return {
+          name: `${fn.schema}.${fn.name}(${fn.arguments})`,
+          passed: fn.status === "PASSING",
+          message: blocking.length
+            ? blocking.map((r) => r.message).join(" ")
+            : "No risky settings",
+        };
+      });
+    case "storage":
+      return (result.buckets || []).map((bucket) => {
+        const blocking = (bucket.recommendations || []).filter((r) =>
+          ["critical", "high"].includes(r.severity)
+        );
+        return {
+          name: bucket.name,
+          passed: bucket.status === "PASSING",
+          message: blocking.length
+            ? blocking.map((r) => r.message).join(" ")
+            : "No risky settings",
+        };
+      });
+    case "auth-config":
+      return (result.settings || []).map((setting) => ({
+        name: setting.title,
+        passed: setting.status === "PASSING",
+        message: setting.message || "Meets baseline",
+      }));
+    case "mfa":
+      return (result.users || []).map((user) => ({
+        name: user.email || user.phone || user.id,
+        passed: user.mfa_enabled || !user.mfa_required,
+        message: user.mfa_enabled
+          ? `MFA enabled (${user.factor_types.join(", ")})`
+          : user.mfa_required
+          ? "MFA not enabled"
+          : "MFA not enabled (not required)",
+      }));
+    case "pitr":
+      return (result.details?.projects || []).map((project) => ({
+        name: `${project.name} (${project.ref})`,
+        passed: project.pitrEnabled,
+        message: project.pitrEnabled ? "PITR enabled" : "PITR not enabled",
+      }));
+    default:
+      return (result.findings || []).map((finding) =>
+        typeof finding === "string"
+          ? { name: finding, passed: false, message: finding }
+          : {
+              name: finding.name || finding.message,
+              passed: !!finding.passed,
+              message: finding.message || finding.name,
+            }
+      );
+  }
+}
+
+function checkMessage(check) {
+  return check.message || check.result?.error || check.result?.message || "";
+}
+
+function formatText(report) {
+  const lines = [`Supabase compliance report for ${report.project}`, ""];
+  for (const check of report.checks) {
+    lines.push(`[${check.status}] ${check.title} (${check.id})`);
+    const message = checkMessage(check);
+    if (message) lines.push(`    ${message}`);
+    for (const finding of collectFindings(check)) {
+      if (!finding.passed)
+        lines.push(`    - ${finding.name}: ${finding.message}`);
+    }
+  }
+  const failing = report.checks.filter((c) =>
+    FAILING_STATUSES.includes(c.status)
+  );
+  const skipped = report.checks.filter((c) => c.status === "SKIPPED");
+  lines.push(
+    "",
+    failing.length
+      ? `${failing.length} of ${report.checks.length} checks failed.`
+      : skipped.length
+      ? `${skipped.length} of ${report.checks.length} checks were skipped.`
+      : `All ${report.checks.length} checks passed.`
+  );
+  return lines.join("\n") + "\n";
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function formatJUnit(report) {
+  const suites = report.checks.map((check) => {
+    const findings = collectFindings(check);
+    const cases = [];
+    if (check.status === "SKIPPED") {
+      cases.push(
+        `    <testcase classname="${escapeXml(check.id)}" name="${escapeXml(
+          check.title
+        )}"><skipped message="${escapeXml(checkMessage(check))}"/></testcase>`
+      );
+    } else if (check.status === "ERROR" || findings.length === 0) {
+      const body =
+        check.status === "ERROR"
+          ? `<error message="${escapeXml(checkMessage(check))}"/>`
+          : check.status === "FAILING"
+          ? `<failure message="${escapeXml(checkMessage(check))}"/>`
+          : "";
+      cases.push(
+        `    <testcase classname="${escapeXml(check.id)}" name="${escapeXml(
+          check.title
+        )}">${body}</testcase>`
+      );
+    } else {
+      for (const finding of findings) {
+        const body = finding.passed
+          ? ""
+          : `<failure message="${escapeXml(finding.message)}"/>`;
+        cases.push(
+          `    <testcase classname="${escapeXml(check.id)}" name="${escapeXml(
+            finding.name
+          )}">${body}</testcase>`
+        );
+      }
+    }
+    const failures = cases.filter((c) => c.includes("<failure")).length;
+    const errors = cases.filter((c) => c.includes("<error")).length;
+    const skipped = cases.filter((c) => c.includes("<skipped")).length;
+    return [
+      `  <testsuite name="${escapeXml(check.title)}" tests="${
+        cases.length
+      }" failures="${failures}" errors="${errors}" skipped="${skipped}">`,
+      ...cases,
+      "  </testsuite>",
+    ].join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="supabase-compliance">`,
+    ...suites,
+    "</testsuites>",
+    "",
+  ].join("\n");
+}
+
+const SARIF_LEVELS = {
+  critical: "error",
+  high: "error",
+  medium: "warning",
+  low: "note",
+};
+
+function formatSarif(report) {
+  const rules = report.checks.map((check) => ({
+    id: check.id,
+    name: check.title,
+    shortDescription: { text: check.title },
+    defaultConfiguration: { level: SARIF_LEVELS[check.severity] || "warning" },
+    properties: { category: check.category, severity: check.severity },
+  }));
+  const results = [];
+  for (const check of report.checks) {
+    const level = SARIF_LEVELS[check.severity] || "warning";
+    if (check.status === "ERROR") {
+      results.push({
+        ruleId: check.id,
+        level: "error",
+        message: { text: `Check failed to run: ${checkMessage(check)}` },
+        locations: [
+          { logicalLocations: [{ fullyQualifiedName: report.project }] },
+        ],
+      });
+      continue;
+    }
+    const failed = collectFindings(check).filter((f) => !f.passed);
+    if (failed.length === 0 && check.status === "FAILING") {
+      failed.push({ name: report.project, message: checkMessage(check) });
+    }
+    for (const finding of failed) {
+      results.push({
+        ruleId: check.id,
+        level,
+        message: { text: `${finding.name}: ${finding.message}` },
+        locations: [
+          {
+            logicalLocations: [
+              { fullyQualifiedName: `${report.project}/${finding.name}` },
+            ],
+          },
+        ],
+      });
+    }
+  }
+  return (
+    JSON.stringify(
+      {
+        $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+        version: "2.1.0",
+        runs: [
+          {
+            tool: {
+              driver: {
+                name: "supabase-compliance",
+                informationUri:
+                  "https://github.com/LitMSCTBB/supabase-compliance-checker",
+                rules,
+              },
+            },
+            results,
+          },
+        ],
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+const formatters = {
+  text: formatText,
+  json: (report) => JSON.stringify(report, null, 2) + "\n",
+  junit: formatJUnit,
+  sarif: formatSarif,
+};
+
+function formatVerification(result) {
+  if (!result.valid) {
+    const { file, line, reason } = result.error;
+    return `Evidence log is broken at ${file}:${line}: ${reason}\n`;
+  }
+  if (!result.entries) return "Evidence log is empty.\n";
+  return (
+    `Evidence log is intact: ${result.entries} entries (${result.firstSeq}-${result.lastSeq}) in ${result.files.length} file(s).\n` +
+    (result.complete
+      ? ""
+      : `Entries before ${result.firstSeq} are not in the log directory; the chain was verified from there.\n`) +
+    `Last hash: ${result.lastHash}\n`
+  );
+}
+
+function finish(output, outputFile, code) {
+  if (outputFile) {
+    fs.writeFileSync(path.resolve(outputFile), output);
+    process.exit(code);
+  }
+  process.stdout.write(output, () => process.exit(code));
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseCliArgs(process.argv.slice(2));
+  } catch (err) {
+    process.stderr.write(`${err.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+
+  if (args.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  if (!FORMATS.includes(args.format)) {
+    process.stderr.write(
+      `Unknown format "${args.format}". Expected one of: ${FORMATS.join(
+        ", "
+      )}\n`
+    );
+    process.exit(2);
+  }
+
+  if (args["verify-evidence"]) {
+    const { verifyEvidence } = require("../lib/evidenceLog");
+    const result = verifyEvidence();
+    const output =
+      args.format === "json"
+        ? JSON.stringify(result, null, 2) + "\n"
+        : formatVerification(result);
+    finish(output, args.output, result.valid ? 0 : 1);
+    return;
+  }
+
+  // The server module reads SUPABASE_PAT when it loads, so a --pat flag has
+  // to be in the environment before it is required.
+  if (args.pat) process.env.SUPABASE_PAT = args.pat;
+
+  // Check diagnostics use console.log; keep stdout clean for the report.
+  console.log = (...logArgs) => console.error(...logArgs);
+
+  const { listChecks, runChecks } = require("../server");
+  require("../lib/evidenceLog").setDefaultActor("cli");
+
+  if (args.list) {
+    const lines = listChecks().map(
+      (c) =>
+        `${c.id.padEnd(16)} ${c.severity.padEnd(9)} ${c.title} [requires: ${
+          c.requires.join(", ") || "nothing"
+        }]`
+    );
+    process.stdout.write(lines.join("\n") + "\n");
+    return;
+  }
+
+  let vaultCredentials = {};
+  if (args.project) {
+    vaultCredentials = require("../lib/vault").getProjectCredentials(
+      args.project
+    );
+    if (!vaultCredentials) {
+      process.stderr.write(
+        `Project ${args.project} is not in the credential vault.\n`
+      );
+      process.exit(2);
+    }
+  }
+  const projectUrl =
+    vaultCredentials.projectUrl || args.url || process.env.SUPABASE_URL;
+  const serviceKey =
+    vaultCredentials.serviceKey ||
+    args["service-key"] ||
+    process.env.SUPABASE_SERVICE_ROLE_KEY ||
+    process.env.SUPABASE_SERVICE_KEY;
+  const dbConnectionString =
+    vaultCredentials.dbConnectionString ||
+    args["db-url"] ||
+    process.env.SUPABASE_DB_URL;
+
+  if (!projectUrl) {
+    process.stderr.write(
+      `A project URL is required (--url or SUPABASE_URL).\n\n${USAGE}`
+    );
+    process.exit(2);
+  }
+
+  const known = listChecks().map((c) => c.id);
+  const checkIds = args.checks
+    ? args.checks
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean)
+    : undefined;
+  const unknown = (checkIds || []).filter((id) => !known.includes(id));
+  if (unknown.length) {
+    process.stderr.write(
+      `Unknown checks: ${unknown.join(", ")}. Available: ${known.join(", ")}\n`
+    );
+    process.exit(2);
+  }
+
+  const displayUrl = projectUrl.includes("supabase.co")
+    ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+    : projectUrl;
+  // Every check that reads the exposed schemas gets the same selection
+  const schemaOptions = {
+    includeSchemas: args["rls-schemas"],
+    excludeSchemas: args["rls-exclude-schemas"],
+  };
+  const checks = await runChecks(
+    checkIds,
+    { projectUrl, serviceKey, dbConnectionString },
+    { rls: schemaOptions, grants: schemaOptions, functions: schemaOptions }
+  );
+  const report = {
+    project: displayUrl,
+    generatedAt: new Date().toISOString(),
+    checks,
+  };
+
+  // A check asked for by name must run; skipping it is not a pass
+  const failed = checks.some(
+    (c) =>
+      FAILING_STATUSES.includes(c.status) ||
+      (checkIds && c.status === "SKIPPED")
+  );
+  finish(formatters[args.format](report), args.output, failed ? 1 : 0);
+}
+
+main().catch((err) => {
+  const { maskSecrets } = require("../lib/redact");
+  process.stderr.write(`supabase-compliance: ${maskSecrets(err.message)}\n`);
+  process.exit(1);
+});
@@ -0,0 +1,211 @@
+// MFA enforcement through RLS (authenticator assurance level)
+//
+// A verified factor only matters if the database asks for it. Supabase puts the
+// session's assurance level in the `aal` JWT claim, and policies enforce MFA by
+// comparing auth.jwt() ->> 'aal' to 'aal2'. A command on a table is reachable at
+// aal1 when a permissive policy for anon or signed-in users grants it without
+// that comparison and no restrictive policy adds it for the same roles.
+const { parseList } = require("./schemas");
+const { quoteIdent, qualifiedTableName, parseTableName } = require("./sql");
+const { normalizeRoles, policyCommands } = require("./rlsPolicyAnalyzer");
+
+const COMMANDS = ["SELECT", "INSERT", "UPDATE", "DELETE"];
+// Requests without an aal2 session run as anon or authenticated, and PUBLIC
+// policies apply to both
+const AAL1_ROLES = ["anon", "authenticated", "public"];
+const AAL2_EXPRESSION = "(auth.jwt() ->> 'aal') = 'aal2'";
+
+// Deparsed policies read like ((auth.jwt() ->> 'aal'::text) = 'aal2'::text)
+const AAL_CLAIM = /auth\.jwt\(\)\s*->>\s*'aal'/i;
+const AAL2_COMPARISON = /=\s*'aal2'|'aal2'(::text)?\s*=|ARRAY\[[^\]]*'aal2'/i;
+
+function requiresAal2(expression) {
+  if (expression == null) return false;
+  return AAL_CLAIM.test(expression) && AAL2_COMPARISON.test(expression);
+}
+
+// INSERT only has WITH CHECK; other commands filter rows with USING, and a
+// missing WITH CHECK falls back to USING.
+function policyRequiresAal2(policy, cmd) {
+  return requiresAal2(
+    cmd === "INSERT" ? policy.with_check ?? policy.qual : policy.qual
+  );
+}
+
+// Sensitive tables as "schema.table"; bare names are in public.
+function resolveSensitiveTables(options = {}) {
+  return parseList(
+    options.sensitiveTables || process.env.RLS_SENSITIVE_TABLES
+  ).map((name) => {
+    const { schema, table } = parseTableName(name);
+    return `${schema}.${table}`;
+  });
+}
+
+// API roles a policy applies to, with PUBLIC expanded to anon and authenticated
+function apiRoles(policy) {
+  return policy.roles.includes("public")
+    ? ["anon", "authenticated"]
+    : policy.roles.filter((r) => AAL1_ROLES.includes(r));
+}
+
+function analyzeAal(policies, { rlsEnabled }) {
+  const relevant = policies
+    .map((p) => ({
+      name: p.policyname || p.name,
+      cmd: (p.cmd || "ALL").toUpperCase(),
+      permissive: String(p.permissive || "PERMISSIVE").toUpperCase(),
+      roles: normalizeRoles(p.roles),
+      qual: p.qual ?? null,
+      with_check: p.with_check ?? null,
+    }))
+    .filter((p) => p.roles.some((r) => AAL1_ROLES.includes(r)));
+  const aal2Policies = relevant
+    .filter((p) => policyCommands(p).some((cmd) => policyRequiresAal2(p, cmd)))
+    .map((p) => p.name);
+
+  if (!rlsEnabled) {
+    return {
+      enforcement: "none",
+      aal2_policies: aal2Policies,
+      aal1_commands: COMMANDS,
+      aal1_policies: [],
+    };
+  }
+
+  const reachable = [];
+  const aal1Commands = [];
+  const aal1Policies = new Set();
+  for (const cmd of COMMANDS) {
+    const applies = (p) => policyCommands(p).includes(cmd);
+    const permissive = relevant.filter(
+      (p) => p.permissive === "PERMISSIVE" && applies(p)
+    );
+    if (!permissive.length) continue;
+    reachable.push(cmd);
+    // A restrictive aal2 policy only covers the roles it is written for
+    const restricted = relevant
+      .filter(
+        (p) =>
+          p.permissive === "RESTRICTIVE" &&
+          applies(p) &&
+          policyRequiresAal2(p, cmd)
+      )
+      .flatMap((p) => (p.roles.includes("public") ? AAL1_ROLES : p.roles));
+    const open = permissive.filter(
+      (p) =>
+        !policyRequiresAal2(p, cmd) &&
+        apiRoles(p).some((r) => !restricted.includes(r))
+    );
+    if (open.length) {
+      aal1Commands.push(cmd);
+      open.forEach((p) => aal1Policies.add(p.name));
+    }
+  }
+
+  let enforcement = "none";
+  if (!reachable.length) enforcement = "no_access";
+  else if (!aal1Commands.length) enforcement = "aal2";
+  else if (aal1Commands.length < reachable.length || aal2Policies.length) {
+    enforcement = "partial";
+  }
+  return {
+    enforcement,
+    aal2_policies: aal2Policies,
+    aal1_commands: aal1Commands,
+    aal1_policies: [...aal1Policies],
+  };
+}
+
+function finding(severity, issue, message, policy = null, command = null) {
+  return { severity, issue, policy, command, message };
+}
+
+function aalFindings(aal, { sensitive, rlsEnabled }) {
+  if (!aal.aal1_commands.length) return [];
+  const commands = aal.aal1_commands.join(", ");
+  const policies = aal.aal1_policies.map((p) => `"${p}"`).join(", ");
+  if (sensitive) {
+    return [
+      finding(
+        "high",
+        "aal1_reachable",
+        rlsEnabled
+          ? `This table is marked sensitive, but anonymous requests or signed-in users who have not completed MFA (aal1) can run ${commands} through ${policies}. Add a restrictive policy that requires auth.jwt() ->> 'aal' = 'aal2'.`
+          : "This table is marked sensitive, but RLS is disabled, so nothing requires MFA (aal2) to access it. Enable RLS and add a restrictive policy that requires auth.jwt() ->> 'aal' = 'aal2'.",
+        aal.aal1_policies.join(", ") || null,
+        commands
+      ),
+    ];
+  }
+  // Permissive policies are OR-ed, so an aal2 check in one of them is
+  // bypassed by any other permissive policy for the same command.
+  if (rlsEnabled && aal.aal2_policies.length) {
+    return [
+      finding(
+        "medium",
+        "aal2_bypassed",
+        `The aal2 check in ${aal.aal2_policies
+          .map((p) => `"${p}"`)
+          .join(
+            ", "
+          )} is bypassed by ${policies}, which grant ${commands} without it, so a password alone is enough. Move the aal2 check into a restrictive policy.`,
+        aal.aal1_policies.join(", "),
+        commands
+      ),
+    ];
+  }
+  return [];
+}
+
+function aal2PolicyName(table) {
+  return `${table}_require_aal2`;
+}
+
+function aal2PolicyStatement(schema, table) {
+  return `CREATE POLICY ${quoteIdent(
+    aal2PolicyName(table)
+  )} ON ${qualifiedTableName(
+    schema,
+    table
+  )} AS RESTRICTIVE FOR ALL TO authenticated USING (${AAL2_EXPRESSION}) WITH CHECK (${AAL2_EXPRESSION});`;
+}
+
+const AAL_TABLES_SQL = `
+  SELECT n.nspname AS schema, c.relname AS table, c.relrowsecurity
+  FROM pg_class c
+  JOIN pg_namespace n ON n.oid = c.relnamespace
+  WHERE c.relkind IN ('r', 'p') AND n.nspname = ANY($1)
+  ORDER BY n.nspname, c.relname
+`;
+
+// AAL enforcement of every table in `schemas`, for the MFA check.
+async function listAalEnforcement(pool, schemas, sensitiveTables) {
+  const { rows: tables } = await pool.query(AAL_TABLES_SQL, [schemas]);
+  const { rows: policies } = await pool.query(
+    `SELECT * FROM pg_policies WHERE schemaname = ANY($1)`,
+    [schemas]
+  );
+  return tables.map((row) => {
+    const name = `${row.schema}.${row.table}`;
+    return {
+      name,
+      sensitive: sensitiveTables.includes(name),
+      rls_enabled: row.relrowsecurity === true,
+      ...analyzeAal(
+        policies.filter((p) => `${p.schemaname}.${p.tablename}` === name),
+        { rlsEnabled: row.relrowsecurity === true }
+      ),
+    };
+  });
+}
+
+module.exports = {
+  requiresAal2,
+  resolveSensitiveTables,
+  analyzeAal,
+  aalFindings,
+  aal2PolicyName,
+  aal2PolicyStatement,
+  listAalEnforcement,
+};
@@ -0,0 +1,227 @@
+// Checker accounts and sessions
+//
+// Users sign in with an email and password and get an opaque bearer token;
+// only its SHA-256 is stored. Passwords are hashed with scrypt. Every user has
+// one role, each including the ones before it:
+//   viewer   - sees scans, reports, schedules and the evidence log
+//   operator - runs scans and manages schedules
+//   admin    - applies and reverts fixes, runs MFA campaigns and manages
+//              vault credentials and users
+// Users and sessions are kept in the scan history database.
+const crypto = require("crypto");
+const { getDb } = require("./scanHistory");
+
+const ROLES = ["viewer", "operator", "admin"];
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+`;
+
+let ready = false;
+
+function db() {
+  const database = getDb();
+  if (!ready) {
+    database.exec(SCHEMA);
+    ready = true;
+  }
+  return database;
+}
+
+function hasRole(user, role) {
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt:${salt.toString("base64")}:${hash.toString("base64")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [, salt, hash] = stored.split(":");
+  const expected = Buffer.from(hash, "base64");
+  const actual = crypto.scryptSync(
+    password,
+    Buffer.from(salt, "base64"),
+    expected.length
+  );
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function tokenHash(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function toUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    createdAt: row.created_at,
+  };
+}
+
+// Throws when the email, password or role is not acceptable.
+function validateUser({ email, password, role }, { partial = false } = {}) {
+  if (!partial || email !== undefined) {
+    if (typeof email !== "string" || !/^[^@\s]+@[^@\s]+$/.test(email)) {
+      throw new Error("A valid email is required.");
+    }
+  }
+  if (!partial || password !== undefined) {
+    if (typeof password !== "string" || password.length < 12) {
+      throw new Error("Passwords must be at least 12 characters long.");
+    }
+  }
+  if (!partial || role !== undefined) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`role must be one of: ${ROLES.join(", ")}.`);
+    }
+  }
+}
+
+function createUser({ email, password, role }) {
+  validateUser({ email, password, role });
+  if (db().prepare(`SELECT 1 FROM users WHERE email = ?`).get(email)) {
+    throw new Error(`A user with the email ${email} already exists.`);
+  }
+  const row = {
+    id: crypto.randomUUID(),
+    email,
+    password_hash: hashPassword(password),
+    role,
+    created_at: new Date().toISOString(),
+  };
+  db()
+    .prepare(
+      `INSERT INTO users (id, email, password_hash, role, created_at)
+       VALUES (@id, @email, @password_hash, @role, @created_at)`
+    )
+    .run(row);
+  return toUser(row);
+}
+
+function getUser(id) {
+  const row = db().prepare(`SELECT * FROM users WHERE id = ?`).get(id);
+  return row ? toUser(row) : null;
+}
+
+function listUsers() {
+  return db()
+    .prepare(`SELECT * FROM users ORDER BY created_at`)
+    .all()
+    .map(toUser);
+}
+
+function countUsers() {
+  return db().prepare(`SELECT count(*) AS count FROM users`).get().count;
+}
+
+// Changes the role or password. A new password signs the user out.
+function updateUser(id, { role, password }) {
+  validateUser({ role, password }, { partial: true });
+  const current = db().prepare(`SELECT * FROM users WHERE id = ?`).get(id);
+  if (!current) return null;
+  db()
+    .prepare(
+      `UPDATE users SET role = @role, password_hash = @password_hash
+       WHERE id = @id`
+    )
+    .run({
+      id,
+      role: role ?? current.role,
+      password_hash:
+        password === undefined ? current.password_hash : hashPassword(password),
+    });
+  if (password !== undefined) {
+    db().prepare(`DELETE FROM sessions WHERE user_id = ?`).run(id);
+  }
+  return getUser(id);
+}
+
+function deleteUser(id) {
+  db().prepare(`DELETE FROM sessions WHERE user_id = ?`).run(id);
+  return db().prepare(`DELETE FROM users WHERE id = ?`).run(id).changes > 0;
+}
+
+// The user with these credentials, or null.
+// Hashed on first use; unknown emails are checked against it so a failed
+// sign-in takes as long whether or not the account exists.
+let dummyHash;
+
+function authenticate(email, password) {
+  const row = db().prepare(`SELECT * FROM users WHERE email = ?`).get(email);
+  if (typeof password !== "string") return null;
+  if (!row) {
+    dummyHash ??= hashPassword(crypto.randomBytes(16).toString("hex"));
+    verifyPassword(password, dummyHash);
+    return null;
+  }
+  return verifyPassword(password, row.password_hash) ? toUser(row) : null;
+}
+
+function createSession(userId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const now = new Date();
+  const expiresAt = new Date(
+    now.getTime() + SESSION_TTL_HOURS * 60 * 60 * 1000
+  ).toISOString();
+  db()
+    .prepare(
+      `INSERT INTO sessions (token_hash, user_id, created_at, expires_at)
+       VALUES (?, ?, ?, ?)`
+    )
+    .run(tokenHash(token), userId, now.toISOString(), expiresAt);
+  // Expired sessions are dropped whenever a new one starts
+  db()
+    .prepare(`DELETE FROM sessions WHERE expires_at < ?`)
+    .run(now.toISOString());
+  return { token, expiresAt };
+}
+
+// The user a token belongs to, or null when it is unknown or expired.
+function getSessionUser(token) {
+  const row = db()
+    .prepare(
+      `SELECT users.* FROM sessions JOIN users ON users.id = sessions.user_id
+       WHERE sessions.token_hash = ? AND sessions.expires_at > ?`
+    )
+    .get(tokenHash(token), new Date().toISOString());
+  return row ? toUser(row) : null;
+}
+
+function deleteSession(token) {
+  db()
+    .prepare(`DELETE FROM sessions WHERE token_hash = ?`)
+    .run(tokenHash(token));
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  createUser,
+  getUser,
+  listUsers,
+  countUsers,
+  updateUser,
+  deleteUser,
+  authenticate,
+  createSession,
+  getSessionUser,
+  deleteSession,
+};
@@ -0,0 +1,239 @@
+// Auth configuration baseline for the Management API auth config
+//
+// Each rule reads one or more fields of GET /v1/projects/{ref}/config/auth,
+// compares them with the baseline and, when it can be fixed automatically,
+// returns the fields to PATCH. The baseline defaults below can be overridden
+// with a JSON file (AUTH_BASELINE_PATH) or per request.
+const fs = require("fs");
+
+const DEFAULT_BASELINE = {
+  password_min_length: 12,
+  // none | letters_digits | lower_upper_digits | lower_upper_digits_symbols
+  password_required_characters: "lower_upper_digits",
+  password_hibp_enabled: true,
+  email_confirmation_required: true,
+  jwt_exp_max: 3600,
+  // MFA factors that must be enabled: totp and/or phone
+  mfa_factors: ["totp"],
+  allow_signups: true,
+  custom_smtp_required: true,
+};
+
+// Values the auth config accepts for password_required_characters
+const PASSWORD_CHARACTER_SETS = {
+  none: "",
+  letters_digits:
+    "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ:0123456789",
+  lower_upper_digits:
+    "abcdefghijklmnopqrstuvwxyz:ABCDEFGHIJKLMNOPQRSTUVWXYZ:0123456789",
+  lower_upper_digits_symbols:
+    "abcdefghijklmnopqrstuvwxyz:ABCDEFGHIJKLMNOPQRSTUVWXYZ:0123456789:!@#$%^&*()_+-=[]{};'\\\\:\"|<>?,./`~",
+};
+const PASSWORD_CHARACTER_LEVELS = Object.keys(PASSWORD_CHARACTER_SETS);
+
+function passwordCharacterLevel(value) {
+  const level = PASSWORD_CHARACTER_LEVELS.find(
+    (l) => PASSWORD_CHARACTER_SETS[l] === (value || "")
+  );
+  return level || "none";
+}
+
+function loadBaseline(overrides = {}) {
+  let fromFile = {};
+  if (process.env.AUTH_BASELINE_PATH) {
+    fromFile = JSON.parse(
+      fs.readFileSync(process.env.AUTH_BASELINE_PATH, "utf8")
+    );
+  }
+  const baseline = { ...DEFAULT_BASELINE, ...fromFile, ...overrides };
+  if (
+    !PASSWORD_CHARACTER_LEVELS.includes(baseline.password_required_characters)
+  ) {
+    throw new Error(
+      `password_required_characters must be one of: ${PASSWORD_CHARACTER_LEVELS.join(
+        ", "
+      )}.`
+    );
+  }
+  return baseline;
+}
+
+const MFA_FACTOR_FIELDS = {
+  totp: ["mfa_totp_enroll_enabled", "mfa_totp_verify_enabled"],
+  phone: ["mfa_phone_enroll_enabled", "mfa_phone_verify_enabled"],
+};
+
+const RULES = [
+  {
+    id: "password_min_length",
+    title: "Minimum password length",
+    severity: "medium",
+    evaluate: (config, baseline) => ({
+      passed: (config.password_min_length || 0) >= baseline.password_min_length,
+      actual: config.password_min_length ?? null,
+      expected: `>= ${baseline.password_min_length}`,
+    }),
+    fix: (baseline) => ({ password_min_length: baseline.password_min_length }),
+    message: (baseline) =>
+      `Passwords shorter than ${baseline.password_min_length} characters are accepted. Raise the minimum length.`,
+  },
+  {
+    id: "password_required_characters",
+    title: "Required password characters",
+    severity: "medium",
+    evaluate: (config, baseline) => {
+      const actual = passwordCharacterLevel(
+        config.password_required_characters
+      );
+      return {
+        passed:
+          PASSWORD_CHARACTER_LEVELS.indexOf(actual) >=
+          PASSWORD_CHARACTER_LEVELS.indexOf(
+            baseline.password_required_characters
+          ),
+        actual,
+        expected: baseline.password_required_characters,
+      };
+    },
+    fix: (baseline) => ({
+      password_required_characters:
+        PASSWORD_CHARACTER_SETS[baseline.password_required_characters],
+    }),
+    message: (baseline) =>
+      `Passwords do not have to contain ${baseline.password_required_characters.replace(
+        /_/g,
+        " "
+      )}. Require more character classes.`,
+  },
+  {
+    id: "password_hibp_enabled",
+    title: "Leaked password protection",
+    severity: "medium",
+    evaluate: (config, baseline) => ({
+      passed:
+        !baseline.password_hibp_enabled ||
+        config.password_hibp_enabled === true,
+      actual: config.password_hibp_enabled === true,
+      expected: baseline.password_hibp_enabled,
+    }),
+    fix: () => ({ password_hibp_enabled: true }),
+    message: () =>
+      "Passwords found in known data breaches (HaveIBeenPwned) are accepted. Enable leaked password protection.",
+  },
+  {
+    id: "email_confirmation_required",
+    title: "Email confirmation required",
+    severity: "high",
+    evaluate: (config, baseline) => ({
+      passed:
+        !baseline.email_confirmation_required ||
+        config.mailer_autoconfirm !== true,
+      actual: config.mailer_autoconfirm !== true,
+      expected: baseline.email_confirmation_required,
+    }),
+    fix: () => ({ mailer_autoconfirm: false }),
+    message: () =>
+      "Users can sign in without confirming their email address, so anyone can register with an address they do not own. Require email confirmation.",
+  },
+  {
+    id: "jwt_exp",
+    title: "JWT expiry",
+    severity: "medium",
+    evaluate: (config, baseline) => ({
+      passed: (config.jwt_exp || 0) <= baseline.jwt_exp_max,
+      actual: config.jwt_exp ?? null,
+      expected: `<= ${baseline.jwt_exp_max}`,
+    }),
+    fix: (baseline) => ({ jwt_exp: baseline.jwt_exp_max }),
+    message: (baseline) =>
+      `Access tokens stay valid for longer than ${baseline.jwt_exp_max} seconds, so a leaked token can be used for longer and revoked sessions linger. Shorten the JWT expiry.`,
+  },
+  {
+    id: "mfa_factors",
+    title: "MFA factors enabled",
+    severity: "high",
+    evaluate: (config, baseline) => {
+      const enabled = Object.keys(MFA_FACTOR_FIELDS).filter((factor) =>
+        MFA_FACTOR_FIELDS[factor].every((field) => config[field] === true)
+      );
+      return {
+        passed: baseline.mfa_factors.every((f) => enabled.includes(f)),
+        actual: enabled,
+        expected: baseline.mfa_factors,
+      };
+    },
+    fix: (baseline) =>
+      Object.fromEntries(
+        baseline.mfa_factors.flatMap((factor) =>
+          MFA_FACTOR_FIELDS[factor].map((field) => [field, true])
+        )
+      ),
+    message: (baseline) =>
+      `MFA with ${baseline.mfa_factors.join(
+        " and "
+      )} is not enabled, so users cannot enroll a second factor. Enable the factors.`,
+  },
+  {
+    id: "disable_signup",
+    title: "Open signups",
+    severity: "medium",
+    evaluate: (config, baseline) => ({
+      passed: baseline.allow_signups || config.disable_signup === true,
+      actual: config.disable_signup !== true,
+      expected: baseline.allow_signups,
+    }),
+    fix: () => ({ disable_signup: true }),
+    message: () =>
+      "Anyone can create an account, but the baseline expects signups to be closed. Disable signups and invite users instead.",
+  },
+  {
+    id: "custom_smtp",
+    title: "Custom SMTP sender",
+    severity: "medium",
+    evaluate: (config, baseline) => ({
+      passed: !baseline.custom_smtp_required || !!config.smtp_host,
+      actual: config.smtp_host
+        ? config.smtp_admin_email || "custom"
+        : "default",
+      expected: baseline.custom_smtp_required ? "custom" : "any",
+    }),
+    // SMTP credentials have to be supplied by the user
+    fix: null,
+    message: () =>
+      "Auth emails are sent by the default Supabase sender, which is rate limited and not meant for production. Configure a custom SMTP server.",
+  },
+];
+
+function evaluateAuthConfig(config, baseline) {
+  return RULES.map((rule) => {
+    const { passed, actual, expected } = rule.evaluate(config, baseline);
+    return {
+      id: rule.id,
+      title: rule.title,
+      severity: rule.severity,
+      status: passed ? "PASSING" : "FAILING",
+      actual,
+      expected,
+      message: passed ? null : rule.message(baseline),
+      fixable: !passed && !!rule.fix,
+    };
+  });
+}
+
+// Fields to PATCH so the given failing settings meet the baseline.
+function buildAuthConfigPatch(settings, baseline, ids) {
+  const patch = {};
+  for (const setting of settings) {
+    if (setting.status !== "FAILING" || !setting.fixable) continue;
+    if (ids && !ids.includes(setting.id)) continue;
+    Object.assign(patch, RULES.find((r) => r.id === setting.id).fix(baseline));
+  }
+  return patch;
+}
+
+module.exports = {
+  DEFAULT_BASELINE,
+  loadBaseline,
+  evaluateAuthConfig,
+  buildAuthConfigPatch,
+};
@@ -0,0 +1,204 @@
+// MFA enrollment campaigns
+//
+// A campaign emails the users who have no verified MFA factor, records every
+// notice and reminder sent to them, and marks them enrolled once a re-check of
+// their factors finds a verified one. Campaigns are kept in a JSON file next to
+// the remediations.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const campaignsPath =
+  process.env.CAMPAIGNS_PATH || path.join(__dirname, "..", "campaigns.json");
+
+const REMINDER_AFTER_HOURS = Number(process.env.CAMPAIGN_REMINDER_HOURS) || 72;
+const MAX_REMINDERS = Number(process.env.CAMPAIGN_MAX_REMINDERS) || 3;
+
+const DEFAULT_CAMPAIGN_TEMPLATE = {
+  subject: "Set up multi-factor authentication for {{project}}",
+  text: [
+    "Hello {{email}},",
+    "",
+    "Your account does not have multi-factor authentication (MFA) yet. MFA keeps your account safe even if your password leaks.",
+    "",
+    "Sign in and enroll an authenticator app here:",
+    "{{enrollUrl}}",
+    "",
+    "It takes about a minute.",
+  ].join("\n"),
+};
+
+function loadCampaigns() {
+  if (!fs.existsSync(campaignsPath)) return [];
+  return JSON.parse(fs.readFileSync(campaignsPath, "utf8"));
+}
+
+function saveCampaigns(campaigns) {
+  fs.writeFileSync(campaignsPath, JSON.stringify(campaigns, null, 2));
+}
+
+function renderTemplate(template, vars) {
+  const render = (value) =>
+    value.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+      key in vars ? String(vars[key]) : match
+    );
+  return { subject: render(template.subject), text: render(template.text) };
+}
+
+function createCampaign({ project, planId, enrollUrl, template, recipients }) {
+  const campaigns = loadCampaigns();
+  const campaign = {
+    id: crypto.randomUUID(),
+    project,
+    planId,
+    enrollUrl,
+    template,
+    reminderAfterHours: REMINDER_AFTER_HOURS,
+    maxReminders: MAX_REMINDERS,
+    recipients: recipients.map(({ userId, email }) => ({
+      userId,
+      email,
+      status: "pending",
+      notifications: [],
+      enrolledAt: null,
+      factorTypes: [],
+    })),
+    createdAt: new Date().toISOString(),
+    checkedAt: null,
+    completedAt: null,
+  };
+  campaigns.push(campaign);
+  saveCampaigns(campaigns);
+  return campaign;
+}
+
+function saveCampaign(campaign) {
+  const campaigns = loadCampaigns();
+  const index = campaigns.findIndex((c) => c.id === campaign.id);
+  campaigns[index] = campaign;
+  saveCampaigns(campaigns);
+  return campaign;
+}
+
+function getCampaign(id) {
+  return loadCampaigns().find((c) => c.id === id) || null;
+}
+
+function listCampaigns(project) {
+  return loadCampaigns()
+    .filter((c) => !project || c.project === project)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Recipients of any campaign for `project` who have not enrolled yet.
+function openRecipientIds(project) {
+  return new Set(
+    listCampaigns(project).flatMap((c) =>
+      c.recipients.filter((r) => r.status !== "enrolled").map((r) => r.userId)
+    )
+  );
+}
+
+// Classified users to email: no verified factor, not banned, with an email
+// address and not already in an open campaign. `userIds` picks users
+// explicitly, otherwise everyone the MFA check requires MFA for is chosen.
+function selectRecipients(users, open, userIds) {
+  return users
+    .filter(
+      (u) =>
+        !u.mfa_enabled &&
+        !u.banned &&
+        u.email &&
+        !open.has(u.id) &&
+        (userIds ? userIds.includes(u.id) : u.mfa_required)
+    )
+    .map((u) => ({ userId: u.id, email: u.email }));
+}
+
+function recordNotification(recipient, type, result) {
+  recipient.notifications.push({
+    type,
+    sentAt: new Date().toISOString(),
+    messageId: result.messageId || null,
+    error: result.error || null,
+  });
+  if (recipient.status !== "enrolled") {
+    const delivered = recipient.notifications.some((n) => !n.error);
+    recipient.status = delivered ? "notified" : "failed";
+  }
+}
+
+// `users` are classified auth users; recipients with a verified factor are
+// marked enrolled. Returns the recipients that enrolled since the last check.
+function applyEnrollment(campaign, users, now = new Date()) {
+  const byId = new Map(users.map((u) => [u.id, u]));
+  const enrolled = [];
+  for (const recipient of campaign.recipients) {
+    if (recipient.status === "enrolled") continue;
+    const user = byId.get(recipient.userId);
+    if (!user?.mfa_enabled) continue;
+    recipient.status = "enrolled";
+    recipient.enrolledAt = now.toISOString();
+    recipient.factorTypes = user.factor_types;
+    enrolled.push(recipient);
+  }
+  campaign.checkedAt = now.toISOString();
+  if (
+    !campaign.completedAt &&
+    campaign.recipients.every((r) => r.status === "enrolled")
+  ) {
+    campaign.completedAt = now.toISOString();
+  }
+  return enrolled;
+}
+
+// Recipients to remind: not enrolled, last notice older than the reminder
+// interval and fewer reminders than the maximum. Failed notices are retried.
+function recipientsDueForReminder(campaign, now = new Date()) {
+  const cutoff = now.getTime() - campaign.reminderAfterHours * 60 * 60 * 1000;
+  return campaign.recipients.filter((r) => {
+    if (r.status === "enrolled" || r.status === "pending") return false;
+    if (r.status === "failed") return true;
+    const reminders = r.notifications.filter(
+      (n) => n.type === "reminder" && !n.error
+    ).length;
+    const lastSent = Math.max(
+      ...r.notifications
+        .filter((n) => !n.error)
+        .map((n) => Date.parse(n.sentAt))
+    );
+    return reminders < campaign.maxReminders && lastSent <= cutoff;
+  });
+}
+
+function campaignProgress(campaign) {
+  const count = (status) =>
+    campaign.recipients.filter((r) => r.status === status).length;
+  return {
+    total: campaign.recipients.length,
+    pending: count("pending"),
+    notified: count("notified"),
+    failed: count("failed"),
+    enrolled: count("enrolled"),
+    reminders: campaign.recipients.reduce(
+      (sum, r) =>
+        sum + r.notifications.filter((n) => n.type === "reminder").length,
+      0
+    ),
+  };
+}
+
+module.exports = {
+  DEFAULT_CAMPAIGN_TEMPLATE,
+  renderTemplate,
+  createCampaign,
+  saveCampaign,
+  getCampaign,
+  listCampaigns,
+  openRecipientIds,
+  selectRecipients,
+  recordNotification,
+  applyEnrollment,
+  recipientsDueForReminder,
+  campaignProgress,
+};
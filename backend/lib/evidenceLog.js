@@ -0,0 +1,316 @@
+// Tamper-evident evidence log
+//
+// Evidence is appended to a JSON Lines file, one entry per line with a fixed
+// set of fields: seq, timestamp, level, actor, action, project, check,
+// outcome, message, payload, payloadHash, prevHash and hash. `hash` is the
+// SHA-256 of the entry without it and `prevHash` is the hash of the entry
+// before, so editing, removing or reordering a line breaks the chain from
+// that point on. When the file grows past EVIDENCE_LOG_MAX_BYTES it is
+// renamed to <file>.1, <file>.2, … and the chain continues in a new file.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const evidenceLogPath =
+  process.env.EVIDENCE_LOG_PATH || path.join(__dirname, "..", "evidence.jsonl");
+const MAX_BYTES =
+  Number(process.env.EVIDENCE_LOG_MAX_BYTES) || 10 * 1024 * 1024;
+const GENESIS_HASH = "0".repeat(64);
+
+const actorContext = new AsyncLocalStorage();
+let defaultActor = "system";
+
+function setDefaultActor(actor) {
+  defaultActor = actor;
+}
+
+// Entries appended while `fn` runs are attributed to `actor`.
+function runAsActor(actor, fn) {
+  return actorContext.run({ actor }, fn);
+}
+
+function currentActor() {
+  return actorContext.getStore()?.actor || defaultActor;
+}
+
+// JSON with object keys sorted, so hashes do not depend on key order.
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function entryHash(entry) {
+  const { hash, ...rest } = entry;
+  return sha256(canonicalJson(rest));
+}
+
+// Rotated files, oldest first, followed by the current file.
+function logFiles() {
+  const dir = path.dirname(evidenceLogPath);
+  const base = path
+    .basename(evidenceLogPath)
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const rotated = fs.existsSync(dir)
+    ? fs
+        .readdirSync(dir)
+        .map((name) => name.match(new RegExp(`^${base}\\.(\\d+)$`)))
+        .filter(Boolean)
+        .map((match) => ({
+          number: Number(match[1]),
+          file: path.join(dir, match[0]),
+        }))
+        .sort((a, b) => a.number - b.number)
+    : [];
+  return [
+    ...rotated.map((r) => r.file),
+    ...(fs.existsSync(evidenceLogPath) ? [evidenceLogPath] : []),
+  ];
+}
+
+function readLines(file) {
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim());
+}
+
+// The newest readable entry in the log, reading the file from the end, and
+// the number of unreadable lines after it.
+function lastEntry() {
+  let corrupt = 0;
+  for (const file of logFiles().reverse()) {
+    const size = fs.statSync(file).size;
+    if (!size) continue;
+    const fd = fs.openSync(file, "r");
+    try {
+      let tail = Buffer.alloc(0);
+      let position = size;
+      let checked = 0;
+      while (position > 0) {
+        const length = Math.min(64 * 1024, position);
+        position -= length;
+        const chunk = Buffer.alloc(length);
+        fs.readSync(fd, chunk, 0, length, position);
+        tail = Buffer.concat([chunk, tail]);
+        const lines = tail
+          .toString("utf8")
+          .split("\n")
+          .filter((line) => line.trim());
+        // The first line may be cut off until the start of the file is read
+        const complete = position === 0 ? lines : lines.slice(1);
+        for (let i = complete.length - 1 - checked; i >= 0; i--) {
+          try {
+            return { entry: JSON.parse(complete[i]), corrupt };
+          } catch {
+            corrupt++;
+            checked++;
+          }
+        }
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+  return { entry: null, corrupt };
+}
+
+function rotate() {
+  const files = logFiles();
+  const last = files
+    .filter((file) => file !== evidenceLogPath)
+    .map((file) => Number(path.extname(file).slice(1)))
+    .pop();
+  fs.renameSync(evidenceLogPath, `${evidenceLogPath}.${(last || 0) + 1}`);
+}
+
+function writeEntry(
+  previous,
+  { level, message, actor, action, project, check, outcome, payload }
+) {
+  // Round-trip the payload so the hash matches what is read back from disk
+  const storedPayload = JSON.parse(JSON.stringify(payload ?? {}));
+  const entry = {
+    seq: previous ? previous.seq + 1 : 1,
+    timestamp: new Date().toISOString(),
+    level,
+    actor,
+    action,
+    project,
+    check,
+    outcome,
+    message,
+    payload: storedPayload,
+    payloadHash: sha256(canonicalJson(storedPayload)),
+    prevHash: previous ? previous.hash : GENESIS_HASH,
+  };
+  entry.hash = entryHash(entry);
+  const line = JSON.stringify(entry) + "\n";
+  if (
+    fs.existsSync(evidenceLogPath) &&
+    fs.statSync(evidenceLogPath).size > 0 &&
+    fs.statSync(evidenceLogPath).size + Buffer.byteLength(line) > MAX_BYTES
+  ) {
+    rotate();
+  }
+  fs.appendFileSync(evidenceLogPath, line);
+  return entry;
+}
+
+// Appends an entry and returns it. The log is re-read for the previous entry
+// on every append so the CLI and the server can share one log. A torn or
+// corrupt line at the end (a crash mid-write, a manual edit) does not stop
+// logging: an evidence.chain_broken entry is written first and the chain
+// continues from the last readable entry. verifyEvidence still fails on the
+// unreadable line.
+function appendEvidence({
+  level = "info",
+  message,
+  actor = currentActor(),
+  action,
+  project = null,
+  check = null,
+  outcome = null,
+  payload = {},
+}) {
+  let { entry: previous, corrupt } = lastEntry();
+  if (corrupt) {
+    const resumesAfterSeq = previous ? previous.seq : null;
+    previous = writeEntry(previous, {
+      level: "error",
+      message: `Skipped ${corrupt} unreadable line(s) at the end of the evidence log; the chain continues after them.`,
+      actor: "system",
+      action: "evidence.chain_broken",
+      project: null,
+      check: null,
+      outcome: null,
+      payload: { unreadableLines: corrupt, resumesAfterSeq },
+    });
+  }
+  return writeEntry(previous, {
+    level,
+    message,
+    actor,
+    action,
+    project,
+    check,
+    outcome,
+    payload,
+  });
+}
+
+// Walks every file in order and checks each entry's hashes, sequence number
+// and link to the entry before. Rotated files that were archived elsewhere
+// are fine as long as the oldest file kept starts the remaining chain; the
+// result says whether the chain reaches back to the first entry.
+function verifyEvidence() {
+  const files = logFiles();
+  let previous = null;
+  let entries = 0;
+  const fail = (file, line, reason) => ({
+    valid: false,
+    entries,
+    files,
+    error: { file, line, reason },
+  });
+  for (const file of files) {
+    const lines = readLines(file);
+    for (let i = 0; i < lines.length; i++) {
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch {
+        return fail(file, i + 1, "Line is not valid JSON.");
+      }
+      if (sha256(canonicalJson(entry.payload)) !== entry.payloadHash) {
+        return fail(file, i + 1, `Payload of entry ${entry.seq} was altered.`);
+      }
+      if (entryHash(entry) !== entry.hash) {
+        return fail(file, i + 1, `Entry ${entry.seq} was altered.`);
+      }
+      if (previous) {
+        if (entry.prevHash !== previous.hash) {
+          return fail(
+            file,
+            i + 1,
+            `Entry ${entry.seq} does not follow entry ${previous.seq}.`
+          );
+        }
+        if (entry.seq !== previous.seq + 1) {
+          return fail(
+            file,
+            i + 1,
+            `Entry ${entry.seq} follows entry ${previous.seq}; entries are missing.`
+          );
+        }
+      } else if (entry.seq === 1 && entry.prevHash !== GENESIS_HASH) {
+        return fail(file, i + 1, "The first entry does not start the chain.");
+      }
+      previous = entry;
+      entries++;
+    }
+  }
+  return {
+    valid: true,
+    entries,
+    files,
+    firstSeq: entries ? previous.seq - entries + 1 : null,
+    lastSeq: previous?.seq ?? null,
+    lastHash: previous?.hash ?? null,
+    complete: entries === 0 || previous.seq === entries,
+  };
+}
+
+// Newest first. `since` and `until` are ISO timestamps.
+function queryEvidence({
+  project,
+  action,
+  actor,
+  check,
+  since,
+  until,
+  limit = 100,
+} = {}) {
+  const matches = [];
+  for (const file of logFiles().reverse()) {
+    const lines = readLines(file).reverse();
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (project && entry.project !== project) continue;
+      if (action && entry.action !== action) continue;
+      if (actor && entry.actor !== actor) continue;
+      if (check && entry.check !== check) continue;
+      if (since && entry.timestamp < since) continue;
+      if (until && entry.timestamp > until) continue;
+      matches.push(entry);
+      if (matches.length >= limit) return matches;
+    }
+  }
+  return matches;
+}
+
+module.exports = {
+  evidenceLogPath,
+  setDefaultActor,
+  runAsActor,
+  currentActor,
+  appendEvidence,
+  verifyEvidence,
+  queryEvidence,
+};
@@ -0,0 +1,269 @@
+// Compliance framework control mapping
+//
+// Frameworks are JSON files in backend/frameworks (FRAMEWORKS_DIR overrides
+// it), read on every call so edits apply without a restart. Each control lists
+// the checks that provide evidence for it; a mapping may name an `issue` to
+// tie the control to one kind of finding instead of the whole check:
+//
+//   { "id": "CC6.1", "title": "…", "mappings": [{ "check": "rls" },
+//     { "check": "auth-config", "issue": "mfa_factors" }] }
+//
+// A control is FAILING when a mapped check fails or a mapped issue is found
+// (at `minSeverity` or above, if the mapping sets one), PASSING when its
+// mapped checks ran without that, ERROR when a mapped check ended in ERROR so
+// the control could not be evaluated, and NOT_COVERED when no check maps to it
+// or none of the mapped checks ran.
+const fs = require("fs");
+const path = require("path");
+const { isBlockingFinding, SEVERITY_RANK } = require("./rlsPolicyAnalyzer");
+
+const frameworksDir =
+  process.env.FRAMEWORKS_DIR || path.join(__dirname, "..", "frameworks");
+
+// Findings listed per control, the rest are only counted
+const MAX_CONTROL_FINDINGS = 50;
+
+function validateFramework(framework) {
+  if (!framework.id || !framework.name || !Array.isArray(framework.controls)) {
+    return "a framework needs an id, a name and a controls array";
+  }
+  const ids = new Set();
+  for (const control of framework.controls) {
+    if (!control.id || !Array.isArray(control.mappings)) {
+      return "every control needs an id and a mappings array";
+    }
+    if (ids.has(control.id)) return `control ${control.id} is listed twice`;
+    ids.add(control.id);
+    if (control.mappings.some((m) => !m.check)) {
+      return `a mapping of control ${control.id} has no check`;
+    }
+    const severity = control.mappings.find(
+      (m) => m.minSeverity && !(m.minSeverity in SEVERITY_RANK)
+    )?.minSeverity;
+    if (severity) {
+      return `unknown minSeverity "${severity}" in control ${control.id}`;
+    }
+  }
+  return null;
+}
+
+// Returns the valid frameworks and an error for every file that is not.
+function loadFrameworks(dir = frameworksDir) {
+  const frameworks = [];
+  const errors = [];
+  if (!fs.existsSync(dir)) return { frameworks, errors };
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith(".json"))) {
+    try {
+      const framework = JSON.parse(
+        fs.readFileSync(path.join(dir, file), "utf8")
+      );
+      const problem = validateFramework(framework);
+      if (problem) throw new Error(problem);
+      if (frameworks.some((f) => f.id === framework.id)) {
+        throw new Error(`framework id "${framework.id}" is already used`);
+      }
+      frameworks.push(framework);
+    } catch (error) {
+      errors.push({ file, error: error.message });
+    }
+  }
+  frameworks.sort((a, b) => a.name.localeCompare(b.name));
+  return { frameworks, errors };
+}
+
+// The controls a check provides evidence for, across all frameworks.
+function controlsForCheck(frameworks, checkId) {
+  return frameworks.flatMap((framework) =>
+    framework.controls
+      .filter((control) => control.mappings.some((m) => m.check === checkId))
+      .map((control) => ({
+        framework: framework.id,
+        frameworkName: framework.name,
+        control: control.id,
+        title: control.title,
+      }))
+  );
+}
+
+function issueFindings(check, subject, recommendations) {
+  return (recommendations || [])
+    .filter((f) => typeof f === "object" && f.issue)
+    .map((f) => ({
+      check,
+      subject,
+      issue: f.issue,
+      severity: f.severity,
+      message: f.message,
+    }));
+}
+
+// Flattens a check result into findings with an `issue` code. The MFA,
+// auth config and PITR results have no findings of their own, so failing
+// users, settings (issue = setting id) and projects become findings.
+function checkFindings(check) {
+  const result = check.result;
+  if (!result) return [];
+  switch (check.id) {
+    case "rls":
+      return (result.tables || []).flatMap((t) =>
+        issueFindings("rls", t.name, t.recommendations)
+      );
+    case "grants":
+      return (result.objects || []).flatMap((o) =>
+        issueFindings("grants", o.name, o.recommendations)
+      );
+    case "functions":
+      return (result.functions || []).flatMap((fn) =>
+        issueFindings(
+          "functions",
+          `${fn.schema}.${fn.name}(${fn.arguments})`,
+          fn.recommendations
+        )
+      );
+    case "storage":
+      return (result.buckets || []).flatMap((b) =>
+        issueFindings("storage", b.name, b.recommendations)
+      );
+    case "auth-config":
+      return (result.settings || [])
+        .filter((s) => s.status === "FAILING")
+        .map((s) => ({
+          check: "auth-config",
+          subject: s.title,
+          issue: s.id,
+          severity: s.severity,
+          message: s.message,
+        }));
+    case "mfa":
+      return (result.users || []).flatMap((u) => {
+        const subject = u.email || u.phone || u.id;
+        const findings = [];
+        if (u.mfa_required && !u.mfa_enabled) {
+          findings.push({
+            check: "mfa",
+            subject,
+            issue: "user_without_mfa",
+            severity: "high",
+            message: "MFA is required but not enabled.",
+          });
+        }
+        if (u.elevated && !u.mfa_enabled && !u.banned) {
+          findings.push({
+            check: "mfa",
+            subject,
+            issue: "elevated_without_mfa",
+            severity: "high",
+            message: "User with an elevated role has no MFA.",
+          });
+        }
+        return findings;
+      });
+    case "pitr":
+      return (result.details?.projects || [])
+        .filter((p) => !p.pitrEnabled)
+        .map((p) => ({
+          check: "pitr",
+          subject: `${p.name} (${p.ref})`,
+          issue: "pitr_disabled",
+          severity: "high",
+          message: "Point-in-time recovery is not enabled.",
+        }));
+    default:
+      return issueFindings(check.id, check.title, result.findings);
+  }
+}
+
+function evaluateMapping(mapping, check, findings) {
+  if (check?.status === "ERROR") {
+    return { ...mapping, status: "ERROR", findings: [] };
+  }
+  if (!check || !["PASSING", "FAILING"].includes(check.status)) {
+    return { ...mapping, status: "NOT_COVERED", findings: [] };
+  }
+  if (!mapping.issue) {
+    const blocking = findings.filter(isBlockingFinding);
+    return {
+      ...mapping,
+      status: check.status,
+      findings:
+        check.status === "FAILING" && !blocking.length ? findings : blocking,
+    };
+  }
+  const minRank = SEVERITY_RANK[mapping.minSeverity || "low"];
+  const matching = findings.filter(
+    (f) =>
+      f.issue === mapping.issue && (SEVERITY_RANK[f.severity] ?? 0) >= minRank
+  );
+  return {
+    ...mapping,
+    status: matching.length ? "FAILING" : "PASSING",
+    findings: matching,
+  };
+}
+
+function evaluateControl(control, checksById, findingsByCheck) {
+  const mappings = control.mappings.map((mapping) =>
+    evaluateMapping(
+      mapping,
+      checksById.get(mapping.check),
+      findingsByCheck.get(mapping.check) || []
+    )
+  );
+  const statuses = mappings.map((m) => m.status);
+  const errored = [
+    ...new Set(
+      mappings.filter((m) => m.status === "ERROR").map((m) => `"${m.check}"`)
+    ),
+  ];
+  const status = statuses.includes("FAILING")
+    ? "FAILING"
+    : errored.length
+    ? "ERROR"
+    : statuses.includes("PASSING")
+    ? "PASSING"
+    : "NOT_COVERED";
+  const findings = mappings.flatMap((m) => m.findings);
+  return {
+    id: control.id,
+    title: control.title,
+    status,
+    reason:
+      status === "ERROR"
+        ? `Could not be evaluated: ${
+            errored.length > 1 ? "checks" : "check"
+          } ${errored.join(", ")} ended in ERROR.`
+        : status !== "NOT_COVERED"
+        ? null
+        : mappings.length
+        ? "None of the mapped checks ran in this scan."
+        : "No check maps to this control.",
+    mappings: mappings.map(({ findings, ...m }) => m),
+    findings: findings.slice(0, MAX_CONTROL_FINDINGS),
+    findingCount: findings.length,
+  };
+}
+
+// `checks` are the check results of a scan.
+function evaluateFramework(framework, checks) {
+  const checksById = new Map(checks.map((c) => [c.id, c]));
+  const findingsByCheck = new Map(checks.map((c) => [c.id, checkFindings(c)]));
+  const controls = framework.controls.map((control) =>
+    evaluateControl(control, checksById, findingsByCheck)
+  );
+  const counts = { PASSING: 0, FAILING: 0, ERROR: 0, NOT_COVERED: 0 };
+  controls.forEach((c) => counts[c.status]++);
+  return {
+    id: framework.id,
+    name: framework.name,
+    version: framework.version || null,
+    counts,
+    controls,
+  };
+}
+
+module.exports = {
+  loadFrameworks,
+  controlsForCheck,
+  checkFindings,
+  evaluateFramework,
+};
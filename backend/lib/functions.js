@@ -0,0 +1,198 @@
+// SECURITY DEFINER functions and mutable search_path
+//
+// PostgREST exposes every function in the exposed schemas as an RPC. A
+// SECURITY DEFINER function runs as its owner and skips RLS, and one without a
+// pinned search_path can be made to resolve names to objects an attacker
+// created. The functions check reports both, with who can EXECUTE each one.
+const { quoteIdent } = require("./sql");
+
+const EXECUTE_ROLES = ["anon", "authenticated", "public"];
+// Roles that keep EXECUTE when it is revoked from PUBLIC to lock out anon
+const KEEP_EXECUTE_ROLES = ["authenticated", "service_role"];
+
+// Functions created by extensions are managed by the extension and skipped.
+const FUNCTIONS_SQL = `
+  SELECT n.nspname AS schema,
+         p.proname AS name,
+         pg_get_function_identity_arguments(p.oid) AS arguments,
+         format('%I.%I(%s)', n.nspname, p.proname, oidvectortypes(p.proargtypes))
+           AS signature,
+         p.prosecdef AS security_definer,
+         pg_get_userbyid(p.proowner) AS owner,
+         r.rolsuper AS owner_superuser,
+         r.rolbypassrls AS owner_bypassrls,
+         (SELECT substr(cfg, length('search_path=') + 1)
+          FROM unnest(p.proconfig) cfg
+          WHERE cfg LIKE 'search_path=%') AS search_path,
+         coalesce((
+           SELECT array_agg(CASE WHEN a.grantee = 0 THEN 'public'
+                                 ELSE pg_get_userbyid(a.grantee) END)
+           FROM aclexplode(coalesce(p.proacl, acldefault('f', p.proowner))) a
+           WHERE a.privilege_type = 'EXECUTE'
+         ), '{}') AS execute_grantees
+  FROM pg_proc p
+  JOIN pg_namespace n ON n.oid = p.pronamespace
+  JOIN pg_roles r ON r.oid = p.proowner
+  WHERE p.prokind = 'f'
+    AND NOT EXISTS (
+      SELECT 1 FROM pg_depend d
+      WHERE d.classid = 'pg_proc'::regclass AND d.objid = p.oid
+        AND d.deptype = 'e'
+    )
+    AND %FILTER%
+  ORDER BY n.nspname, p.proname, 3
+`;
+
+// pg returns name[] from array_agg either as a JS array or a "{a,b}" literal.
+function toArray(value) {
+  if (Array.isArray(value)) return value;
+  return String(value || "")
+    .replace(/^\{|\}$/g, "")
+    .split(",")
+    .filter(Boolean);
+}
+
+function normalizeFunction(row) {
+  const grantees = toArray(row.execute_grantees);
+  return {
+    schema: row.schema,
+    name: row.name,
+    arguments: row.arguments,
+    signature: row.signature,
+    security_definer: row.security_definer === true,
+    owner: row.owner,
+    owner_superuser: row.owner_superuser === true,
+    owner_bypassrls: row.owner_bypassrls === true,
+    search_path: row.search_path ?? null,
+    execute: Object.fromEntries(
+      EXECUTE_ROLES.map((role) => [role, grantees.includes(role)])
+    ),
+    execute_grantees: grantees,
+  };
+}
+
+async function listExposedFunctions(pool, schemas) {
+  const { rows } = await pool.query(
+    FUNCTIONS_SQL.replace("%FILTER%", "n.nspname = ANY($1)"),
+    [schemas]
+  );
+  return rows.map(normalizeFunction);
+}
+
+// One function by schema, name and identity arguments, as returned by the
+// check. Statements are built from its catalog signature, never from input.
+async function describeFunction(client, { schema, name, arguments: args }) {
+  const { rows } = await client.query(
+    FUNCTIONS_SQL.replace(
+      "%FILTER%",
+      "n.nspname = $1 AND p.proname = $2 AND pg_get_function_identity_arguments(p.oid) = $3"
+    ),
+    [schema, name, args || ""]
+  );
+  if (!rows.length) {
+    throw new Error(`Function ${schema}.${name}(${args || ""}) was not found.`);
+  }
+  return normalizeFunction(rows[0]);
+}
+
+// anon can call a function granted to it directly or through PUBLIC.
+function callableBy(fn, role) {
+  return fn.execute[role] || fn.execute.public;
+}
+
+function finding(severity, issue, message, fix) {
+  return { severity, issue, message, fix };
+}
+
+function analyzeFunction(fn) {
+  const findings = [];
+  const label = `${fn.schema}.${fn.name}(${fn.arguments})`;
+  const anonCallable = callableBy(fn, "anon");
+  const pinned = fn.search_path !== null;
+
+  if (fn.security_definer) {
+    const rlsNote =
+      fn.owner_superuser || fn.owner_bypassrls
+        ? `runs as ${fn.owner}, which bypasses RLS`
+        : `runs with the privileges of ${fn.owner}`;
+    if (anonCallable) {
+      findings.push(
+        finding(
+          pinned ? "high" : "critical",
+          "definer_anon_execute",
+          `SECURITY DEFINER function ${label} ${rlsNote}, and anyone holding the anon key can call it as an RPC. Revoke EXECUTE from anon unless signed-out users must call it.`,
+          "revoke_execute"
+        )
+      );
+    } else if (callableBy(fn, "authenticated")) {
+      findings.push(
+        finding(
+          "medium",
+          "definer_authenticated_execute",
+          `SECURITY DEFINER function ${label} ${rlsNote} and is callable by every signed-in user. Make sure it checks auth.uid() before touching data.`,
+          null
+        )
+      );
+    }
+    if (!pinned) {
+      findings.push(
+        finding(
+          "high",
+          "definer_mutable_search_path",
+          `SECURITY DEFINER function ${label} does not set search_path, so unqualified names resolve through the caller's search_path and can be hijacked. Pin search_path on the function.`,
+          "pin_search_path"
+        )
+      );
+    }
+  } else if (!pinned) {
+    findings.push(
+      finding(
+        "low",
+        "mutable_search_path",
+        `Function ${label} does not set search_path, so the objects it uses depend on the caller's search_path. Pin search_path on the function.`,
+        "pin_search_path"
+      )
+    );
+  }
+  return findings;
+}
+
+// search_path values are stored as written, e.g. `""` or `public, extensions`.
+function parseSearchPath(value) {
+  if (value == null) return null;
+  return value
+    .split(",")
+    .map((s) => s.trim().replace(/^"(.*)"$/, "$1"))
+    .filter(Boolean);
+}
+
+function setSearchPathStatement(signature, schemas) {
+  if (schemas === null) {
+    return `ALTER FUNCTION ${signature} RESET search_path;`;
+  }
+  const value = schemas.length ? schemas.map(quoteIdent).join(", ") : "''";
+  return `ALTER FUNCTION ${signature} SET search_path = ${value};`;
+}
+
+// PUBLIC is a keyword, not a role, and must not be quoted
+function granteeName(grantee) {
+  return grantee === "public" ? "PUBLIC" : quoteIdent(grantee);
+}
+
+function executeStatement(signature, grant, grantees) {
+  const roles = grantees.map(granteeName).join(", ");
+  return grant
+    ? `GRANT EXECUTE ON FUNCTION ${signature} TO ${roles};`
+    : `REVOKE EXECUTE ON FUNCTION ${signature} FROM ${roles};`;
+}
+
+module.exports = {
+  EXECUTE_ROLES,
+  KEEP_EXECUTE_ROLES,
+  listExposedFunctions,
+  describeFunction,
+  analyzeFunction,
+  parseSearchPath,
+  setSearchPathStatement,
+  executeStatement,
+};
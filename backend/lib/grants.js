@@ -0,0 +1,290 @@
+// Table, column and sequence privileges of the API roles
+//
+// RLS policies only narrow access a role already has through GRANTs, so the
+// grants check reports what anon, authenticated and PUBLIC may do on every
+// exposed relation and flags TRUNCATE and anonymous write grants.
+const { quoteIdent, qualifiedTableName } = require("./sql");
+
+const API_ROLES = ["anon", "authenticated", "public"];
+const TABLE_PRIVILEGES = ["SELECT", "INSERT", "UPDATE", "DELETE", "TRUNCATE"];
+const SEQUENCE_PRIVILEGES = ["USAGE", "SELECT", "UPDATE"];
+const WRITE_PRIVILEGES = ["INSERT", "UPDATE", "DELETE"];
+const ANONYMOUS_ROLES = ["anon", "public"];
+
+const RELATION_KINDS = {
+  r: "table",
+  p: "partitioned",
+  v: "view",
+  m: "materialized view",
+  f: "foreign table",
+  S: "sequence",
+};
+
+// Privileges of the API roles on relations. A NULL relacl means the owner's
+// default privileges, which never include the API roles but are expanded
+// anyway so the query reads the same for every relation.
+const RELATION_GRANTS_SQL = `
+  SELECT n.nspname AS schema,
+         c.relname AS name,
+         c.relkind,
+         c.relrowsecurity,
+         CASE WHEN a.grantee = 0 THEN 'public'
+              ELSE pg_get_userbyid(a.grantee) END AS grantee,
+         a.privilege_type,
+         a.is_grantable
+  FROM pg_class c
+  JOIN pg_namespace n ON n.oid = c.relnamespace
+  CROSS JOIN LATERAL aclexplode(coalesce(
+    c.relacl,
+    acldefault(CASE WHEN c.relkind = 'S' THEN 's' ELSE 'r' END::"char", c.relowner)
+  )) a
+  WHERE c.relkind IN ('r', 'p', 'v', 'm', 'f', 'S')
+    AND (a.grantee = 0 OR pg_get_userbyid(a.grantee) = ANY($2))
+    AND %FILTER%
+  ORDER BY n.nspname, c.relname
+`;
+
+const COLUMN_GRANTS_SQL = `
+  SELECT n.nspname AS schema,
+         c.relname AS name,
+         c.relkind,
+         c.relrowsecurity,
+         att.attname AS column,
+         CASE WHEN a.grantee = 0 THEN 'public'
+              ELSE pg_get_userbyid(a.grantee) END AS grantee,
+         a.privilege_type,
+         a.is_grantable
+  FROM pg_attribute att
+  JOIN pg_class c ON c.oid = att.attrelid
+  JOIN pg_namespace n ON n.oid = c.relnamespace
+  CROSS JOIN LATERAL aclexplode(att.attacl) a
+  WHERE att.attacl IS NOT NULL
+    AND att.attnum > 0
+    AND NOT att.attisdropped
+    AND c.relkind IN ('r', 'p', 'v', 'm', 'f')
+    AND (a.grantee = 0 OR pg_get_userbyid(a.grantee) = ANY($2))
+    AND %FILTER%
+  ORDER BY n.nspname, c.relname, att.attnum
+`;
+
+function grantsQuery(sql, filter) {
+  return sql.replace("%FILTER%", filter);
+}
+
+// Grants of the API roles on every relation in `schemas`.
+async function listSchemaGrants(pool, schemas) {
+  const roles = API_ROLES.filter((r) => r !== "public");
+  const filter = "n.nspname = ANY($1)";
+  const { rows: relationGrants } = await pool.query(
+    grantsQuery(RELATION_GRANTS_SQL, filter),
+    [schemas, roles]
+  );
+  const { rows: columnGrants } = await pool.query(
+    grantsQuery(COLUMN_GRANTS_SQL, filter),
+    [schemas, roles]
+  );
+  return { relationGrants, columnGrants };
+}
+
+// Current privileges of one grantee on one relation, table-level entries
+// with `column: null`. Also returns the relation's kind.
+async function describeObjectGrants(client, schema, name, grantee) {
+  const ref = qualifiedTableName(schema, name);
+  const { rows } = await client.query(
+    `SELECT relkind FROM pg_class WHERE oid = to_regclass($1)`,
+    [ref]
+  );
+  if (!rows.length) {
+    throw new Error(`Relation ${schema}.${name} was not found.`);
+  }
+  const filter = "c.oid = to_regclass($1)";
+  const params = [ref, grantee === "public" ? [] : [grantee]];
+  const { rows: relationGrants } = await client.query(
+    grantsQuery(RELATION_GRANTS_SQL, filter),
+    params
+  );
+  const { rows: columnGrants } = await client.query(
+    grantsQuery(COLUMN_GRANTS_SQL, filter),
+    params
+  );
+  const privileges = [...relationGrants, ...columnGrants]
+    .filter((g) => g.grantee === grantee)
+    .map((g) => ({
+      privilege: g.privilege_type,
+      column: g.column || null,
+      grantable: g.is_grantable === true,
+    }));
+  return {
+    schema,
+    name,
+    kind: RELATION_KINDS[rows[0].relkind],
+    grantee,
+    privileges,
+  };
+}
+
+function finding(severity, issue, message, grantee, privileges, columns) {
+  return {
+    severity,
+    issue,
+    grantee,
+    privileges,
+    columns,
+    message,
+  };
+}
+
+// Findings for one relation: `grants` maps each API role to its table-level
+// privileges and `columnGrants` to { privilege: [columns] }.
+function analyzeGrants({ name, kind, rlsEnabled, grants, columnGrants }) {
+  const findings = [];
+  if (kind === "sequence") {
+    for (const grantee of ANONYMOUS_ROLES) {
+      if (grants[grantee]?.includes("UPDATE")) {
+        findings.push(
+          finding(
+            "low",
+            "sequence_update",
+            `${grantee} can UPDATE sequence ${name}, so anyone with the anon key can call setval() and make inserts collide or skip values. USAGE is enough for nextval().`,
+            grantee,
+            ["UPDATE"],
+            null
+          )
+        );
+      }
+    }
+    return findings;
+  }
+
+  // RLS does not apply to views, materialized views or foreign tables
+  const rlsApplies = kind === "table" || kind === "partitioned";
+  for (const grantee of API_ROLES) {
+    const privileges = grants[grantee] || [];
+    const anonymous = ANONYMOUS_ROLES.includes(grantee);
+
+    if (privileges.includes("TRUNCATE")) {
+      findings.push(
+        finding(
+          anonymous ? "high" : "medium",
+          "truncate_grant",
+          `${grantee} has TRUNCATE on ${name}. TRUNCATE is not subject to RLS policies and the Data API never needs it; revoke it.`,
+          grantee,
+          ["TRUNCATE"],
+          null
+        )
+      );
+    }
+
+    if (!anonymous) continue;
+    const writes = privileges.filter((p) => WRITE_PRIVILEGES.includes(p));
+    if (writes.length) {
+      const unprotected = !rlsApplies || !rlsEnabled;
+      findings.push(
+        finding(
+          unprotected ? "critical" : "medium",
+          "anonymous_write",
+          unprotected
+            ? `${grantee} has ${writes.join(
+                ", "
+              )} on ${name} and no RLS policy limits it, so anyone holding the anon key can change every row. Revoke the write privileges.`
+            : `${grantee} has ${writes.join(
+                ", "
+              )} on ${name}. RLS policies currently decide which rows can be written; revoke the privileges unless signed-out users must write here.`,
+          grantee,
+          writes,
+          null
+        )
+      );
+    }
+    for (const [privilege, columns] of Object.entries(
+      columnGrants[grantee] || {}
+    )) {
+      if (!WRITE_PRIVILEGES.includes(privilege)) continue;
+      findings.push(
+        finding(
+          rlsApplies && rlsEnabled ? "medium" : "high",
+          "anonymous_column_write",
+          `${grantee} has ${privilege} on columns ${columns.join(
+            ", "
+          )} of ${name}. Revoke column write privileges from signed-out users.`,
+          grantee,
+          [privilege],
+          columns
+        )
+      );
+    }
+  }
+  return findings;
+}
+
+function objectKeyword(kind) {
+  return kind === "sequence" ? "SEQUENCE" : "TABLE";
+}
+
+function columnList(columns) {
+  return columns?.length ? ` (${columns.map(quoteIdent).join(", ")})` : "";
+}
+
+// PUBLIC is a keyword, not a role, and must not be quoted
+function granteeName(grantee) {
+  return grantee === "public" ? "PUBLIC" : quoteIdent(grantee);
+}
+
+function buildRevokeStatement({ schema, name, kind, grantee }, privileges) {
+  const columns = privileges[0].column ? privileges.map((p) => p.column) : [];
+  return `REVOKE ${privileges[0].privilege}${columnList(
+    columns
+  )} ON ${objectKeyword(kind)} ${qualifiedTableName(
+    schema,
+    name
+  )} FROM ${granteeName(grantee)};`;
+}
+
+function buildGrantStatement({ schema, name, kind, grantee }, privilege) {
+  return `GRANT ${privilege.privilege}${columnList(
+    privilege.column ? [privilege.column] : []
+  )} ON ${objectKeyword(kind)} ${qualifiedTableName(
+    schema,
+    name
+  )} TO ${granteeName(grantee)}${
+    privilege.grantable ? " WITH GRANT OPTION" : ""
+  };`;
+}
+
+// One REVOKE per privilege, with the columns of column-level grants combined.
+function buildRevokeStatements(target, privileges) {
+  const groups = new Map();
+  for (const p of privileges) {
+    const key = `${p.privilege}:${p.column ? "column" : "table"}`;
+    groups.set(key, [...(groups.get(key) || []), p]);
+  }
+  return [...groups.values()].map((group) =>
+    buildRevokeStatement(target, group)
+  );
+}
+
+// GRANTs that give back the privileges in `snapshot` missing from `current`.
+function buildGrantRestoreStatements(current, snapshot) {
+  const held = (p) =>
+    current.privileges.some(
+      (c) =>
+        c.privilege === p.privilege &&
+        c.column === p.column &&
+        c.grantable === p.grantable
+    );
+  return snapshot.privileges
+    .filter((p) => !held(p))
+    .map((p) => buildGrantStatement(snapshot, p));
+}
+
+module.exports = {
+  API_ROLES,
+  TABLE_PRIVILEGES,
+  SEQUENCE_PRIVILEGES,
+  RELATION_KINDS,
+  listSchemaGrants,
+  describeObjectGrants,
+  analyzeGrants,
+  buildRevokeStatements,
+  buildGrantRestoreStatements,
+};
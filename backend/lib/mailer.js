@@ -0,0 +1,86 @@
+// Mail transports for MFA enrollment campaigns
+//
+// MAIL_TRANSPORT picks the transport: "smtp" sends through SMTP_HOST with
+// nodemailer, "local" (the default) appends each message to a JSON outbox file
+// so campaigns can be tried without a mail server. Other transports can be
+// added with registerTransport(name, factory); a transport is an object with
+// an async send({ from, to, subject, text }) that returns { messageId }.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const factories = {
+  smtp: () => {
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST is required for the smtp mail transport.");
+    }
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+    return {
+      name: "smtp",
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+      },
+    };
+  },
+  local: () => {
+    const outboxPath =
+      process.env.MAIL_OUTBOX_PATH ||
+      path.join(__dirname, "..", "mail-outbox.json");
+    return {
+      name: "local",
+      send: async (message) => {
+        const outbox = fs.existsSync(outboxPath)
+          ? JSON.parse(fs.readFileSync(outboxPath, "utf8"))
+          : [];
+        const messageId = `<${crypto.randomUUID()}@local>`;
+        outbox.push({
+          messageId,
+          sentAt: new Date().toISOString(),
+          ...message,
+        });
+        fs.writeFileSync(outboxPath, JSON.stringify(outbox, null, 2));
+        return { messageId };
+      },
+    };
+  },
+};
+
+let transport = null;
+
+function registerTransport(name, factory) {
+  factories[name] = factory;
+  transport = null;
+}
+
+function getMailTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || "local";
+    if (!factories[name]) {
+      throw new Error(
+        `Unknown mail transport "${name}". Use one of: ${Object.keys(
+          factories
+        ).join(", ")}.`
+      );
+    }
+    transport = factories[name]();
+  }
+  return transport;
+}
+
+async function sendMail(message) {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    ...message,
+  });
+}
+
+module.exports = { registerTransport, getMailTransport, sendMail };
@@ -0,0 +1,59 @@
+// Supabase Management API calls behind org scans
+//
+// `fetch` is passed in so the server can use node-fetch and tests a stub.
+const MANAGEMENT_API_URL = "https://api.supabase.com/v1";
+
+function createManagementApi({ token, fetch }) {
+  async function get(pathname, what) {
+    const res = await fetch(`${MANAGEMENT_API_URL}${pathname}`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        Accept: "application/json",
+      },
+    });
+    if (!res.ok) {
+      const errorText = await res.text();
+      throw new Error(`Failed to ${what}: ${res.status} ${errorText}`);
+    }
+    return res.json();
+  }
+
+  // Every project the token can see.
+  function listProjects() {
+    return get("/projects", "list projects");
+  }
+
+  // The legacy service_role key, or a secret API key for projects without one.
+  async function fetchServiceKey(projectRef) {
+    const keys = await get(
+      `/projects/${projectRef}/api-keys?reveal=true`,
+      "fetch API keys"
+    );
+    const key =
+      keys.find((k) => k.name === "service_role" && k.api_key) ||
+      keys.find((k) => k.type === "secret" && k.api_key);
+    if (!key) throw new Error("The project has no service_role or secret key.");
+    return key.api_key;
+  }
+
+  // The Management API returns the pooler connection details without the
+  // database password, which has to be supplied by the caller.
+  async function fetchDbConnectionString(projectRef, password) {
+    const configs = await get(
+      `/projects/${projectRef}/config/database/pooler`,
+      "fetch database connection details"
+    );
+    const config =
+      configs.find((c) => c.database_type === "PRIMARY") || configs[0];
+    if (!config) throw new Error("The project has no database pooler.");
+    return `postgresql://${encodeURIComponent(
+      config.db_user
+    )}:${encodeURIComponent(password)}@${config.db_host}:${config.db_port}/${
+      config.db_name
+    }`;
+  }
+
+  return { listProjects, fetchServiceKey, fetchDbConnectionString };
+}
+
+module.exports = { createManagementApi };
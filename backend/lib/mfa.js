@@ -0,0 +1,92 @@
+// MFA coverage of the whole user population
+//
+// The MFA check pages through every auth user and classifies them here. Which
+// users must have MFA is configurable: everyone (the default) or only users
+// whose app_metadata role is elevated.
+const { parseList } = require("./schemas");
+
+const DEFAULT_ELEVATED_ROLES = ["admin", "owner", "super_admin"];
+const REQUIRE_FOR = ["all", "elevated"];
+
+function resolveMfaOptions(options = {}) {
+  const requireFor =
+    options.requireFor || process.env.MFA_REQUIRED_FOR || "all";
+  if (!REQUIRE_FOR.includes(requireFor)) {
+    throw new Error(`requireFor must be one of: ${REQUIRE_FOR.join(", ")}.`);
+  }
+  const elevatedRoles = parseList(
+    options.elevatedRoles || process.env.MFA_ELEVATED_ROLES
+  );
+  return {
+    requireFor,
+    elevatedRoles: elevatedRoles.length
+      ? elevatedRoles
+      : DEFAULT_ELEVATED_ROLES,
+  };
+}
+
+// Roles may be stored as app_metadata.role or app_metadata.roles.
+function appMetadataRoles(user) {
+  const { role, roles } = user.app_metadata || {};
+  return [
+    ...(Array.isArray(roles) ? roles : roles ? [roles] : []),
+    ...(role ? [role] : []),
+  ].map(String);
+}
+
+function classifyUser(user, { requireFor, elevatedRoles }, now) {
+  const factors = (user.factors || []).map((f) => ({
+    id: f.id,
+    type: f.factor_type,
+    status: f.status,
+  }));
+  const verified = factors.filter((f) => f.status === "verified");
+  const roles = appMetadataRoles(user);
+  const elevated = roles.some((r) => elevatedRoles.includes(r));
+  const banned =
+    !!user.banned_until && Date.parse(user.banned_until) > now.getTime();
+  return {
+    id: user.id,
+    email: user.email,
+    phone: user.phone,
+    mfa_enabled: verified.length > 0,
+    factor_types: [...new Set(verified.map((f) => f.type))],
+    unverified_factors: factors.filter((f) => f.status !== "verified").length,
+    roles,
+    elevated,
+    banned,
+    confirmed: !!(user.email_confirmed_at || user.phone_confirmed_at),
+    last_sign_in_at: user.last_sign_in_at || null,
+    // Banned users cannot sign in, so they never count against the check
+    mfa_required: !banned && (requireFor === "all" || elevated),
+  };
+}
+
+function summarizeMfaUsers(users) {
+  const count = (predicate) => users.filter(predicate).length;
+  const byFactor = {};
+  for (const user of users) {
+    for (const type of user.factor_types) {
+      byFactor[type] = (byFactor[type] || 0) + 1;
+    }
+  }
+  return {
+    total: users.length,
+    mfa_enabled: count((u) => u.mfa_enabled),
+    without_mfa: count((u) => !u.mfa_enabled),
+    required: count((u) => u.mfa_required),
+    required_without_mfa: count((u) => u.mfa_required && !u.mfa_enabled),
+    by_factor: byFactor,
+    unverified_factors: count((u) => u.unverified_factors > 0),
+    elevated: count((u) => u.elevated),
+    elevated_without_mfa: count((u) => u.elevated && !u.mfa_enabled),
+    banned: count((u) => u.banned),
+    unconfirmed: count((u) => !u.confirmed),
+  };
+}
+
+module.exports = {
+  resolveMfaOptions,
+  classifyUser,
+  summarizeMfaUsers,
+};
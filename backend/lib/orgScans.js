@@ -0,0 +1,188 @@
+// Organization scans
+//
+// An org scan runs the checks against every project the Management API token
+// can see. Each project's scan is saved to the scan history as usual; the org
+// scan record in the same database keeps the per-project outcome and a rollup
+// of project and check statuses for the org dashboard. No credentials are
+// stored: API keys are fetched from the Management API for every run.
+const crypto = require("crypto");
+const { getDb } = require("./scanHistory");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS org_scans (
+    id TEXT PRIMARY KEY,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    status TEXT NOT NULL,
+    checks TEXT,
+    projects TEXT NOT NULL,
+    rollup TEXT NOT NULL
+  );
+`;
+
+let ready = false;
+
+function db() {
+  const database = getDb();
+  if (!ready) {
+    database.exec(SCHEMA);
+    ready = true;
+  }
+  return database;
+}
+
+// Counts projects by status and, for every check, projects by check status.
+function rollup(projects) {
+  const byStatus = {};
+  const checks = {};
+  for (const project of projects) {
+    byStatus[project.status] = (byStatus[project.status] || 0) + 1;
+    for (const [check, status] of Object.entries(project.statuses || {})) {
+      checks[check] = checks[check] || {};
+      checks[check][status] = (checks[check][status] || 0) + 1;
+    }
+  }
+  return { projects: projects.length, byStatus, checks };
+}
+
+function toOrgScan(row, { withProjects = true } = {}) {
+  const orgScan = {
+    id: row.id,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    status: row.status,
+    checks: row.checks ? JSON.parse(row.checks) : null,
+    rollup: JSON.parse(row.rollup),
+  };
+  if (withProjects) orgScan.projects = JSON.parse(row.projects);
+  return orgScan;
+}
+
+// The projects of a Management API project list to scan: those of
+// `organizationId` or in `projectRefs`, or all of them, as org scan entries.
+function selectOrgProjects(projects, { organizationId, projectRefs } = {}) {
+  return projects
+    .filter(
+      (p) =>
+        (!organizationId || p.organization_id === organizationId) &&
+        (!projectRefs || projectRefs.includes(p.id))
+    )
+    .map((p) => ({
+      ref: p.id,
+      name: p.name,
+      organizationId: p.organization_id,
+      region: p.region,
+      projectStatus: p.status,
+    }));
+}
+
+// `projects` are { ref, name, organizationId, region } entries; they start
+// out PENDING.
+function createOrgScan({ projects, checks }) {
+  const entries = projects.map((project) => ({
+    ...project,
+    status: "PENDING",
+    scanId: null,
+    statuses: {},
+    error: null,
+  }));
+  const row = {
+    id: crypto.randomUUID(),
+    started_at: new Date().toISOString(),
+    status: "RUNNING",
+    checks: checks ? JSON.stringify(checks) : null,
+    projects: JSON.stringify(entries),
+    rollup: JSON.stringify(rollup(entries)),
+  };
+  db()
+    .prepare(
+      `INSERT INTO org_scans (id, started_at, status, checks, projects, rollup)
+       VALUES (@id, @started_at, @status, @checks, @projects, @rollup)`
+    )
+    .run(row);
+  return toOrgScan(row);
+}
+
+// Replaces the project entries; `finished` marks the org scan as completed.
+function updateOrgScan(id, { projects, finished = false }) {
+  db()
+    .prepare(
+      `UPDATE org_scans
+       SET projects = @projects, rollup = @rollup, status = @status,
+           finished_at = @finished_at
+       WHERE id = @id`
+    )
+    .run({
+      id,
+      projects: JSON.stringify(projects),
+      rollup: JSON.stringify(rollup(projects)),
+      status: finished ? "COMPLETED" : "RUNNING",
+      finished_at: finished ? new Date().toISOString() : null,
+    });
+  return getOrgScan(id);
+}
+
+function getOrgScan(id) {
+  const row = db().prepare(`SELECT * FROM org_scans WHERE id = ?`).get(id);
+  return row ? toOrgScan(row) : null;
+}
+
+// Newest first, without the project entries.
+function listOrgScans({ limit = 20 } = {}) {
+  return db()
+    .prepare(`SELECT * FROM org_scans ORDER BY started_at DESC LIMIT ?`)
+    .all(limit)
+    .map((row) => toOrgScan(row, { withProjects: false }));
+}
+
+// Calls `fn` for every item with at most `limit` calls in flight.
+async function mapWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await fn(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+}
+
+// Runs `scanProject(entry)` for every project, at most `concurrency` at a
+// time, and saves each entry as it starts and finishes so polling the org scan
+// shows progress. A project whose scan throws is recorded as ERROR without
+// stopping the others. Returns the completed org scan.
+async function scanOrgProjects(orgScan, { concurrency, scanProject }) {
+  const projects = [...orgScan.projects];
+  await mapWithConcurrency(projects, concurrency, async (entry, i) => {
+    projects[i] = { ...entry, status: "RUNNING" };
+    updateOrgScan(orgScan.id, { projects });
+    try {
+      projects[i] = await scanProject(entry);
+    } catch (error) {
+      projects[i] = { ...entry, status: "ERROR", error: error.message };
+    }
+    updateOrgScan(orgScan.id, { projects });
+  });
+  return updateOrgScan(orgScan.id, { projects, finished: true });
+}
+
+// Org scans still RUNNING when the server stopped will never finish.
+function failInterruptedOrgScans() {
+  return db()
+    .prepare(
+      `UPDATE org_scans SET status = 'INTERRUPTED' WHERE status = 'RUNNING'`
+    )
+    .run().changes;
+}
+
+module.exports = {
+  selectOrgProjects,
+  createOrgScan,
+  updateOrgScan,
+  getOrgScan,
+  listOrgScans,
+  scanOrgProjects,
+  failInterruptedOrgScans,
+};
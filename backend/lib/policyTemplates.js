@@ -0,0 +1,174 @@
+// RLS policy templates used by /api/fix-rls
+//
+// Replaces the old wide-open `placeholder_policy`. Each template is offered
+// only when the table has the columns it needs, and the same statement list
+// is used for the preview and for execution.
+const { quoteIdent, qualifiedTableName } = require("./sql");
+
+const OWNER_COLUMNS = ["user_id", "owner_id"];
+const TENANT_COLUMN = "org_id";
+const DEFAULT_TEMPLATE = "deny_all";
+
+const TEMPLATES = [
+  {
+    id: "owner_only",
+    title: "Owner only",
+    description:
+      "Authenticated users can read and write only the rows whose owner column matches auth.uid().",
+  },
+  {
+    id: "tenant_scoped",
+    title: "Tenant scoped",
+    description:
+      "Authenticated users can read and write only the rows whose org_id matches the org_id claim in their JWT.",
+  },
+  {
+    id: "authenticated_read",
+    title: "Authenticated read-only",
+    description:
+      "Any signed-in user can read every row; nobody can write through the API.",
+  },
+  {
+    id: "deny_all",
+    title: "Deny all",
+    description:
+      "Enable RLS without policies. API clients cannot access the table; only the service role and table owner can.",
+  },
+];
+
+async function describeTable(pool, schema, table) {
+  const ref = qualifiedTableName(schema, table);
+  const { rows: columns } = await pool.query(
+    `SELECT attname AS name, format_type(atttypid, atttypmod) AS type
+     FROM pg_attribute
+     WHERE attrelid = to_regclass($1) AND attnum > 0 AND NOT attisdropped
+     ORDER BY attnum`,
+    [ref]
+  );
+  if (!columns.length) {
+    throw new Error(`Table ${schema}.${table} was not found.`);
+  }
+  const { rows: existingPolicies } = await pool.query(
+    `SELECT * FROM pg_policies WHERE schemaname = $1 AND tablename = $2`,
+    [schema, table]
+  );
+  return { schema, table, columns, existingPolicies };
+}
+
+function findOwnerColumn(columns) {
+  for (const name of OWNER_COLUMNS) {
+    const column = columns.find((c) => c.name === name);
+    if (column) return column;
+  }
+  return null;
+}
+
+// auth.uid() returns uuid; compare as text when the owner column is not uuid.
+function ownerExpression(column) {
+  const uid = column.type === "uuid" ? "auth.uid()" : "auth.uid()::text";
+  return `${quoteIdent(column.name)} = ${uid}`;
+}
+
+function tenantExpression(column) {
+  return `${quoteIdent(column.name)} = (auth.jwt() ->> 'org_id')::${
+    column.type
+  }`;
+}
+
+function crudPolicies(tableInfo, prefix, expression) {
+  const ref = qualifiedTableName(tableInfo.schema, tableInfo.table);
+  const name = (cmd) => quoteIdent(`${tableInfo.table}_${prefix}_${cmd}`);
+  return [
+    `CREATE POLICY ${name(
+      "select"
+    )} ON ${ref} FOR SELECT TO authenticated USING (${expression});`,
+    `CREATE POLICY ${name(
+      "insert"
+    )} ON ${ref} FOR INSERT TO authenticated WITH CHECK (${expression});`,
+    `CREATE POLICY ${name(
+      "update"
+    )} ON ${ref} FOR UPDATE TO authenticated USING (${expression}) WITH CHECK (${expression});`,
+    `CREATE POLICY ${name(
+      "delete"
+    )} ON ${ref} FOR DELETE TO authenticated USING (${expression});`,
+  ];
+}
+
+function templateAvailability(templateId, columns) {
+  if (templateId === "owner_only" && !findOwnerColumn(columns)) {
+    return `Requires a ${OWNER_COLUMNS.join(" or ")} column.`;
+  }
+  if (
+    templateId === "tenant_scoped" &&
+    !columns.some((c) => c.name === TENANT_COLUMN)
+  ) {
+    return `Requires an ${TENANT_COLUMN} column.`;
+  }
+  return null;
+}
+
+function buildTemplatePolicies(templateId, tableInfo) {
+  const ref = qualifiedTableName(tableInfo.schema, tableInfo.table);
+  switch (templateId) {
+    case "owner_only":
+      return crudPolicies(
+        tableInfo,
+        "owner",
+        ownerExpression(findOwnerColumn(tableInfo.columns))
+      );
+    case "tenant_scoped":
+      return crudPolicies(
+        tableInfo,
+        "tenant",
+        tenantExpression(
+          tableInfo.columns.find((c) => c.name === TENANT_COLUMN)
+        )
+      );
+    case "authenticated_read":
+      return [
+        `CREATE POLICY ${quoteIdent(
+          `${tableInfo.table}_authenticated_read`
+        )} ON ${ref} FOR SELECT TO authenticated USING (true);`,
+      ];
+    case "deny_all":
+      return [];
+    default:
+      throw new Error(`Unknown policy template "${templateId}".`);
+  }
+}
+
+// Template policies are only added when the table has no policies yet, so an
+// existing policy set is never widened by a template.
+function buildRlsFixStatements(templateId, tableInfo) {
+  const unavailable = templateAvailability(templateId, tableInfo.columns);
+  if (unavailable) {
+    throw new Error(
+      `Template "${templateId}" cannot be used on ${tableInfo.schema}.${tableInfo.table}: ${unavailable}`
+    );
+  }
+  const ref = qualifiedTableName(tableInfo.schema, tableInfo.table);
+  const statements = [`ALTER TABLE ${ref} ENABLE ROW LEVEL SECURITY;`];
+  if (tableInfo.existingPolicies.length === 0) {
+    statements.push(...buildTemplatePolicies(templateId, tableInfo));
+  }
+  return statements;
+}
+
+function listPolicyTemplates(tableInfo) {
+  return TEMPLATES.map((template) => {
+    const reason = templateAvailability(template.id, tableInfo.columns);
+    return {
+      ...template,
+      available: !reason,
+      reason,
+      sql: reason ? [] : buildRlsFixStatements(template.id, tableInfo),
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  describeTable,
+  listPolicyTemplates,
+  buildRlsFixStatements,
+};
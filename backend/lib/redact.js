@@ -0,0 +1,71 @@
+// Secret masking
+//
+// Masks secrets in text, and in the strings of objects and arrays, before
+// they are logged or returned in a response. Values that look like
+// secrets are always masked: JWTs such as the legacy service_role key,
+// sb_secret_ and sbp_ keys and the password in a postgres:// URL. Any other
+// value is masked once it has been registered with addSecret.
+const MASK = "****";
+
+// Registered secrets are kept for the life of the process, up to this many
+const MAX_SECRETS = 1000;
+
+const PATTERNS = [
+  [/(postgres(?:ql)?:\/\/[^:/@\s]*:)[^@\s]+@/gi, `$1${MASK}@`],
+  [/eyJ[\w-]+\.eyJ[\w-]+\.[\w-]+/g, MASK],
+  [/\b(sb_secret_|sbp_)[\w-]+/g, `$1${MASK}`],
+];
+
+const secrets = new Set();
+
+function remember(value) {
+  // Short values would mask unrelated text
+  if (typeof value !== "string" || value.length < 6) return;
+  secrets.delete(value);
+  secrets.add(value);
+  if (secrets.size > MAX_SECRETS) secrets.delete(secrets.values().next().value);
+}
+
+// Registers a secret; for a connection string its password is registered as
+// well, both as written and URL-decoded.
+function addSecret(value) {
+  if (typeof value !== "string") return;
+  remember(value);
+  const password = value.match(/^postgres(?:ql)?:\/\/[^:/@]*:([^@]*)@/i)?.[1];
+  if (password) {
+    remember(password);
+    try {
+      remember(decodeURIComponent(password));
+    } catch {
+      // Not valid percent-encoding; the raw password is registered
+    }
+  }
+}
+
+function maskText(text) {
+  let masked = text;
+  for (const [pattern, replacement] of PATTERNS) {
+    masked = masked.replace(pattern, replacement);
+  }
+  // Longest first, so a secret containing another one is masked whole
+  const known = [...secrets].sort((a, b) => b.length - a.length);
+  for (const secret of known) masked = masked.split(secret).join(MASK);
+  return masked;
+}
+
+function maskSecrets(value) {
+  if (typeof value === "string") return maskText(value);
+  if (Array.isArray(value)) return value.map(maskSecrets);
+  if (value instanceof Error) return maskText(value.message);
+  // Other objects (dates, buffers) are left for JSON.stringify to serialize
+  if (value && typeof value === "object") {
+    const proto = Object.getPrototypeOf(value);
+    if (proto !== Object.prototype && proto !== null) return value;
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [key, maskSecrets(v)])
+    );
+  }
+  return value;
+}
+
+module.exports = { addSecret, maskSecrets };
@@ -0,0 +1,102 @@
+// Remediation plans for the fix-* endpoints
+//
+// A fix called with `dryRun: true` stores a plan describing the exact SQL
+// statements or HTTP requests it would run. Applying requires that plan's id;
+// plans are single use, expire, and are bound to the credentials that created
+// them so a plan reviewed for one project cannot be replayed against another.
+const crypto = require("crypto");
+
+const PLAN_TTL_MINUTES = Number(process.env.PLAN_TTL_MINUTES) || 15;
+
+const plans = new Map();
+
+function fingerprint(...values) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(values))
+    .digest("hex");
+}
+
+function pruneExpiredPlans() {
+  const now = Date.now();
+  for (const [id, plan] of plans) {
+    if (Date.parse(plan.expiresAt) <= now) plans.delete(id);
+  }
+}
+
+// The stored plan without the credential fingerprint, safe to return to clients.
+function toPublicPlan(plan) {
+  const { credentials, ...rest } = plan;
+  return rest;
+}
+
+function createPlan({
+  action,
+  project,
+  summary,
+  params,
+  steps,
+  affected,
+  sideEffects,
+  credentials,
+}) {
+  pruneExpiredPlans();
+  const createdAt = new Date();
+  const plan = {
+    id: crypto.randomUUID(),
+    action,
+    project,
+    summary,
+    params,
+    steps,
+    affected,
+    sideEffects,
+    createdAt: createdAt.toISOString(),
+    expiresAt: new Date(
+      createdAt.getTime() + PLAN_TTL_MINUTES * 60 * 1000
+    ).toISOString(),
+    credentials,
+  };
+  plans.set(plan.id, plan);
+  return toPublicPlan(plan);
+}
+
+// Removes and returns the plan, or an { error, status } pair explaining why
+// it cannot be applied.
+function consumePlan(id, action, credentials) {
+  pruneExpiredPlans();
+  const plan = plans.get(id);
+  if (!plan) {
+    return {
+      error: "Plan not found or expired. Create a new plan with dryRun: true.",
+      status: 404,
+    };
+  }
+  if (plan.action !== action) {
+    return { error: `Plan ${id} is not a ${action} plan.`, status: 400 };
+  }
+  if (plan.credentials !== credentials) {
+    return {
+      error: "Plan was created for different credentials.",
+      status: 403,
+    };
+  }
+  plans.delete(id);
+  return { plan };
+}
+
+// A plan is stale when re-planning against the current state no longer
+// produces the steps, affected objects and side effects that were reviewed.
+function isSamePlan(plan, planned) {
+  const reviewed = [plan.steps, plan.affected, plan.sideEffects];
+  const current = [planned.steps, planned.affected, planned.sideEffects];
+  return JSON.stringify(reviewed) === JSON.stringify(current);
+}
+
+module.exports = {
+  fingerprint,
+  createPlan,
+  consumePlan,
+  isSamePlan,
+  toPublicPlan,
+};
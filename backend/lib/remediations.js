@@ -0,0 +1,174 @@
+// Applied remediations and their before-snapshots
+//
+// Every applied fix records the state it changed (RLS flags, policies, PITR
+// add-on) so it can be reverted later. Records are kept in a JSON file next to
+// the evidence log.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { quoteIdent, qualifiedTableName } = require("./sql");
+const { normalizeRoles } = require("./rlsPolicyAnalyzer");
+
+const remediationsPath =
+  process.env.REMEDIATIONS_PATH ||
+  path.join(__dirname, "..", "remediations.json");
+
+function loadRemediations() {
+  if (!fs.existsSync(remediationsPath)) return [];
+  return JSON.parse(fs.readFileSync(remediationsPath, "utf8"));
+}
+
+function saveRemediations(remediations) {
+  fs.writeFileSync(remediationsPath, JSON.stringify(remediations, null, 2));
+}
+
+function recordRemediation({
+  action,
+  project,
+  planId,
+  params,
+  steps,
+  snapshot,
+  revertible = true,
+  reason = null,
+}) {
+  const remediations = loadRemediations();
+  const remediation = {
+    id: crypto.randomUUID(),
+    action,
+    project,
+    planId,
+    params,
+    steps,
+    snapshot,
+    revertible,
+    reason,
+    appliedAt: new Date().toISOString(),
+    revertedAt: null,
+    revertPlanId: null,
+  };
+  remediations.push(remediation);
+  saveRemediations(remediations);
+  return remediation;
+}
+
+function listRemediations(project) {
+  return loadRemediations()
+    .filter((r) => !project || r.project === project)
+    .sort((a, b) => b.appliedAt.localeCompare(a.appliedAt));
+}
+
+function getRemediation(id) {
+  return loadRemediations().find((r) => r.id === id) || null;
+}
+
+function markReverted(id, revertPlanId) {
+  const remediations = loadRemediations();
+  const remediation = remediations.find((r) => r.id === id);
+  remediation.revertedAt = new Date().toISOString();
+  remediation.revertPlanId = revertPlanId;
+  saveRemediations(remediations);
+  return remediation;
+}
+
+// --- Table snapshots ---
+
+function normalizePolicy(p) {
+  return {
+    policyname: p.policyname,
+    permissive: p.permissive,
+    roles: normalizeRoles(p.roles),
+    cmd: p.cmd,
+    qual: p.qual ?? null,
+    with_check: p.with_check ?? null,
+  };
+}
+
+async function captureTableSnapshot(client, schema, table) {
+  const { rows } = await client.query(
+    `SELECT relrowsecurity, relforcerowsecurity
+     FROM pg_class WHERE oid = to_regclass($1)`,
+    [qualifiedTableName(schema, table)]
+  );
+  if (!rows.length) {
+    throw new Error(`Table ${schema}.${table} was not found.`);
+  }
+  const { rows: policies } = await client.query(
+    `SELECT * FROM pg_policies WHERE schemaname = $1 AND tablename = $2
+     ORDER BY policyname`,
+    [schema, table]
+  );
+  return {
+    schema,
+    table,
+    rls_enabled: rows[0].relrowsecurity === true,
+    rls_forced: rows[0].relforcerowsecurity === true,
+    policies: policies.map(normalizePolicy),
+  };
+}
+
+function createPolicyStatement(schema, table, policy) {
+  // PUBLIC is a keyword, not a role, and must not be quoted
+  const roles = policy.roles
+    .map((r) => (r === "public" ? "public" : quoteIdent(r)))
+    .join(", ");
+  let sql = `CREATE POLICY ${quoteIdent(
+    policy.policyname
+  )} ON ${qualifiedTableName(schema, table)} AS ${policy.permissive} FOR ${
+    policy.cmd
+  } TO ${roles}`;
+  if (policy.qual != null) sql += ` USING (${policy.qual})`;
+  if (policy.with_check != null) sql += ` WITH CHECK (${policy.with_check})`;
+  return `${sql};`;
+}
+
+// SQL that brings a table from its current state back to `snapshot`.
+function buildTableRestoreStatements(current, snapshot) {
+  const { schema, table } = snapshot;
+  const ref = qualifiedTableName(schema, table);
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const statements = [];
+
+  for (const policy of current.policies) {
+    const before = snapshot.policies.find(
+      (p) => p.policyname === policy.policyname
+    );
+    if (!before || !same(before, policy)) {
+      statements.push(
+        `DROP POLICY ${quoteIdent(policy.policyname)} ON ${ref};`
+      );
+    }
+  }
+  for (const policy of snapshot.policies) {
+    const now = current.policies.find(
+      (p) => p.policyname === policy.policyname
+    );
+    if (!now || !same(now, policy)) {
+      statements.push(createPolicyStatement(schema, table, policy));
+    }
+  }
+  if (current.rls_enabled !== snapshot.rls_enabled) {
+    statements.push(
+      `ALTER TABLE ${ref} ${
+        snapshot.rls_enabled ? "ENABLE" : "DISABLE"
+      } ROW LEVEL SECURITY;`
+    );
+  }
+  if (current.rls_forced !== snapshot.rls_forced) {
+    statements.push(
+      `ALTER TABLE ${ref} ${
+        snapshot.rls_forced ? "FORCE" : "NO FORCE"
+      } ROW LEVEL SECURITY;`
+    );
+  }
+  return statements;
+}
+
+module.exports = {
+  recordRemediation,
+  listRemediations,
+  getRemediation,
+  markReverted,
+  captureTableSnapshot,
+  buildTableRestoreStatements,
+};
@@ -0,0 +1,395 @@
+// PDF evidence report
+//
+// Renders a saved scan as an HTML report — executive summary, framework
+// controls, per-check results, RLS tables and policies, MFA population, PITR,
+// the remediations applied before the scan and the evidence-log entries
+// behind all of it — and prints it to PDF with puppeteer. REPORT_ORG_NAME,
+// REPORT_LOGO_URL and REPORT_ACCENT_COLOR brand the report.
+const puppeteer = require("puppeteer");
+
+const STATUS_COLORS = {
+  PASSING: "#15803d",
+  FAILING: "#b91c1c",
+  ERROR: "#b45309",
+  SKIPPED: "#64748b",
+};
+
+function branding() {
+  return {
+    orgName: process.env.REPORT_ORG_NAME || "Supabase Compliance Checker",
+    logoUrl: process.env.REPORT_LOGO_URL || null,
+    accent: process.env.REPORT_ACCENT_COLOR || "#3ecf8e",
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatDate(value) {
+  return value
+    ? new Date(value).toISOString().replace("T", " ").slice(0, 19) + " UTC"
+    : "—";
+}
+
+function status(value) {
+  const color = STATUS_COLORS[value] || "#475569";
+  return `<span class="status" style="color:${color};border-color:${color}">${escapeHtml(
+    value
+  )}</span>`;
+}
+
+function table(headers, rows, emptyText = "None.") {
+  if (!rows.length) return `<p class="muted">${escapeHtml(emptyText)}</p>`;
+  return `<table><thead><tr>${headers
+    .map((h) => `<th>${escapeHtml(h)}</th>`)
+    .join("")}</tr></thead><tbody>${rows
+    .map((row) => `<tr>${row.map((cell) => `<td>${cell}</td>`).join("")}</tr>`)
+    .join("")}</tbody></table>`;
+}
+
+function resultOf(scan, id) {
+  return scan.result.checks.find((c) => c.id === id);
+}
+
+function findingText(finding) {
+  if (typeof finding === "string") return escapeHtml(finding);
+  return `<b>${escapeHtml(finding.severity)}</b> ${escapeHtml(
+    finding.message
+  )}`;
+}
+
+function executiveSummary(scan, remediations) {
+  const checks = scan.result.checks;
+  const counts = {};
+  checks.forEach((c) => (counts[c.status] = (counts[c.status] || 0) + 1));
+  const highlights = [];
+  const rls = resultOf(scan, "rls")?.result;
+  if (rls?.tables) {
+    const failing = rls.tables.filter((t) => t.status !== "PASSING").length;
+    highlights.push(
+      `${rls.tables.length - failing} of ${
+        rls.tables.length
+      } tables pass the RLS check; ${failing} need attention.`
+    );
+  }
+  const mfa = resultOf(scan, "mfa")?.result;
+  if (mfa?.summary) {
+    const { total, mfa_enabled, required_without_mfa } = mfa.summary;
+    const coverage = total ? Math.round((mfa_enabled / total) * 100) : 0;
+    highlights.push(
+      `${mfa_enabled} of ${total} users (${coverage}%) have MFA; ${required_without_mfa} who require it do not.`
+    );
+  }
+  const pitr = resultOf(scan, "pitr")?.result;
+  if (pitr?.details?.projects) {
+    const enabled = pitr.details.projects.filter((p) => p.pitrEnabled).length;
+    highlights.push(
+      `${enabled} of ${pitr.details.projects.length} projects have point-in-time recovery.`
+    );
+  }
+  if (remediations.length) {
+    highlights.push(
+      `${remediations.length} remediations were applied before this scan.`
+    );
+  }
+  return `
+    <section>
+      <h2>Executive summary</h2>
+      <p>Overall result: ${status(scan.overallStatus)}</p>
+      <p>${Object.entries(counts)
+        .map(([s, n]) => `${n} ${status(s)}`)
+        .join(" ")} of ${checks.length} checks.</p>
+      <ul>${highlights.map((h) => `<li>${escapeHtml(h)}</li>`).join("")}</ul>
+    </section>`;
+}
+
+function frameworksSection(frameworks) {
+  if (!frameworks.length) return "";
+  const label = { NOT_COVERED: "NOT COVERED" };
+  return `
+    <section>
+      <h2>Framework controls</h2>
+      ${frameworks
+        .map(
+          (f) => `
+        <h3>${escapeHtml(f.name)}${
+            f.version
+              ? ` <span class="muted">${escapeHtml(f.version)}</span>`
+              : ""
+          }</h3>
+        ${table(
+          ["Control", "Title", "Status", "Evidence"],
+          f.controls.map((c) => [
+            `<b>${escapeHtml(c.id)}</b>`,
+            escapeHtml(c.title),
+            status(label[c.status] || c.status),
+            escapeHtml(
+              c.reason ||
+                c.mappings
+                  .map((m) => (m.issue ? `${m.check} (${m.issue})` : m.check))
+                  .join(", ")
+            ),
+          ])
+        )}`
+        )
+        .join("")}
+    </section>`;
+}
+
+function checkResults(scan) {
+  return `
+    <section>
+      <h2>Check results</h2>
+      ${table(
+        ["Check", "Category", "Severity", "Status", "Ran", "Notes"],
+        scan.result.checks.map((c) => [
+          escapeHtml(c.title),
+          escapeHtml(c.category),
+          escapeHtml(c.severity),
+          status(c.status),
+          escapeHtml(formatDate(c.finishedAt || c.startedAt)),
+          escapeHtml(c.message || c.result?.message || c.result?.error || ""),
+        ])
+      )}
+    </section>`;
+}
+
+function rlsDetail(scan) {
+  const rls = resultOf(scan, "rls")?.result;
+  if (!rls?.tables) return "";
+  return `
+    <section class="page-break">
+      <h2>Row-Level Security</h2>
+      ${rls.tables
+        .map(
+          (t) => `
+        <div class="table-detail">
+          <h3>${escapeHtml(t.name)} ${status(t.status)}</h3>
+          <p class="muted">RLS ${t.rls_enabled ? "enabled" : "disabled"}${
+            t.rls_forced ? ", forced" : ""
+          }${t.owner ? ` · owner ${escapeHtml(t.owner)}` : ""}${
+            t.bypass_roles?.length
+              ? ` · bypassed by ${escapeHtml(t.bypass_roles.join(", "))}`
+              : ""
+          }${t.sensitive ? " · sensitive" : ""}${
+            t.aal ? ` · MFA enforcement: ${escapeHtml(t.aal.enforcement)}` : ""
+          }</p>
+          ${table(
+            ["Policy", "Type", "Command", "Roles", "USING", "WITH CHECK"],
+            (t.current_policies || []).map((p) => [
+              escapeHtml(p.policyname),
+              escapeHtml(p.permissive),
+              escapeHtml(p.cmd),
+              escapeHtml([].concat(p.roles || []).join(", ")),
+              `<code>${escapeHtml(p.qual)}</code>`,
+              `<code>${escapeHtml(p.with_check)}</code>`,
+            ]),
+            "No policies."
+          )}
+          ${
+            t.recommendations?.length
+              ? `<ul class="findings">${t.recommendations
+                  .map((f) => `<li>${findingText(f)}</li>`)
+                  .join("")}</ul>`
+              : ""
+          }
+        </div>`
+        )
+        .join("")}
+    </section>`;
+}
+
+function mfaDetail(scan) {
+  const mfa = resultOf(scan, "mfa")?.result;
+  if (!mfa?.summary) return "";
+  const s = mfa.summary;
+  return `
+    <section>
+      <h2>MFA population</h2>
+      ${table(
+        ["Segment", "Users"],
+        [
+          ["All users", s.total],
+          ["With MFA", s.mfa_enabled],
+          ["Without MFA", s.without_mfa],
+          ["MFA required", s.required],
+          ["MFA required, not enrolled", s.required_without_mfa],
+          ["Elevated roles", s.elevated],
+          ["Elevated without MFA", s.elevated_without_mfa],
+          ["Unverified factors", s.unverified_factors],
+          ["Unconfirmed", s.unconfirmed],
+          ["Banned", s.banned],
+          ...Object.entries(s.by_factor || {}).map(([type, n]) => [
+            `Factor: ${type}`,
+            n,
+          ]),
+        ].map(([label, n]) => [escapeHtml(label), escapeHtml(n)])
+      )}
+      ${
+        mfa.enforcement
+          ? `<p>${escapeHtml(
+              `${
+                mfa.enforcement.aal2_tables?.length || 0
+              } tables require MFA (aal2); ${
+                mfa.enforcement.sensitive_at_aal1?.length || 0
+              } sensitive tables are reachable without it.`
+            )}</p>`
+          : ""
+      }
+    </section>`;
+}
+
+function pitrDetail(scan) {
+  const pitr = resultOf(scan, "pitr")?.result;
+  if (!pitr) return "";
+  return `
+    <section>
+      <h2>Point-in-time recovery</h2>
+      <p>${status(pitr.status)} ${escapeHtml(pitr.message)}</p>
+      ${table(
+        ["Project", "Ref", "PITR", "Add-on status"],
+        (pitr.details?.projects || []).map((p) => [
+          escapeHtml(p.name),
+          escapeHtml(p.ref),
+          p.pitrEnabled ? "Enabled" : "<b>Not enabled</b>",
+          escapeHtml(p.status),
+        ])
+      )}
+    </section>`;
+}
+
+function remediationsSection(remediations) {
+  return `
+    <section>
+      <h2>Remediations applied</h2>
+      ${table(
+        ["Applied", "Fix", "Target", "Reverted"],
+        remediations.map((r) => [
+          escapeHtml(formatDate(r.appliedAt)),
+          escapeHtml(r.action),
+          `<code>${escapeHtml(JSON.stringify(r.params))}</code>`,
+          escapeHtml(r.revertedAt ? formatDate(r.revertedAt) : "—"),
+        ]),
+        "No remediations were applied before this scan."
+      )}
+    </section>`;
+}
+
+function evidenceSection(evidence, verification) {
+  const chain = verification.valid
+    ? `The evidence log hash chain was verified intact (${
+        verification.entries
+      } entries, last hash <code>${escapeHtml(verification.lastHash)}</code>).`
+    : `<b>The evidence log hash chain is broken</b>: ${escapeHtml(
+        verification.error.reason
+      )}`;
+  return `
+    <section class="page-break">
+      <h2>Evidence log excerpts</h2>
+      <p>${chain}</p>
+      ${table(
+        ["#", "Time", "Actor", "Action", "Outcome", "Message", "Hash"],
+        evidence.map((e) => [
+          escapeHtml(e.seq),
+          escapeHtml(formatDate(e.timestamp)),
+          escapeHtml(e.actor),
+          escapeHtml(e.check ? `${e.action} (${e.check})` : e.action),
+          escapeHtml(e.outcome),
+          escapeHtml(e.message),
+          `<code>${escapeHtml(e.hash.slice(0, 16))}</code>`,
+        ]),
+        "No evidence entries were found for this scan."
+      )}
+    </section>`;
+}
+
+// `scan` is a saved scan with its result; `remediations` and `evidence` are
+// the records to include, `verification` the result of verifyEvidence() and
+// `frameworks` the frameworks evaluated against the scan.
+function renderReportHtml({
+  scan,
+  remediations,
+  evidence,
+  verification,
+  frameworks = [],
+}) {
+  const { orgName, logoUrl, accent } = branding();
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Compliance report – ${escapeHtml(scan.project)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; font-size: 10pt; color: #0f172a; }
+  header { border-bottom: 3px solid ${accent}; padding-bottom: 12px; margin-bottom: 16px; }
+  header img { max-height: 40px; }
+  h1 { font-size: 20pt; margin: 8px 0 4px; }
+  h2 { font-size: 14pt; color: ${accent}; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; }
+  h3 { font-size: 11pt; margin: 12px 0 4px; }
+  table { width: 100%; border-collapse: collapse; margin: 6px 0 12px; font-size: 8.5pt; }
+  th, td { border: 1px solid #e2e8f0; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f1f5f9; }
+  tr { page-break-inside: avoid; }
+  code { font-family: Menlo, Consolas, monospace; font-size: 8pt; word-break: break-all; }
+  .muted { color: #64748b; }
+  .status { border: 1px solid; border-radius: 8px; padding: 0 6px; font-weight: 600; font-size: 8pt; }
+  .findings { margin: 0 0 8px; padding-left: 16px; }
+  .table-detail { page-break-inside: avoid; }
+  .page-break { page-break-before: always; }
+</style>
+</head>
+<body>
+  <header>
+    ${logoUrl ? `<img src="${escapeHtml(logoUrl)}" alt="">` : ""}
+    <div class="muted">${escapeHtml(orgName)}</div>
+    <h1>Compliance report</h1>
+    <div>Project <b>${escapeHtml(scan.project)}</b> (${escapeHtml(
+    scan.projectRef
+  )})</div>
+    <div class="muted">Scan ${escapeHtml(scan.id)} · ${escapeHtml(
+    formatDate(scan.scannedAt)
+  )} · ${scan.source === "schedule" ? "scheduled" : "manual"} run</div>
+  </header>
+  ${executiveSummary(scan, remediations)}
+  ${frameworksSection(frameworks)}
+  ${checkResults(scan)}
+  ${rlsDetail(scan)}
+  ${mfaDetail(scan)}
+  ${pitrDetail(scan)}
+  ${remediationsSection(remediations)}
+  ${evidenceSection(evidence, verification)}
+</body>
+</html>`;
+}
+
+async function renderPdf(html) {
+  const { orgName } = branding();
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: process.env.PUPPETEER_NO_SANDBOX === "true" ? ["--no-sandbox"] : [],
+  });
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: "load" });
+    return await page.pdf({
+      format: "A4",
+      printBackground: true,
+      margin: { top: "18mm", bottom: "18mm", left: "14mm", right: "14mm" },
+      displayHeaderFooter: true,
+      headerTemplate: "<span></span>",
+      footerTemplate: `<div style="font-size:7pt;color:#64748b;width:100%;padding:0 14mm;display:flex;justify-content:space-between"><span>${escapeHtml(
+        orgName
+      )} · Confidential</span><span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span></div>`,
+    });
+  } finally {
+    await browser.close();
+  }
+}
+
+module.exports = { renderReportHtml, renderPdf };
@@ -0,0 +1,205 @@
+// RLS policy quality analyzer
+//
+// Judges the pg_policies rows of a single table instead of only counting them.
+// Every finding carries a severity and a plain-language explanation; they are
+// returned as the table's `recommendations` and rendered by the frontend.
+
+const COMMANDS = ["SELECT", "INSERT", "UPDATE", "DELETE"];
+const WRITE_COMMANDS = ["INSERT", "UPDATE", "DELETE", "ALL"];
+const ANONYMOUS_ROLES = ["public", "anon"];
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+
+// pg returns name[] columns either as a JS array or as a "{a,b}" literal.
+function normalizeRoles(roles) {
+  if (Array.isArray(roles)) return roles;
+  if (!roles) return ["public"];
+  return String(roles)
+    .replace(/^\{|\}$/g, "")
+    .split(",")
+    .map((r) => r.replace(/^"|"$/g, "").trim())
+    .filter(Boolean);
+}
+
+function isTrueExpression(expression) {
+  if (expression == null) return false;
+  return (
+    String(expression)
+      .replace(/[()\s]/g, "")
+      .toLowerCase() === "true"
+  );
+}
+
+function policyCommands(policy) {
+  const cmd = (policy.cmd || "ALL").toUpperCase();
+  return cmd === "ALL" ? COMMANDS : [cmd];
+}
+
+function rolesOverlap(a, b) {
+  return (
+    a.includes("public") || b.includes("public") || a.some((r) => b.includes(r))
+  );
+}
+
+function finding(severity, issue, message, policy = null, command = null) {
+  return { severity, issue, policy, command, message };
+}
+
+function analyzePolicies(policies, { rlsEnabled }) {
+  const findings = [];
+  const normalized = policies.map((p) => ({
+    name: p.policyname || p.name,
+    cmd: (p.cmd || "ALL").toUpperCase(),
+    permissive: String(p.permissive || "PERMISSIVE").toUpperCase(),
+    roles: normalizeRoles(p.roles),
+    qual: p.qual,
+    withCheck: p.with_check,
+  }));
+
+  for (const policy of normalized) {
+    const anonymous = policy.roles.filter((r) => ANONYMOUS_ROLES.includes(r));
+    const isWrite = WRITE_COMMANDS.includes(policy.cmd);
+
+    // Permissive `true` expressions grant every row to the policy's roles
+    if (
+      policy.permissive === "PERMISSIVE" &&
+      (isTrueExpression(policy.qual) || isTrueExpression(policy.withCheck))
+    ) {
+      const severity = anonymous.length
+        ? "critical"
+        : isWrite
+        ? "high"
+        : "medium";
+      const access = isWrite ? "writable" : "readable";
+      const roles = policy.roles.join(", ");
+      findings.push(
+        finding(
+          severity,
+          "permissive_true",
+          `Policy "${policy.name}" uses an unconditional "true" expression for ${policy.cmd}, so every row is ${access} by ${roles}. Restrict it with a condition such as auth.uid() = user_id.`,
+          policy.name,
+          policy.cmd
+        )
+      );
+    }
+
+    // Anonymous roles should never be able to change data
+    if (isWrite && anonymous.length) {
+      findings.push(
+        finding(
+          "high",
+          "anonymous_write",
+          `Policy "${policy.name}" lets ${anonymous.join(" and ")} run ${
+            policy.cmd
+          }. Anyone holding the public anon key can change this table; grant writes to authenticated users only.`,
+          policy.name,
+          policy.cmd
+        )
+      );
+    }
+
+    // Without WITH CHECK, nothing validates the rows being written. Only
+    // permissive policies grant writes, so restrictive ones are not flagged.
+    if (policy.permissive === "PERMISSIVE" && policy.withCheck == null) {
+      if (policy.cmd === "INSERT") {
+        findings.push(
+          finding(
+            "high",
+            "missing_with_check",
+            `INSERT policy "${policy.name}" has no WITH CHECK expression, so inserted rows are not validated. Add a WITH CHECK that ties new rows to the caller.`,
+            policy.name,
+            policy.cmd
+          )
+        );
+      } else if (policy.cmd === "UPDATE") {
+        findings.push(
+          finding(
+            "medium",
+            "missing_with_check",
+            `UPDATE policy "${policy.name}" has no WITH CHECK expression, so only its USING clause guards the updated row. Add an explicit WITH CHECK so users cannot move rows out of their own scope.`,
+            policy.name,
+            policy.cmd
+          )
+        );
+      } else if (policy.cmd === "ALL") {
+        findings.push(
+          finding(
+            "medium",
+            "missing_with_check",
+            `ALL policy "${policy.name}" has no WITH CHECK expression, so inserted and updated rows are only checked against its USING clause. Add an explicit WITH CHECK that ties written rows to the caller.`,
+            policy.name,
+            policy.cmd
+          )
+        );
+      }
+    }
+  }
+
+  if (rlsEnabled) {
+    // Commands with no permissive policy are denied to everyone but bypass roles
+    const permissive = normalized.filter((p) => p.permissive === "PERMISSIVE");
+    const uncovered = COMMANDS.filter(
+      (cmd) => !permissive.some((p) => policyCommands(p).includes(cmd))
+    );
+    if (uncovered.length === COMMANDS.length) {
+      findings.push(
+        finding(
+          "medium",
+          "no_policies",
+          "RLS is enabled but the table has no permissive policies, so API clients cannot read or write it at all. Add policies for the operations your app needs, or confirm the table is backend-only."
+        )
+      );
+    } else {
+      for (const cmd of uncovered) {
+        findings.push(
+          finding(
+            "low",
+            "missing_command_policy",
+            `No policy covers ${cmd}, so ${cmd} is denied for API clients. This is safe, but confirm it is intended.`,
+            null,
+            cmd
+          )
+        );
+      }
+    }
+
+    // Permissive policies are OR-ed together; overlaps widen access silently
+    for (const cmd of COMMANDS) {
+      const applicable = permissive.filter((p) =>
+        policyCommands(p).includes(cmd)
+      );
+      for (let i = 0; i < applicable.length; i++) {
+        for (let j = i + 1; j < applicable.length; j++) {
+          const a = applicable[i];
+          const b = applicable[j];
+          if (!rolesOverlap(a.roles, b.roles)) continue;
+          findings.push(
+            finding(
+              "medium",
+              "overlapping_permissive",
+              `Permissive policies "${a.name}" and "${b.name}" both apply to ${cmd} for overlapping roles. Permissive policies are combined with OR, so the broader one decides access; merge them or make one RESTRICTIVE.`,
+              `${a.name}, ${b.name}`,
+              cmd
+            )
+          );
+        }
+      }
+    }
+  }
+
+  return findings.sort(
+    (a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]
+  );
+}
+
+// A table fails when any finding is high or critical.
+function isBlockingFinding(f) {
+  return SEVERITY_RANK[f.severity] >= SEVERITY_RANK.high;
+}
+
+module.exports = {
+  analyzePolicies,
+  isBlockingFinding,
+  normalizeRoles,
+  policyCommands,
+  SEVERITY_RANK,
+};
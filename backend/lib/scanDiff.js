@@ -0,0 +1,341 @@
+// Scan-to-scan diff
+//
+// Compares two saved scans of the same project and lists what changed, each
+// item classed as a regression, an improvement or neutral. Check statuses are
+// compared for every check; the RLS, MFA and PITR results are compared in
+// detail (tables and policies, users, projects).
+const { isBlockingFinding } = require("./rlsPolicyAnalyzer");
+
+const GOOD_STATUSES = ["PASSING"];
+const BAD_STATUSES = ["FAILING", "ERROR"];
+
+function item(check, type, subject, classification, message, before, after) {
+  return { check, type, subject, classification, message, before, after };
+}
+
+// PASSING -> FAILING is a regression; anything involving N/A, SKIPPED or a
+// manual check is neutral.
+function classifyStatus(before, after) {
+  if (GOOD_STATUSES.includes(before) && BAD_STATUSES.includes(after)) {
+    return "regression";
+  }
+  if (BAD_STATUSES.includes(before) && GOOD_STATUSES.includes(after)) {
+    return "improvement";
+  }
+  return "neutral";
+}
+
+function byKey(list, key) {
+  return new Map((list || []).map((entry) => [entry[key], entry]));
+}
+
+function diffCheckStatuses(before, after) {
+  const items = [];
+  const beforeChecks = byKey(before.checks, "id");
+  for (const check of after.checks) {
+    const previous = beforeChecks.get(check.id);
+    if (!previous) {
+      items.push(
+        item(
+          check.id,
+          "check_added",
+          check.title,
+          "neutral",
+          `${check.title} ran for the first time (${check.status}).`,
+          null,
+          check.status
+        )
+      );
+    } else if (previous.status !== check.status) {
+      items.push(
+        item(
+          check.id,
+          "check_status",
+          check.title,
+          classifyStatus(previous.status, check.status),
+          `${check.title} went from ${previous.status} to ${check.status}.`,
+          previous.status,
+          check.status
+        )
+      );
+    }
+  }
+  return items;
+}
+
+// Blocking findings of a table that name `policyName`
+function blockingPolicyFindings(table, policyName) {
+  return (table?.recommendations || []).filter(
+    (f) =>
+      typeof f === "object" &&
+      isBlockingFinding(f) &&
+      String(f.policy || "")
+        .split(", ")
+        .includes(policyName)
+  );
+}
+
+function samePolicy(a, b) {
+  const fields = (p) =>
+    JSON.stringify([p.permissive, p.cmd, p.roles, p.qual, p.with_check]);
+  return fields(a) === fields(b);
+}
+
+function diffPolicies(name, previous, table) {
+  const items = [];
+  const beforePolicies = byKey(previous.current_policies, "policyname");
+  const afterPolicies = byKey(table.current_policies, "policyname");
+  const classify = (policyName) => {
+    const wasBlocking = blockingPolicyFindings(previous, policyName).length > 0;
+    const isBlocking = blockingPolicyFindings(table, policyName).length > 0;
+    if (isBlocking && !wasBlocking) return "regression";
+    if (wasBlocking && !isBlocking) return "improvement";
+    return "neutral";
+  };
+  for (const [policyName, policy] of afterPolicies) {
+    const old = beforePolicies.get(policyName);
+    if (!old) {
+      items.push(
+        item(
+          "rls",
+          "policy_added",
+          `${name}: ${policyName}`,
+          classify(policyName),
+          `Policy "${policyName}" was added to ${name} (${policy.cmd}).`,
+          null,
+          policy
+        )
+      );
+    } else if (!samePolicy(old, policy)) {
+      items.push(
+        item(
+          "rls",
+          "policy_changed",
+          `${name}: ${policyName}`,
+          classify(policyName),
+          `Policy "${policyName}" on ${name} changed.`,
+          old,
+          policy
+        )
+      );
+    }
+  }
+  for (const [policyName, policy] of beforePolicies) {
+    if (afterPolicies.has(policyName)) continue;
+    items.push(
+      item(
+        "rls",
+        "policy_removed",
+        `${name}: ${policyName}`,
+        blockingPolicyFindings(previous, policyName).length
+          ? "improvement"
+          : "neutral",
+        `Policy "${policyName}" was removed from ${name} (${policy.cmd}).`,
+        policy,
+        null
+      )
+    );
+  }
+  return items;
+}
+
+function diffRls(before, after) {
+  const items = [];
+  const beforeTables = byKey(before?.tables, "name");
+  const afterTables = byKey(after?.tables, "name");
+  for (const [name, table] of afterTables) {
+    const previous = beforeTables.get(name);
+    if (!previous) {
+      items.push(
+        item(
+          "rls",
+          "table_added",
+          name,
+          table.status === "FAILING" ? "regression" : "neutral",
+          table.status === "FAILING"
+            ? `New table ${name} is failing.`
+            : `New table ${name} is ${table.status}.`,
+          null,
+          table.status
+        )
+      );
+      continue;
+    }
+    if (previous.rls_enabled !== table.rls_enabled) {
+      items.push(
+        item(
+          "rls",
+          "rls_enabled",
+          name,
+          table.rls_enabled ? "improvement" : "regression",
+          `${name} ${table.rls_enabled ? "gained" : "lost"} RLS.`,
+          previous.rls_enabled,
+          table.rls_enabled
+        )
+      );
+    }
+    // Scans from before forced RLS was reported have no rls_forced
+    if (
+      previous.rls_forced !== undefined &&
+      table.rls_forced !== undefined &&
+      previous.rls_forced !== table.rls_forced
+    ) {
+      items.push(
+        item(
+          "rls",
+          "rls_forced",
+          name,
+          table.rls_forced ? "improvement" : "regression",
+          `RLS is ${table.rls_forced ? "now" : "no longer"} forced on ${name}.`,
+          previous.rls_forced,
+          table.rls_forced
+        )
+      );
+    }
+    if (previous.status !== table.status) {
+      items.push(
+        item(
+          "rls",
+          "table_status",
+          name,
+          classifyStatus(previous.status, table.status),
+          table.status === "FAILING"
+            ? `${name} is newly failing.`
+            : `${name} went from ${previous.status} to ${table.status}.`,
+          previous.status,
+          table.status
+        )
+      );
+    }
+    items.push(...diffPolicies(name, previous, table));
+  }
+  for (const [name, table] of beforeTables) {
+    if (afterTables.has(name)) continue;
+    items.push(
+      item(
+        "rls",
+        "table_removed",
+        name,
+        "neutral",
+        `Table ${name} no longer exists or is no longer exposed.`,
+        table.status,
+        null
+      )
+    );
+  }
+  return items;
+}
+
+function diffMfa(before, after) {
+  const items = [];
+  const beforeUsers = byKey(before?.users, "id");
+  for (const user of after?.users || []) {
+    const previous = beforeUsers.get(user.id);
+    if (!previous || previous.mfa_enabled === user.mfa_enabled) continue;
+    const label = user.email || user.phone || user.id;
+    items.push(
+      item(
+        "mfa",
+        "user_mfa",
+        label,
+        user.mfa_enabled ? "improvement" : "regression",
+        user.mfa_enabled
+          ? `${label} enrolled in MFA.`
+          : `${label} lost MFA (no verified factor).`,
+        previous.mfa_enabled,
+        user.mfa_enabled
+      )
+    );
+  }
+  // Older scans have no MFA summary; count their users without MFA instead
+  const missing = (result) =>
+    result?.summary?.required_without_mfa ??
+    (result?.users || []).filter((u) => !u.mfa_enabled).length;
+  if (missing(before) !== missing(after)) {
+    items.push(
+      item(
+        "mfa",
+        "users_without_mfa",
+        "Users who require MFA without it",
+        missing(after) > missing(before) ? "regression" : "improvement",
+        `Users who require MFA but have no verified factor: ${missing(
+          before
+        )} → ${missing(after)}.`,
+        missing(before),
+        missing(after)
+      )
+    );
+  }
+  return items;
+}
+
+function diffPitr(before, after) {
+  const items = [];
+  const beforeProjects = byKey(before?.details?.projects, "ref");
+  for (const project of after?.details?.projects || []) {
+    const previous = beforeProjects.get(project.ref);
+    const label = `${project.name} (${project.ref})`;
+    if (!previous) {
+      items.push(
+        item(
+          "pitr",
+          "project_added",
+          label,
+          project.pitrEnabled ? "neutral" : "regression",
+          `New project ${label} ${
+            project.pitrEnabled ? "has" : "does not have"
+          } PITR.`,
+          null,
+          project.pitrEnabled
+        )
+      );
+    } else if (previous.pitrEnabled !== project.pitrEnabled) {
+      items.push(
+        item(
+          "pitr",
+          "pitr_enabled",
+          label,
+          project.pitrEnabled ? "improvement" : "regression",
+          `PITR was ${
+            project.pitrEnabled ? "enabled" : "disabled"
+          } on ${label}.`,
+          previous.pitrEnabled,
+          project.pitrEnabled
+        )
+      );
+    } else if (previous.status !== project.status) {
+      items.push(
+        item(
+          "pitr",
+          "pitr_status",
+          label,
+          "neutral",
+          `PITR status of ${label} changed from ${previous.status} to ${project.status}.`,
+          previous.status,
+          project.status
+        )
+      );
+    }
+  }
+  return items;
+}
+
+const DETAIL_DIFFS = { rls: diffRls, mfa: diffMfa, pitr: diffPitr };
+
+// `before` and `after` are saved scan results ({ project, checks }).
+function diffScans(before, after) {
+  const items = diffCheckStatuses(before, after);
+  const resultOf = (scan, id) => scan.checks.find((c) => c.id === id)?.result;
+  for (const [id, diff] of Object.entries(DETAIL_DIFFS)) {
+    const beforeResult = resultOf(before, id);
+    const afterResult = resultOf(after, id);
+    if (beforeResult && afterResult) {
+      items.push(...diff(beforeResult, afterResult));
+    }
+  }
+  const counts = { regression: 0, improvement: 0, neutral: 0 };
+  items.forEach((i) => counts[i.classification]++);
+  return { items, counts };
+}
+
+module.exports = { diffScans };
@@ -0,0 +1,191 @@
+// Scan history
+//
+// Every /api/run-checks result is saved to a SQLite database with the project,
+// the checks that ran and the full payload, so auditors can be shown evidence
+// over a period rather than a single scan. Old scans are pruned by a retention
+// policy (SCAN_RETENTION_DAYS); without it scans are kept forever. Scans record
+// whether they were started by hand, by a schedule or by an org scan.
+const crypto = require("crypto");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const scanHistoryPath =
+  process.env.SCAN_HISTORY_PATH || path.join(__dirname, "..", "scans.db");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS scans (
+    id TEXT PRIMARY KEY,
+    project TEXT NOT NULL,
+    project_ref TEXT NOT NULL,
+    scanned_at TEXT NOT NULL,
+    checks TEXT NOT NULL,
+    statuses TEXT NOT NULL,
+    overall_status TEXT NOT NULL,
+    result TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS scans_project_scanned_at
+    ON scans (project, scanned_at);
+`;
+
+let db = null;
+
+// Columns added after the first release, for databases created before them
+const MIGRATIONS = {
+  source: "ALTER TABLE scans ADD COLUMN source TEXT NOT NULL DEFAULT 'manual'",
+  schedule_id: "ALTER TABLE scans ADD COLUMN schedule_id TEXT",
+};
+
+function getDb() {
+  if (!db) {
+    db = new Database(scanHistoryPath);
+    db.pragma("journal_mode = WAL");
+    db.exec(SCHEMA);
+    const columns = db
+      .prepare("PRAGMA table_info(scans)")
+      .all()
+      .map((c) => c.name);
+    for (const [column, statement] of Object.entries(MIGRATIONS)) {
+      if (!columns.includes(column)) db.exec(statement);
+    }
+  }
+  return db;
+}
+
+function retentionDays() {
+  const days = Number(process.env.SCAN_RETENTION_DAYS);
+  return days > 0 ? days : null;
+}
+
+// FAILING if any check failed, ERROR if one errored and none failed.
+function overallStatus(checks) {
+  const statuses = checks.map((c) => c.status);
+  if (statuses.includes("FAILING")) return "FAILING";
+  if (statuses.includes("ERROR")) return "ERROR";
+  if (statuses.includes("PASSING")) return "PASSING";
+  return "N/A";
+}
+
+function toScan(row, { withResult = false } = {}) {
+  const scan = {
+    id: row.id,
+    project: row.project,
+    projectRef: row.project_ref,
+    scannedAt: row.scanned_at,
+    checks: JSON.parse(row.checks),
+    statuses: JSON.parse(row.statuses),
+    overallStatus: row.overall_status,
+    source: row.source,
+    scheduleId: row.schedule_id,
+  };
+  if (withResult) scan.result = JSON.parse(row.result);
+  return scan;
+}
+
+function saveScan({
+  project,
+  projectRef,
+  result,
+  source = "manual",
+  scheduleId = null,
+}) {
+  const scan = {
+    id: crypto.randomUUID(),
+    project,
+    project_ref: projectRef,
+    scanned_at: new Date().toISOString(),
+    checks: JSON.stringify(result.checks.map((c) => c.id)),
+    statuses: JSON.stringify(
+      Object.fromEntries(result.checks.map((c) => [c.id, c.status]))
+    ),
+    overall_status: overallStatus(result.checks),
+    result: JSON.stringify(result),
+    source,
+    schedule_id: scheduleId,
+  };
+  getDb()
+    .prepare(
+      `INSERT INTO scans
+         (id, project, project_ref, scanned_at, checks, statuses,
+          overall_status, result, source, schedule_id)
+       VALUES (@id, @project, @project_ref, @scanned_at, @checks, @statuses,
+               @overall_status, @result, @source, @schedule_id)`
+    )
+    .run(scan);
+  if (retentionDays()) pruneScans({ olderThanDays: retentionDays() });
+  return toScan(scan);
+}
+
+// Newest first, without the result payload.
+function listScans({ project, since, until, limit = 100 } = {}) {
+  const where = [];
+  const params = { limit };
+  if (project) {
+    where.push("project = @project");
+    params.project = project;
+  }
+  if (since) {
+    where.push("scanned_at >= @since");
+    params.since = since;
+  }
+  if (until) {
+    where.push("scanned_at <= @until");
+    params.until = until;
+  }
+  const rows = getDb()
+    .prepare(
+      `SELECT id, project, project_ref, scanned_at, checks, statuses,
+              overall_status, source, schedule_id
+       FROM scans
+       ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY scanned_at DESC
+       LIMIT @limit`
+    )
+    .all(params);
+  return rows.map((row) => toScan(row));
+}
+
+function getScan(id) {
+  const row = getDb().prepare(`SELECT * FROM scans WHERE id = ?`).get(id);
+  return row ? toScan(row, { withResult: true }) : null;
+}
+
+// The scan of the same project saved just before `scan`, with its result.
+function getPreviousScan(scan) {
+  const row = getDb()
+    .prepare(
+      `SELECT * FROM scans WHERE project = ? AND scanned_at < ?
+       ORDER BY scanned_at DESC LIMIT 1`
+    )
+    .get(scan.project, scan.scannedAt);
+  return row ? toScan(row, { withResult: true }) : null;
+}
+
+function deleteScan(id) {
+  return getDb().prepare(`DELETE FROM scans WHERE id = ?`).run(id).changes > 0;
+}
+
+// Deletes scans older than `olderThanDays`, optionally for one project.
+// Returns the number of scans deleted.
+function pruneScans({ olderThanDays, project } = {}) {
+  const cutoff = new Date(
+    Date.now() - olderThanDays * 24 * 60 * 60 * 1000
+  ).toISOString();
+  const { changes } = getDb()
+    .prepare(
+      `DELETE FROM scans WHERE scanned_at < @cutoff
+       ${project ? "AND project = @project" : ""}`
+    )
+    .run(project ? { cutoff, project } : { cutoff });
+  return changes;
+}
+
+module.exports = {
+  getDb,
+  retentionDays,
+  saveScan,
+  listScans,
+  getScan,
+  getPreviousScan,
+  deleteScan,
+  pruneScans,
+};
@@ -0,0 +1,309 @@
+// Scheduled scans
+//
+// A schedule runs the checks for one project on a five-field cron expression
+// evaluated in UTC, e.g. "0 2 * * *" for every day at 02:00 UTC. Schedules are
+// stored in the scan history database together with the credentials they run
+// with: either the id of a project in the credential vault or the credentials
+// themselves, encrypted when the vault is configured. Credentials are never
+// returned by listSchedules or getSchedule.
+const crypto = require("crypto");
+const cronParser = require("cron-parser");
+const { getDb } = require("./scanHistory");
+const {
+  isVaultConfigured,
+  sealSecret,
+  openSecret,
+  isSealed,
+  getProjectCredentials,
+} = require("./vault");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS schedules (
+    id TEXT PRIMARY KEY,
+    project TEXT NOT NULL,
+    project_url TEXT NOT NULL,
+    service_key TEXT,
+    db_connection_string TEXT,
+    checks TEXT,
+    options TEXT,
+    cron TEXT NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    next_run_at TEXT,
+    last_run_at TEXT,
+    last_status TEXT,
+    last_scan_id TEXT,
+    last_error TEXT,
+    project_id TEXT
+  );
+`;
+
+// Columns added after the first release, for databases created before them
+const MIGRATIONS = {
+  project_id: "ALTER TABLE schedules ADD COLUMN project_id TEXT",
+};
+
+let ready = false;
+
+function db() {
+  const database = getDb();
+  if (!ready) {
+    database.exec(SCHEMA);
+    const columns = database
+      .prepare("PRAGMA table_info(schedules)")
+      .all()
+      .map((c) => c.name);
+    for (const [column, statement] of Object.entries(MIGRATIONS)) {
+      if (!columns.includes(column)) database.exec(statement);
+    }
+    ready = true;
+  }
+  return database;
+}
+
+function nextRunAt(cron, from = new Date()) {
+  try {
+    return cronParser
+      .parseExpression(cron, { currentDate: from, tz: "UTC" })
+      .next()
+      .toDate()
+      .toISOString();
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${cron}": ${error.message}`);
+  }
+}
+
+// Credentials are sealed with the schedule id when the vault is configured.
+function storedSecret(value, id) {
+  if (!value) return null;
+  return isVaultConfigured() ? sealSecret(value, id) : value;
+}
+
+function storedSecretValue(value, id) {
+  return isSealed(value) ? openSecret(value, id) : value;
+}
+
+function scheduleCredentials(row) {
+  if (row.project_id) {
+    const credentials = getProjectCredentials(row.project_id);
+    if (!credentials) {
+      throw new Error("The vault project of this schedule no longer exists.");
+    }
+    return credentials;
+  }
+  return {
+    projectUrl: row.project_url,
+    serviceKey: storedSecretValue(row.service_key, row.id),
+    dbConnectionString: storedSecretValue(row.db_connection_string, row.id),
+  };
+}
+
+function toSchedule(row, { withCredentials = false } = {}) {
+  const schedule = {
+    id: row.id,
+    project: row.project,
+    projectUrl: row.project_url,
+    checks: row.checks ? JSON.parse(row.checks) : null,
+    options: row.options ? JSON.parse(row.options) : {},
+    cron: row.cron,
+    enabled: row.enabled === 1,
+    createdAt: row.created_at,
+    nextRunAt: row.enabled === 1 ? row.next_run_at : null,
+    lastRunAt: row.last_run_at,
+    lastStatus: row.last_status,
+    lastScanId: row.last_scan_id,
+    lastError: row.last_error,
+    projectId: row.project_id,
+    hasServiceKey: !!row.service_key,
+    hasDbConnectionString: !!row.db_connection_string,
+  };
+  if (withCredentials) {
+    // A schedule whose credentials cannot be read fails its run, not the
+    // others due at the same time
+    try {
+      schedule.credentials = scheduleCredentials(row);
+    } catch (error) {
+      schedule.credentials = null;
+      schedule.credentialsError = error.message;
+    }
+  }
+  return schedule;
+}
+
+// With a `projectId` the schedule runs with the credentials of that vault
+// project and stores none of its own.
+function createSchedule({
+  projectId,
+  project,
+  projectUrl,
+  serviceKey,
+  dbConnectionString,
+  checks,
+  options,
+  cron,
+  enabled = true,
+}) {
+  const id = crypto.randomUUID();
+  const row = {
+    id,
+    project,
+    project_url: projectUrl,
+    project_id: projectId || null,
+    service_key: projectId ? null : storedSecret(serviceKey, id),
+    db_connection_string: projectId
+      ? null
+      : storedSecret(dbConnectionString, id),
+    checks: checks ? JSON.stringify(checks) : null,
+    options: options ? JSON.stringify(options) : null,
+    cron,
+    enabled: enabled ? 1 : 0,
+    created_at: new Date().toISOString(),
+    next_run_at: nextRunAt(cron),
+  };
+  db()
+    .prepare(
+      `INSERT INTO schedules
+         (id, project, project_url, project_id, service_key,
+          db_connection_string, checks, options, cron, enabled, created_at,
+          next_run_at)
+       VALUES (@id, @project, @project_url, @project_id, @service_key,
+               @db_connection_string, @checks, @options, @cron, @enabled,
+               @created_at, @next_run_at)`
+    )
+    .run(row);
+  return getSchedule(row.id);
+}
+
+function getSchedule(id, { withCredentials = false } = {}) {
+  const row = db().prepare(`SELECT * FROM schedules WHERE id = ?`).get(id);
+  return row ? toSchedule(row, { withCredentials }) : null;
+}
+
+function listSchedules(project) {
+  const rows = project
+    ? db()
+        .prepare(
+          `SELECT * FROM schedules WHERE project = ? ORDER BY created_at`
+        )
+        .all(project)
+    : db().prepare(`SELECT * FROM schedules ORDER BY created_at`).all();
+  return rows.map((row) => toSchedule(row));
+}
+
+// Changes cron, enabled or checks. The next run is recomputed from now.
+function updateSchedule(id, { cron, enabled, checks }) {
+  const current = db().prepare(`SELECT * FROM schedules WHERE id = ?`).get(id);
+  if (!current) return null;
+  const nextCron = cron ?? current.cron;
+  db()
+    .prepare(
+      `UPDATE schedules
+       SET cron = @cron, enabled = @enabled, checks = @checks,
+           next_run_at = @next_run_at
+       WHERE id = @id`
+    )
+    .run({
+      id,
+      cron: nextCron,
+      enabled: enabled === undefined ? current.enabled : enabled ? 1 : 0,
+      checks:
+        checks === undefined
+          ? current.checks
+          : checks
+          ? JSON.stringify(checks)
+          : null,
+      next_run_at: nextRunAt(nextCron),
+    });
+  return getSchedule(id);
+}
+
+function deleteSchedule(id) {
+  return db().prepare(`DELETE FROM schedules WHERE id = ?`).run(id).changes > 0;
+}
+
+// Enabled schedules whose next run is due, with their credentials.
+function dueSchedules(now = new Date()) {
+  return db()
+    .prepare(
+      `SELECT * FROM schedules
+       WHERE enabled = 1 AND next_run_at <= ?
+       ORDER BY next_run_at`
+    )
+    .all(now.toISOString())
+    .map((row) => toSchedule(row, { withCredentials: true }));
+}
+
+// Called when a run starts, so a slow run is not picked up again by the next
+// tick: the next run is scheduled from the start time.
+function markRunStarted(id, startedAt = new Date()) {
+  const { cron } = db()
+    .prepare(`SELECT cron FROM schedules WHERE id = ?`)
+    .get(id);
+  db()
+    .prepare(
+      `UPDATE schedules
+       SET last_run_at = ?, last_status = 'RUNNING', last_error = NULL,
+           next_run_at = ?
+       WHERE id = ?`
+    )
+    .run(startedAt.toISOString(), nextRunAt(cron, startedAt), id);
+}
+
+function recordRunResult(id, { status, scanId = null, error = null }) {
+  db()
+    .prepare(
+      `UPDATE schedules
+       SET last_status = ?, last_scan_id = coalesce(?, last_scan_id),
+           last_error = ?
+       WHERE id = ?`
+    )
+    .run(status, scanId, error, id);
+}
+
+// Encrypts credentials stored before the vault was configured. Returns the
+// number of schedules updated.
+function sealStoredCredentials() {
+  if (!isVaultConfigured()) return 0;
+  const rows = db()
+    .prepare(
+      `SELECT id, service_key, db_connection_string FROM schedules
+       WHERE service_key IS NOT NULL OR db_connection_string IS NOT NULL`
+    )
+    .all()
+    .filter(
+      (row) =>
+        (row.service_key && !isSealed(row.service_key)) ||
+        (row.db_connection_string && !isSealed(row.db_connection_string))
+    );
+  const update = db().prepare(
+    `UPDATE schedules
+     SET service_key = @service_key,
+         db_connection_string = @db_connection_string
+     WHERE id = @id`
+  );
+  for (const row of rows) {
+    update.run({
+      id: row.id,
+      service_key: isSealed(row.service_key)
+        ? row.service_key
+        : storedSecret(row.service_key, row.id),
+      db_connection_string: isSealed(row.db_connection_string)
+        ? row.db_connection_string
+        : storedSecret(row.db_connection_string, row.id),
+    });
+  }
+  return rows.length;
+}
+
+module.exports = {
+  nextRunAt,
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+  deleteSchedule,
+  dueSchedules,
+  markRunStarted,
+  recordRunResult,
+  sealStoredCredentials,
+};
@@ -0,0 +1,53 @@
+// Schema selection shared by the database checks (RLS, grants, functions)
+//
+// Include/exclude lists come from the check options or the RLS_INCLUDE_SCHEMAS
+// and RLS_EXCLUDE_SCHEMAS environment variables.
+
+// Schemas that never hold application data and are skipped even when listed.
+const SYSTEM_SCHEMAS = ["pg_catalog", "information_schema", "pg_toast"];
+
+// Comma separated lists from environment variables, or arrays from options.
+function parseList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((s) => s.trim()).filter(Boolean);
+}
+
+// Resolve which schemas the database checks cover. An explicit include list wins;
+// otherwise read the schemas PostgREST exposes (pgrst.db_schemas on the
+// authenticator role) and fall back to `public`.
+async function resolveExposedSchemas(pool, options = {}) {
+  const include = parseList(
+    options.includeSchemas || process.env.RLS_INCLUDE_SCHEMAS
+  );
+  const exclude = parseList(
+    options.excludeSchemas || process.env.RLS_EXCLUDE_SCHEMAS
+  );
+
+  let schemas = include;
+  let source = "configured";
+  if (!schemas.length) {
+    const exposedRes = await pool.query(`
+      SELECT split_part(cfg, '=', 2) AS schemas
+      FROM pg_db_role_setting s
+      JOIN pg_roles r ON r.oid = s.setrole
+      CROSS JOIN LATERAL unnest(s.setconfig) AS cfg
+      WHERE r.rolname = 'authenticator' AND cfg LIKE 'pgrst.db_schemas=%'
+    `);
+    schemas = exposedRes.rows.flatMap((row) => parseList(row.schemas));
+    source = "postgrest";
+  }
+  if (!schemas.length) {
+    schemas = ["public"];
+    source = "default";
+  }
+
+  return {
+    schemas: [...new Set(schemas)].filter(
+      (s) => !exclude.includes(s) && !SYSTEM_SCHEMAS.includes(s)
+    ),
+    source,
+  };
+}
+
+module.exports = { SYSTEM_SCHEMAS, parseList, resolveExposedSchemas };
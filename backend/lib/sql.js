@@ -0,0 +1,28 @@
+// Small helpers for building SQL that interpolates identifiers safely.
+
+function quoteIdent(identifier) {
+  return `"${String(identifier).replace(/"/g, '""')}"`;
+}
+
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function qualifiedTableName(schema, table) {
+  return `${quoteIdent(schema)}.${quoteIdent(table)}`;
+}
+
+// Accepts either a separate schema or a schema-qualified "schema.table" name.
+function parseTableName(tableName, schema) {
+  if (schema) return { schema, table: tableName };
+  const dot = tableName.indexOf(".");
+  if (dot === -1) return { schema: "public", table: tableName };
+  return { schema: tableName.slice(0, dot), table: tableName.slice(dot + 1) };
+}
+
+module.exports = {
+  quoteIdent,
+  quoteLiteral,
+  qualifiedTableName,
+  parseTableName,
+};
@@ -0,0 +1,138 @@
+// Supabase Storage buckets and their storage.objects policies
+//
+// Buckets come from the Storage API; policies are read from pg_policies when a
+// connection string is available. A policy applies to a bucket when its
+// expressions compare bucket_id to that bucket's name; policies that never
+// mention bucket_id apply to every bucket.
+const { analyzePolicies } = require("./rlsPolicyAnalyzer");
+
+// Policy findings that still make sense for storage.objects. Missing command
+// policies are expected there, since most buckets are read or write only.
+const POLICY_ISSUES = [
+  "permissive_true",
+  "anonymous_write",
+  "missing_with_check",
+];
+
+const STORAGE_POLICIES_SQL = `
+  SELECT c.relrowsecurity AS rls_enabled, p.*
+  FROM pg_class c
+  LEFT JOIN pg_policies p
+    ON p.schemaname = 'storage' AND p.tablename = 'objects'
+  WHERE c.oid = to_regclass('storage.objects')
+`;
+
+// Returns null when storage.objects does not exist.
+async function listStoragePolicies(pool) {
+  const { rows } = await pool.query(STORAGE_POLICIES_SQL);
+  if (!rows.length) return null;
+  return {
+    rlsEnabled: rows[0].rls_enabled === true,
+    policies: rows
+      .filter((row) => row.policyname)
+      .map(({ rls_enabled, ...policy }) => policy),
+  };
+}
+
+// Bucket names a policy is scoped to, or null when it never mentions
+// bucket_id. An empty list means bucket_id is compared to something other than
+// a literal, so the policy may match any bucket.
+function policyBuckets(policy) {
+  const expression = [policy.qual, policy.with_check].filter(Boolean).join(" ");
+  if (!expression.includes("bucket_id")) return null;
+  const names = new Set();
+  for (const match of expression.matchAll(/bucket_id\s*=\s*'([^']*)'/g)) {
+    names.add(match[1]);
+  }
+  for (const match of expression.matchAll(
+    /bucket_id\s*=\s*ANY\s*\(\s*(?:ARRAY\s*)?\[([^\]]*)\]/gi
+  )) {
+    for (const literal of match[1].matchAll(/'([^']*)'/g)) {
+      names.add(literal[1]);
+    }
+  }
+  return [...names];
+}
+
+function finding(severity, issue, message, policy = null, command = null) {
+  return { severity, issue, policy, command, message };
+}
+
+function analyzeBucket(bucket, { storagePolicies, allowedPublic }) {
+  const findings = [];
+  const name = bucket.name;
+
+  if (bucket.public) {
+    findings.push(
+      allowedPublic
+        ? finding(
+            "low",
+            "public_bucket",
+            `Bucket "${name}" is public and listed as intentionally public. Anyone with a file's URL can download it without signing in.`
+          )
+        : finding(
+            "high",
+            "public_bucket",
+            `Bucket "${name}" is public, so anyone with a file's URL can download it without signing in and storage.objects policies do not apply to downloads. Make it private and serve files through signed URLs.`
+          )
+    );
+  }
+  if (!bucket.file_size_limit) {
+    findings.push(
+      finding(
+        "medium",
+        "no_file_size_limit",
+        `Bucket "${name}" has no file size limit, so uploads are only capped by the project-wide limit. Set a limit that fits the files it stores.`
+      )
+    );
+  }
+  if (!bucket.allowed_mime_types?.length) {
+    findings.push(
+      finding(
+        "medium",
+        "no_mime_restriction",
+        `Bucket "${name}" accepts every MIME type, so users can upload HTML or executables. Restrict it to the types it needs.`
+      )
+    );
+  }
+
+  if (!storagePolicies) return { findings, policies: null };
+
+  const policies = storagePolicies.policies.filter((p) => {
+    const buckets = policyBuckets(p);
+    return !buckets?.length || buckets.includes(name);
+  });
+  for (const policy of policies) {
+    if (policyBuckets(policy) !== null) continue;
+    findings.push(
+      finding(
+        "medium",
+        "unscoped_policy",
+        `Policy "${policy.policyname}" on storage.objects does not filter on bucket_id, so it applies to "${name}" and every other bucket. Add bucket_id = '${name}' to its expressions.`,
+        policy.policyname,
+        policy.cmd
+      )
+    );
+  }
+  findings.push(
+    ...analyzePolicies(policies, { rlsEnabled: true }).filter((f) =>
+      POLICY_ISSUES.includes(f.issue)
+    )
+  );
+  if (!policies.length && !bucket.public) {
+    findings.push(
+      finding(
+        "low",
+        "no_policies",
+        `No storage.objects policy covers bucket "${name}", so only the service role can read or upload its files. Confirm the bucket is backend-only.`
+      )
+    );
+  }
+  return { findings, policies };
+}
+
+module.exports = {
+  listStoragePolicies,
+  policyBuckets,
+  analyzeBucket,
+};
@@ -0,0 +1,221 @@
+// Credential vault
+//
+// A project is registered once with its service key and Postgres connection
+// string, and is referred to by its opaque id from then on. The secrets are
+// encrypted with AES-256-GCM under VAULT_MASTER_KEY (32 bytes, hex or base64
+// encoded, e.g. `openssl rand -base64 32`) and stored in the scan history
+// database; the project URL is not secret and is stored as is. Secrets only
+// leave this module through getProjectCredentials.
+const crypto = require("crypto");
+const { getDb } = require("./scanHistory");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS vault_projects (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    project_url TEXT NOT NULL,
+    secrets TEXT NOT NULL,
+    has_service_key INTEGER NOT NULL,
+    has_db_connection_string INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+`;
+
+// Sealed values start with the format version, so the format can change
+const SEALED_PREFIX = "v1:";
+
+let ready = false;
+
+function db() {
+  const database = getDb();
+  if (!ready) {
+    database.exec(SCHEMA);
+    ready = true;
+  }
+  return database;
+}
+
+function isVaultConfigured() {
+  return !!process.env.VAULT_MASTER_KEY;
+}
+
+function masterKey() {
+  const value = process.env.VAULT_MASTER_KEY;
+  if (!value) {
+    throw new Error(
+      "The credential vault is not configured. Set VAULT_MASTER_KEY to 32 random bytes, hex or base64 encoded."
+    );
+  }
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, "hex")
+    : Buffer.from(value, "base64");
+  if (key.length !== 32) {
+    throw new Error(
+      "VAULT_MASTER_KEY must be 32 bytes, hex or base64 encoded."
+    );
+  }
+  return key;
+}
+
+// Encrypts `plaintext`. `context` (e.g. the id of the row the value is stored
+// in) is authenticated too, so a sealed value cannot be moved to another row.
+function sealSecret(plaintext, context) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", masterKey(), iv);
+  cipher.setAAD(Buffer.from(context));
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+  return (
+    SEALED_PREFIX +
+    Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64")
+  );
+}
+
+function openSecret(sealed, context) {
+  const data = Buffer.from(sealed.slice(SEALED_PREFIX.length), "base64");
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    masterKey(),
+    data.subarray(0, 12)
+  );
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(data.subarray(12, 28));
+  try {
+    return Buffer.concat([
+      decipher.update(data.subarray(28)),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch {
+    throw new Error(
+      "Stored credentials could not be decrypted. Was VAULT_MASTER_KEY changed?"
+    );
+  }
+}
+
+function isSealed(value) {
+  return typeof value === "string" && value.startsWith(SEALED_PREFIX);
+}
+
+function toProject(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    projectUrl: row.project_url,
+    hasServiceKey: row.has_service_key === 1,
+    hasDbConnectionString: row.has_db_connection_string === 1,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function sealedSecrets(id, { serviceKey, dbConnectionString }) {
+  return {
+    secrets: sealSecret(JSON.stringify({ serviceKey, dbConnectionString }), id),
+    has_service_key: serviceKey ? 1 : 0,
+    has_db_connection_string: dbConnectionString ? 1 : 0,
+  };
+}
+
+function registerProject({ name, projectUrl, serviceKey, dbConnectionString }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  db()
+    .prepare(
+      `INSERT INTO vault_projects
+         (id, name, project_url, secrets, has_service_key,
+          has_db_connection_string, created_at, updated_at)
+       VALUES (@id, @name, @project_url, @secrets, @has_service_key,
+               @has_db_connection_string, @created_at, @updated_at)`
+    )
+    .run({
+      id,
+      name: name || null,
+      project_url: projectUrl,
+      ...sealedSecrets(id, {
+        serviceKey: serviceKey || null,
+        dbConnectionString: dbConnectionString || null,
+      }),
+      created_at: now,
+      updated_at: now,
+    });
+  return getProject(id);
+}
+
+function getProject(id) {
+  const row = db().prepare(`SELECT * FROM vault_projects WHERE id = ?`).get(id);
+  return row ? toProject(row) : null;
+}
+
+function listProjects() {
+  return db()
+    .prepare(`SELECT * FROM vault_projects ORDER BY created_at`)
+    .all()
+    .map(toProject);
+}
+
+// The project URL and decrypted secrets, or null for an unknown id.
+function getProjectCredentials(id) {
+  const row = db().prepare(`SELECT * FROM vault_projects WHERE id = ?`).get(id);
+  if (!row) return null;
+  const { serviceKey, dbConnectionString } = JSON.parse(
+    openSecret(row.secrets, row.id)
+  );
+  return { projectUrl: row.project_url, serviceKey, dbConnectionString };
+}
+
+// Fields left undefined keep their value; a secret set to null or "" is
+// removed.
+function updateProject(
+  id,
+  { name, projectUrl, serviceKey, dbConnectionString }
+) {
+  const current = getProjectCredentials(id);
+  if (!current) return null;
+  const secrets = {
+    serviceKey:
+      serviceKey === undefined ? current.serviceKey : serviceKey || null,
+    dbConnectionString:
+      dbConnectionString === undefined
+        ? current.dbConnectionString
+        : dbConnectionString || null,
+  };
+  db()
+    .prepare(
+      `UPDATE vault_projects
+       SET name = coalesce(@name, name), project_url = @project_url,
+           secrets = @secrets, has_service_key = @has_service_key,
+           has_db_connection_string = @has_db_connection_string,
+           updated_at = @updated_at
+       WHERE id = @id`
+    )
+    .run({
+      id,
+      name: name ?? null,
+      project_url: projectUrl || current.projectUrl,
+      ...sealedSecrets(id, secrets),
+      updated_at: new Date().toISOString(),
+    });
+  return getProject(id);
+}
+
+function deleteProject(id) {
+  return (
+    db().prepare(`DELETE FROM vault_projects WHERE id = ?`).run(id).changes > 0
+  );
+}
+
+module.exports = {
+  isVaultConfigured,
+  sealSecret,
+  openSecret,
+  isSealed,
+  registerProject,
+  getProject,
+  listProjects,
+  getProjectCredentials,
+  updateProject,
+  deleteProject,
+};
@@ -13,6 +13,156 @@ const fetch = (...args) =>
 const { OpenAI } = require("openai");
 const { Pool } = require("pg");
 const puppeteer = require("puppeteer");
+const {
+  analyzePolicies,
+  isBlockingFinding,
+  SEVERITY_RANK,
+} = require("./lib/rlsPolicyAnalyzer");
+const { qualifiedTableName, parseTableName } = require("./lib/sql");
+const { parseList, resolveExposedSchemas } = require("./lib/schemas");
+const {
+  API_ROLES,
+  TABLE_PRIVILEGES,
+  SEQUENCE_PRIVILEGES,
+  RELATION_KINDS,
+  listSchemaGrants,
+  describeObjectGrants,
+  analyzeGrants,
+  buildRevokeStatements,
+  buildGrantRestoreStatements,
+} = require("./lib/grants");
+const {
+  EXECUTE_ROLES,
+  KEEP_EXECUTE_ROLES,
+  listExposedFunctions,
+  describeFunction,
+  analyzeFunction,
+  parseSearchPath,
+  setSearchPathStatement,
+  executeStatement,
+} = require("./lib/functions");
+const { listStoragePolicies, analyzeBucket } = require("./lib/storage");
+const { getMailTransport, sendMail } = require("./lib/mailer");
+const {
+  retentionDays,
+  saveScan,
+  listScans,
+  getScan,
+  getPreviousScan,
+  deleteScan,
+  pruneScans,
+} = require("./lib/scanHistory");
+const { diffScans } = require("./lib/scanDiff");
+const { renderReportHtml, renderPdf } = require("./lib/report");
+const {
+  loadFrameworks,
+  controlsForCheck,
+  evaluateFramework,
+} = require("./lib/frameworks");
+const {
+  evidenceLogPath,
+  runAsActor,
+  appendEvidence,
+  verifyEvidence,
+  queryEvidence,
+} = require("./lib/evidenceLog");
+const {
+  nextRunAt,
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+  deleteSchedule,
+  dueSchedules,
+  markRunStarted,
+  recordRunResult,
+  sealStoredCredentials,
+} = require("./lib/schedules");
+const {
+  selectOrgProjects,
+  createOrgScan,
+  getOrgScan,
+  listOrgScans,
+  scanOrgProjects,
+  failInterruptedOrgScans,
+} = require("./lib/orgScans");
+const { createManagementApi } = require("./lib/managementApi");
+const {
+  isVaultConfigured,
+  registerProject,
+  getProject,
+  listProjects,
+  getProjectCredentials,
+  updateProject,
+  deleteProject,
+} = require("./lib/vault");
+const { addSecret, maskSecrets } = require("./lib/redact");
+const {
+  ROLES,
+  hasRole,
+  createUser,
+  getUser,
+  listUsers,
+  countUsers,
+  updateUser,
+  deleteUser,
+  authenticate,
+  createSession,
+  getSessionUser,
+  deleteSession,
+} = require("./lib/auth");
+const {
+  DEFAULT_CAMPAIGN_TEMPLATE,
+  renderTemplate,
+  createCampaign,
+  saveCampaign,
+  getCampaign,
+  listCampaigns,
+  openRecipientIds,
+  selectRecipients,
+  recordNotification,
+  applyEnrollment,
+  recipientsDueForReminder,
+  campaignProgress,
+} = require("./lib/campaigns");
+const {
+  resolveSensitiveTables,
+  analyzeAal,
+  aalFindings,
+  aal2PolicyName,
+  aal2PolicyStatement,
+  listAalEnforcement,
+} = require("./lib/aal");
+const {
+  resolveMfaOptions,
+  classifyUser,
+  summarizeMfaUsers,
+} = require("./lib/mfa");
+const {
+  loadBaseline,
+  evaluateAuthConfig,
+  buildAuthConfigPatch,
+} = require("./lib/authConfig");
+const {
+  DEFAULT_TEMPLATE,
+  describeTable,
+  listPolicyTemplates,
+  buildRlsFixStatements,
+} = require("./lib/policyTemplates");
+const {
+  fingerprint,
+  createPlan,
+  consumePlan,
+  isSamePlan,
+} = require("./lib/remediationPlans");
+const {
+  recordRemediation,
+  listRemediations,
+  getRemediation,
+  markReverted,
+  captureTableSnapshot,
+  buildTableRestoreStatements,
+} = require("./lib/remediations");
 
 const app = express();
 const port = process.env.NODE_PORT || 3001;
@@ -32,7 +182,7 @@ app.use(
         callback(new Error("Not allowed by CORS"));
       }
     },
-    methods: ["GET", "POST", "OPTIONS"],
+    methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
   })
 );
@@ -43,20 +193,114 @@ app.options("/api/:id", cors()); // Accept all OPTIONS routes
 // ✅ JSON parser
 app.use(express.json());
 
-const evidenceLogPath = path.join(__dirname, "evidence.log");
+// Routes that can be called without signing in
+const PUBLIC_ROUTES = ["POST /api/auth/login", "GET /api/hello"];
+
+// Every other route needs a session token (`Authorization: Bearer <token>`).
+// Evidence written during a request is attributed to the signed-in user, or
+// to the caller's address on public routes.
+app.use((req, res, next) => {
+  if (PUBLIC_ROUTES.includes(`${req.method} ${req.path}`)) {
+    return runAsActor(`api:${req.ip}`, next);
+  }
+  const token = req.get("authorization")?.match(/^Bearer (.+)$/)?.[1];
+  let user = null;
+  try {
+    user = token ? getSessionUser(token) : null;
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  if (!user) {
+    return res
+      .status(401)
+      .json({ error: "Sign in to use the compliance checker." });
+  }
+  req.user = user;
+  req.sessionToken = token;
+  runAsActor(`user:${user.email}`, next);
+});
+
+// Lets the request through when the user has `role` or a higher one.
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.user, role)) return next();
+    logEvidence(
+      "error",
+      `Denied ${req.method} ${req.path}: the ${role} role is required.`,
+      { action: "auth.deny", role: req.user.role }
+    );
+    res.status(403).json({ error: `This action requires the ${role} role.` });
+  };
+}
+
+// Secrets are masked in every JSON response. A request may name a project
+// registered in the credential vault (`projectId`) instead of sending its
+// credentials; they are filled in here for the route.
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => json(maskSecrets(body));
+
+  addSecret(req.body?.serviceKey);
+  addSecret(req.body?.dbConnectionString);
+  if (!req.body?.projectId) return next();
+  let credentials;
+  try {
+    credentials = getProjectCredentials(req.body.projectId);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  if (!credentials) {
+    return res
+      .status(404)
+      .json({ error: "Project not found in the credential vault." });
+  }
+  addSecret(credentials.serviceKey);
+  addSecret(credentials.dbConnectionString);
+  req.body = {
+    ...req.body,
+    projectUrl: credentials.projectUrl,
+    serviceKey: credentials.serviceKey || req.body.serviceKey,
+    dbConnectionString:
+      credentials.dbConnectionString || req.body.dbConnectionString,
+  };
+  next();
+});
 
 const MANAGEMENT_ACCESS_TOKEN = process.env.SUPABASE_PAT; // Store securely!
 
-function logEvidence(level, message, data = {}) {
+// `data` may carry the structured fields of the evidence entry (action,
+// actor, project, check, outcome); the rest of it is the entry's payload.
+// Secrets are masked in both the message and the data.
+function logEvidence(level, rawMessage, rawData = {}) {
+  const message = maskSecrets(rawMessage);
+  const data = maskSecrets(rawData);
   const timestamp = new Date().toISOString();
-  const logEntry = `${timestamp} [${level.toUpperCase()}] - ${message} | Data: ${JSON.stringify(
-    data
-  )}\n`;
-  console.log(logEntry.trim());
+  console.log(
+    `${timestamp} [${level.toUpperCase()}] - ${message} | Data: ${JSON.stringify(
+      data
+    )}`
+  );
+  const {
+    action = "log",
+    actor,
+    project = null,
+    check = null,
+    outcome = ["error", "critical"].includes(level) ? "failure" : "success",
+    ...payload
+  } = data;
   try {
-    fs.appendFileSync(evidenceLogPath, logEntry);
+    appendEvidence({
+      level,
+      message,
+      actor,
+      action,
+      project,
+      check,
+      outcome,
+      payload,
+    });
   } catch (err) {
-    console.error("Failed to write to evidence.log:", err);
+    console.error("Failed to write to the evidence log:", maskSecrets(err));
   }
 }
 
@@ -157,23 +401,95 @@ async function listPoliciesForTable(projectUrl, apiKey, tableName) {
 
 // --- API Endpoints ---
 
-async function runMFACheck(supabase, displayUrl) {
+// listUsers returns one page at a time; larger pages mean fewer round trips.
+const MFA_USERS_PER_PAGE = 1000;
+
+async function listAllUsers(supabase, { onPage = () => {}, signal } = {}) {
+  const users = [];
+  for (let page = 1; ; page++) {
+    signal?.throwIfAborted();
+    const { data, error } = await supabase.auth.admin.listUsers({
+      page,
+      perPage: MFA_USERS_PER_PAGE,
+    });
+    if (error) throw error;
+    users.push(...data.users);
+    onPage(page, users.length);
+    if (data.users.length < MFA_USERS_PER_PAGE || !data.nextPage) break;
+  }
+  return users;
+}
+
+// Which tables require aal2, so the MFA check can tell enrolled factors apart
+// from factors the database actually asks for.
+async function getMfaEnforcement(connectionString, options) {
+  const pool = new Pool({
+    connectionString,
+    ssl: { rejectUnauthorized: false },
+  });
+  try {
+    const { schemas } = await resolveExposedSchemas(pool, options);
+    const tables = await listAalEnforcement(
+      pool,
+      schemas,
+      resolveSensitiveTables(options)
+    );
+    return {
+      tables,
+      aal2_tables: tables
+        .filter((t) => t.enforcement === "aal2")
+        .map((t) => t.name),
+      partial_tables: tables
+        .filter((t) => t.enforcement === "partial")
+        .map((t) => t.name),
+      sensitive_at_aal1: tables
+        .filter((t) => t.sensitive && t.aal1_commands.length)
+        .map((t) => t.name),
+    };
+  } finally {
+    await pool.end();
+  }
+}
+
+async function runMFACheck(
+  supabase,
+  displayUrl,
+  options = {},
+  connectionString = null,
+  { reportProgress = () => {}, signal } = {}
+) {
   let mfaResults = {
     checkName: "Multi-Factor Authentication (MFA)",
     users: [],
+    summary: null,
+    requireFor: null,
+    enforcement: null,
     overallStatus: "FAILING",
     error: null,
     message: null,
   };
 
   try {
-    const {
-      data: { users },
-      error: usersError,
-    } = await supabase.auth.admin.listUsers();
+    const mfaOptions = resolveMfaOptions(options);
+    mfaResults.requireFor = mfaOptions.requireFor;
+    mfaResults.elevatedRoles = mfaOptions.elevatedRoles;
 
-    if (usersError) {
+    let users;
+    try {
+      users = await listAllUsers(supabase, {
+        signal,
+        onPage: (page, count) =>
+          reportProgress({
+            page,
+            users: count,
+            message: `Processed ${count} users (page ${page}).`,
+          }),
+      });
+    } catch (usersError) {
+      if (signal?.aborted) throw usersError;
       logEvidence("error", "MFA check: Failed to list users.", {
+        action: "check.run",
+        check: "mfa",
         project: displayUrl,
         code: usersError.code,
         details: usersError.message,
@@ -181,34 +497,64 @@ async function runMFACheck(supabase, displayUrl) {
       throw usersError;
     }
 
-    if (users && users.length > 0) {
-      let allMfaEnabled = true;
-      mfaResults.users = users.map((user) => {
-        const isMfaEnabled =
-          user.factors &&
-          user.factors.some((factor) => factor.status === "verified");
-        if (!isMfaEnabled) allMfaEnabled = false;
-        return {
-          id: user.id,
-          email: user.email,
-          phone: user.phone,
-          mfa_enabled: isMfaEnabled,
-        };
-      });
-      mfaResults.overallStatus = allMfaEnabled ? "PASSING" : "FAILING";
+    if (users.length > 0) {
+      const now = new Date();
+      mfaResults.users = users.map((user) =>
+        classifyUser(user, mfaOptions, now)
+      );
+      const summary = summarizeMfaUsers(mfaResults.users);
+      mfaResults.summary = summary;
+      if (!summary.required) {
+        mfaResults.overallStatus = "N/A";
+        mfaResults.message = `No users require MFA (required for: ${mfaOptions.requireFor}).`;
+      } else {
+        mfaResults.overallStatus = summary.required_without_mfa
+          ? "FAILING"
+          : "PASSING";
+        mfaResults.message = `${
+          summary.required - summary.required_without_mfa
+        } of ${summary.required} users who require MFA have a verified factor.`;
+      }
     } else {
       mfaResults.overallStatus = "N/A";
       mfaResults.message = "No users found in the project.";
     }
+
+    if (connectionString) {
+      const enforcement = await getMfaEnforcement(connectionString, options);
+      mfaResults.enforcement = enforcement;
+      if (
+        !enforcement.aal2_tables.length &&
+        !enforcement.partial_tables.length
+      ) {
+        mfaResults.message = `${
+          mfaResults.message || ""
+        } No RLS policy requires aal2, so a password alone reaches every table.`.trim();
+      } else if (enforcement.sensitive_at_aal1.length) {
+        mfaResults.message = `${
+          mfaResults.message || ""
+        } Sensitive tables reachable without MFA: ${enforcement.sensitive_at_aal1.join(
+          ", "
+        )}.`.trim();
+      }
+    }
     logEvidence("info", "MFA check completed.", {
+      action: "check.run",
+      check: "mfa",
       project: displayUrl,
       status: mfaResults.overallStatus,
-      count: users ? users.length : 0,
+      count: users.length,
+      summary: mfaResults.summary,
+      aal2Tables: mfaResults.enforcement?.aal2_tables,
     });
   } catch (error) {
+    // A cancelled scan is not a failed check
+    if (signal?.aborted) throw error;
     mfaResults.error = error.message || JSON.stringify(error);
     mfaResults.overallStatus = "ERROR";
     logEvidence("error", "MFA check processing failed.", {
+      action: "check.run",
+      check: "mfa",
       project: displayUrl,
       error: mfaResults.error,
     });
@@ -217,7 +563,46 @@ async function runMFACheck(supabase, displayUrl) {
   return mfaResults;
 }
 
-async function runRLSCheck(connectionString) {
+// Roles that RLS does not apply to. Superusers and BYPASSRLS roles skip it on
+// every table; a table's owner (and roles inheriting the owner's privileges)
+// skip it unless the table has FORCE ROW LEVEL SECURITY.
+async function getRLSBypassRoles(pool, owners) {
+  const { rows: privileged } = await pool.query(`
+    SELECT rolname, rolsuper, rolbypassrls
+    FROM pg_roles
+    WHERE rolsuper OR rolbypassrls
+    ORDER BY rolname
+  `);
+  const global = privileged.map((r) => ({
+    role: r.rolname,
+    reason: r.rolsuper ? "superuser" : "bypassrls",
+  }));
+
+  const { rows: ownerMembers } = await pool.query(
+    `
+    SELECT o.rolname AS owner, r.rolname AS member
+    FROM pg_roles o
+    JOIN pg_roles r ON pg_has_role(r.oid, o.oid, 'USAGE')
+    WHERE o.rolname = ANY($1) AND NOT r.rolsuper
+    ORDER BY r.rolname
+  `,
+    [owners]
+  );
+  const byOwner = {};
+  for (const { owner, member } of ownerMembers) {
+    (byOwner[owner] = byOwner[owner] || []).push({
+      role: member,
+      reason: member === owner ? "owner" : `member of owner ${owner}`,
+    });
+  }
+  return { global, byOwner };
+}
+
+async function runRLSCheck(
+  connectionString,
+  options = {},
+  { reportProgress = () => {}, signal } = {}
+) {
   console.log("[RLS][PG] Starting direct Postgres RLS check...");
 
   const pool = new Pool({
@@ -229,51 +614,85 @@ async function runRLSCheck(connectionString) {
       // Optionally suppress or log at a lower level
       return;
     }
-    console.error("[RLS][PG] Pool error event:", err);
+    console.error("[RLS][PG] Pool error event:", maskSecrets(err));
   });
   const rlsResults = {
     checkName: "Row Level Security (RLS)",
     overallStatus: "PASSING",
+    schemas: [],
     tables: [],
     error: null,
     message: null,
   };
 
   try {
-    // Get all user tables in public schema
-    const tablesRes = await pool.query(`
-      SELECT tablename
-      FROM pg_tables
-      WHERE schemaname = 'public'
-    `);
-    const tableNames = tablesRes.rows.map((row) => row.tablename);
-    console.log("[RLS][PG] Tables found:", tableNames);
+    const { schemas, source } = await resolveExposedSchemas(pool, options);
+    rlsResults.schemas = schemas;
+    rlsResults.schemaSource = source;
+    const sensitiveTables = resolveSensitiveTables(options);
+    rlsResults.sensitiveTables = sensitiveTables;
+    console.log(`[RLS][PG] Schemas (${source}):`, schemas);
+
+    // Regular and partitioned tables, with the parent of each partition
+    const tablesRes = await pool.query(
+      `
+      SELECT n.nspname AS schema,
+             c.relname AS table,
+             c.relkind,
+             c.relrowsecurity,
+             c.relforcerowsecurity,
+             pg_get_userbyid(c.relowner) AS owner,
+             c.relispartition,
+             pn.nspname AS parent_schema,
+             p.relname AS parent_table
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      LEFT JOIN pg_inherits i ON i.inhrelid = c.oid AND c.relispartition
+      LEFT JOIN pg_class p ON p.oid = i.inhparent
+      LEFT JOIN pg_namespace pn ON pn.oid = p.relnamespace
+      WHERE c.relkind IN ('r', 'p') AND n.nspname = ANY($1)
+      ORDER BY n.nspname, c.relname
+    `,
+      [schemas]
+    );
+    console.log(
+      "[RLS][PG] Tables found:",
+      tablesRes.rows.map((row) => `${row.schema}.${row.table}`)
+    );
 
-    if (!tableNames.length) {
+    if (!tablesRes.rows.length) {
       rlsResults.overallStatus = "N/A";
-      rlsResults.message = "No tables found in public schema.";
+      rlsResults.message = `No tables found in schemas: ${schemas.join(", ")}.`;
       await pool.end();
       return rlsResults;
     }
 
-    let allHaveRLS = true;
+    const policiesRes = await pool.query(
+      `SELECT * FROM pg_policies WHERE schemaname = ANY($1)`,
+      [schemas]
+    );
+    const policiesByTable = {};
+    for (const policy of policiesRes.rows) {
+      const key = `${policy.schemaname}.${policy.tablename}`;
+      (policiesByTable[key] = policiesByTable[key] || []).push(policy);
+    }
 
-    for (const table of tableNames) {
-      // Check if RLS is enabled
-      const rlsRes = await pool.query(
-        `SELECT relrowsecurity FROM pg_class WHERE relname = $1`,
-        [table]
-      );
-      const rlsEnabled = rlsRes.rows[0]?.relrowsecurity === true;
-      if (!rlsEnabled) allHaveRLS = false;
-      console.log(`[RLS][PG] Table "${table}" RLS enabled:`, rlsEnabled);
-
-      // Fetch policies
-      const policiesRes = await pool.query(
-        `SELECT * FROM pg_policies WHERE tablename = $1`,
-        [table]
-      );
-      const policies = policiesRes.rows;
+    const bypass = await getRLSBypassRoles(pool, [
+      ...new Set(tablesRes.rows.map((row) => row.owner)),
+    ]);
+    rlsResults.bypassRoles = bypass.global;
+
+    let allPassing = true;
+    const findingCounts = { critical: 0, high: 0, medium: 0, low: 0 };
+    const total = tablesRes.rows.length;
+
+    for (const row of tablesRes.rows) {
+      signal?.throwIfAborted();
+      const name = `${row.schema}.${row.table}`;
+      const rlsEnabled = row.relrowsecurity === true;
+      console.log(`[RLS][PG] Table "${name}" RLS enabled:`, rlsEnabled);
+
+      const policies = policiesByTable[name] || [];
       let policyCounts = { SELECT: 0, INSERT: 0, UPDATE: 0, DELETE: 0 };
       for (const policy of policies) {
         const cmd = policy.cmd?.toUpperCase();
@@ -282,31 +701,398 @@ async function runRLSCheck(connectionString) {
         }
       }
 
+      let recommendation = null;
+      if (!rlsEnabled) {
+        recommendation = row.relispartition
+          ? "Enable RLS on this partition as well. Policies on the parent table do not apply when the partition is queried directly."
+          : "Enable RLS for this table to restrict access.";
+      }
+
+      const rlsForced = row.relforcerowsecurity === true;
+      const bypassRoles = [
+        ...bypass.global,
+        ...(rlsForced ? [] : bypass.byOwner[row.owner] || []),
+      ];
+
+      const recommendations = analyzePolicies(policies, { rlsEnabled });
+      const sensitive = sensitiveTables.includes(name);
+      const aal = analyzeAal(policies, { rlsEnabled });
+      recommendations.push(...aalFindings(aal, { sensitive, rlsEnabled }));
+      if (rlsEnabled && !rlsForced && row.owner !== "postgres") {
+        recommendations.push({
+          severity: "medium",
+          issue: "rls_not_forced",
+          policy: null,
+          command: null,
+          message: `RLS is not forced, so the table owner "${row.owner}" (and roles that inherit it) can still read and write every row. Run FORCE ROW LEVEL SECURITY so the owner is subject to policies too.`,
+        });
+      }
+      if (recommendation) {
+        recommendations.unshift({
+          severity: "critical",
+          issue: "rls_disabled",
+          policy: null,
+          command: null,
+          message: recommendation,
+        });
+      }
+      recommendations.sort(
+        (a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]
+      );
+      recommendations.forEach((r) => findingCounts[r.severity]++);
+      const tablePassing =
+        rlsEnabled && !recommendations.some(isBlockingFinding);
+      if (!tablePassing) allPassing = false;
+
       rlsResults.tables.push({
-        name: table,
+        name,
+        schema: row.schema,
+        table: row.table,
+        kind: row.relkind === "p" ? "partitioned" : "table",
+        partition_of: row.relispartition
+          ? `${row.parent_schema}.${row.parent_table}`
+          : null,
         rls_enabled: rlsEnabled,
-        recommendation: rlsEnabled
-          ? null
-          : "Enable RLS for this table to restrict access.",
+        rls_forced: rlsForced,
+        owner: row.owner,
+        bypass_roles: bypassRoles,
+        sensitive,
+        aal,
+        status: tablePassing ? "PASSING" : "FAILING",
+        recommendation,
+        recommendations,
         policy_counts: policyCounts,
         current_policies: policies,
       });
+      reportProgress({
+        table: name,
+        status: tablePassing ? "PASSING" : "FAILING",
+        done: rlsResults.tables.length,
+        total,
+        message: `Evaluated ${rlsResults.tables.length} of ${total} tables.`,
+      });
     }
 
-    rlsResults.overallStatus = allHaveRLS ? "PASSING" : "FAILING";
+    rlsResults.findingCounts = findingCounts;
+    rlsResults.overallStatus = allPassing ? "PASSING" : "FAILING";
     await pool.end();
     console.log("[RLS][PG] Final RLS results:", rlsResults);
     return rlsResults;
   } catch (error) {
     await pool.end();
+    if (signal?.aborted) throw error;
     rlsResults.error = error.message;
     rlsResults.overallStatus = "ERROR";
-    console.error("[RLS][PG] Error:", error);
+    console.error("[RLS][PG] Error:", maskSecrets(error));
     return rlsResults;
   }
 }
 
-async function runPITR(displayUrl) {
+async function runGrantsCheck(connectionString, options = {}) {
+  const pool = new Pool({
+    connectionString,
+    ssl: { rejectUnauthorized: false },
+  });
+  pool.on("error", (err) => {
+    console.error("[GRANTS][PG] Pool error event:", maskSecrets(err));
+  });
+  const grantsResults = {
+    checkName: "Table & Column Grants",
+    overallStatus: "PASSING",
+    schemas: [],
+    objects: [],
+    error: null,
+    message: null,
+  };
+
+  try {
+    const { schemas, source } = await resolveExposedSchemas(pool, options);
+    grantsResults.schemas = schemas;
+    grantsResults.schemaSource = source;
+
+    const { relationGrants, columnGrants } = await listSchemaGrants(
+      pool,
+      schemas
+    );
+    const objects = new Map();
+    const objectFor = (row) => {
+      const name = `${row.schema}.${row.name}`;
+      if (!objects.has(name)) {
+        objects.set(name, {
+          name,
+          schema: row.schema,
+          object: row.name,
+          kind: RELATION_KINDS[row.relkind],
+          rls_enabled: row.relrowsecurity === true,
+          grants: Object.fromEntries(API_ROLES.map((r) => [r, []])),
+          column_grants: Object.fromEntries(API_ROLES.map((r) => [r, {}])),
+        });
+      }
+      return objects.get(name);
+    };
+
+    for (const row of relationGrants) {
+      const object = objectFor(row);
+      const listed =
+        object.kind === "sequence" ? SEQUENCE_PRIVILEGES : TABLE_PRIVILEGES;
+      if (listed.includes(row.privilege_type)) {
+        object.grants[row.grantee].push(row.privilege_type);
+      }
+    }
+    for (const row of columnGrants) {
+      const byPrivilege = objectFor(row).column_grants[row.grantee];
+      (byPrivilege[row.privilege_type] =
+        byPrivilege[row.privilege_type] || []).push(row.column);
+    }
+
+    const findingCounts = { critical: 0, high: 0, medium: 0, low: 0 };
+    for (const object of objects.values()) {
+      const listed =
+        object.kind === "sequence" ? SEQUENCE_PRIVILEGES : TABLE_PRIVILEGES;
+      for (const role of API_ROLES) {
+        object.grants[role].sort(
+          (a, b) => listed.indexOf(a) - listed.indexOf(b)
+        );
+      }
+      const recommendations = analyzeGrants({
+        name: object.name,
+        kind: object.kind,
+        rlsEnabled: object.rls_enabled,
+        grants: object.grants,
+        columnGrants: object.column_grants,
+      }).sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+      recommendations.forEach((r) => findingCounts[r.severity]++);
+      const hasAccess = API_ROLES.some(
+        (r) =>
+          object.grants[r].length || Object.keys(object.column_grants[r]).length
+      );
+      if (!hasAccess) continue;
+      grantsResults.objects.push({
+        ...object,
+        recommendations,
+        status: recommendations.some(isBlockingFinding) ? "FAILING" : "PASSING",
+      });
+    }
+
+    grantsResults.findingCounts = findingCounts;
+    if (!grantsResults.objects.length) {
+      grantsResults.overallStatus = "N/A";
+      grantsResults.message = `anon, authenticated and PUBLIC have no privileges in schemas: ${schemas.join(
+        ", "
+      )}.`;
+    } else if (grantsResults.objects.some((o) => o.status === "FAILING")) {
+      grantsResults.overallStatus = "FAILING";
+    }
+    await pool.end();
+    return grantsResults;
+  } catch (error) {
+    await pool.end();
+    grantsResults.error = error.message;
+    grantsResults.overallStatus = "ERROR";
+    console.error("[GRANTS][PG] Error:", maskSecrets(error));
+    return grantsResults;
+  }
+}
+
+async function runFunctionsCheck(connectionString, options = {}) {
+  const pool = new Pool({
+    connectionString,
+    ssl: { rejectUnauthorized: false },
+  });
+  pool.on("error", (err) => {
+    console.error("[FUNCTIONS][PG] Pool error event:", maskSecrets(err));
+  });
+  const functionsResults = {
+    checkName: "SECURITY DEFINER Functions & search_path",
+    overallStatus: "PASSING",
+    schemas: [],
+    functions: [],
+    error: null,
+    message: null,
+  };
+
+  try {
+    const { schemas, source } = await resolveExposedSchemas(pool, options);
+    functionsResults.schemas = schemas;
+    functionsResults.schemaSource = source;
+
+    const findingCounts = { critical: 0, high: 0, medium: 0, low: 0 };
+    for (const fn of await listExposedFunctions(pool, schemas)) {
+      const recommendations = analyzeFunction(fn).sort(
+        (a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]
+      );
+      // Invoker functions with a pinned search_path have nothing to report
+      if (!fn.security_definer && !recommendations.length) continue;
+      recommendations.forEach((r) => findingCounts[r.severity]++);
+      functionsResults.functions.push({
+        ...fn,
+        recommendations,
+        status: recommendations.some(isBlockingFinding) ? "FAILING" : "PASSING",
+      });
+    }
+
+    functionsResults.findingCounts = findingCounts;
+    if (!functionsResults.functions.length) {
+      functionsResults.overallStatus = "N/A";
+      functionsResults.message = `No SECURITY DEFINER functions or functions without a pinned search_path in schemas: ${schemas.join(
+        ", "
+      )}.`;
+    } else if (functionsResults.functions.some((f) => f.status === "FAILING")) {
+      functionsResults.overallStatus = "FAILING";
+    }
+    await pool.end();
+    return functionsResults;
+  } catch (error) {
+    await pool.end();
+    functionsResults.error = error.message;
+    functionsResults.overallStatus = "ERROR";
+    console.error("[FUNCTIONS][PG] Error:", maskSecrets(error));
+    return functionsResults;
+  }
+}
+
+async function runStorageCheck(supabase, connectionString, options = {}) {
+  const storageResults = {
+    checkName: "Storage Buckets & Policies",
+    overallStatus: "PASSING",
+    buckets: [],
+    policiesChecked: false,
+    error: null,
+    message: null,
+  };
+  const allowedPublic = parseList(
+    options.publicBuckets || process.env.STORAGE_PUBLIC_BUCKETS
+  );
+
+  const pool = connectionString
+    ? new Pool({ connectionString, ssl: { rejectUnauthorized: false } })
+    : null;
+  try {
+    const { data: buckets, error } = await supabase.storage.listBuckets();
+    if (error) throw error;
+
+    let storagePolicies = null;
+    if (pool) {
+      storagePolicies = await listStoragePolicies(pool);
+      storageResults.policiesChecked = !!storagePolicies;
+      storageResults.objectsRlsEnabled = storagePolicies?.rlsEnabled ?? null;
+    } else {
+      storageResults.message =
+        "Provide a Postgres connection string to also check storage.objects policies.";
+    }
+
+    if (storagePolicies && !storagePolicies.rlsEnabled) {
+      storageResults.overallStatus = "FAILING";
+      storageResults.message =
+        "RLS is disabled on storage.objects, so every API client can read and write files in every bucket.";
+    }
+
+    const findingCounts = { critical: 0, high: 0, medium: 0, low: 0 };
+    for (const bucket of buckets) {
+      const { findings, policies } = analyzeBucket(bucket, {
+        storagePolicies,
+        allowedPublic: allowedPublic.includes(bucket.name),
+      });
+      const recommendations = findings.sort(
+        (a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]
+      );
+      recommendations.forEach((r) => findingCounts[r.severity]++);
+      const passing =
+        storagePolicies?.rlsEnabled !== false &&
+        !recommendations.some(isBlockingFinding);
+      if (!passing) storageResults.overallStatus = "FAILING";
+      storageResults.buckets.push({
+        id: bucket.id,
+        name: bucket.name,
+        public: bucket.public === true,
+        file_size_limit: bucket.file_size_limit ?? null,
+        allowed_mime_types: bucket.allowed_mime_types ?? null,
+        status: passing ? "PASSING" : "FAILING",
+        recommendations,
+        current_policies: policies,
+      });
+    }
+
+    storageResults.findingCounts = findingCounts;
+    if (!buckets.length) {
+      storageResults.overallStatus = "N/A";
+      storageResults.message = "No storage buckets found.";
+    }
+    return storageResults;
+  } catch (error) {
+    storageResults.error = error.message;
+    storageResults.overallStatus = "ERROR";
+    console.error("[STORAGE] Error:", maskSecrets(error));
+    return storageResults;
+  } finally {
+    if (pool) await pool.end();
+  }
+}
+
+function getProjectRef(projectUrl) {
+  return projectUrl.replace(/^https?:\/\//, "").split(".")[0];
+}
+
+async function fetchAuthConfig(projectRef) {
+  const res = await fetch(
+    `https://api.supabase.com/v1/projects/${projectRef}/config/auth`,
+    {
+      headers: {
+        Authorization: `Bearer ${MANAGEMENT_ACCESS_TOKEN}`,
+        Accept: "application/json",
+      },
+    }
+  );
+  if (!res.ok) {
+    const errorText = await res.text();
+    throw new Error(`Failed to fetch auth config: ${res.status} ${errorText}`);
+  }
+  return res.json();
+}
+
+async function runAuthConfigCheck(projectUrl, options = {}) {
+  const authResults = {
+    checkName: "Auth Configuration",
+    overallStatus: "PASSING",
+    projectRef: getProjectRef(projectUrl),
+    baseline: null,
+    settings: [],
+    error: null,
+    message: null,
+  };
+
+  try {
+    authResults.baseline = loadBaseline(options.baseline);
+    const config = await fetchAuthConfig(authResults.projectRef);
+    authResults.settings = evaluateAuthConfig(config, authResults.baseline);
+    const failing = authResults.settings.filter((s) => s.status === "FAILING");
+    if (failing.length) {
+      authResults.overallStatus = "FAILING";
+      authResults.message = `${failing.length} of ${authResults.settings.length} auth settings do not meet the baseline.`;
+    }
+    logEvidence("info", "Auth config check completed", {
+      action: "check.run",
+      check: "auth-config",
+      project: projectUrl,
+      projectRef: authResults.projectRef,
+      failing: failing.map((s) => s.id),
+    });
+  } catch (error) {
+    authResults.overallStatus = "ERROR";
+    authResults.error = error.message;
+    logEvidence("error", "Auth config check failed", {
+      action: "check.run",
+      check: "auth-config",
+      project: projectUrl,
+      error: error.message,
+    });
+  }
+  return authResults;
+}
+
+// `options.projectRefs` limits the check to those projects; by default every
+// project the token can see is checked.
+async function runPITR(displayUrl, options = {}) {
   const pitrResults = {
     checkName: "Point-in-Time Recovery (PITR)",
     status: "MANUAL_CHECK_REQUIRED",
@@ -331,15 +1117,19 @@ async function runPITR(displayUrl) {
       throw new Error(`Failed to fetch projects: ${res.status} ${errorText}`);
     }
 
-    const projects = await res.json();
+    const projects = (await res.json()).filter(
+      (project) =>
+        !options.projectRefs || options.projectRefs.includes(project.id)
+    );
     pitrResults.status = "PASSING";
-    pitrResults.message = "PITR status checked for all projects.";
+    pitrResults.message = options.projectRefs
+      ? `PITR status checked for ${projects.length} project(s).`
+      : "PITR status checked for all projects.";
     pitrResults.details.projects = projects.map((project) => {
       const pitrAddon = project.addons?.find(
         (addon) => addon.type && addon.type.toLowerCase().includes("pitr")
       );
       const pitrEnabled = !!pitrAddon;
-      console.log(project);
       return {
         name: project.name,
         ref: project.id,
@@ -357,6 +1147,8 @@ async function runPITR(displayUrl) {
     }
 
     logEvidence("info", "PITR check completed", {
+      action: "check.run",
+      check: "pitr",
       project: displayUrl,
       status: pitrResults.status,
       projects: pitrResults.details.projects.map((p) => ({
@@ -369,6 +1161,8 @@ async function runPITR(displayUrl) {
     pitrResults.status = "ERROR";
     pitrResults.message = err.message;
     logEvidence("error", "PITR check failed", {
+      action: "check.run",
+      check: "pitr",
       project: displayUrl,
       error: err.message,
     });
@@ -377,290 +1171,3384 @@ async function runPITR(displayUrl) {
   return pitrResults;
 }
 
-app.post("/api/run-checks", async (req, res) => {
-  const { projectUrl, serviceKey, dbConnectionString } = req.body;
+// --- Check Registry ---
+//
+// Every compliance check is registered here with its metadata and a run
+// function. `/api/run-checks` runs any subset of the registry and returns a
+// uniform list, so in-house checks can be added without touching the route.
+//
+// A check declares:
+//   id        - unique key used in requests (e.g. "rls")
+//   title     - human readable name shown in the UI
+//   category  - grouping such as "auth", "database" or "backups"
+//   requires  - credentials it needs: "serviceKey", "dbConnectionString", "pat"
+//   severity  - "low" | "medium" | "high" | "critical"
+//   run(ctx)  - async, resolves to the check's raw result object
+//
+// Custom checks live in backend/checks/*.js (or COMPLIANCE_CHECKS_DIR) and
+// export a single check definition or an array of them.
+
+const CHECK_CREDENTIALS = ["serviceKey", "dbConnectionString", "pat"];
+const CHECK_SEVERITIES = ["low", "medium", "high", "critical"];
 
-  if (!projectUrl || !serviceKey) {
-    logEvidence("error", "Missing Supabase credentials for check execution.");
-    return res
-      .status(400)
-      .json({ error: "Supabase Project URL and Service Key are required." });
+const checkRegistry = new Map();
+
+function registerCheck(check) {
+  if (!check || !check.id || typeof check.run !== "function") {
+    throw new Error("A check must declare an id and a run function.");
+  }
+  if (checkRegistry.has(check.id)) {
+    throw new Error(`Check "${check.id}" is already registered.`);
   }
+  const requires = check.requires || [];
+  const unknown = requires.filter((c) => !CHECK_CREDENTIALS.includes(c));
+  if (unknown.length) {
+    throw new Error(
+      `Check "${check.id}" requires unknown credentials: ${unknown.join(", ")}`
+    );
+  }
+  const severity = check.severity || "medium";
+  if (!CHECK_SEVERITIES.includes(severity)) {
+    throw new Error(`Check "${check.id}" has invalid severity "${severity}".`);
+  }
+  checkRegistry.set(check.id, {
+    id: check.id,
+    title: check.title || check.id,
+    category: check.category || "general",
+    requires,
+    severity,
+    run: check.run,
+  });
+}
 
-  const displayUrl = projectUrl.includes("supabase.co")
-    ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
-    : projectUrl;
-  logEvidence(
-    "info",
-    `Initiating compliance checks for project: ${displayUrl}`
+function listChecks() {
+  return Array.from(checkRegistry.values()).map(
+    ({ id, title, category, requires, severity }) => ({
+      id,
+      title,
+      category,
+      requires,
+      severity,
+    })
   );
+}
 
-  try {
-    console.log(projectUrl, serviceKey);
-    const supabase = getSupabaseClient(projectUrl, serviceKey);
-
-    // Run all checks
-    const [mfaResults, rlsResults, pitrResults] = await Promise.all([
-      runMFACheck(supabase, displayUrl),
-      runRLSCheck(dbConnectionString),
-      runPITR(displayUrl),
-    ]);
+// Built-in checks return either `overallStatus` or `status`; normalize both.
+function getCheckStatus(result) {
+  return result?.overallStatus || result?.status || "ERROR";
+}
 
-    res.json({
-      mfa: mfaResults,
-      rls: rlsResults,
-      pitr: pitrResults,
-    });
-  } catch (error) {
-    logEvidence(
-      "critical",
-      "Critical error during Supabase client initialization or main check execution.",
-      { error: error.message }
-    );
-    res.status(500).json({
-      error: "Failed to connect to Supabase or run checks: " + error.message,
-    });
+function loadCustomChecks(dir) {
+  if (!fs.existsSync(dir)) return;
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith(".js")) continue;
+    try {
+      const exported = require(path.join(dir, file));
+      const checks = Array.isArray(exported) ? exported : [exported];
+      checks.forEach(registerCheck);
+      logEvidence("info", `Loaded custom checks from ${file}`, {
+        action: "checks.load",
+        checks: checks.map((c) => c.id),
+      });
+    } catch (err) {
+      logEvidence("error", `Failed to load custom checks from ${file}`, {
+        action: "checks.load",
+        error: err.message,
+      });
+    }
   }
+}
+
+registerCheck({
+  id: "mfa",
+  title: "Multi-Factor Authentication (MFA)",
+  category: "auth",
+  requires: ["serviceKey"],
+  severity: "high",
+  // AAL2 enforcement is read with the RLS check's schema and sensitive table
+  // options when a connection string is given.
+  run: (ctx) =>
+    runMFACheck(
+      ctx.supabase,
+      ctx.displayUrl,
+      { ...ctx.options.rls, ...ctx.options.mfa },
+      ctx.dbConnectionString,
+      ctx
+    ),
 });
 
-app.post("/api/fix-rls", async (req, res) => {
-  const { projectUrl, serviceKey, tableName, dbConnectionString } = req.body;
-  const displayUrl =
-    projectUrl && projectUrl.includes("supabase.co")
-      ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
-      : projectUrl;
+registerCheck({
+  id: "rls",
+  title: "Row Level Security (RLS)",
+  category: "database",
+  requires: ["dbConnectionString"],
+  severity: "critical",
+  run: (ctx) => runRLSCheck(ctx.dbConnectionString, ctx.options.rls, ctx),
+});
 
-  if (!tableName) {
-    return res.status(400).json({ error: "Table Name is required." });
-  }
+registerCheck({
+  id: "grants",
+  title: "Table & Column Grants",
+  category: "database",
+  requires: ["dbConnectionString"],
+  severity: "high",
+  run: (ctx) => runGrantsCheck(ctx.dbConnectionString, ctx.options.grants),
+});
 
-  // Otherwise, keep the existing logic for enabling RLS (direct DB connection)
-  if (!projectUrl || !serviceKey) {
-    logEvidence("error", "Missing parameters for RLS fix.");
-    return res.status(400).json({
-      error: "Project URL and Service Key are required.",
-    });
+registerCheck({
+  id: "functions",
+  title: "SECURITY DEFINER Functions & search_path",
+  category: "database",
+  requires: ["dbConnectionString"],
+  severity: "high",
+  run: (ctx) =>
+    runFunctionsCheck(ctx.dbConnectionString, ctx.options.functions),
+});
+
+registerCheck({
+  id: "storage",
+  title: "Storage Buckets & Policies",
+  category: "storage",
+  requires: ["serviceKey"],
+  severity: "high",
+  run: (ctx) =>
+    runStorageCheck(ctx.supabase, ctx.dbConnectionString, ctx.options.storage),
+});
+
+registerCheck({
+  id: "auth-config",
+  title: "Auth Configuration",
+  category: "auth",
+  requires: ["pat"],
+  severity: "high",
+  run: (ctx) => runAuthConfigCheck(ctx.projectUrl, ctx.options["auth-config"]),
+});
+
+registerCheck({
+  id: "pitr",
+  title: "Point-in-Time Recovery (PITR)",
+  category: "backups",
+  requires: ["pat"],
+  severity: "medium",
+  run: (ctx) => runPITR(ctx.displayUrl, ctx.options.pitr),
+});
+
+loadCustomChecks(
+  process.env.COMPLIANCE_CHECKS_DIR || path.join(__dirname, "checks")
+);
+
+async function runRegisteredCheck(check, ctx) {
+  const base = {
+    id: check.id,
+    title: check.title,
+    category: check.category,
+    severity: check.severity,
+  };
+  const missing = check.requires.filter((cred) => !ctx[cred]);
+  if (missing.length) {
+    return {
+      ...base,
+      status: "SKIPPED",
+      message: `Missing required credentials: ${missing.join(", ")}`,
+      result: null,
+    };
   }
 
-  // Dynamically construct the Postgres connection string from projectUrl and serviceKey
+  const startedAt = new Date().toISOString();
+  ctx.onProgress("check-start", { ...base, startedAt });
   try {
-    const { Pool } = require("pg");
-    const pool = new Pool({
-      connectionString: dbConnectionString,
-      ssl: { rejectUnauthorized: false },
+    const result = await check.run({
+      ...ctx,
+      reportProgress: (progress) =>
+        ctx.onProgress("check-progress", { id: check.id, ...progress }),
     });
-    await pool.query(
-      `ALTER TABLE public."${tableName}" ENABLE ROW LEVEL SECURITY;`
-    );
-    // Insert a placeholder policy if none exist
-    const { rows: existingPolicies } = await pool.query(
-      `SELECT * FROM pg_policies WHERE tablename = $1`,
-      [tableName]
-    );
-    if (existingPolicies.length === 0) {
-      await pool.query(
-        `CREATE POLICY "placeholder_policy" ON public."${tableName}" FOR SELECT USING (true);`
-      );
-    }
-    await pool.end();
-    const successMessage = `RLS successfully enabled for table: \"${tableName}\". A placeholder policy was added. Use the chat to generate more policies tailored to your needs!`;
-    logEvidence("info", successMessage, { project: displayUrl, tableName });
-    return res.json({ message: successMessage, tableName });
+    const status = getCheckStatus(result);
+    logEvidence("info", `Check "${check.id}" finished: ${status}.`, {
+      action: "check.result",
+      project: ctx.displayUrl,
+      check: check.id,
+      outcome: status,
+    });
+    return {
+      ...base,
+      status,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      result,
+    };
   } catch (error) {
-    logEvidence(
+    if (ctx.signal?.aborted) throw error;
+    logEvidence("error", `Check "${check.id}" threw an error.`, {
+      action: "check.result",
+      check: check.id,
+      outcome: "ERROR",
+      project: ctx.displayUrl,
+      error: error.message,
+    });
+    return {
+      ...base,
+      status: "ERROR",
+      message: error.message,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      result: null,
+    };
+  }
+}
+
+// `options` is keyed by check id, e.g. { rls: { includeSchemas: [...] } }.
+// `onProgress(event, data)` is called as each check starts, reports progress
+// and finishes. Once `signal` aborts, only the RLS and MFA checks stop
+// mid-check (and rethrow the abort error); the other checks run their queries
+// to the end.
+async function runChecks(
+  checkIds,
+  credentials,
+  options = {},
+  { onProgress = () => {}, signal } = {}
+) {
+  const { projectUrl, serviceKey, dbConnectionString } = credentials;
+  const displayUrl = projectUrl.includes("supabase.co")
+    ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+    : projectUrl;
+  const ctx = {
+    projectUrl,
+    displayUrl,
+    serviceKey,
+    dbConnectionString,
+    pat: MANAGEMENT_ACCESS_TOKEN,
+    supabase: serviceKey ? getSupabaseClient(projectUrl, serviceKey) : null,
+    options,
+    logEvidence,
+    onProgress,
+    signal,
+  };
+  const checks = (checkIds || Array.from(checkRegistry.keys())).map((id) =>
+    checkRegistry.get(id)
+  );
+  // Tag each result with the framework controls it is evidence for
+  const { frameworks } = loadFrameworks();
+  return Promise.all(
+    checks.map(async (check) => {
+      const result = {
+        ...(await runRegisteredCheck(check, ctx)),
+        controls: controlsForCheck(frameworks, check.id),
+      };
+      onProgress("check-result", result);
+      return result;
+    })
+  );
+}
+
+app.get("/api/checks", requireRole("viewer"), (req, res) => {
+  res.json({ checks: listChecks() });
+});
+
+// Returns an error message when `checks` is given but is not a non-empty
+// array of registered check ids.
+function validateCheckIds(checks) {
+  if (checks === undefined) return null;
+  if (!Array.isArray(checks) || checks.length === 0) {
+    return "checks must be a non-empty array of check ids.";
+  }
+  const unknown = checks.filter((id) => !checkRegistry.has(id));
+  return unknown.length ? `Unknown checks: ${unknown.join(", ")}` : null;
+}
+
+// Projects with a scan in progress, manual or scheduled, with a count of
+// their running scans. Scheduled runs of a project in this map are skipped.
+const runningScans = new Map();
+
+// Runs the checks and saves the result to the scan history. A scan that cannot
+// be saved is still returned to the caller; a cancelled one is not saved.
+async function runAndSaveScan({
+  projectUrl,
+  serviceKey,
+  dbConnectionString,
+  checks,
+  options,
+  source = "manual",
+  scheduleId = null,
+  onProgress,
+  signal,
+}) {
+  const displayUrl = projectUrl.includes("supabase.co")
+    ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+    : projectUrl;
+  runningScans.set(displayUrl, (runningScans.get(displayUrl) || 0) + 1);
+  try {
+    const results = await runChecks(
+      checks,
+      {
+        projectUrl,
+        serviceKey,
+        dbConnectionString,
+      },
+      options,
+      { onProgress, signal }
+    );
+    signal?.throwIfAborted();
+
+    let scan = null;
+    try {
+      scan = saveScan({
+        project: displayUrl,
+        projectRef: getProjectRef(projectUrl),
+        result: maskSecrets({ project: displayUrl, checks: results }),
+        source,
+        scheduleId,
+      });
+      logEvidence("info", `Saved scan ${scan.id} to scan history.`, {
+        action: "scan.save",
+        project: displayUrl,
+        overallStatus: scan.overallStatus,
+        source,
+      });
+    } catch (historyError) {
+      logEvidence("error", "Failed to save scan to scan history.", {
+        action: "scan.save",
+        project: displayUrl,
+        error: historyError.message,
+      });
+    }
+
+    return {
+      project: displayUrl,
+      checks: results,
+      scanId: scan?.id || null,
+      scannedAt: scan?.scannedAt || null,
+      overallStatus: scan?.overallStatus || null,
+    };
+  } finally {
+    const running = runningScans.get(displayUrl) - 1;
+    if (running > 0) runningScans.set(displayUrl, running);
+    else runningScans.delete(displayUrl);
+  }
+}
+
+app.post("/api/run-checks", requireRole("operator"), async (req, res) => {
+  const { projectUrl, serviceKey, dbConnectionString, checks, options } =
+    req.body;
+
+  if (!projectUrl) {
+    logEvidence("error", "Missing Supabase credentials for check execution.", {
+      action: "scan.run",
+    });
+    return res.status(400).json({ error: "Supabase Project URL is required." });
+  }
+
+  const checksError = validateCheckIds(checks);
+  if (checksError) return res.status(400).json({ error: checksError });
+
+  const displayUrl = projectUrl.includes("supabase.co")
+    ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+    : projectUrl;
+  logEvidence(
+    "info",
+    `Initiating compliance checks for project: ${displayUrl}`,
+    {
+      action: "scan.run",
+      project: displayUrl,
+      checks: checks || Array.from(checkRegistry.keys()),
+    }
+  );
+
+  try {
+    const { overallStatus, ...scan } = await runAndSaveScan({
+      projectUrl,
+      serviceKey,
+      dbConnectionString,
+      checks,
+      options,
+    });
+    res.json(scan);
+  } catch (error) {
+    logEvidence(
+      "critical",
+      "Critical error during Supabase client initialization or main check execution.",
+      { action: "scan.run", error: error.message }
+    );
+    res.status(500).json({
+      error: "Failed to connect to Supabase or run checks: " + error.message,
+    });
+  }
+});
+
+// Same as /api/run-checks, but streams Server-Sent Events while the scan runs:
+// `check-start`, `check-progress` and `check-result` for every check, then
+// `done` with the saved scan or `error`. Closing the connection cancels the
+// scan; a cancelled scan is not saved.
+app.post(
+  "/api/run-checks/stream",
+  requireRole("operator"),
+  async (req, res) => {
+    const { projectUrl, serviceKey, dbConnectionString, checks, options } =
+      req.body;
+
+    if (!projectUrl) {
+      logEvidence(
+        "error",
+        "Missing Supabase credentials for check execution.",
+        { action: "scan.run" }
+      );
+      return res
+        .status(400)
+        .json({ error: "Supabase Project URL is required." });
+    }
+
+    const checksError = validateCheckIds(checks);
+    if (checksError) return res.status(400).json({ error: checksError });
+
+    const displayUrl = projectUrl.includes("supabase.co")
+      ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+      : projectUrl;
+    logEvidence(
+      "info",
+      `Initiating compliance checks for project: ${displayUrl}`,
+      {
+        action: "scan.run",
+        project: displayUrl,
+        checks: checks || Array.from(checkRegistry.keys()),
+        stream: true,
+      }
+    );
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    const send = (event, data) => {
+      if (controller.signal.aborted) return;
+      res.write(
+        `event: ${event}\ndata: ${JSON.stringify(maskSecrets(data))}\n\n`
+      );
+    };
+
+    try {
+      const { overallStatus, ...scan } = await runAndSaveScan({
+        projectUrl,
+        serviceKey,
+        dbConnectionString,
+        checks,
+        options,
+        onProgress: send,
+        signal: controller.signal,
+      });
+      send("done", scan);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        logEvidence("info", `Scan of ${displayUrl} was cancelled.`, {
+          action: "scan.cancel",
+          project: displayUrl,
+        });
+      } else {
+        logEvidence(
+          "critical",
+          "Critical error during Supabase client initialization or main check execution.",
+          { action: "scan.run", error: error.message }
+        );
+        send("error", {
+          error:
+            "Failed to connect to Supabase or run checks: " + error.message,
+        });
+      }
+    }
+    res.end();
+  }
+);
+
+// --- Authentication and users ---
+
+app.post("/api/auth/login", (req, res) => {
+  const { email, password } = req.body;
+  let user;
+  try {
+    user = authenticate(email, password);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  if (!user) {
+    logEvidence("error", `Failed sign-in for ${email}.`, {
+      action: "auth.login",
+      email,
+    });
+    return res.status(401).json({ error: "Invalid email or password." });
+  }
+  const session = createSession(user.id);
+  runAsActor(`user:${user.email}`, () =>
+    logEvidence("info", `${user.email} signed in.`, {
+      action: "auth.login",
+      expiresAt: session.expiresAt,
+    })
+  );
+  res.json({ ...session, user });
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  deleteSession(req.sessionToken);
+  logEvidence("info", `${req.user.email} signed out.`, {
+    action: "auth.logout",
+  });
+  res.json({ signedOut: true });
+});
+
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: req.user });
+});
+
+app.get("/api/users", requireRole("admin"), (req, res) => {
+  res.json({ users: listUsers(), roles: ROLES });
+});
+
+app.post("/api/users", requireRole("admin"), (req, res) => {
+  const { email, password, role } = req.body;
+  let user;
+  try {
+    user = createUser({ email, password, role });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  logEvidence("info", `Created ${role} user ${email}.`, {
+    action: "user.create",
+    userId: user.id,
+    email,
+    role,
+  });
+  res.status(201).json({ user });
+});
+
+// Whether removing `user`'s admin role would leave no admin
+function isLastAdmin(user) {
+  return (
+    user.role === "admin" &&
+    listUsers().filter((u) => u.role === "admin").length === 1
+  );
+}
+
+app.patch("/api/users/:id", requireRole("admin"), (req, res) => {
+  const { role, password } = req.body;
+  const current = getUser(req.params.id);
+  if (!current) return res.status(404).json({ error: "User not found." });
+  if (role && role !== "admin" && isLastAdmin(current)) {
+    return res.status(409).json({ error: "At least one admin is required." });
+  }
+  let user;
+  try {
+    user = updateUser(req.params.id, { role, password });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  logEvidence("info", `Updated user ${user.email}.`, {
+    action: "user.update",
+    userId: user.id,
+    role: user.role,
+    passwordChanged: password !== undefined,
+  });
+  res.json({ user });
+});
+
+app.delete("/api/users/:id", requireRole("admin"), (req, res) => {
+  const user = getUser(req.params.id);
+  if (!user) return res.status(404).json({ error: "User not found." });
+  if (isLastAdmin(user)) {
+    return res.status(409).json({ error: "At least one admin is required." });
+  }
+  deleteUser(user.id);
+  logEvidence("info", `Deleted user ${user.email}.`, {
+    action: "user.delete",
+    userId: user.id,
+    email: user.email,
+  });
+  res.json({ deleted: 1 });
+});
+
+// Creates the first admin from AUTH_ADMIN_EMAIL and AUTH_ADMIN_PASSWORD when
+// there are no users yet.
+function bootstrapAdmin() {
+  if (countUsers() > 0) return null;
+  const email = process.env.AUTH_ADMIN_EMAIL;
+  const password = process.env.AUTH_ADMIN_PASSWORD;
+  if (!email || !password) {
+    logEvidence(
+      "error",
+      "No users exist. Set AUTH_ADMIN_EMAIL and AUTH_ADMIN_PASSWORD to create the first admin.",
+      { action: "user.create" }
+    );
+    return null;
+  }
+  const user = createUser({ email, password, role: "admin" });
+  logEvidence("info", `Created the first admin user ${email}.`, {
+    action: "user.create",
+    userId: user.id,
+    email,
+    role: "admin",
+  });
+  return user;
+}
+
+// --- Credential vault ---
+
+app.get("/api/projects", requireRole("viewer"), (req, res) => {
+  if (!isVaultConfigured())
+    return res.json({ configured: false, projects: [] });
+  try {
+    res.json({ configured: true, projects: listProjects() });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: `Failed to list projects: ${error.message}` });
+  }
+});
+
+// Registers a project. The response and every later one carry only its id
+// and whether each secret is set.
+app.post("/api/projects", requireRole("admin"), (req, res) => {
+  const { name, projectUrl, serviceKey, dbConnectionString } = req.body;
+  if (!projectUrl) {
+    return res.status(400).json({ error: "Supabase Project URL is required." });
+  }
+  if (!projectUrl.startsWith("http://") && !projectUrl.startsWith("https://")) {
+    return res
+      .status(400)
+      .json({ error: "Project URL must start with http:// or https://" });
+  }
+  if (!isVaultConfigured()) {
+    return res.status(400).json({
+      error:
+        "The credential vault is not configured. Set VAULT_MASTER_KEY in your environment variables.",
+    });
+  }
+  try {
+    const project = registerProject({
+      name,
+      projectUrl,
+      serviceKey,
+      dbConnectionString,
+    });
+    const displayUrl = projectUrl.includes("supabase.co")
+      ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+      : projectUrl;
+    logEvidence("info", `Registered ${displayUrl} in the credential vault.`, {
+      action: "vault.register",
+      project: displayUrl,
+      projectId: project.id,
+      hasServiceKey: project.hasServiceKey,
+      hasDbConnectionString: project.hasDbConnectionString,
+    });
+    res.status(201).json({ project });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Changes the name, URL or secrets of a project; secrets not sent are kept
+// and secrets sent as null are removed.
+app.patch("/api/projects/:id", requireRole("admin"), (req, res) => {
+  const { name, projectUrl, serviceKey, dbConnectionString } = req.body;
+  let project;
+  try {
+    project = updateProject(req.params.id, {
+      name,
+      projectUrl,
+      serviceKey,
+      dbConnectionString,
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  if (!project) return res.status(404).json({ error: "Project not found." });
+  const displayUrl = project.projectUrl.includes("supabase.co")
+    ? project.projectUrl.substring(0, project.projectUrl.indexOf(".")) +
+      ".supabase.co"
+    : project.projectUrl;
+  logEvidence("info", `Updated ${displayUrl} in the credential vault.`, {
+    action: "vault.update",
+    project: displayUrl,
+    projectId: project.id,
+    changed: Object.keys(req.body),
+  });
+  res.json({ project });
+});
+
+app.delete("/api/projects/:id", requireRole("admin"), (req, res) => {
+  const project = getProject(req.params.id);
+  if (!project || !deleteProject(req.params.id)) {
+    return res.status(404).json({ error: "Project not found." });
+  }
+  const displayUrl = project.projectUrl.includes("supabase.co")
+    ? project.projectUrl.substring(0, project.projectUrl.indexOf(".")) +
+      ".supabase.co"
+    : project.projectUrl;
+  logEvidence("info", `Removed ${displayUrl} from the credential vault.`, {
+    action: "vault.delete",
+    project: displayUrl,
+    projectId: project.id,
+  });
+  res.json({ deleted: 1 });
+});
+
+// --- Scan history ---
+
+function parsePositiveNumber(value) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+app.get("/api/scans", requireRole("viewer"), (req, res) => {
+  const { project, since, until } = req.query;
+  const limit = parsePositiveNumber(req.query.limit);
+  if (limit === null || limit > 1000) {
+    return res
+      .status(400)
+      .json({ error: "limit must be a number between 1 and 1000." });
+  }
+  try {
+    res.json({
+      scans: listScans({
+        project,
+        since,
+        until,
+        limit: limit && Math.floor(limit),
+      }),
+      retentionDays: retentionDays(),
+    });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to list scans: ${error.message}` });
+  }
+});
+
+app.get("/api/scans/:id", requireRole("viewer"), (req, res) => {
+  const scan = getScan(req.params.id);
+  if (!scan) return res.status(404).json({ error: "Scan not found." });
+  res.json({ scan });
+});
+
+// Compares a scan with another scan of the same project (`against`), or with
+// the one saved before it. The older scan is always the baseline.
+app.get("/api/scans/:id/diff", requireRole("viewer"), (req, res) => {
+  const scan = getScan(req.params.id);
+  if (!scan) return res.status(404).json({ error: "Scan not found." });
+  const other = req.query.against
+    ? getScan(req.query.against)
+    : getPreviousScan(scan);
+  if (!other) {
+    return res.status(404).json({
+      error: req.query.against
+        ? "Scan to compare against not found."
+        : "There is no earlier scan of this project to compare against.",
+    });
+  }
+  if (other.project !== scan.project) {
+    return res
+      .status(400)
+      .json({ error: "Only scans of the same project can be compared." });
+  }
+  const [from, to] =
+    other.scannedAt <= scan.scannedAt ? [other, scan] : [scan, other];
+  const { result: fromResult, ...fromMeta } = from;
+  const { result: toResult, ...toMeta } = to;
+  res.json({
+    from: fromMeta,
+    to: toMeta,
+    ...diffScans(fromResult, toResult),
+  });
+});
+
+const SCAN_EVIDENCE_ACTIONS = [
+  "scan.run",
+  "check.run",
+  "check.result",
+  "scan.save",
+  "schedule.run",
+];
+
+// Evidence behind a scan: the entries written while it ran, and the apply
+// entries of the remediations it lists.
+function scanEvidence(scan, remediations) {
+  const startedAt = scan.result.checks
+    .map((c) => c.startedAt)
+    .filter(Boolean)
+    .sort()[0];
+  const ranUntil = new Date(Date.parse(scan.scannedAt) + 1000).toISOString();
+  const during = queryEvidence({
+    project: scan.project,
+    since: startedAt || scan.scannedAt,
+    until: ranUntil,
+    limit: 1000,
+  }).filter((e) => SCAN_EVIDENCE_ACTIONS.includes(e.action));
+  const planIds = new Set(
+    remediations.flatMap((r) => [r.planId, r.revertPlanId]).filter(Boolean)
+  );
+  const applied = ["remediation.apply", "revert.apply"].flatMap((action) =>
+    queryEvidence({
+      project: scan.project,
+      action,
+      until: ranUntil,
+      limit: 1000,
+    }).filter((e) => planIds.has(e.payload.planId))
+  );
+  const bySeq = new Map([...during, ...applied].map((e) => [e.seq, e]));
+  return [...bySeq.values()].sort((a, b) => a.seq - b.seq);
+}
+
+// Renders a saved scan as a PDF for auditors (?format=html for the HTML).
+app.get("/api/scans/:id/report", requireRole("viewer"), async (req, res) => {
+  const scan = getScan(req.params.id);
+  if (!scan) return res.status(404).json({ error: "Scan not found." });
+  const format = req.query.format || "pdf";
+  if (!["pdf", "html"].includes(format)) {
+    return res.status(400).json({ error: "format must be pdf or html." });
+  }
+  try {
+    const remediations = listRemediations(scan.project).filter(
+      (r) => r.appliedAt <= scan.scannedAt
+    );
+    const html = renderReportHtml({
+      scan: maskSecrets(scan),
+      remediations,
+      evidence: scanEvidence(scan, remediations),
+      verification: verifyEvidence(),
+      frameworks: loadFrameworks().frameworks.map((framework) =>
+        evaluateFramework(framework, scan.result.checks)
+      ),
+    });
+    if (format === "html") return res.type("html").send(html);
+
+    const pdf = await renderPdf(html);
+    logEvidence("info", `Generated PDF report for scan ${scan.id}.`, {
+      action: "report.generate",
+      project: scan.project,
+      scanId: scan.id,
+    });
+    const fileName = `compliance-report-${
+      scan.projectRef
+    }-${scan.scannedAt.slice(0, 10)}.pdf`;
+    res
+      .type("pdf")
+      .set("Content-Disposition", `attachment; filename="${fileName}"`)
+      .send(Buffer.from(pdf));
+  } catch (error) {
+    logEvidence("error", `Failed to generate report for scan ${scan.id}.`, {
+      action: "report.generate",
+      project: scan.project,
+      error: error.message,
+    });
+    res
+      .status(500)
+      .json({ error: `Failed to generate the report: ${error.message}` });
+  }
+});
+
+app.delete("/api/scans/:id", requireRole("admin"), (req, res) => {
+  if (!deleteScan(req.params.id)) {
+    return res.status(404).json({ error: "Scan not found." });
+  }
+  logEvidence("info", `Deleted scan ${req.params.id} from scan history.`, {
+    action: "scan.delete",
+  });
+  res.json({ deleted: 1 });
+});
+
+// Applies the retention policy now, or a stricter one given as olderThanDays.
+app.delete("/api/scans", requireRole("admin"), (req, res) => {
+  const requested = parsePositiveNumber(req.query.olderThanDays);
+  const olderThanDays = requested === undefined ? retentionDays() : requested;
+  if (!olderThanDays) {
+    return res.status(400).json({
+      error:
+        "olderThanDays must be a positive number, or set SCAN_RETENTION_DAYS.",
+    });
+  }
+  const deleted = pruneScans({ olderThanDays, project: req.query.project });
+  logEvidence(
+    "info",
+    `Pruned ${deleted} scans older than ${olderThanDays} days.`,
+    {
+      action: "scan.prune",
+      project: req.query.project,
+    }
+  );
+  res.json({ deleted, olderThanDays });
+});
+
+// Lists the policy templates that fit a table's columns, with the exact SQL
+// /api/fix-rls would run for each one.
+app.post("/api/rls-templates", requireRole("admin"), async (req, res) => {
+  const { tableName, schema, dbConnectionString } = req.body;
+
+  if (!tableName || !dbConnectionString) {
+    return res.status(400).json({
+      error: "Table Name and Postgres Connection String are required.",
+    });
+  }
+  const target = parseTableName(tableName, schema);
+
+  const pool = new Pool({
+    connectionString: dbConnectionString,
+    ssl: { rejectUnauthorized: false },
+  });
+  try {
+    const tableInfo = await describeTable(pool, target.schema, target.table);
+    res.json({
+      tableName: `${target.schema}.${target.table}`,
+      columns: tableInfo.columns,
+      existingPolicies: tableInfo.existingPolicies.length,
+      defaultTemplate: DEFAULT_TEMPLATE,
+      templates: listPolicyTemplates(tableInfo),
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: `Failed to load policy templates for ${target.schema}.${target.table}: ${error.message}`,
+    });
+  } finally {
+    await pool.end();
+  }
+});
+
+// --- Remediation planners ---
+//
+// Every fix endpoint is split into a planner and an executor. The planner
+// inspects the current state and returns the exact steps the fix would run;
+// `dryRun: true` stores them as a plan, and applying requires that plan's id.
+// The planner runs again at apply time so a plan is rejected as stale if the
+// state it was reviewed against has changed.
+
+const PLAN_REQUIRED_MESSAGE =
+  "Fixes must be reviewed first. Call this endpoint with dryRun: true, then apply the returned plan with planId.";
+
+async function planRlsFix(client, { schema, table, template }) {
+  const qualifiedName = `${schema}.${table}`;
+  const tableInfo = await describeTable(client, schema, table);
+  const statements = buildRlsFixStatements(template, tableInfo);
+  const policiesAdded = statements.length - 1;
+  const sideEffects = [
+    `API clients (anon, authenticated) can only access rows of ${qualifiedName} that a policy allows.`,
+  ];
+  if (tableInfo.existingPolicies.length) {
+    sideEffects.push(
+      `The ${tableInfo.existingPolicies.length} existing policies start being enforced; no template policies are added.`
+    );
+  } else if (!policiesAdded) {
+    sideEffects.push(
+      `No policies are added, so all API access to ${qualifiedName} is denied until policies are created.`
+    );
+  }
+  return {
+    summary: `Enable RLS on ${qualifiedName} using the "${template}" template.`,
+    steps: statements.map((statement) => ({ type: "sql", statement })),
+    affected: [`table ${qualifiedName}`],
+    sideEffects,
+  };
+}
+
+async function planRlsForce(client, { schema, table }) {
+  const qualifiedName = `${schema}.${table}`;
+  const { rows } = await client.query(
+    `SELECT pg_get_userbyid(relowner) AS owner, relrowsecurity, relforcerowsecurity
+     FROM pg_class WHERE oid = to_regclass($1)`,
+    [qualifiedTableName(schema, table)]
+  );
+  if (!rows.length) {
+    throw new Error(`Table ${qualifiedName} was not found.`);
+  }
+  const { owner, relrowsecurity, relforcerowsecurity } = rows[0];
+  // postgres owns Supabase-managed tables and migrations; forcing RLS on
+  // those breaks the dashboard and migration tooling.
+  if (owner === "postgres") {
+    throw new Error(
+      `${qualifiedName} is owned by postgres; FORCE ROW LEVEL SECURITY is only offered for tables owned by other roles.`
+    );
+  }
+  if (relforcerowsecurity) {
+    return {
+      summary: `RLS is already forced on ${qualifiedName}; nothing to do.`,
+      steps: [],
+      affected: [],
+      sideEffects: [],
+    };
+  }
+  const sideEffects = [
+    `The owner role "${owner}" becomes subject to RLS policies on ${qualifiedName}; functions, triggers and jobs running as ${owner} only see rows the policies allow.`,
+  ];
+  if (!relrowsecurity) {
+    sideEffects.push(
+      `RLS is not enabled on ${qualifiedName}, so forcing it has no effect until RLS is enabled.`
+    );
+  }
+  return {
+    summary: `Force row level security on ${qualifiedName} (owner ${owner}).`,
+    steps: [
+      {
+        type: "sql",
+        statement: `ALTER TABLE ${qualifiedTableName(
+          schema,
+          table
+        )} FORCE ROW LEVEL SECURITY;`,
+      },
+    ],
+    affected: [`table ${qualifiedName}`],
+    sideEffects,
+  };
+}
+
+async function planRlsAal2(client, { schema, table }) {
+  const qualifiedName = `${schema}.${table}`;
+  const snapshot = await captureTableSnapshot(client, schema, table);
+  const policyName = aal2PolicyName(table);
+  if (snapshot.policies.some((p) => p.policyname === policyName)) {
+    throw new Error(
+      `${qualifiedName} already has a policy named "${policyName}"; review it instead.`
+    );
+  }
+  const aal = analyzeAal(snapshot.policies, {
+    rlsEnabled: snapshot.rls_enabled,
+  });
+  if (snapshot.rls_enabled && !aal.aal1_commands.length) {
+    return {
+      summary: `${qualifiedName} is not reachable at aal1; nothing to do.`,
+      steps: [],
+      affected: [],
+      sideEffects: [],
+    };
+  }
+  const sideEffects = [
+    `Signed-in users whose session has not completed MFA (aal1) can no longer read or write ${qualifiedName}; users without a verified factor lose access until they enroll one.`,
+    "The service role and roles that bypass RLS are not affected.",
+  ];
+  if (!snapshot.rls_enabled) {
+    sideEffects.push(
+      `RLS is not enabled on ${qualifiedName}, so the policy has no effect until RLS is enabled.`
+    );
+  }
+  return {
+    summary: `Require MFA (aal2) on ${qualifiedName} with restrictive policy "${policyName}".`,
+    steps: [{ type: "sql", statement: aal2PolicyStatement(schema, table) }],
+    affected: [`table ${qualifiedName}`],
+    sideEffects,
+  };
+}
+
+async function planGrantsRevoke(
+  client,
+  { schema, name, grantee, privileges, columns }
+) {
+  const qualifiedName = `${schema}.${name}`;
+  const current = await describeObjectGrants(client, schema, name, grantee);
+  const revoked = current.privileges.filter(
+    (p) =>
+      privileges.includes(p.privilege) &&
+      (columns?.length ? columns.includes(p.column) : p.column === null)
+  );
+  if (!revoked.length) {
+    return {
+      summary: `${grantee} has none of ${privileges.join(
+        ", "
+      )} on ${qualifiedName}; nothing to do.`,
+      steps: [],
+      affected: [],
+      sideEffects: [],
+      snapshot: null,
+    };
+  }
+  const revokedNames = [...new Set(revoked.map((p) => p.privilege))].join(", ");
+  const sideEffects = [
+    `${grantee} loses ${revokedNames} on ${qualifiedName}; API requests that need it fail with "permission denied".`,
+  ];
+  if (grantee === "public") {
+    sideEffects.push(
+      `PUBLIC covers every role, so roles other than anon and authenticated that relied on it lose ${revokedNames} too.`
+    );
+  } else {
+    const viaPublic = await describeObjectGrants(
+      client,
+      schema,
+      name,
+      "public"
+    );
+    const stillGranted = revoked.filter((p) =>
+      viaPublic.privileges.some(
+        (v) => v.privilege === p.privilege && v.column === p.column
+      )
+    );
+    if (stillGranted.length) {
+      sideEffects.push(
+        `PUBLIC also holds ${[
+          ...new Set(stillGranted.map((p) => p.privilege)),
+        ].join(
+          ", "
+        )} on ${qualifiedName}, so ${grantee} keeps it until PUBLIC's grant is revoked too.`
+      );
+    }
+  }
+  return {
+    summary: `Revoke ${revokedNames}${
+      columns?.length ? ` (${columns.join(", ")})` : ""
+    } on ${current.kind} ${qualifiedName} from ${grantee}.`,
+    steps: buildRevokeStatements(current, revoked).map((statement) => ({
+      type: "sql",
+      statement,
+    })),
+    affected: [`${current.kind} ${qualifiedName}`],
+    sideEffects,
+    snapshot: { ...current, privileges: revoked },
+  };
+}
+
+function functionLabel(fn) {
+  return `${fn.schema}.${fn.name}(${fn.arguments})`;
+}
+
+async function planFunctionSearchPath(client, params) {
+  const fn = await describeFunction(client, params);
+  const label = functionLabel(fn);
+  const searchPath = params.searchPath || [];
+  const snapshot = {
+    schema: fn.schema,
+    name: fn.name,
+    arguments: fn.arguments,
+    search_path: parseSearchPath(fn.search_path),
+  };
+  if (JSON.stringify(snapshot.search_path) === JSON.stringify(searchPath)) {
+    return {
+      summary: `search_path of ${label} is already pinned; nothing to do.`,
+      steps: [],
+      affected: [],
+      sideEffects: [],
+      snapshot,
+    };
+  }
+  const sideEffects = searchPath.length
+    ? [
+        `Unqualified names in ${label} resolve only through ${searchPath.join(
+          ", "
+        )}, regardless of the caller's search_path.`,
+      ]
+    : [
+        `Unqualified table, type and function names in ${label} stop resolving; its body must use schema-qualified names such as public.todos.`,
+      ];
+  return {
+    summary: `Pin search_path of ${label} to ${
+      searchPath.length ? searchPath.join(", ") : "an empty path"
+    }.`,
+    steps: [
+      {
+        type: "sql",
+        statement: setSearchPathStatement(fn.signature, searchPath),
+      },
+    ],
+    affected: [`function ${label}`],
+    sideEffects,
+    snapshot,
+  };
+}
+
+// anon usually holds EXECUTE through PUBLIC. Revoking it from PUBLIC as well
+// would also lock out signed-in users, so those keep an explicit grant.
+async function planFunctionExecuteRevoke(client, params) {
+  const fn = await describeFunction(client, params);
+  const label = functionLabel(fn);
+  const snapshot = {
+    schema: fn.schema,
+    name: fn.name,
+    arguments: fn.arguments,
+    execute_grantees: fn.execute_grantees,
+  };
+  const revoked = ["anon", "public"].filter((role) => fn.execute[role]);
+  if (!revoked.length) {
+    return {
+      summary: `anon cannot execute ${label}; nothing to do.`,
+      steps: [],
+      affected: [],
+      sideEffects: [],
+      snapshot,
+    };
+  }
+  const steps = [
+    {
+      type: "sql",
+      statement: executeStatement(fn.signature, false, revoked),
+    },
+  ];
+  const sideEffects = [
+    `anon can no longer call ${label} through /rest/v1/rpc/${fn.name}.`,
+  ];
+  if (fn.execute.public) {
+    const { rows } = await client.query(
+      `SELECT rolname FROM pg_roles WHERE rolname = ANY($1) ORDER BY rolname`,
+      [KEEP_EXECUTE_ROLES]
+    );
+    const kept = rows
+      .map((r) => r.rolname)
+      .filter((role) => !fn.execute_grantees.includes(role));
+    if (kept.length) {
+      steps.push({
+        type: "sql",
+        statement: executeStatement(fn.signature, true, kept),
+      });
+    }
+    sideEffects.push(
+      `EXECUTE is revoked from PUBLIC too; ${
+        kept.length ? `${kept.join(" and ")} get an explicit grant, but ` : ""
+      }other roles that relied on PUBLIC lose access.`
+    );
+  }
+  return {
+    summary: `Revoke EXECUTE on ${label} from anon.`,
+    steps,
+    affected: [`function ${label}`],
+    sideEffects,
+    snapshot,
+  };
+}
+
+async function runSqlSteps(client, steps) {
+  try {
+    await client.query("BEGIN");
+    for (const step of steps) {
+      await client.query(step.statement);
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  }
+}
+
+async function planMfaFix(supabase, projectUrl, userId) {
+  const { data: userData, error: userError } =
+    await supabase.auth.admin.getUserById(userId);
+
+  if (userError) {
+    throw userError;
+  }
+  if (!userData?.user?.email) {
+    throw new Error(
+      "User email not found. Cannot enable MFA without an email address."
+    );
+  }
+
+  const email = userData.user.email;
+  const redirectTo = `${projectUrl}/auth/reset-password?mfa_setup=true`;
+  return {
+    summary: `Send an MFA setup (password reset) email to ${email}.`,
+    params: { userId, email, redirectTo },
+    steps: [
+      {
+        type: "http",
+        method: "POST",
+        url: `${projectUrl}/auth/v1/recover?redirect_to=${encodeURIComponent(
+          redirectTo
+        )}`,
+        body: { email },
+      },
+    ],
+    affected: [`user ${email} (${userId})`],
+    sideEffects: [
+      `A password reset email is sent to ${email}.`,
+      "The user is prompted to set up MFA when resetting their password.",
+    ],
+  };
+}
+
+async function fetchManagementProject(projectRef) {
+  const checkRes = await fetch(
+    `https://api.supabase.com/v1/projects/${projectRef}`,
+    {
+      headers: {
+        Authorization: `Bearer ${MANAGEMENT_ACCESS_TOKEN}`,
+        Accept: "application/json",
+      },
+    }
+  );
+
+  if (!checkRes.ok) {
+    const errorText = await checkRes.text();
+    throw new Error(
+      `Failed to check project status: ${checkRes.status} ${errorText}`
+    );
+  }
+
+  return checkRes.json();
+}
+
+async function planPitrFix(projectRef) {
+  const project = await fetchManagementProject(projectRef);
+  const pitrAddon = project.addons?.find(
+    (addon) => addon.type && addon.type.toLowerCase().includes("pitr")
+  );
+
+  const current = {
+    pitrAddon: pitrAddon || null,
+    addons: project.addons || [],
+  };
+
+  if (pitrAddon) {
+    return {
+      summary: `PITR is already enabled for project ${projectRef}; nothing to do.`,
+      steps: [],
+      affected: [],
+      sideEffects: [],
+      current,
+    };
+  }
+
+  return {
+    current,
+    summary: `Enable the PITR add-on for project ${projectRef} with 7 days retention.`,
+    steps: [
+      {
+        type: "http",
+        method: "PATCH",
+        url: `https://api.supabase.com/v1/projects/${projectRef}/addons`,
+        body: [
+          {
+            type: "pitr",
+            options: {
+              retention_period_days: 7, // Default to 7 days retention
+            },
+          },
+        ],
+      },
+    ],
+    affected: [`project ${projectRef}`],
+    sideEffects: [
+      "PITR is a paid add-on; the organization is billed for it.",
+      "The change may take a few minutes to take effect.",
+    ],
+  };
+}
+
+const AUTH_PATCH_SIDE_EFFECTS = {
+  password_min_length:
+    "Existing passwords keep working; new and changed passwords must meet the new rules.",
+  password_required_characters:
+    "Existing passwords keep working; new and changed passwords must meet the new rules.",
+  password_hibp_enabled:
+    "Leaked password protection is only available on paid plans; the request fails on the free plan.",
+  mailer_autoconfirm:
+    "New users must confirm their email address before they can sign in.",
+  jwt_exp:
+    "Access tokens expire sooner, so clients refresh their session more often.",
+  mfa_phone_enroll_enabled:
+    "Phone MFA sends SMS through the project's SMS provider, which must be configured.",
+  disable_signup:
+    "Nobody can create a new account; users have to be invited or created by an admin.",
+};
+
+async function planAuthConfigFix(projectRef, { settings, baseline }) {
+  const config = await fetchAuthConfig(projectRef);
+  const resolvedBaseline = loadBaseline(baseline);
+  const patch = buildAuthConfigPatch(
+    evaluateAuthConfig(config, resolvedBaseline),
+    resolvedBaseline,
+    settings
+  );
+  const fields = Object.keys(patch);
+  const snapshot = {
+    projectRef,
+    previous: Object.fromEntries(fields.map((f) => [f, config[f] ?? null])),
+  };
+  if (!fields.length) {
+    return {
+      summary: `Auth config of project ${projectRef} already meets the baseline for the selected settings; nothing to do.`,
+      steps: [],
+      affected: [],
+      sideEffects: [],
+      snapshot,
+    };
+  }
+  return {
+    summary: `Update ${fields.join(
+      ", "
+    )} in the auth config of project ${projectRef}.`,
+    steps: [
+      {
+        type: "http",
+        method: "PATCH",
+        url: `https://api.supabase.com/v1/projects/${projectRef}/config/auth`,
+        body: patch,
+      },
+    ],
+    affected: [`auth config of project ${projectRef}`],
+    sideEffects: [
+      ...new Set(fields.map((f) => AUTH_PATCH_SIDE_EFFECTS[f]).filter(Boolean)),
+    ],
+    snapshot,
+  };
+}
+
+async function runManagementSteps(steps) {
+  for (const step of steps) {
+    const stepRes = await fetch(step.url, {
+      method: step.method,
+      headers: {
+        Authorization: `Bearer ${MANAGEMENT_ACCESS_TOKEN}`,
+        Accept: "application/json",
+        ...(step.body ? { "Content-Type": "application/json" } : {}),
+      },
+      body: step.body ? JSON.stringify(step.body) : undefined,
+    });
+    if (!stepRes.ok) {
+      const errorText = await stepRes.text();
+      throw new Error(`Management API request failed: ${errorText}`);
+    }
+  }
+}
+
+function bucketUpdateStep(projectUrl, bucket, isPublic) {
+  return {
+    type: "http",
+    method: "PUT",
+    url: `${projectUrl}/storage/v1/bucket/${encodeURIComponent(bucket.id)}`,
+    body: {
+      public: isPublic,
+      file_size_limit: bucket.file_size_limit ?? null,
+      allowed_mime_types: bucket.allowed_mime_types ?? null,
+    },
+  };
+}
+
+async function planBucketPrivate(supabase, projectUrl, bucketId) {
+  const { data: bucket, error } = await supabase.storage.getBucket(bucketId);
+  if (error) throw error;
+  const snapshot = {
+    bucketId: bucket.id,
+    public: bucket.public === true,
+  };
+  if (!bucket.public) {
+    return {
+      summary: `Bucket ${bucket.id} is already private; nothing to do.`,
+      steps: [],
+      affected: [],
+      sideEffects: [],
+      snapshot,
+    };
+  }
+  return {
+    summary: `Make storage bucket ${bucket.id} private.`,
+    steps: [bucketUpdateStep(projectUrl, bucket, false)],
+    affected: [`bucket ${bucket.id}`],
+    sideEffects: [
+      `Public URLs under /storage/v1/object/public/${bucket.id}/ stop working; links already shared or embedded break.`,
+      "Files can then only be downloaded through signed URLs or by users a storage.objects SELECT policy allows.",
+    ],
+    snapshot,
+  };
+}
+
+// Bucket update steps are sent through the service-role Storage client.
+async function runBucketSteps(supabase, steps) {
+  for (const step of steps) {
+    const bucketId = decodeURIComponent(step.url.split("/bucket/")[1]);
+    const { error } = await supabase.storage.updateBucket(bucketId, {
+      public: step.body.public,
+      fileSizeLimit: step.body.file_size_limit,
+      allowedMimeTypes: step.body.allowed_mime_types,
+    });
+    if (error) throw error;
+  }
+}
+
+// Loads the plan referenced by `planId`, or answers the request with why it
+// cannot be applied. Returns null when a response has already been sent.
+function loadPlanForApply(req, res, action, credentials) {
+  const { dryRun, planId } = req.body;
+  if (dryRun) return { plan: null };
+  if (!planId) {
+    res.status(400).json({ error: PLAN_REQUIRED_MESSAGE });
+    return null;
+  }
+  const consumed = consumePlan(planId, action, credentials);
+  if (consumed.error) {
+    logEvidence("error", `Rejected ${action} plan ${planId}.`, {
+      action: "plan.reject",
+      error: consumed.error,
+    });
+    res.status(consumed.status).json({ error: consumed.error });
+    return null;
+  }
+  return consumed;
+}
+
+function rejectStalePlan(res, plan, planned) {
+  logEvidence("error", `Rejected stale ${plan.action} plan ${plan.id}.`, {
+    action: "plan.reject",
+    project: plan.project,
+    reviewed: plan.steps,
+    current: planned.steps,
+  });
+  return res.status(409).json({
+    error:
+      "The target changed since this plan was reviewed. Create and review a new plan before applying.",
+  });
+}
+
+app.post("/api/fix-rls", requireRole("admin"), async (req, res) => {
+  const {
+    projectUrl,
+    serviceKey,
+    tableName,
+    schema,
+    dbConnectionString,
+    template = DEFAULT_TEMPLATE,
+    dryRun,
+  } = req.body;
+  const displayUrl =
+    projectUrl && projectUrl.includes("supabase.co")
+      ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+      : projectUrl;
+
+  if (dryRun && !tableName) {
+    return res.status(400).json({ error: "Table Name is required." });
+  }
+
+  if (!projectUrl || !serviceKey || !dbConnectionString) {
+    logEvidence("error", "Missing parameters for RLS fix.", {
+      action: "remediation.request",
+    });
+    return res.status(400).json({
+      error:
+        "Project URL, Service Key and Postgres Connection String are required.",
+    });
+  }
+
+  const credentials = fingerprint(projectUrl, dbConnectionString);
+  const loaded = loadPlanForApply(req, res, "fix-rls", credentials);
+  if (!loaded) return;
+  const { plan } = loaded;
+
+  const params = plan
+    ? plan.params
+    : { ...parseTableName(tableName, schema), template };
+  const qualifiedName = `${params.schema}.${params.table}`;
+
+  const pool = new Pool({
+    connectionString: dbConnectionString,
+    ssl: { rejectUnauthorized: false },
+  });
+  let client;
+  try {
+    client = await pool.connect();
+    const planned = await planRlsFix(client, params);
+
+    if (dryRun) {
+      const newPlan = createPlan({
+        action: "fix-rls",
+        project: displayUrl,
+        params,
+        ...planned,
+        credentials,
+      });
+      logEvidence("info", `Planned RLS fix for table: ${qualifiedName}`, {
+        action: "remediation.plan",
+        project: displayUrl,
+        planId: newPlan.id,
+        steps: newPlan.steps,
+      });
+      return res.json({ plan: newPlan });
+    }
+
+    if (!isSamePlan(plan, planned)) {
+      return rejectStalePlan(res, plan, planned);
+    }
+
+    const snapshot = await captureTableSnapshot(
+      client,
+      params.schema,
+      params.table
+    );
+    await runSqlSteps(client, plan.steps);
+    const remediation = recordRemediation({
+      action: "fix-rls",
+      project: displayUrl,
+      planId: plan.id,
+      params,
+      steps: plan.steps,
+      snapshot,
+    });
+
+    const statements = plan.steps.map((step) => step.statement);
+    const policiesAdded = statements.length - 1;
+    const successMessage = policiesAdded
+      ? `RLS successfully enabled for table: \"${qualifiedName}\" with the "${params.template}" policy template (${policiesAdded} policies added).`
+      : `RLS successfully enabled for table: \"${qualifiedName}\". No policies were added, so API access is denied until you add some. Use the chat to generate policies tailored to your needs!`;
+    logEvidence("info", successMessage, {
+      action: "remediation.apply",
+      project: displayUrl,
+      tableName: qualifiedName,
+      template: params.template,
+      planId: plan.id,
+      remediationId: remediation.id,
+      statements,
+    });
+    return res.json({
+      message: successMessage,
+      tableName: qualifiedName,
+      template: params.template,
+      planId: plan.id,
+      remediationId: remediation.id,
+      statements,
+    });
+  } catch (error) {
+    logEvidence(
+      "error",
+      `Failed to enable RLS for table: ${qualifiedName} (direct DB)`,
+      {
+        action: "remediation.apply",
+        error,
+        errorType: typeof error,
+        errorString: String(error),
+        errorStack: error && error.stack,
+      }
+    );
+    return res.status(500).json({
+      error: `Failed to enable RLS for \"${qualifiedName}\": ${String(error)}`,
+      errorType: typeof error,
+      errorString: String(error),
+      errorStack: error && error.stack,
+      errorObj: error,
+    });
+  } finally {
+    client?.release();
+    await pool.end();
+  }
+});
+
+app.post("/api/fix-rls-force", requireRole("admin"), async (req, res) => {
+  const {
+    projectUrl,
+    serviceKey,
+    tableName,
+    schema,
+    dbConnectionString,
+    dryRun,
+  } = req.body;
+  const displayUrl =
+    projectUrl && projectUrl.includes("supabase.co")
+      ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+      : projectUrl;
+
+  if (dryRun && !tableName) {
+    return res.status(400).json({ error: "Table Name is required." });
+  }
+
+  if (!projectUrl || !serviceKey || !dbConnectionString) {
+    logEvidence("error", "Missing parameters for FORCE RLS fix.", {
+      action: "remediation.request",
+    });
+    return res.status(400).json({
+      error:
+        "Project URL, Service Key and Postgres Connection String are required.",
+    });
+  }
+
+  const credentials = fingerprint(projectUrl, dbConnectionString);
+  const loaded = loadPlanForApply(req, res, "fix-rls-force", credentials);
+  if (!loaded) return;
+  const { plan } = loaded;
+
+  const params = plan ? plan.params : parseTableName(tableName, schema);
+  const qualifiedName = `${params.schema}.${params.table}`;
+
+  const pool = new Pool({
+    connectionString: dbConnectionString,
+    ssl: { rejectUnauthorized: false },
+  });
+  let client;
+  try {
+    client = await pool.connect();
+    const planned = await planRlsForce(client, params);
+
+    if (dryRun) {
+      const newPlan = createPlan({
+        action: "fix-rls-force",
+        project: displayUrl,
+        params,
+        ...planned,
+        credentials,
+      });
+      logEvidence("info", `Planned FORCE RLS for table: ${qualifiedName}`, {
+        action: "remediation.plan",
+        project: displayUrl,
+        planId: newPlan.id,
+        steps: newPlan.steps,
+      });
+      return res.json({ plan: newPlan });
+    }
+
+    if (!isSamePlan(plan, planned)) {
+      return rejectStalePlan(res, plan, planned);
+    }
+
+    const snapshot = await captureTableSnapshot(
+      client,
+      params.schema,
+      params.table
+    );
+    await runSqlSteps(client, plan.steps);
+    const remediation = plan.steps.length
+      ? recordRemediation({
+          action: "fix-rls-force",
+          project: displayUrl,
+          planId: plan.id,
+          params,
+          steps: plan.steps,
+          snapshot,
+        })
+      : null;
+
+    const successMessage = plan.steps.length
+      ? `RLS is now forced on table: "${qualifiedName}". The table owner no longer bypasses its policies.`
+      : `RLS was already forced on table: "${qualifiedName}".`;
+    logEvidence("info", successMessage, {
+      action: "remediation.apply",
+      project: displayUrl,
+      tableName: qualifiedName,
+      planId: plan.id,
+      remediationId: remediation?.id,
+    });
+    return res.json({
+      message: successMessage,
+      tableName: qualifiedName,
+      planId: plan.id,
+      remediationId: remediation?.id,
+    });
+  } catch (error) {
+    logEvidence("error", `Failed to force RLS for table: ${qualifiedName}`, {
+      action: "remediation.apply",
+      project: displayUrl,
+      error: error.message,
+    });
+    return res.status(500).json({
+      error: `Failed to force RLS for "${qualifiedName}": ${error.message}`,
+    });
+  } finally {
+    client?.release();
+    await pool.end();
+  }
+});
+
+app.post("/api/fix-rls-aal2", requireRole("admin"), async (req, res) => {
+  const {
+    projectUrl,
+    serviceKey,
+    tableName,
+    schema,
+    dbConnectionString,
+    dryRun,
+  } = req.body;
+  const displayUrl =
+    projectUrl && projectUrl.includes("supabase.co")
+      ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+      : projectUrl;
+
+  if (dryRun && !tableName) {
+    return res.status(400).json({ error: "Table Name is required." });
+  }
+
+  if (!projectUrl || !serviceKey || !dbConnectionString) {
+    logEvidence("error", "Missing parameters for AAL2 policy fix.", {
+      action: "remediation.request",
+    });
+    return res.status(400).json({
+      error:
+        "Project URL, Service Key and Postgres Connection String are required.",
+    });
+  }
+
+  const credentials = fingerprint(projectUrl, dbConnectionString);
+  const loaded = loadPlanForApply(req, res, "fix-rls-aal2", credentials);
+  if (!loaded) return;
+  const { plan } = loaded;
+
+  const params = plan ? plan.params : parseTableName(tableName, schema);
+  const qualifiedName = `${params.schema}.${params.table}`;
+
+  const pool = new Pool({
+    connectionString: dbConnectionString,
+    ssl: { rejectUnauthorized: false },
+  });
+  let client;
+  try {
+    client = await pool.connect();
+    const planned = await planRlsAal2(client, params);
+
+    if (dryRun) {
+      const newPlan = createPlan({
+        action: "fix-rls-aal2",
+        project: displayUrl,
+        params,
+        ...planned,
+        credentials,
+      });
+      logEvidence("info", `Planned AAL2 policy for table: ${qualifiedName}`, {
+        action: "remediation.plan",
+        project: displayUrl,
+        planId: newPlan.id,
+        steps: newPlan.steps,
+      });
+      return res.json({ plan: newPlan });
+    }
+
+    if (!isSamePlan(plan, planned)) {
+      return rejectStalePlan(res, plan, planned);
+    }
+
+    const snapshot = await captureTableSnapshot(
+      client,
+      params.schema,
+      params.table
+    );
+    await runSqlSteps(client, plan.steps);
+    const remediation = plan.steps.length
+      ? recordRemediation({
+          action: "fix-rls-aal2",
+          project: displayUrl,
+          planId: plan.id,
+          params,
+          steps: plan.steps,
+          snapshot,
+        })
+      : null;
+
+    const successMessage = plan.steps.length
+      ? `Table "${qualifiedName}" now requires MFA (aal2) for signed-in users.`
+      : `Table "${qualifiedName}" already requires MFA (aal2).`;
+    logEvidence("info", successMessage, {
+      action: "remediation.apply",
+      project: displayUrl,
+      tableName: qualifiedName,
+      planId: plan.id,
+      remediationId: remediation?.id,
+    });
+    return res.json({
+      message: successMessage,
+      tableName: qualifiedName,
+      planId: plan.id,
+      remediationId: remediation?.id,
+    });
+  } catch (error) {
+    logEvidence(
       "error",
-      `Failed to enable RLS for table: ${tableName} (direct DB)`,
+      `Failed to add AAL2 policy for table: ${qualifiedName}`,
       {
-        error,
-        errorType: typeof error,
-        errorString: String(error),
-        errorStack: error && error.stack,
+        action: "remediation.apply",
+        project: displayUrl,
+        error: error.message,
       }
     );
     return res.status(500).json({
-      error: `Failed to enable RLS for \"${tableName}\": ${String(error)}`,
-      errorType: typeof error,
-      errorString: String(error),
-      errorStack: error && error.stack,
-      errorObj: error,
+      error: `Failed to require MFA for "${qualifiedName}": ${error.message}`,
+    });
+  } finally {
+    client?.release();
+    await pool.end();
+  }
+});
+
+app.post("/api/fix-grants", requireRole("admin"), async (req, res) => {
+  const {
+    projectUrl,
+    serviceKey,
+    objectName,
+    schema,
+    grantee,
+    privileges,
+    columns,
+    dbConnectionString,
+    dryRun,
+  } = req.body;
+  const displayUrl =
+    projectUrl && projectUrl.includes("supabase.co")
+      ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+      : projectUrl;
+
+  if (dryRun) {
+    if (!objectName) {
+      return res.status(400).json({ error: "Object Name is required." });
+    }
+    if (!API_ROLES.includes(grantee)) {
+      return res
+        .status(400)
+        .json({ error: `Grantee must be one of: ${API_ROLES.join(", ")}.` });
+    }
+    const known = [...TABLE_PRIVILEGES, ...SEQUENCE_PRIVILEGES];
+    if (
+      !Array.isArray(privileges) ||
+      !privileges.length ||
+      !privileges.every((p) => known.includes(p))
+    ) {
+      return res.status(400).json({
+        error: `Privileges must be a non-empty list of: ${[
+          ...new Set(known),
+        ].join(", ")}.`,
+      });
+    }
+  }
+
+  if (!projectUrl || !serviceKey || !dbConnectionString) {
+    logEvidence("error", "Missing parameters for grants fix.", {
+      action: "remediation.request",
+    });
+    return res.status(400).json({
+      error:
+        "Project URL, Service Key and Postgres Connection String are required.",
+    });
+  }
+
+  const credentials = fingerprint(projectUrl, dbConnectionString);
+  const loaded = loadPlanForApply(req, res, "fix-grants", credentials);
+  if (!loaded) return;
+  const { plan } = loaded;
+
+  let params = plan?.params;
+  if (!params) {
+    const { schema: objectSchema, table } = parseTableName(objectName, schema);
+    params = {
+      schema: objectSchema,
+      name: table,
+      grantee,
+      privileges,
+      columns: columns?.length ? columns : null,
+    };
+  }
+  const qualifiedName = `${params.schema}.${params.name}`;
+
+  const pool = new Pool({
+    connectionString: dbConnectionString,
+    ssl: { rejectUnauthorized: false },
+  });
+  let client;
+  try {
+    client = await pool.connect();
+    const { snapshot, ...planned } = await planGrantsRevoke(client, params);
+
+    if (dryRun) {
+      const newPlan = createPlan({
+        action: "fix-grants",
+        project: displayUrl,
+        params,
+        ...planned,
+        credentials,
+      });
+      logEvidence("info", `Planned grants fix for: ${qualifiedName}`, {
+        action: "remediation.plan",
+        project: displayUrl,
+        planId: newPlan.id,
+        steps: newPlan.steps,
+      });
+      return res.json({ plan: newPlan });
+    }
+
+    if (!isSamePlan(plan, planned)) {
+      return rejectStalePlan(res, plan, planned);
+    }
+
+    await runSqlSteps(client, plan.steps);
+    const remediation = plan.steps.length
+      ? recordRemediation({
+          action: "fix-grants",
+          project: displayUrl,
+          planId: plan.id,
+          params,
+          steps: plan.steps,
+          snapshot,
+        })
+      : null;
+
+    const successMessage = plan.steps.length
+      ? `Revoked ${params.privileges.join(", ")} on "${qualifiedName}" from ${
+          params.grantee
+        }.`
+      : `${params.grantee} already had none of ${params.privileges.join(
+          ", "
+        )} on "${qualifiedName}".`;
+    logEvidence("info", successMessage, {
+      action: "remediation.apply",
+      project: displayUrl,
+      objectName: qualifiedName,
+      grantee: params.grantee,
+      planId: plan.id,
+      remediationId: remediation?.id,
+      statements: plan.steps.map((step) => step.statement),
+    });
+    return res.json({
+      message: successMessage,
+      objectName: qualifiedName,
+      planId: plan.id,
+      remediationId: remediation?.id,
+    });
+  } catch (error) {
+    logEvidence("error", `Failed to revoke grants on: ${qualifiedName}`, {
+      action: "remediation.apply",
+      project: displayUrl,
+      error: error.message,
+    });
+    return res.status(500).json({
+      error: `Failed to revoke grants on "${qualifiedName}": ${error.message}`,
+    });
+  } finally {
+    client?.release();
+    await pool.end();
+  }
+});
+
+// Both function fixes take the function's schema, name and identity
+// arguments as reported by the functions check.
+function functionFixHandler(action, planner, successMessage) {
+  return async (req, res) => {
+    const {
+      projectUrl,
+      serviceKey,
+      schema = "public",
+      functionName,
+      arguments: args = "",
+      searchPath,
+      dbConnectionString,
+      dryRun,
+    } = req.body;
+    const displayUrl =
+      projectUrl && projectUrl.includes("supabase.co")
+        ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+        : projectUrl;
+
+    if (dryRun && !functionName) {
+      return res.status(400).json({ error: "Function Name is required." });
+    }
+    if (
+      dryRun &&
+      searchPath !== undefined &&
+      (!Array.isArray(searchPath) ||
+        !searchPath.every((s) => typeof s === "string" && s))
+    ) {
+      return res
+        .status(400)
+        .json({ error: "searchPath must be a list of schema names." });
+    }
+
+    if (!projectUrl || !serviceKey || !dbConnectionString) {
+      logEvidence("error", `Missing parameters for ${action}.`, {
+        action: "remediation.request",
+      });
+      return res.status(400).json({
+        error:
+          "Project URL, Service Key and Postgres Connection String are required.",
+      });
+    }
+
+    const credentials = fingerprint(projectUrl, dbConnectionString);
+    const loaded = loadPlanForApply(req, res, action, credentials);
+    if (!loaded) return;
+    const { plan } = loaded;
+
+    const params = plan
+      ? plan.params
+      : {
+          schema,
+          name: functionName,
+          arguments: args,
+          ...(action === "fix-function-search-path"
+            ? { searchPath: searchPath || [] }
+            : {}),
+        };
+    const label = `${params.schema}.${params.name}(${params.arguments})`;
+
+    const pool = new Pool({
+      connectionString: dbConnectionString,
+      ssl: { rejectUnauthorized: false },
+    });
+    let client;
+    try {
+      client = await pool.connect();
+      const { snapshot, ...planned } = await planner(client, params);
+
+      if (dryRun) {
+        const newPlan = createPlan({
+          action,
+          project: displayUrl,
+          params,
+          ...planned,
+          credentials,
+        });
+        logEvidence("info", `Planned ${action} for function: ${label}`, {
+          action: "remediation.plan",
+          project: displayUrl,
+          planId: newPlan.id,
+          steps: newPlan.steps,
+        });
+        return res.json({ plan: newPlan });
+      }
+
+      if (!isSamePlan(plan, planned)) {
+        return rejectStalePlan(res, plan, planned);
+      }
+
+      await runSqlSteps(client, plan.steps);
+      const remediation = plan.steps.length
+        ? recordRemediation({
+            action,
+            project: displayUrl,
+            planId: plan.id,
+            params,
+            steps: plan.steps,
+            snapshot,
+          })
+        : null;
+
+      const message = plan.steps.length
+        ? successMessage(label, params)
+        : plan.summary;
+      logEvidence("info", message, {
+        action: "remediation.apply",
+        project: displayUrl,
+        functionName: label,
+        planId: plan.id,
+        remediationId: remediation?.id,
+        statements: plan.steps.map((step) => step.statement),
+      });
+      return res.json({
+        message,
+        functionName: label,
+        planId: plan.id,
+        remediationId: remediation?.id,
+      });
+    } catch (error) {
+      logEvidence("error", `Failed to apply ${action} to function: ${label}`, {
+        action: "remediation.apply",
+        project: displayUrl,
+        error: error.message,
+      });
+      return res.status(500).json({
+        error: `Failed to apply ${action} to "${label}": ${error.message}`,
+      });
+    } finally {
+      client?.release();
+      await pool.end();
+    }
+  };
+}
+
+app.post(
+  "/api/fix-function-search-path",
+  requireRole("admin"),
+  functionFixHandler(
+    "fix-function-search-path",
+    planFunctionSearchPath,
+    (label, params) =>
+      `Pinned search_path of "${label}" to ${
+        params.searchPath.length ? params.searchPath.join(", ") : "''"
+      }.`
+  )
+);
+
+app.post(
+  "/api/fix-function-execute",
+  requireRole("admin"),
+  functionFixHandler(
+    "fix-function-execute",
+    planFunctionExecuteRevoke,
+    (label) => `Revoked EXECUTE on "${label}" from anon.`
+  )
+);
+
+app.post("/api/fix-mfa", requireRole("admin"), async (req, res) => {
+  const { projectUrl, serviceKey, userId, dryRun } = req.body;
+  const displayUrl =
+    projectUrl && projectUrl.includes("supabase.co")
+      ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+      : projectUrl;
+
+  if (!projectUrl || !serviceKey || (dryRun && !userId)) {
+    logEvidence("error", "Missing parameters for MFA fix.", {
+      action: "remediation.request",
+    });
+    return res.status(400).json({
+      error: "Project URL, Service Key, and User ID are required.",
+    });
+  }
+
+  const credentials = fingerprint(projectUrl, serviceKey);
+  const loaded = loadPlanForApply(req, res, "fix-mfa", credentials);
+  if (!loaded) return;
+  const { plan } = loaded;
+  const targetUserId = plan ? plan.params.userId : userId;
+
+  try {
+    const supabase = getSupabaseClient(projectUrl, serviceKey);
+    const { params, ...planned } = await planMfaFix(
+      supabase,
+      projectUrl,
+      targetUserId
+    );
+
+    if (dryRun) {
+      const newPlan = createPlan({
+        action: "fix-mfa",
+        project: displayUrl,
+        params,
+        ...planned,
+        credentials,
+      });
+      logEvidence("info", `Planned MFA fix for user: ${targetUserId}`, {
+        action: "remediation.plan",
+        project: displayUrl,
+        planId: newPlan.id,
+      });
+      return res.json({ plan: newPlan });
+    }
+
+    if (!isSamePlan(plan, planned)) {
+      return rejectStalePlan(res, plan, planned);
+    }
+
+    const userEmail = plan.params.email;
+
+    // Send a password reset email
+    const { error: resetError } = await supabase.auth.resetPasswordForEmail(
+      userEmail,
+      {
+        redirectTo: plan.params.redirectTo,
+      }
+    );
+
+    if (resetError) {
+      logEvidence(
+        "error",
+        `Failed to send MFA setup email to user: ${userEmail}`,
+        {
+          action: "remediation.apply",
+          error: resetError.message,
+        }
+      );
+      throw resetError;
+    }
+
+    const remediation = recordRemediation({
+      action: "fix-mfa",
+      project: displayUrl,
+      planId: plan.id,
+      params: plan.params,
+      steps: plan.steps,
+      snapshot: null,
+      revertible: false,
+      reason: "A sent email cannot be recalled.",
+    });
+
+    const successMessage = `A password reset email has been sent to ${userEmail}. When resetting the password, the user will be prompted to set up MFA.`;
+    logEvidence("info", successMessage, {
+      action: "remediation.apply",
+      project: displayUrl,
+      userId: targetUserId,
+      planId: plan.id,
+      remediationId: remediation.id,
+    });
+    res.json({
+      message: successMessage,
+      userId: targetUserId,
+      email: userEmail,
+      planId: plan.id,
+      remediationId: remediation.id,
+    });
+  } catch (error) {
+    logEvidence("error", `Failed to enable MFA for user: ${targetUserId}`, {
+      action: "remediation.apply",
+      project: displayUrl,
+      error: error.message,
+    });
+    res.status(500).json({
+      error: `Failed to enable MFA for user ${targetUserId}: ${error.message}`,
+    });
+  }
+});
+
+// --- MFA enrollment campaigns ---
+
+async function listMfaUsers(supabase) {
+  const mfaOptions = resolveMfaOptions();
+  const now = new Date();
+  return (await listAllUsers(supabase)).map((user) =>
+    classifyUser(user, mfaOptions, now)
+  );
+}
+
+function campaignMessage(campaign, recipient, type) {
+  const { subject, text } = renderTemplate(campaign.template, {
+    email: recipient.email,
+    project: campaign.project,
+    enrollUrl: campaign.enrollUrl,
+  });
+  return {
+    to: recipient.email,
+    subject: type === "reminder" ? `Reminder: ${subject}` : subject,
+    text,
+  };
+}
+
+function emailSteps(campaign, recipients, type) {
+  return recipients.map((recipient) => {
+    const { to, subject } = campaignMessage(campaign, recipient, type);
+    return { type: "email", to, subject };
+  });
+}
+
+// Users without a verified factor who have an email address, are not banned
+// and are not already in an open campaign. Without userIds, only users the MFA
+// check requires MFA for are selected.
+async function planMfaCampaign(
+  supabase,
+  project,
+  { userIds, enrollUrl, template }
+) {
+  const users = await listMfaUsers(supabase);
+  const recipients = selectRecipients(
+    users,
+    openRecipientIds(project),
+    userIds
+  );
+  const campaign = { project, enrollUrl, template };
+  return {
+    summary: recipients.length
+      ? `Start an MFA enrollment campaign and email ${recipients.length} users without MFA.`
+      : "No users without MFA need a notice; nothing to send.",
+    params: { userIds: recipients.map((r) => r.userId), enrollUrl, template },
+    steps: emailSteps(campaign, recipients, "notice"),
+    affected: recipients.map((r) => `user ${r.email} (${r.userId})`),
+    sideEffects: recipients.length
+      ? [
+          `${recipients.length} emails are sent through the ${
+            getMailTransport().name
+          } mail transport and cannot be recalled.`,
+          "Users already in an open campaign are not emailed again.",
+        ]
+      : [],
+  };
+}
+
+// Plans on a copy so a dry run does not record enrollment.
+async function planCampaignReminders(supabase, campaign) {
+  const checked = structuredClone(campaign);
+  applyEnrollment(checked, await listMfaUsers(supabase));
+  const due = recipientsDueForReminder(checked);
+  return {
+    summary: due.length
+      ? `Email MFA enrollment reminders to ${due.length} users who have not enrolled.`
+      : "No reminders are due; nothing to send.",
+    steps: emailSteps(checked, due, "reminder"),
+    affected: due.map((r) => `user ${r.email} (${r.userId})`),
+    sideEffects: due.length
+      ? [
+          `${due.length} emails are sent through the ${
+            getMailTransport().name
+          } mail transport and cannot be recalled.`,
+        ]
+      : [],
+  };
+}
+
+async function sendCampaignEmails(campaign, recipients, type) {
+  for (const recipient of recipients) {
+    let result;
+    try {
+      result = await sendMail(campaignMessage(campaign, recipient, type));
+    } catch (error) {
+      result = { error: error.message };
+    }
+    recordNotification(recipient, type, result);
+    logEvidence(
+      result.error ? "error" : "info",
+      `MFA campaign ${type} ${result.error ? "failed" : "sent"}: ${
+        recipient.email
+      }`,
+      {
+        action: "campaign.email",
+        project: campaign.project,
+        campaignId: campaign.id,
+        userId: recipient.userId,
+        messageId: result.messageId,
+        error: result.error,
+      }
+    );
+  }
+  return saveCampaign(campaign);
+}
+
+function withProgress(campaign) {
+  return { ...campaign, progress: campaignProgress(campaign) };
+}
+
+// The campaign named in the URL, if it belongs to the project of the request.
+function loadCampaignForProject(req, res, displayUrl) {
+  const campaign = getCampaign(req.params.id);
+  if (!campaign) {
+    res.status(404).json({ error: "Campaign not found." });
+    return null;
+  }
+  if (campaign.project !== displayUrl) {
+    res.status(400).json({ error: "Campaign belongs to a different project." });
+    return null;
+  }
+  return campaign;
+}
+
+app.get("/api/mfa-campaigns", requireRole("viewer"), (req, res) => {
+  res.json({
+    campaigns: listCampaigns(req.query.project).map(withProgress),
+  });
+});
+
+app.post("/api/mfa-campaigns", requireRole("admin"), async (req, res) => {
+  const { projectUrl, serviceKey, userIds, subject, text, dryRun } = req.body;
+  const displayUrl =
+    projectUrl && projectUrl.includes("supabase.co")
+      ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+      : projectUrl;
+
+  if (!projectUrl || !serviceKey) {
+    logEvidence("error", "Missing parameters for MFA campaign.", {
+      action: "campaign.request",
     });
+    return res
+      .status(400)
+      .json({ error: "Project URL and Service Key are required." });
   }
-});
 
-app.post("/api/fix-mfa", async (req, res) => {
-  const { projectUrl, serviceKey, userId } = req.body;
-  const displayUrl = projectUrl.includes("supabase.co")
-    ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
-    : projectUrl;
+  const credentials = fingerprint(projectUrl, serviceKey);
+  const loaded = loadPlanForApply(req, res, "mfa-campaign", credentials);
+  if (!loaded) return;
+  const { plan } = loaded;
 
-  if (!projectUrl || !serviceKey || !userId) {
-    logEvidence("error", "Missing parameters for MFA fix.");
+  const params = plan
+    ? plan.params
+    : {
+        userIds: Array.isArray(userIds) ? userIds : undefined,
+        enrollUrl: req.body.enrollUrl || process.env.MFA_ENROLL_URL,
+        template: {
+          subject: subject || DEFAULT_CAMPAIGN_TEMPLATE.subject,
+          text: text || DEFAULT_CAMPAIGN_TEMPLATE.text,
+        },
+      };
+  if (!params.enrollUrl) {
     return res.status(400).json({
-      error: "Project URL, Service Key, and User ID are required.",
+      error:
+        "An enrollment URL is required (enrollUrl or MFA_ENROLL_URL): the page where users set up MFA.",
     });
   }
 
   try {
     const supabase = getSupabaseClient(projectUrl, serviceKey);
+    const { params: planParams, ...planned } = await planMfaCampaign(
+      supabase,
+      displayUrl,
+      params
+    );
+
+    if (dryRun) {
+      const newPlan = createPlan({
+        action: "mfa-campaign",
+        project: displayUrl,
+        params: planParams,
+        ...planned,
+        credentials,
+      });
+      logEvidence("info", "Planned MFA enrollment campaign.", {
+        action: "campaign.plan",
+        project: displayUrl,
+        planId: newPlan.id,
+        recipients: planParams.userIds.length,
+      });
+      return res.json({ plan: newPlan });
+    }
 
-    // First, check if the user exists
-    const { data: userData, error: userError } =
-      await supabase.auth.admin.getUserById(userId);
+    if (!isSamePlan(plan, planned)) {
+      return rejectStalePlan(res, plan, planned);
+    }
+    if (!plan.steps.length) {
+      return res.json({ message: "No users to notify.", planId: plan.id });
+    }
 
-    if (userError) {
-      logEvidence(
-        "error",
-        `Failed to find user: ${userId} on project ${displayUrl}`,
-        {
-          error: userError.message,
-        }
-      );
-      throw userError;
+    const users = await listMfaUsers(supabase);
+    const campaign = createCampaign({
+      project: displayUrl,
+      planId: plan.id,
+      enrollUrl: plan.params.enrollUrl,
+      template: plan.params.template,
+      recipients: users
+        .filter((u) => plan.params.userIds.includes(u.id))
+        .map((u) => ({ userId: u.id, email: u.email })),
+    });
+    await sendCampaignEmails(campaign, campaign.recipients, "notice");
+
+    const progress = campaignProgress(campaign);
+    const successMessage = `MFA enrollment campaign started: ${progress.notified} of ${progress.total} users notified.`;
+    logEvidence("info", successMessage, {
+      action: "campaign.start",
+      project: displayUrl,
+      campaignId: campaign.id,
+      planId: plan.id,
+      progress,
+    });
+    res.json({
+      message: successMessage,
+      campaign: withProgress(campaign),
+      planId: plan.id,
+    });
+  } catch (error) {
+    logEvidence("error", "Failed to start MFA enrollment campaign.", {
+      action: "campaign.start",
+      project: displayUrl,
+      error: error.message,
+    });
+    res.status(500).json({
+      error: `Failed to start MFA enrollment campaign: ${error.message}`,
+    });
+  }
+});
+
+app.post(
+  "/api/mfa-campaigns/:id/refresh",
+  requireRole("operator"),
+  async (req, res) => {
+    const { projectUrl, serviceKey } = req.body;
+    const displayUrl =
+      projectUrl && projectUrl.includes("supabase.co")
+        ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+        : projectUrl;
+
+    if (!projectUrl || !serviceKey) {
+      return res
+        .status(400)
+        .json({ error: "Project URL and Service Key are required." });
+    }
+    const campaign = loadCampaignForProject(req, res, displayUrl);
+    if (!campaign) return;
+
+    try {
+      const supabase = getSupabaseClient(projectUrl, serviceKey);
+      const enrolled = applyEnrollment(campaign, await listMfaUsers(supabase));
+      saveCampaign(campaign);
+      const message = `${enrolled.length} more users enrolled in MFA since the last check.`;
+      logEvidence("info", `MFA campaign ${campaign.id} re-checked.`, {
+        action: "campaign.refresh",
+        project: displayUrl,
+        enrolled: enrolled.map((r) => r.userId),
+        progress: campaignProgress(campaign),
+      });
+      res.json({ message, campaign: withProgress(campaign) });
+    } catch (error) {
+      logEvidence("error", `Failed to re-check MFA campaign ${campaign.id}.`, {
+        action: "campaign.refresh",
+        project: displayUrl,
+        error: error.message,
+      });
+      res.status(500).json({
+        error: `Failed to re-check MFA enrollment: ${error.message}`,
+      });
+    }
+  }
+);
+
+app.post(
+  "/api/mfa-campaigns/:id/remind",
+  requireRole("admin"),
+  async (req, res) => {
+    const { projectUrl, serviceKey, dryRun } = req.body;
+    const displayUrl =
+      projectUrl && projectUrl.includes("supabase.co")
+        ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+        : projectUrl;
+
+    if (!projectUrl || !serviceKey) {
+      return res
+        .status(400)
+        .json({ error: "Project URL and Service Key are required." });
     }
+    const campaign = loadCampaignForProject(req, res, displayUrl);
+    if (!campaign) return;
+
+    const credentials = fingerprint(projectUrl, serviceKey);
+    const loaded = loadPlanForApply(
+      req,
+      res,
+      "mfa-campaign-remind",
+      credentials
+    );
+    if (!loaded) return;
+    const { plan } = loaded;
+    if (plan && plan.params.campaignId !== campaign.id) {
+      return res
+        .status(400)
+        .json({ error: `Plan ${plan.id} does not belong to this campaign.` });
+    }
+
+    try {
+      const supabase = getSupabaseClient(projectUrl, serviceKey);
+      const planned = await planCampaignReminders(supabase, campaign);
+
+      if (dryRun) {
+        const newPlan = createPlan({
+          action: "mfa-campaign-remind",
+          project: displayUrl,
+          params: { campaignId: campaign.id },
+          ...planned,
+          credentials,
+        });
+        logEvidence(
+          "info",
+          `Planned reminders for MFA campaign ${campaign.id}`,
+          {
+            action: "campaign.plan",
+            project: displayUrl,
+            planId: newPlan.id,
+            steps: newPlan.steps,
+          }
+        );
+        return res.json({ plan: newPlan });
+      }
+
+      if (!isSamePlan(plan, planned)) {
+        return rejectStalePlan(res, plan, planned);
+      }
 
-    if (!userData?.user?.email) {
-      const error = new Error(
-        "User email not found. Cannot enable MFA without an email address."
+      applyEnrollment(campaign, await listMfaUsers(supabase));
+      await sendCampaignEmails(
+        campaign,
+        recipientsDueForReminder(campaign),
+        "reminder"
       );
-      logEvidence("error", `Failed to enable MFA: ${error.message}`, {
-        userId,
-        userData,
+      const successMessage = `Sent ${plan.steps.length} MFA enrollment reminders.`;
+      logEvidence("info", successMessage, {
+        action: "campaign.remind",
+        project: displayUrl,
+        campaignId: campaign.id,
+        planId: plan.id,
+        progress: campaignProgress(campaign),
+      });
+      res.json({
+        message: successMessage,
+        campaign: withProgress(campaign),
+        planId: plan.id,
+      });
+    } catch (error) {
+      logEvidence("error", `Failed to send reminders for ${campaign.id}.`, {
+        action: "campaign.remind",
+        project: displayUrl,
+        error: error.message,
+      });
+      res.status(500).json({
+        error: `Failed to send MFA enrollment reminders: ${error.message}`,
       });
-      throw error;
     }
+  }
+);
 
-    const userEmail = userData.user.email;
+app.post("/api/fix-pitr", requireRole("admin"), async (req, res) => {
+  const { projectUrl, serviceKey, projectRef, dryRun } = req.body;
+  const displayUrl =
+    projectUrl && projectUrl.includes("supabase.co")
+      ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+      : projectUrl;
 
-    // Send a password reset email
-    const { error: resetError } = await supabase.auth.resetPasswordForEmail(
-      userEmail,
-      {
-        redirectTo: `${projectUrl}/auth/reset-password?mfa_setup=true`,
+  if (!projectUrl || !serviceKey || (dryRun && !projectRef)) {
+    logEvidence("error", "Missing parameters for PITR fix.", {
+      action: "remediation.request",
+    });
+    return res.status(400).json({
+      error: "Project URL, Service Key, and Project Ref are required.",
+    });
+  }
+
+  if (!MANAGEMENT_ACCESS_TOKEN) {
+    logEvidence("error", "Management API token not configured", {
+      action: "remediation.request",
+    });
+    return res.status(500).json({
+      error:
+        "Management API token (SUPABASE_PAT) is not configured. Please set it in your environment variables.",
+    });
+  }
+
+  const credentials = fingerprint(projectUrl, serviceKey);
+  const loaded = loadPlanForApply(req, res, "fix-pitr", credentials);
+  if (!loaded) return;
+  const { plan } = loaded;
+  const targetRef = plan ? plan.params.projectRef : projectRef;
+
+  try {
+    const { current, ...planned } = await planPitrFix(targetRef);
+
+    if (dryRun) {
+      const newPlan = createPlan({
+        action: "fix-pitr",
+        project: displayUrl,
+        params: { projectRef: targetRef },
+        ...planned,
+        credentials,
+      });
+      logEvidence("info", `Planned PITR fix for project: ${targetRef}`, {
+        action: "remediation.plan",
+        project: displayUrl,
+        planId: newPlan.id,
+        steps: newPlan.steps,
+      });
+      return res.json({ plan: newPlan });
+    }
+
+    if (!isSamePlan(plan, planned)) {
+      return rejectStalePlan(res, plan, planned);
+    }
+
+    if (plan.steps.length === 0) {
+      const successMessage = `PITR is already enabled for project: ${targetRef}.`;
+      logEvidence("info", successMessage, {
+        action: "remediation.apply",
+        project: displayUrl,
+        projectRef: targetRef,
+      });
+      return res.json({ message: successMessage, projectRef: targetRef });
+    }
+
+    // Enable PITR via Supabase Management API
+    for (const step of plan.steps) {
+      const stepRes = await fetch(step.url, {
+        method: step.method,
+        headers: {
+          Authorization: `Bearer ${MANAGEMENT_ACCESS_TOKEN}`,
+          Accept: "application/json",
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(step.body),
+      });
+
+      if (!stepRes.ok) {
+        const errorText = await stepRes.text();
+        logEvidence(
+          "error",
+          `Failed to enable PITR for project: ${targetRef}`,
+          {
+            action: "remediation.apply",
+            error: errorText,
+          }
+        );
+        throw new Error(`Failed to enable PITR: ${errorText}`);
       }
+    }
+
+    const remediation = recordRemediation({
+      action: "fix-pitr",
+      project: displayUrl,
+      planId: plan.id,
+      params: plan.params,
+      steps: plan.steps,
+      snapshot: current,
+    });
+
+    const successMessage = `PITR has been enabled for project: ${targetRef} with 7 days retention period. The changes may take a few minutes to take effect.`;
+    logEvidence("info", successMessage, {
+      action: "remediation.apply",
+      project: displayUrl,
+      projectRef: targetRef,
+      planId: plan.id,
+      remediationId: remediation.id,
+    });
+    res.json({
+      message: successMessage,
+      projectRef: targetRef,
+      planId: plan.id,
+      remediationId: remediation.id,
+    });
+  } catch (error) {
+    logEvidence("error", `Failed to enable PITR for project: ${targetRef}`, {
+      action: "remediation.apply",
+      error: error.message,
+    });
+    res.status(500).json({
+      error: `Failed to enable PITR for project ${targetRef}: ${error.message}`,
+    });
+  }
+});
+
+app.post("/api/fix-auth-config", requireRole("admin"), async (req, res) => {
+  const { projectUrl, serviceKey, settings, baseline, dryRun } = req.body;
+  const displayUrl =
+    projectUrl && projectUrl.includes("supabase.co")
+      ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+      : projectUrl;
+
+  if (!projectUrl || !serviceKey) {
+    logEvidence("error", "Missing parameters for auth config fix.", {
+      action: "remediation.request",
+    });
+    return res
+      .status(400)
+      .json({ error: "Project URL and Service Key are required." });
+  }
+  if (dryRun && settings !== undefined && !Array.isArray(settings)) {
+    return res
+      .status(400)
+      .json({ error: "settings must be a list of setting ids." });
+  }
+
+  if (!MANAGEMENT_ACCESS_TOKEN) {
+    logEvidence("error", "Management API token not configured", {
+      action: "remediation.request",
+    });
+    return res.status(500).json({
+      error:
+        "Management API token (SUPABASE_PAT) is not configured. Please set it in your environment variables.",
+    });
+  }
+
+  const credentials = fingerprint(projectUrl, serviceKey);
+  const loaded = loadPlanForApply(req, res, "fix-auth-config", credentials);
+  if (!loaded) return;
+  const { plan } = loaded;
+  const params = plan
+    ? plan.params
+    : {
+        projectRef: getProjectRef(projectUrl),
+        settings: settings || null,
+        baseline: baseline || {},
+      };
+
+  try {
+    const { snapshot, ...planned } = await planAuthConfigFix(
+      params.projectRef,
+      params
     );
 
-    if (resetError) {
+    if (dryRun) {
+      const newPlan = createPlan({
+        action: "fix-auth-config",
+        project: displayUrl,
+        params,
+        ...planned,
+        credentials,
+      });
       logEvidence(
-        "error",
-        `Failed to send MFA setup email to user: ${userEmail}`,
+        "info",
+        `Planned auth config fix for project: ${params.projectRef}`,
         {
-          error: resetError.message,
+          action: "remediation.plan",
+          project: displayUrl,
+          planId: newPlan.id,
+          steps: newPlan.steps,
         }
       );
-      throw resetError;
+      return res.json({ plan: newPlan });
     }
 
-    const successMessage = `A password reset email has been sent to ${userEmail}. When resetting the password, the user will be prompted to set up MFA.`;
-    logEvidence("info", successMessage, { project: displayUrl, userId });
+    if (!isSamePlan(plan, planned)) {
+      return rejectStalePlan(res, plan, planned);
+    }
+
+    await runManagementSteps(plan.steps);
+    const remediation = plan.steps.length
+      ? recordRemediation({
+          action: "fix-auth-config",
+          project: displayUrl,
+          planId: plan.id,
+          params,
+          steps: plan.steps,
+          snapshot,
+        })
+      : null;
+
+    const fields = Object.keys(snapshot.previous);
+    const successMessage = fields.length
+      ? `Updated auth config of project ${params.projectRef}: ${fields.join(
+          ", "
+        )}.`
+      : `Auth config of project ${params.projectRef} already met the baseline.`;
+    logEvidence("info", successMessage, {
+      action: "remediation.apply",
+      project: displayUrl,
+      projectRef: params.projectRef,
+      planId: plan.id,
+      remediationId: remediation?.id,
+      patch: plan.steps[0]?.body,
+      previous: snapshot.previous,
+    });
     res.json({
       message: successMessage,
-      userId,
-      email: userEmail,
+      projectRef: params.projectRef,
+      planId: plan.id,
+      remediationId: remediation?.id,
     });
   } catch (error) {
+    logEvidence(
+      "error",
+      `Failed to update auth config for project: ${params.projectRef}`,
+      { action: "remediation.apply", project: displayUrl, error: error.message }
+    );
     res.status(500).json({
-      error: `Failed to enable MFA for user ${userId}: ${error.message}`,
+      error: `Failed to update auth config for project ${params.projectRef}: ${error.message}`,
     });
   }
 });
 
-app.post("/api/fix-pitr", async (req, res) => {
-  const { projectUrl, serviceKey, projectRef } = req.body;
-  const displayUrl = projectUrl.includes("supabase.co")
-    ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
-    : projectUrl;
+app.post("/api/fix-storage-bucket", requireRole("admin"), async (req, res) => {
+  const { projectUrl, serviceKey, bucketId, dryRun } = req.body;
+  const displayUrl =
+    projectUrl && projectUrl.includes("supabase.co")
+      ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+      : projectUrl;
 
-  if (!projectUrl || !serviceKey || !projectRef) {
-    logEvidence("error", "Missing parameters for PITR fix.");
-    return res.status(400).json({
-      error: "Project URL, Service Key, and Project Ref are required.",
+  if (dryRun && !bucketId) {
+    return res.status(400).json({ error: "Bucket ID is required." });
+  }
+
+  if (!projectUrl || !serviceKey) {
+    logEvidence("error", "Missing parameters for storage bucket fix.", {
+      action: "remediation.request",
     });
+    return res
+      .status(400)
+      .json({ error: "Project URL and Service Key are required." });
   }
 
-  if (!MANAGEMENT_ACCESS_TOKEN) {
-    logEvidence("error", "Management API token not configured");
-    return res.status(500).json({
-      error:
-        "Management API token (SUPABASE_PAT) is not configured. Please set it in your environment variables.",
+  const credentials = fingerprint(projectUrl, serviceKey);
+  const loaded = loadPlanForApply(req, res, "fix-storage-bucket", credentials);
+  if (!loaded) return;
+  const { plan } = loaded;
+
+  const params = plan ? plan.params : { bucketId };
+
+  try {
+    const supabase = getSupabaseClient(projectUrl, serviceKey);
+    const { snapshot, ...planned } = await planBucketPrivate(
+      supabase,
+      projectUrl,
+      params.bucketId
+    );
+
+    if (dryRun) {
+      const newPlan = createPlan({
+        action: "fix-storage-bucket",
+        project: displayUrl,
+        params,
+        ...planned,
+        credentials,
+      });
+      logEvidence("info", `Planned storage fix for bucket: ${bucketId}`, {
+        action: "remediation.plan",
+        project: displayUrl,
+        planId: newPlan.id,
+        steps: newPlan.steps,
+      });
+      return res.json({ plan: newPlan });
+    }
+
+    if (!isSamePlan(plan, planned)) {
+      return rejectStalePlan(res, plan, planned);
+    }
+
+    await runBucketSteps(supabase, plan.steps);
+    const remediation = plan.steps.length
+      ? recordRemediation({
+          action: "fix-storage-bucket",
+          project: displayUrl,
+          planId: plan.id,
+          params,
+          steps: plan.steps,
+          snapshot,
+        })
+      : null;
+
+    const successMessage = plan.steps.length
+      ? `Bucket "${params.bucketId}" is now private. Files are served only through signed URLs or storage.objects policies.`
+      : `Bucket "${params.bucketId}" was already private.`;
+    logEvidence("info", successMessage, {
+      action: "remediation.apply",
+      project: displayUrl,
+      bucketId: params.bucketId,
+      planId: plan.id,
+      remediationId: remediation?.id,
+    });
+    res.json({
+      message: successMessage,
+      bucketId: params.bucketId,
+      planId: plan.id,
+      remediationId: remediation?.id,
+    });
+  } catch (error) {
+    logEvidence("error", `Failed to make bucket private: ${params.bucketId}`, {
+      action: "remediation.apply",
+      project: displayUrl,
+      error: error.message,
+    });
+    res.status(500).json({
+      error: `Failed to make bucket "${params.bucketId}" private: ${error.message}`,
     });
   }
+});
+
+// --- Remediation history and revert ---
+
+// Remediations whose snapshot is a table (RLS flags and policies)
+const TABLE_REMEDIATIONS = ["fix-rls", "fix-rls-force", "fix-rls-aal2"];
+// Remediations whose snapshot is the privileges revoked from one grantee
+const GRANT_REMEDIATIONS = ["fix-grants"];
+// Remediations whose snapshot is a function's search_path or EXECUTE grantees
+const FUNCTION_REMEDIATIONS = [
+  "fix-function-search-path",
+  "fix-function-execute",
+];
+// Remediations whose snapshot is the previous value of auth config fields
+const AUTH_CONFIG_REMEDIATIONS = ["fix-auth-config"];
+// Remediations whose snapshot is a storage bucket's public flag
+const STORAGE_REMEDIATIONS = ["fix-storage-bucket"];
+
+async function planRlsRevert(client, remediation) {
+  const { snapshot } = remediation;
+  const qualifiedName = `${snapshot.schema}.${snapshot.table}`;
+  const current = await captureTableSnapshot(
+    client,
+    snapshot.schema,
+    snapshot.table
+  );
+  const statements = buildTableRestoreStatements(current, snapshot);
+  const sideEffects = [
+    `Policies and RLS settings on ${qualifiedName} return to their state from ${remediation.appliedAt}, including any changes made since.`,
+  ];
+  if (current.rls_enabled && !snapshot.rls_enabled) {
+    sideEffects.push(
+      `RLS is disabled again, so every role with table privileges can access all rows of ${qualifiedName}.`
+    );
+  }
+  return {
+    summary: `Revert ${remediation.action} on ${qualifiedName} applied at ${remediation.appliedAt}.`,
+    steps: statements.map((statement) => ({ type: "sql", statement })),
+    affected: statements.length ? [`table ${qualifiedName}`] : [],
+    sideEffects: statements.length ? sideEffects : [],
+  };
+}
+
+async function planGrantsRevert(client, remediation) {
+  const { snapshot } = remediation;
+  const qualifiedName = `${snapshot.schema}.${snapshot.name}`;
+  const current = await describeObjectGrants(
+    client,
+    snapshot.schema,
+    snapshot.name,
+    snapshot.grantee
+  );
+  const statements = buildGrantRestoreStatements(current, snapshot);
+  return {
+    summary: `Revert ${remediation.action} on ${qualifiedName} applied at ${remediation.appliedAt}.`,
+    steps: statements.map((statement) => ({ type: "sql", statement })),
+    affected: statements.length ? [`${current.kind} ${qualifiedName}`] : [],
+    sideEffects: statements.length
+      ? [
+          `${snapshot.grantee} regains the privileges on ${qualifiedName} it held before ${remediation.appliedAt}.`,
+        ]
+      : [],
+  };
+}
+
+async function planFunctionRevert(client, remediation) {
+  const { snapshot } = remediation;
+  const fn = await describeFunction(client, snapshot);
+  const label = functionLabel(fn);
+  const statements = [];
+  if (remediation.action === "fix-function-search-path") {
+    const current = parseSearchPath(fn.search_path);
+    if (JSON.stringify(current) !== JSON.stringify(snapshot.search_path)) {
+      statements.push(
+        setSearchPathStatement(fn.signature, snapshot.search_path)
+      );
+    }
+  } else {
+    const managed = [...EXECUTE_ROLES, ...KEEP_EXECUTE_ROLES];
+    const before = snapshot.execute_grantees.filter((r) => managed.includes(r));
+    const now = fn.execute_grantees.filter((r) => managed.includes(r));
+    const added = now.filter((r) => !before.includes(r));
+    const removed = before.filter((r) => !now.includes(r));
+    if (removed.length) {
+      statements.push(executeStatement(fn.signature, true, removed));
+    }
+    if (added.length) {
+      statements.push(executeStatement(fn.signature, false, added));
+    }
+  }
+  return {
+    summary: `Revert ${remediation.action} on ${label} applied at ${remediation.appliedAt}.`,
+    steps: statements.map((statement) => ({ type: "sql", statement })),
+    affected: statements.length ? [`function ${label}`] : [],
+    sideEffects: statements.length
+      ? [
+          `${label} returns to its state from ${remediation.appliedAt}, including any changes made since.`,
+        ]
+      : [],
+  };
+}
+
+async function planBucketRevert(supabase, projectUrl, remediation) {
+  const { snapshot } = remediation;
+  const { data: bucket, error } = await supabase.storage.getBucket(
+    snapshot.bucketId
+  );
+  if (error) throw error;
+  if ((bucket.public === true) === snapshot.public) {
+    return {
+      summary: `Bucket ${bucket.id} already matches its state from ${remediation.appliedAt}; nothing to do.`,
+      steps: [],
+      affected: [],
+      sideEffects: [],
+    };
+  }
+  return {
+    summary: `Make storage bucket ${bucket.id} ${
+      snapshot.public ? "public" : "private"
+    } again, restoring its state from ${remediation.appliedAt}.`,
+    steps: [bucketUpdateStep(projectUrl, bucket, snapshot.public)],
+    affected: [`bucket ${bucket.id}`],
+    sideEffects: snapshot.public
+      ? [
+          `Every file in ${bucket.id} becomes downloadable by anyone with its public URL.`,
+        ]
+      : [],
+  };
+}
+
+async function planAuthConfigRevert(remediation) {
+  const { projectRef, previous } = remediation.snapshot;
+  const config = await fetchAuthConfig(projectRef);
+  const patch = Object.fromEntries(
+    Object.entries(previous).filter(
+      ([field, value]) => (config[field] ?? null) !== value
+    )
+  );
+  const fields = Object.keys(patch);
+  if (!fields.length) {
+    return {
+      summary: `Auth config of project ${projectRef} already matches its state from ${remediation.appliedAt}; nothing to do.`,
+      steps: [],
+      affected: [],
+      sideEffects: [],
+    };
+  }
+  return {
+    summary: `Restore ${fields.join(
+      ", "
+    )} in the auth config of project ${projectRef} to their values from before ${
+      remediation.appliedAt
+    }.`,
+    steps: [
+      {
+        type: "http",
+        method: "PATCH",
+        url: `https://api.supabase.com/v1/projects/${projectRef}/config/auth`,
+        body: patch,
+      },
+    ],
+    affected: [`auth config of project ${projectRef}`],
+    sideEffects: [
+      "The restored settings no longer meet the auth baseline; the auth config check fails again.",
+    ],
+  };
+}
 
-  try {
-    // First check if PITR is already enabled
-    const checkRes = await fetch(
-      `https://api.supabase.com/v1/projects/${projectRef}`,
+async function planPitrRevert(remediation) {
+  const { projectRef } = remediation.params;
+  const { current } = await planPitrFix(projectRef);
+  if (remediation.snapshot.pitrAddon || !current.pitrAddon) {
+    return {
+      summary: `PITR for project ${projectRef} already matches its state from ${remediation.appliedAt}; nothing to do.`,
+      steps: [],
+      affected: [],
+      sideEffects: [],
+    };
+  }
+  const variant = current.pitrAddon.variant?.id || current.pitrAddon.type;
+  return {
+    summary: `Remove the PITR add-on from project ${projectRef}, restoring its state from ${remediation.appliedAt}.`,
+    steps: [
       {
-        headers: {
-          Authorization: `Bearer ${MANAGEMENT_ACCESS_TOKEN}`,
-          Accept: "application/json",
-        },
-      }
-    );
+        type: "http",
+        method: "DELETE",
+        url: `https://api.supabase.com/v1/projects/${projectRef}/billing/addons/${variant}`,
+        body: null,
+      },
+    ],
+    affected: [`project ${projectRef}`],
+    sideEffects: [
+      "Point-in-time recovery stops; only daily backups remain available.",
+    ],
+  };
+}
 
-    if (!checkRes.ok) {
-      const errorText = await checkRes.text();
-      throw new Error(
-        `Failed to check project status: ${checkRes.status} ${errorText}`
-      );
+app.get("/api/remediations", requireRole("viewer"), (req, res) => {
+  res.json({ remediations: listRemediations(req.query.project) });
+});
+
+app.post(
+  "/api/remediations/:id/revert",
+  requireRole("admin"),
+  async (req, res) => {
+    const { projectUrl, serviceKey, dbConnectionString, dryRun } = req.body;
+    const remediation = getRemediation(req.params.id);
+
+    if (!remediation) {
+      return res.status(404).json({ error: "Remediation not found." });
+    }
+    if (!remediation.revertible) {
+      return res.status(400).json({
+        error: `This remediation cannot be reverted: ${remediation.reason}`,
+      });
+    }
+    if (remediation.revertedAt) {
+      return res.status(409).json({
+        error: `This remediation was already reverted at ${remediation.revertedAt}.`,
+      });
     }
 
-    const project = await checkRes.json();
-    const pitrAddon = project.addons?.find(
-      (addon) => addon.type && addon.type.toLowerCase().includes("pitr")
-    );
+    const isTable = TABLE_REMEDIATIONS.includes(remediation.action);
+    const isGrant = GRANT_REMEDIATIONS.includes(remediation.action);
+    const isDatabase =
+      isTable || isGrant || FUNCTION_REMEDIATIONS.includes(remediation.action);
+    const isStorage = STORAGE_REMEDIATIONS.includes(remediation.action);
+    if (!projectUrl || !serviceKey || (isDatabase && !dbConnectionString)) {
+      logEvidence("error", "Missing parameters for remediation revert.", {
+        action: "revert.request",
+      });
+      return res.status(400).json({
+        error: isDatabase
+          ? "Project URL, Service Key and Postgres Connection String are required."
+          : "Project URL and Service Key are required.",
+      });
+    }
+    // The snapshot being restored belongs to one project, so refuse
+    // credentials for any other
+    const displayUrl = projectUrl.includes("supabase.co")
+      ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+      : projectUrl;
+    if (displayUrl !== remediation.project) {
+      logEvidence("error", "Rejected revert for a different project.", {
+        action: "revert.request",
+        project: displayUrl,
+        remediationId: remediation.id,
+      });
+      return res.status(400).json({
+        error: `Remediation ${remediation.id} was applied to ${remediation.project}, not ${displayUrl}.`,
+      });
+    }
+    if (!isDatabase && !isStorage && !MANAGEMENT_ACCESS_TOKEN) {
+      return res.status(500).json({
+        error:
+          "Management API token (SUPABASE_PAT) is not configured. Please set it in your environment variables.",
+      });
+    }
 
-    if (pitrAddon) {
-      const successMessage = `PITR is already enabled for project: ${projectRef}.`;
-      logEvidence("info", successMessage, { project: displayUrl, projectRef });
-      return res.json({ message: successMessage, projectRef });
+    const credentials = isDatabase
+      ? fingerprint(projectUrl, dbConnectionString)
+      : fingerprint(projectUrl, serviceKey);
+    const loaded = loadPlanForApply(req, res, "revert", credentials);
+    if (!loaded) return;
+    const { plan } = loaded;
+    if (
+      plan &&
+      (plan.params.remediationId !== remediation.id ||
+        plan.project !== remediation.project)
+    ) {
+      return res
+        .status(400)
+        .json({ error: `Plan ${plan.id} does not revert this remediation.` });
     }
 
-    // Enable PITR via Supabase Management API
-    const res = await fetch(
-      `https://api.supabase.com/v1/projects/${projectRef}/addons`,
-      {
-        method: "PATCH",
-        headers: {
-          Authorization: `Bearer ${MANAGEMENT_ACCESS_TOKEN}`,
-          Accept: "application/json",
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify([
-          {
-            type: "pitr",
-            options: {
-              retention_period_days: 7, // Default to 7 days retention
-            },
-          },
-        ]),
+    const pool = isDatabase
+      ? new Pool({
+          connectionString: dbConnectionString,
+          ssl: { rejectUnauthorized: false },
+        })
+      : null;
+    const supabase = isStorage
+      ? getSupabaseClient(projectUrl, serviceKey)
+      : null;
+    let client;
+    try {
+      let planned;
+      if (isDatabase) {
+        client = await pool.connect();
+        planned = isTable
+          ? await planRlsRevert(client, remediation)
+          : isGrant
+          ? await planGrantsRevert(client, remediation)
+          : await planFunctionRevert(client, remediation);
+      } else if (isStorage) {
+        planned = await planBucketRevert(supabase, projectUrl, remediation);
+      } else if (AUTH_CONFIG_REMEDIATIONS.includes(remediation.action)) {
+        planned = await planAuthConfigRevert(remediation);
+      } else {
+        planned = await planPitrRevert(remediation);
       }
-    );
 
-    if (!res.ok) {
-      const errorText = await res.text();
-      logEvidence("error", `Failed to enable PITR for project: ${projectRef}`, {
-        error: errorText,
+      if (dryRun) {
+        const newPlan = createPlan({
+          action: "revert",
+          project: remediation.project,
+          params: { remediationId: remediation.id },
+          ...planned,
+          credentials,
+        });
+        logEvidence("info", `Planned revert of remediation ${remediation.id}`, {
+          action: "revert.plan",
+          project: remediation.project,
+          planId: newPlan.id,
+          steps: newPlan.steps,
+        });
+        return res.json({ plan: newPlan });
+      }
+
+      if (!isSamePlan(plan, planned)) {
+        return rejectStalePlan(res, plan, planned);
+      }
+
+      if (isDatabase) {
+        await runSqlSteps(client, plan.steps);
+      } else if (isStorage) {
+        await runBucketSteps(supabase, plan.steps);
+      } else {
+        await runManagementSteps(plan.steps);
+      }
+      markReverted(remediation.id, plan.id);
+
+      const successMessage = `Reverted ${remediation.action} applied at ${remediation.appliedAt}.`;
+      logEvidence("info", successMessage, {
+        action: "revert.apply",
+        project: remediation.project,
+        remediationId: remediation.id,
+        planId: plan.id,
+        steps: plan.steps,
+        restoredSnapshot: remediation.snapshot,
       });
-      throw new Error(`Failed to enable PITR: ${errorText}`);
+      res.json({
+        message: successMessage,
+        remediationId: remediation.id,
+        planId: plan.id,
+      });
+    } catch (error) {
+      logEvidence("error", `Failed to revert remediation ${remediation.id}`, {
+        action: "revert.apply",
+        project: remediation.project,
+        error: error.message,
+      });
+      res.status(500).json({
+        error: `Failed to revert remediation: ${error.message}`,
+      });
+    } finally {
+      client?.release();
+      if (pool) await pool.end();
     }
-
-    const successMessage = `PITR has been enabled for project: ${projectRef} with 7 days retention period. The changes may take a few minutes to take effect.`;
-    logEvidence("info", successMessage, { project: displayUrl, projectRef });
-    res.json({
-      message: successMessage,
-      projectRef,
-    });
-  } catch (error) {
-    logEvidence("error", `Failed to enable PITR for project: ${projectRef}`, {
-      error: error.message,
-    });
-    res.status(500).json({
-      error: `Failed to enable PITR for project ${projectRef}: ${error.message}`,
-    });
   }
-});
+);
 
-app.post("/api/ai-assist", async (req, res) => {
+app.post("/api/ai-assist", requireRole("operator"), async (req, res) => {
   const { projectUrl, serviceKey, issue, context } = req.body;
   const displayUrl =
     projectUrl && projectUrl.includes("supabase.co")
@@ -668,7 +4556,9 @@ app.post("/api/ai-assist", async (req, res) => {
       : projectUrl;
 
   if (!projectUrl || !serviceKey || !issue) {
-    logEvidence("error", "Missing parameters for AI assistance.");
+    logEvidence("error", "Missing parameters for AI assistance.", {
+      action: "ai.analyze",
+    });
     return res.status(400).json({
       error: "Project URL, Service Key, and Issue description are required.",
     });
@@ -706,6 +4596,7 @@ app.post("/api/ai-assist", async (req, res) => {
     const response = completion.choices[0].message.content;
 
     logEvidence("info", "AI compliance analysis provided", {
+      action: "ai.analyze",
       project: displayUrl,
       analysisType: issue.substring(0, 100) + "...",
     });
@@ -716,6 +4607,7 @@ app.post("/api/ai-assist", async (req, res) => {
     });
   } catch (error) {
     logEvidence("error", "AI compliance analysis failed", {
+      action: "ai.analyze",
       project: displayUrl,
       error: error.message,
     });
@@ -725,23 +4617,591 @@ app.post("/api/ai-assist", async (req, res) => {
   }
 });
 
-app.get("/api/hello", (req, res) => {
-  res.json({ message: "Hello, world!" });
-});
+// --- Scheduled scans ---
 
-app.listen(port, () => {
-  logEvidence("info", `Delve backend server running on port ${port}`);
-  console.log(`Backend server running on http://localhost:${port}`);
-  try {
-    fs.accessSync(__dirname, fs.constants.W_OK);
-    logEvidence("info", `Evidence log will be written to: ${evidenceLogPath}`);
-  } catch (err) {
+const SCHEDULER_INTERVAL_MS =
+  Number(process.env.SCHEDULER_INTERVAL_MS) || 60000;
+
+// Runs one schedule and records the outcome on it. A schedule whose project
+// already has a scan in progress is skipped until its next run.
+async function runScheduledScan(schedule) {
+  markRunStarted(schedule.id);
+  if (runningScans.has(schedule.project)) {
     logEvidence(
-      "error",
-      `Evidence log directory is not writable: ${__dirname}. Logs will only go to console.`
-    );
-    console.error(
-      `Error: Evidence log directory is not writable. Please check permissions for ${__dirname}`
+      "info",
+      `Skipped scheduled scan of ${schedule.project}: a scan is already running.`,
+      {
+        action: "schedule.run",
+        project: schedule.project,
+        outcome: "skipped",
+        scheduleId: schedule.id,
+      }
     );
+    recordRunResult(schedule.id, {
+      status: "SKIPPED",
+      error: "A scan of this project was already running.",
+    });
+    return null;
+  }
+  logEvidence("info", `Starting scheduled scan of ${schedule.project}.`, {
+    action: "schedule.run",
+    project: schedule.project,
+    scheduleId: schedule.id,
+    cron: schedule.cron,
+  });
+  try {
+    if (!schedule.credentials) throw new Error(schedule.credentialsError);
+    addSecret(schedule.credentials.serviceKey);
+    addSecret(schedule.credentials.dbConnectionString);
+    const scan = await runAndSaveScan({
+      ...schedule.credentials,
+      checks: schedule.checks || undefined,
+      options: schedule.options,
+      source: "schedule",
+      scheduleId: schedule.id,
+    });
+    recordRunResult(schedule.id, {
+      status: scan.overallStatus || "ERROR",
+      scanId: scan.scanId,
+      error: scan.scanId ? null : "The scan could not be saved.",
+    });
+    return scan;
+  } catch (error) {
+    logEvidence("error", `Scheduled scan of ${schedule.project} failed.`, {
+      action: "schedule.run",
+      project: schedule.project,
+      scheduleId: schedule.id,
+      error: error.message,
+    });
+    recordRunResult(schedule.id, { status: "ERROR", error: error.message });
+    return null;
+  }
+}
+
+function runDueSchedules(now = new Date()) {
+  let due = [];
+  try {
+    due = dueSchedules(now);
+  } catch (error) {
+    logEvidence("error", "Failed to load due scan schedules.", {
+      action: "schedule.run",
+      error: error.message,
+    });
+  }
+  return Promise.all(due.map((schedule) => runScheduledScan(schedule)));
+}
+
+let schedulerTimer = null;
+
+// Checks for due schedules every SCHEDULER_INTERVAL_MS. Disabled with
+// SCHEDULER_ENABLED=false, e.g. when several backends share one database.
+function startScheduler() {
+  if (schedulerTimer || process.env.SCHEDULER_ENABLED === "false") {
+    return schedulerTimer;
+  }
+  schedulerTimer = setInterval(
+    () => runAsActor("scheduler", () => runDueSchedules()),
+    SCHEDULER_INTERVAL_MS
+  );
+  schedulerTimer.unref();
+  logEvidence(
+    "info",
+    `Scan scheduler started (every ${SCHEDULER_INTERVAL_MS / 1000}s).`,
+    { action: "scheduler.start" }
+  );
+  return schedulerTimer;
+}
+
+function stopScheduler() {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+function withRunning(schedule) {
+  return { ...schedule, running: runningScans.has(schedule.project) };
+}
+
+app.get("/api/schedules", requireRole("viewer"), (req, res) => {
+  try {
+    res.json({
+      schedules: listSchedules(req.query.project).map(withRunning),
+      schedulerEnabled: !!schedulerTimer,
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: `Failed to list schedules: ${error.message}` });
+  }
+});
+
+// Credentials sent with a schedule are stored with it (in plain text without
+// VAULT_MASTER_KEY), so only admins may send them; operators schedule projects
+// from the credential vault by `projectId`.
+function requireAdminForRawCredentials(req, res, next) {
+  const { projectId, serviceKey, dbConnectionString } = req.body || {};
+  if (projectId || !(serviceKey || dbConnectionString)) return next();
+  if (hasRole(req.user, "admin")) return next();
+  logEvidence(
+    "error",
+    `Denied ${req.method} ${req.path}: credentials were sent without a projectId.`,
+    { action: "auth.deny", role: req.user.role }
+  );
+  res.status(403).json({
+    error:
+      "Only admins can schedule scans with a service key or connection string. Register the project in the credential vault and send its projectId.",
+  });
+}
+
+app.post(
+  "/api/schedules",
+  requireRole("operator"),
+  requireAdminForRawCredentials,
+  (req, res) => {
+    const {
+      projectId,
+      projectUrl,
+      serviceKey,
+      dbConnectionString,
+      checks,
+      options,
+      cron,
+      enabled,
+    } = req.body;
+    if (!projectUrl) {
+      return res
+        .status(400)
+        .json({ error: "Supabase Project URL is required." });
+    }
+    if (typeof cron !== "string" || !cron.trim()) {
+      return res
+        .status(400)
+        .json({ error: 'cron is required, e.g. "0 2 * * *" (UTC).' });
+    }
+    const checksError = validateCheckIds(checks);
+    if (checksError) return res.status(400).json({ error: checksError });
+
+    const displayUrl = projectUrl.includes("supabase.co")
+      ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+      : projectUrl;
+    try {
+      nextRunAt(cron.trim());
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const schedule = createSchedule({
+      projectId,
+      project: displayUrl,
+      projectUrl,
+      serviceKey,
+      dbConnectionString,
+      checks,
+      options,
+      cron: cron.trim(),
+      enabled: enabled !== false,
+    });
+    logEvidence("info", `Created scan schedule for ${displayUrl}.`, {
+      action: "schedule.create",
+      project: displayUrl,
+      scheduleId: schedule.id,
+      cron: schedule.cron,
+      checks: schedule.checks,
+    });
+    res.status(201).json({ schedule: withRunning(schedule) });
+  }
+);
+
+app.patch(
+  "/api/schedules/:id",
+  requireRole("operator"),
+  requireAdminForRawCredentials,
+  (req, res) => {
+    const { cron, enabled, checks } = req.body;
+    if (cron !== undefined) {
+      if (typeof cron !== "string" || !cron.trim()) {
+        return res.status(400).json({
+          error: 'cron must be a cron expression, e.g. "0 2 * * *" (UTC).',
+        });
+      }
+      try {
+        nextRunAt(cron.trim());
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    if (enabled !== undefined && typeof enabled !== "boolean") {
+      return res.status(400).json({ error: "enabled must be true or false." });
+    }
+    // null runs every registered check
+    const checksError = checks === null ? null : validateCheckIds(checks);
+    if (checksError) return res.status(400).json({ error: checksError });
+
+    const schedule = updateSchedule(req.params.id, {
+      cron: cron?.trim(),
+      enabled,
+      checks,
+    });
+    if (!schedule)
+      return res.status(404).json({ error: "Schedule not found." });
+    logEvidence("info", `Updated scan schedule ${schedule.id}.`, {
+      action: "schedule.update",
+      project: schedule.project,
+      cron: schedule.cron,
+      enabled: schedule.enabled,
+      checks: schedule.checks,
+    });
+    res.json({ schedule: withRunning(schedule) });
+  }
+);
+
+app.delete("/api/schedules/:id", requireRole("operator"), (req, res) => {
+  if (!deleteSchedule(req.params.id)) {
+    return res.status(404).json({ error: "Schedule not found." });
+  }
+  logEvidence("info", `Deleted scan schedule ${req.params.id}.`, {
+    action: "schedule.delete",
+  });
+  res.json({ deleted: 1 });
+});
+
+// Starts a schedule now and returns while it runs; GET /api/schedules shows
+// when it finished. Its next run stays on the cron timetable.
+app.post("/api/schedules/:id/run", requireRole("operator"), (req, res) => {
+  const schedule = getSchedule(req.params.id, { withCredentials: true });
+  if (!schedule) return res.status(404).json({ error: "Schedule not found." });
+  if (runningScans.has(schedule.project)) {
+    return res
+      .status(409)
+      .json({ error: `A scan of ${schedule.project} is already running.` });
+  }
+  // runScheduledScan records its own failures on the schedule
+  runScheduledScan(schedule);
+  res.status(202).json({ schedule: withRunning(getSchedule(schedule.id)) });
+});
+
+// --- Organization scans ---
+
+const ORG_SCAN_CONCURRENCY = Number(process.env.ORG_SCAN_CONCURRENCY) || 3;
+
+const managementApi = createManagementApi({
+  token: MANAGEMENT_ACCESS_TOKEN,
+  fetch,
+});
+
+// Scans one project of an org scan and returns its updated entry. Failures
+// are recorded on the entry so they do not stop the other projects.
+async function scanOrgProject(orgScanId, entry, { checks, options, password }) {
+  const projectUrl = `https://${entry.ref}.supabase.co`;
+  const skip = (reason) => {
+    logEvidence("info", `Skipped ${projectUrl} in org scan: ${reason}`, {
+      action: "org-scan.project",
+      project: projectUrl,
+      outcome: "skipped",
+      orgScanId,
+    });
+    return { ...entry, status: "SKIPPED", error: reason };
+  };
+  if (entry.projectStatus && entry.projectStatus !== "ACTIVE_HEALTHY") {
+    return skip(`The project is ${entry.projectStatus}.`);
+  }
+  if (runningScans.has(projectUrl)) {
+    return skip("A scan of this project was already running.");
+  }
+  try {
+    const serviceKey = await managementApi.fetchServiceKey(entry.ref);
+    const dbConnectionString = password
+      ? await managementApi.fetchDbConnectionString(entry.ref, password)
+      : undefined;
+    addSecret(serviceKey);
+    addSecret(dbConnectionString);
+    const scan = await runAndSaveScan({
+      projectUrl,
+      serviceKey,
+      dbConnectionString,
+      checks,
+      options: {
+        ...options,
+        pitr: { ...options.pitr, projectRefs: [entry.ref] },
+      },
+      source: "org",
+    });
+    return {
+      ...entry,
+      status: scan.overallStatus || "ERROR",
+      scanId: scan.scanId,
+      statuses: Object.fromEntries(scan.checks.map((c) => [c.id, c.status])),
+      error: scan.scanId ? null : "The scan could not be saved.",
+    };
+  } catch (error) {
+    logEvidence("error", `Org scan of ${projectUrl} failed.`, {
+      action: "org-scan.project",
+      project: projectUrl,
+      orgScanId,
+      error: error.message,
+    });
+    return { ...entry, status: "ERROR", error: error.message };
+  }
+}
+
+async function runOrgScan(orgScan, { checks, options = {}, dbPasswords = {} }) {
+  const finished = await scanOrgProjects(orgScan, {
+    concurrency: ORG_SCAN_CONCURRENCY,
+    scanProject: (entry) =>
+      scanOrgProject(orgScan.id, entry, {
+        checks,
+        options,
+        password: dbPasswords[entry.ref],
+      }),
+  });
+  logEvidence("info", `Org scan ${orgScan.id} finished.`, {
+    action: "org-scan.run",
+    orgScanId: orgScan.id,
+    projects: finished.rollup.byStatus,
+  });
+  return finished;
+}
+
+app.get("/api/org-scans", requireRole("viewer"), (req, res) => {
+  try {
+    res.json({ orgScans: listOrgScans() });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: `Failed to list org scans: ${error.message}` });
+  }
+});
+
+app.get("/api/org-scans/:id", requireRole("viewer"), (req, res) => {
+  const orgScan = getOrgScan(req.params.id);
+  if (!orgScan) return res.status(404).json({ error: "Org scan not found." });
+  res.json({ orgScan });
+});
+
+// Starts scanning every project the Management API token can see, or those
+// of `organizationId` or in `projectRefs`. `dbPasswords` maps project refs to
+// database passwords for the checks that need a connection. Responds right
+// away; poll GET /api/org-scans/:id for progress.
+app.post("/api/org-scans", requireRole("operator"), async (req, res) => {
+  const { organizationId, projectRefs, checks, options, dbPasswords } =
+    req.body;
+
+  if (!MANAGEMENT_ACCESS_TOKEN) {
+    logEvidence("error", "Management API token not configured", {
+      action: "org-scan.run",
+    });
+    return res.status(400).json({
+      error:
+        "Management API token (SUPABASE_PAT) is not configured. Please set it in your environment variables.",
+    });
+  }
+  const checksError = validateCheckIds(checks);
+  if (checksError) return res.status(400).json({ error: checksError });
+  if (projectRefs !== undefined && !Array.isArray(projectRefs)) {
+    return res
+      .status(400)
+      .json({ error: "projectRefs must be an array of project refs." });
+  }
+
+  let projects;
+  try {
+    projects = selectOrgProjects(await managementApi.listProjects(), {
+      organizationId,
+      projectRefs,
+    });
+  } catch (error) {
+    logEvidence("error", "Failed to list projects for org scan.", {
+      action: "org-scan.run",
+      error: error.message,
+    });
+    return res.status(500).json({ error: error.message });
+  }
+  if (!projects.length) {
+    return res.status(400).json({ error: "No projects matched." });
+  }
+
+  const orgScan = createOrgScan({ projects, checks });
+  logEvidence("info", `Starting org scan of ${projects.length} project(s).`, {
+    action: "org-scan.run",
+    orgScanId: orgScan.id,
+    projects: projects.map((p) => p.ref),
+    checks: checks || Array.from(checkRegistry.keys()),
+  });
+  runOrgScan(orgScan, {
+    checks,
+    options,
+    dbPasswords: dbPasswords || {},
+  }).catch((error) =>
+    logEvidence("error", `Org scan ${orgScan.id} failed.`, {
+      action: "org-scan.run",
+      orgScanId: orgScan.id,
+      error: error.message,
+    })
+  );
+  res.status(202).json({ orgScan });
+});
+
+// --- Compliance frameworks ---
+
+app.get("/api/frameworks", requireRole("viewer"), (req, res) => {
+  res.json(loadFrameworks());
+});
+
+// Evaluates the controls of every framework (or ?framework=<id>) against a
+// saved scan.
+app.get("/api/scans/:id/frameworks", requireRole("viewer"), (req, res) => {
+  const scan = getScan(req.params.id);
+  if (!scan) return res.status(404).json({ error: "Scan not found." });
+  const { frameworks, errors } = loadFrameworks();
+  const selected = req.query.framework
+    ? frameworks.filter((f) => f.id === req.query.framework)
+    : frameworks;
+  if (req.query.framework && !selected.length) {
+    return res
+      .status(404)
+      .json({ error: `Framework "${req.query.framework}" not found.` });
+  }
+  res.json({
+    scanId: scan.id,
+    project: scan.project,
+    scannedAt: scan.scannedAt,
+    frameworks: selected.map((framework) =>
+      evaluateFramework(framework, scan.result.checks)
+    ),
+    errors,
+  });
+});
+
+// --- Evidence log ---
+
+app.get("/api/evidence", requireRole("viewer"), (req, res) => {
+  const { project, action, actor, check, since, until } = req.query;
+  const limit = parsePositiveNumber(req.query.limit);
+  if (limit === null || limit > 1000) {
+    return res
+      .status(400)
+      .json({ error: "limit must be a number between 1 and 1000." });
+  }
+  try {
+    res.json({
+      entries: queryEvidence({
+        project,
+        action,
+        actor,
+        check,
+        since,
+        until,
+        limit: limit && Math.floor(limit),
+      }),
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: `Failed to read the evidence log: ${error.message}` });
+  }
+});
+
+// Verifies the hash chain over the current and rotated evidence files.
+app.get("/api/evidence/verify", requireRole("viewer"), (req, res) => {
+  try {
+    const result = verifyEvidence();
+    res.status(result.valid ? 200 : 409).json(result);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ error: `Failed to verify the evidence log: ${error.message}` });
   }
 });
+
+app.get("/api/hello", (req, res) => {
+  res.json({ message: "Hello, world!" });
+});
+
+// Errors a route did not handle are returned as JSON, with secrets masked,
+// instead of Express's default page with the stack trace.
+app.use((err, req, res, next) => {
+  logEvidence("error", `Unhandled error in ${req.method} ${req.path}.`, {
+    error: err.message,
+  });
+  res.status(err.status || 500).json({ error: err.message });
+});
+
+// Only start listening when run directly; the CLI requires this module to
+// reuse the check registry without starting the HTTP server.
+if (require.main === module) {
+  app.listen(port, () => {
+    logEvidence("info", `Delve backend server running on port ${port}`, {
+      action: "server.start",
+    });
+    console.log(`Backend server running on http://localhost:${port}`);
+    startScheduler();
+    try {
+      bootstrapAdmin();
+    } catch (error) {
+      logEvidence("error", "Failed to create the first admin user.", {
+        action: "user.create",
+        error: error.message,
+      });
+    }
+    try {
+      const sealed = sealStoredCredentials();
+      if (sealed) {
+        logEvidence(
+          "info",
+          `Encrypted the stored credentials of ${sealed} scan schedule(s).`,
+          { action: "vault.seal" }
+        );
+      }
+    } catch (error) {
+      logEvidence("error", "Failed to encrypt stored schedule credentials.", {
+        action: "vault.seal",
+        error: error.message,
+      });
+    }
+    try {
+      failInterruptedOrgScans();
+    } catch (error) {
+      logEvidence("error", "Failed to mark interrupted org scans.", {
+        action: "org-scan.run",
+        error: error.message,
+      });
+    }
+    try {
+      fs.accessSync(path.dirname(evidenceLogPath), fs.constants.W_OK);
+      logEvidence(
+        "info",
+        `Evidence log will be written to: ${evidenceLogPath}`,
+        { action: "server.start" }
+      );
+    } catch (err) {
+      logEvidence(
+        "error",
+        `Evidence log directory is not writable: ${path.dirname(
+          evidenceLogPath
+        )}. Logs will only go to console.`,
+        { action: "server.start" }
+      );
+      console.error(
+        `Error: Evidence log directory is not writable. Please check permissions for ${path.dirname(
+          evidenceLogPath
+        )}`
+      );
+    }
+  });
+}
+
+module.exports = {
+  app,
+  registerCheck,
+  listChecks,
+  runChecks,
+  runDueSchedules,
+  startScheduler,
+  stopScheduler,
+  runMFACheck,
+  runRLSCheck,
+  runGrantsCheck,
+  runFunctionsCheck,
+  runStorageCheck,
+  runAuthConfigCheck,
+  runPITR,
+  getSupabaseClient,
+};
@@ -0,0 +1,135 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  requiresAal2,
+  resolveSensitiveTables,
+  analyzeAal,
+  aalFindings,
+  aal2PolicyStatement,
+} = require("../lib/aal");
+
+const AAL2 = "((auth.jwt() ->> 'aal'::text) = 'aal2'::text)";
+
+function policy(overrides) {
+  return {
+    policyname: "p",
+    cmd: "ALL",
+    permissive: "PERMISSIVE",
+    roles: "{authenticated}",
+    qual: "(auth.uid() = user_id)",
+    with_check: null,
+    ...overrides,
+  };
+}
+
+test("requiresAal2 reads deparsed aal comparisons", () => {
+  assert.equal(requiresAal2(AAL2), true);
+  assert.equal(
+    requiresAal2("('aal2'::text = (auth.jwt() ->> 'aal'::text))"),
+    true
+  );
+  assert.equal(requiresAal2("(auth.jwt() ->> 'aal') = 'aal1'"), false);
+  assert.equal(requiresAal2(null), false);
+});
+
+test("resolveSensitiveTables puts bare names in public", () => {
+  assert.deepEqual(
+    resolveSensitiveTables({ sensitiveTables: "notes, billing.invoices" }),
+    ["public.notes", "billing.invoices"]
+  );
+});
+
+test("a restrictive aal2 policy enforces MFA for every command", () => {
+  const aal = analyzeAal(
+    [
+      policy({ policyname: "own" }),
+      policy({
+        policyname: "mfa",
+        permissive: "RESTRICTIVE",
+        qual: AAL2,
+        with_check: AAL2,
+      }),
+    ],
+    { rlsEnabled: true }
+  );
+  assert.equal(aal.enforcement, "aal2");
+  assert.deepEqual(aal.aal1_commands, []);
+  assert.deepEqual(aal.aal2_policies, ["mfa"]);
+});
+
+test("another permissive policy bypasses an aal2 check", () => {
+  const aal = analyzeAal(
+    [
+      policy({ policyname: "mfa_read", cmd: "SELECT", qual: AAL2 }),
+      policy({ policyname: "public_read", cmd: "SELECT", roles: "{public}" }),
+    ],
+    { rlsEnabled: true }
+  );
+  assert.equal(aal.enforcement, "partial");
+  assert.deepEqual(aal.aal1_commands, ["SELECT"]);
+  assert.deepEqual(aal.aal1_policies, ["public_read"]);
+  const [finding] = aalFindings(aal, { sensitive: false, rlsEnabled: true });
+  assert.equal(finding.issue, "aal2_bypassed");
+});
+
+test("sensitive tables reachable at aal1 are high", () => {
+  const aal = analyzeAal([policy({ cmd: "SELECT" })], { rlsEnabled: true });
+  assert.equal(aal.enforcement, "none");
+  const [finding] = aalFindings(aal, { sensitive: true, rlsEnabled: true });
+  assert.equal(finding.issue, "aal1_reachable");
+  assert.equal(finding.severity, "high");
+  assert.equal(finding.command, "SELECT");
+});
+
+test("anon policies on sensitive tables are reachable at aal1", () => {
+  const aal = analyzeAal(
+    [policy({ policyname: "anon_read", cmd: "SELECT", roles: "{anon}" })],
+    { rlsEnabled: true }
+  );
+  assert.notEqual(aal.enforcement, "no_access");
+  assert.deepEqual(aal.aal1_commands, ["SELECT"]);
+  assert.deepEqual(aal.aal1_policies, ["anon_read"]);
+  const [finding] = aalFindings(aal, { sensitive: true, rlsEnabled: true });
+  assert.equal(finding.issue, "aal1_reachable");
+  assert.equal(finding.severity, "high");
+});
+
+test("a restrictive aal2 policy for authenticated does not cover anon", () => {
+  const restrictive = policy({
+    policyname: "mfa",
+    permissive: "RESTRICTIVE",
+    qual: AAL2,
+    with_check: AAL2,
+  });
+  const anon = analyzeAal(
+    [policy({ policyname: "read", roles: "{public}" }), restrictive],
+    { rlsEnabled: true }
+  );
+  assert.deepEqual(anon.aal1_policies, ["read"]);
+  const signedIn = analyzeAal([policy({ policyname: "own" }), restrictive], {
+    rlsEnabled: true,
+  });
+  assert.deepEqual(signedIn.aal1_commands, []);
+});
+
+test("without RLS every command is reachable at aal1", () => {
+  const aal = analyzeAal([], { rlsEnabled: false });
+  assert.deepEqual(aal.aal1_commands, ["SELECT", "INSERT", "UPDATE", "DELETE"]);
+  const [finding] = aalFindings(aal, { sensitive: true, rlsEnabled: false });
+  assert.match(finding.message, /RLS is disabled/);
+});
+
+test("tables without policies for API roles have no access", () => {
+  const aal = analyzeAal([policy({ roles: "{service_role}" })], {
+    rlsEnabled: true,
+  });
+  assert.equal(aal.enforcement, "no_access");
+  assert.deepEqual(aalFindings(aal, { sensitive: true, rlsEnabled: true }), []);
+});
+
+test("the require-aal2 policy is restrictive for authenticated", () => {
+  assert.equal(
+    aal2PolicyStatement("public", "notes"),
+    `CREATE POLICY "notes_require_aal2" ON "public"."notes" AS RESTRICTIVE FOR ALL TO authenticated USING ((auth.jwt() ->> 'aal') = 'aal2') WITH CHECK ((auth.jwt() ->> 'aal') = 'aal2');`
+  );
+});
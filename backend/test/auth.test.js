@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-"));
+process.env.SCAN_HISTORY_PATH = path.join(dir, "scans.db");
+const {
+  hasRole,
+  createUser,
+  listUsers,
+  countUsers,
+  updateUser,
+  deleteUser,
+  authenticate,
+  createSession,
+  getSessionUser,
+  deleteSession,
+} = require("../lib/auth");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const PASSWORD = "correct horse battery";
+
+test("roles include the ones before them", () => {
+  assert.equal(hasRole({ role: "admin" }, "operator"), true);
+  assert.equal(hasRole({ role: "operator" }, "viewer"), true);
+  assert.equal(hasRole({ role: "viewer" }, "operator"), false);
+});
+
+test("users are validated", () => {
+  assert.throws(
+    () => createUser({ email: "nope", password: PASSWORD, role: "viewer" }),
+    /valid email/
+  );
+  assert.throws(
+    () => createUser({ email: "a@x.io", password: "short", role: "viewer" }),
+    /at least 12 characters/
+  );
+  assert.throws(
+    () => createUser({ email: "a@x.io", password: PASSWORD, role: "root" }),
+    /role must be one of/
+  );
+  assert.equal(countUsers(), 0);
+});
+
+test("passwords are hashed and checked", () => {
+  const user = createUser({
+    email: "admin@x.io",
+    password: PASSWORD,
+    role: "admin",
+  });
+  assert.deepEqual(Object.keys(user).sort(), [
+    "createdAt",
+    "email",
+    "id",
+    "role",
+  ]);
+  assert.equal(authenticate("ADMIN@x.io", PASSWORD).id, user.id);
+  assert.equal(authenticate("admin@x.io", "wrong password"), null);
+  assert.equal(authenticate("nobody@x.io", PASSWORD), null);
+  assert.throws(
+    () =>
+      createUser({ email: "Admin@x.io", password: PASSWORD, role: "viewer" }),
+    /already exists/
+  );
+});
+
+test("unknown emails still run the password hash", (t) => {
+  authenticate("nobody@x.io", PASSWORD);
+  const scrypt = t.mock.method(crypto, "scryptSync");
+  assert.equal(authenticate("nobody@x.io", PASSWORD), null);
+  assert.equal(scrypt.mock.callCount(), 1);
+});
+
+test("sessions resolve to their user until deleted", () => {
+  const [user] = listUsers();
+  const { token, expiresAt } = createSession(user.id);
+  assert.ok(new Date(expiresAt) > new Date());
+  assert.equal(getSessionUser(token).email, "admin@x.io");
+  assert.equal(getSessionUser("not-a-token"), null);
+  deleteSession(token);
+  assert.equal(getSessionUser(token), null);
+});
+
+test("a new password ends the user's sessions", () => {
+  const user = createUser({
+    email: "viewer@x.io",
+    password: PASSWORD,
+    role: "viewer",
+  });
+  const { token } = createSession(user.id);
+  assert.equal(updateUser(user.id, { role: "operator" }).role, "operator");
+  assert.ok(getSessionUser(token));
+  updateUser(user.id, { password: "another long password" });
+  assert.equal(getSessionUser(token), null);
+  assert.ok(authenticate("viewer@x.io", "another long password"));
+  assert.equal(updateUser("missing", { role: "viewer" }), null);
+  assert.equal(deleteUser(user.id), true);
+  assert.equal(countUsers(), 1);
+});
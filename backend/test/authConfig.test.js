@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  DEFAULT_BASELINE,
+  loadBaseline,
+  evaluateAuthConfig,
+  buildAuthConfigPatch,
+} = require("../lib/authConfig");
+
+const COMPLIANT = {
+  password_min_length: 12,
+  password_required_characters:
+    "abcdefghijklmnopqrstuvwxyz:ABCDEFGHIJKLMNOPQRSTUVWXYZ:0123456789",
+  password_hibp_enabled: true,
+  mailer_autoconfirm: false,
+  jwt_exp: 3600,
+  mfa_totp_enroll_enabled: true,
+  mfa_totp_verify_enabled: true,
+  disable_signup: false,
+  smtp_host: "smtp.example.com",
+  smtp_admin_email: "auth@example.com",
+};
+
+function byId(settings) {
+  return Object.fromEntries(settings.map((s) => [s.id, s]));
+}
+
+test("a compliant config passes every rule", () => {
+  const settings = evaluateAuthConfig(COMPLIANT, DEFAULT_BASELINE);
+  assert.deepEqual(
+    settings.filter((s) => s.status !== "PASSING"),
+    []
+  );
+  assert.equal(byId(settings).custom_smtp.actual, "auth@example.com");
+});
+
+test("weak settings fail with their actual values", () => {
+  const settings = byId(
+    evaluateAuthConfig(
+      {
+        ...COMPLIANT,
+        password_min_length: 6,
+        password_required_characters: "",
+        mailer_autoconfirm: true,
+        jwt_exp: 86400,
+        mfa_totp_verify_enabled: false,
+        smtp_host: null,
+      },
+      DEFAULT_BASELINE
+    )
+  );
+  assert.equal(settings.password_min_length.status, "FAILING");
+  assert.equal(settings.password_min_length.actual, 6);
+  assert.equal(settings.password_required_characters.actual, "none");
+  assert.equal(settings.email_confirmation_required.severity, "high");
+  assert.equal(settings.jwt_exp.status, "FAILING");
+  assert.deepEqual(settings.mfa_factors.actual, []);
+  assert.equal(settings.custom_smtp.fixable, false);
+  assert.equal(settings.password_hibp_enabled.status, "PASSING");
+});
+
+test("the patch only covers fixable failing settings", () => {
+  const settings = evaluateAuthConfig(
+    { ...COMPLIANT, password_min_length: 6, jwt_exp: 86400, smtp_host: null },
+    DEFAULT_BASELINE
+  );
+  assert.deepEqual(buildAuthConfigPatch(settings, DEFAULT_BASELINE), {
+    password_min_length: 12,
+    jwt_exp: 3600,
+  });
+  assert.deepEqual(
+    buildAuthConfigPatch(settings, DEFAULT_BASELINE, ["jwt_exp"]),
+    { jwt_exp: 3600 }
+  );
+});
+
+test("closed signups are only required when the baseline says so", () => {
+  const baseline = { ...DEFAULT_BASELINE, allow_signups: false };
+  const settings = evaluateAuthConfig(COMPLIANT, baseline);
+  assert.equal(byId(settings).disable_signup.status, "FAILING");
+  assert.deepEqual(buildAuthConfigPatch(settings, baseline), {
+    disable_signup: true,
+  });
+});
+
+test("loadBaseline merges the file and request overrides", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "baseline-"));
+  const file = path.join(dir, "baseline.json");
+  fs.writeFileSync(file, JSON.stringify({ password_min_length: 16 }));
+  process.env.AUTH_BASELINE_PATH = file;
+  t.after(() => {
+    delete process.env.AUTH_BASELINE_PATH;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const baseline = loadBaseline({ jwt_exp_max: 900 });
+  assert.equal(baseline.password_min_length, 16);
+  assert.equal(baseline.jwt_exp_max, 900);
+  assert.throws(
+    () => loadBaseline({ password_required_characters: "emoji" }),
+    /must be one of/
+  );
+});
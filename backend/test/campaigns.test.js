@@ -0,0 +1,176 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "campaigns-"));
+process.env.CAMPAIGNS_PATH = path.join(dir, "campaigns.json");
+process.env.MAIL_OUTBOX_PATH = path.join(dir, "outbox.json");
+delete process.env.MAIL_TRANSPORT;
+const {
+  renderTemplate,
+  createCampaign,
+  saveCampaign,
+  getCampaign,
+  listCampaigns,
+  openRecipientIds,
+  selectRecipients,
+  recordNotification,
+  applyEnrollment,
+  recipientsDueForReminder,
+  campaignProgress,
+} = require("../lib/campaigns");
+const { registerTransport, sendMail } = require("../lib/mailer");
+
+test.beforeEach(() => {
+  for (const file of fs.readdirSync(dir)) fs.rmSync(path.join(dir, file));
+});
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const PROJECT = "https://ref.supabase.co";
+const HOUR = 60 * 60 * 1000;
+
+function campaign(project = PROJECT) {
+  return createCampaign({
+    project,
+    planId: "plan",
+    enrollUrl: "https://app.example.com/mfa",
+    template: { subject: "s", text: "t" },
+    recipients: [
+      { userId: "u1", email: "a@x.io" },
+      { userId: "u2", email: "b@x.io" },
+    ],
+  });
+}
+
+test("renderTemplate fills known placeholders only", () => {
+  assert.deepEqual(
+    renderTemplate(
+      { subject: "MFA for {{ project }}", text: "Hi {{email}} {{other}}" },
+      { project: "app", email: "a@x.io" }
+    ),
+    { subject: "MFA for app", text: "Hi a@x.io {{other}}" }
+  );
+});
+
+test("campaigns are stored with pending recipients", () => {
+  const created = campaign();
+  assert.deepEqual(
+    created.recipients.map((r) => [r.userId, r.email, r.status]),
+    [
+      ["u1", "a@x.io", "pending"],
+      ["u2", "b@x.io", "pending"],
+    ]
+  );
+  assert.deepEqual(getCampaign(created.id), created);
+  campaign("https://other.supabase.co");
+  assert.equal(listCampaigns(PROJECT).length, 1);
+  assert.equal(listCampaigns().length, 2);
+});
+
+test("recipients still enrolling are not selected again", () => {
+  const created = campaign();
+  const now = new Date();
+  applyEnrollment(
+    created,
+    [{ id: "u1", mfa_enabled: true, factor_types: ["totp"] }],
+    now
+  );
+  saveCampaign(created);
+  assert.deepEqual([...openRecipientIds(PROJECT)], ["u2"]);
+  assert.deepEqual(getCampaign(created.id).recipients[0].factorTypes, ["totp"]);
+  assert.equal(created.completedAt, null);
+});
+
+test("selectRecipients picks required users without MFA", () => {
+  const users = [
+    { id: "u1", email: "a@x.io", mfa_required: true },
+    { id: "u2", email: "b@x.io", mfa_required: true, mfa_enabled: true },
+    { id: "u3", email: "c@x.io", mfa_required: true, banned: true },
+    { id: "u4", email: null, mfa_required: true },
+    { id: "u5", email: "e@x.io", mfa_required: false },
+    { id: "u6", email: "f@x.io", mfa_required: true },
+  ];
+  assert.deepEqual(
+    selectRecipients(users, new Set(["u6"])).map((r) => r.userId),
+    ["u1"]
+  );
+  assert.deepEqual(selectRecipients(users, new Set(), ["u5", "u2"]), [
+    { userId: "u5", email: "e@x.io" },
+  ]);
+});
+
+test("notices and reminders drive recipient status", () => {
+  const created = campaign();
+  const [first, second] = created.recipients;
+  recordNotification(first, "notice", { messageId: "<1@local>" });
+  recordNotification(second, "notice", { error: "mailbox full" });
+  assert.equal(first.status, "notified");
+  assert.equal(second.status, "failed");
+
+  const later = new Date(Date.now() + (created.reminderAfterHours + 1) * HOUR);
+  assert.deepEqual(
+    recipientsDueForReminder(created).map((r) => r.userId),
+    ["u2"]
+  );
+  assert.deepEqual(
+    recipientsDueForReminder(created, later).map((r) => r.userId),
+    ["u1", "u2"]
+  );
+  recordNotification(first, "reminder", { messageId: "<2@local>" });
+  assert.deepEqual(campaignProgress(created), {
+    total: 2,
+    pending: 0,
+    notified: 1,
+    failed: 1,
+    enrolled: 0,
+    reminders: 1,
+  });
+});
+
+test("a campaign completes when every recipient enrolled", () => {
+  const created = campaign();
+  const users = ["u1", "u2"].map((id) => ({
+    id,
+    mfa_enabled: true,
+    factor_types: ["totp"],
+  }));
+  assert.equal(applyEnrollment(created, users).length, 2);
+  assert.ok(created.completedAt);
+  assert.equal(applyEnrollment(created, users).length, 0);
+});
+
+test("the local transport appends to the outbox", async () => {
+  const { messageId } = await sendMail({
+    to: "a@x.io",
+    subject: "s",
+    text: "t",
+  });
+  const outbox = JSON.parse(
+    fs.readFileSync(process.env.MAIL_OUTBOX_PATH, "utf8")
+  );
+  assert.equal(outbox.length, 1);
+  assert.equal(outbox[0].messageId, messageId);
+  assert.equal(outbox[0].from, "no-reply@localhost");
+  assert.equal(outbox[0].to, "a@x.io");
+});
+
+test("registered transports replace the current one", async (t) => {
+  const sent = [];
+  registerTransport("memory", () => ({
+    name: "memory",
+    send: async (message) => {
+      sent.push(message);
+      return { messageId: "m1" };
+    },
+  }));
+  process.env.MAIL_TRANSPORT = "memory";
+  t.after(() => {
+    delete process.env.MAIL_TRANSPORT;
+    registerTransport("memory", () => null);
+  });
+  assert.deepEqual(await sendMail({ to: "b@x.io" }), { messageId: "m1" });
+  assert.equal(sent[0].to, "b@x.io");
+  assert.equal(fs.existsSync(process.env.MAIL_OUTBOX_PATH), false);
+});
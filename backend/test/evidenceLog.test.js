@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "evidence-"));
+process.env.EVIDENCE_LOG_PATH = path.join(dir, "evidence.jsonl");
+process.env.EVIDENCE_LOG_MAX_BYTES = "2000";
+const {
+  evidenceLogPath,
+  runAsActor,
+  appendEvidence,
+  verifyEvidence,
+  queryEvidence,
+} = require("../lib/evidenceLog");
+
+test.beforeEach(() => {
+  for (const file of fs.readdirSync(dir)) fs.rmSync(path.join(dir, file));
+});
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function append(count, fields = {}) {
+  for (let i = 0; i < count; i++) {
+    appendEvidence({ message: `entry ${i}`, action: "test.run", ...fields });
+  }
+}
+
+test("entries are chained and verify", () => {
+  const first = appendEvidence({ message: "one", action: "test.run" });
+  const second = appendEvidence({ message: "two", action: "test.run" });
+  assert.equal(first.seq, 1);
+  assert.equal(first.prevHash, "0".repeat(64));
+  assert.equal(second.seq, 2);
+  assert.equal(second.prevHash, first.hash);
+  const result = verifyEvidence();
+  assert.equal(result.valid, true);
+  assert.equal(result.entries, 2);
+  assert.equal(result.complete, true);
+});
+
+test("an edited entry breaks the chain", () => {
+  append(3);
+  const lines = fs.readFileSync(evidenceLogPath, "utf8").split("\n");
+  lines[1] = lines[1].replace("entry 1", "entry one");
+  fs.writeFileSync(evidenceLogPath, lines.join("\n"));
+  const result = verifyEvidence();
+  assert.equal(result.valid, false);
+  assert.equal(result.error.line, 2);
+  assert.equal(result.error.reason, "Entry 2 was altered.");
+});
+
+test("a removed entry breaks the chain", () => {
+  append(3);
+  const lines = fs.readFileSync(evidenceLogPath, "utf8").split("\n");
+  lines.splice(1, 1);
+  fs.writeFileSync(evidenceLogPath, lines.join("\n"));
+  const result = verifyEvidence();
+  assert.equal(result.valid, false);
+  assert.equal(result.error.reason, "Entry 3 does not follow entry 1.");
+});
+
+test("a corrupt last line is marked and does not block appends", () => {
+  append(2);
+  fs.appendFileSync(evidenceLogPath, '{"seq":3,"timestamp":\n');
+  const entry = appendEvidence({ message: "after", action: "test.run" });
+  assert.equal(entry.seq, 4);
+  const [marker] = queryEvidence({ action: "evidence.chain_broken" });
+  assert.equal(marker.seq, 3);
+  assert.deepEqual(marker.payload, { unreadableLines: 1, resumesAfterSeq: 2 });
+  assert.equal(entry.prevHash, marker.hash);
+  const result = verifyEvidence();
+  assert.equal(result.valid, false);
+  assert.equal(result.error.line, 3);
+  assert.equal(result.error.reason, "Line is not valid JSON.");
+});
+
+test("the chain continues across rotated files", () => {
+  append(12);
+  const result = verifyEvidence();
+  assert.ok(result.files.length > 1);
+  assert.equal(result.valid, true);
+  assert.equal(result.lastSeq, 12);
+});
+
+test("entries carry the actor and can be queried", () => {
+  runAsActor("user:a@x.io", () =>
+    appendEvidence({ message: "fix", action: "remediation.apply" })
+  );
+  append(2, { project: "https://ref.supabase.co" });
+  const [entry] = queryEvidence({ action: "remediation.apply" });
+  assert.equal(entry.actor, "user:a@x.io");
+  const forProject = queryEvidence({ project: "https://ref.supabase.co" });
+  assert.deepEqual(
+    forProject.map((e) => e.seq),
+    [3, 2]
+  );
+  assert.equal(queryEvidence({ limit: 1 }).length, 1);
+});
@@ -0,0 +1,160 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadFrameworks,
+  controlsForCheck,
+  checkFindings,
+  evaluateFramework,
+} = require("../lib/frameworks");
+
+const framework = {
+  id: "test",
+  name: "Test Framework",
+  controls: [
+    { id: "C1", title: "Access", mappings: [{ check: "rls" }] },
+    {
+      id: "C2",
+      title: "MFA",
+      mappings: [
+        { check: "auth-config", issue: "mfa_factors" },
+        { check: "mfa", issue: "user_without_mfa" },
+      ],
+    },
+    { id: "C3", title: "Backups", mappings: [{ check: "pitr" }] },
+    { id: "C4", title: "Paper", mappings: [] },
+  ],
+};
+
+const rls = {
+  id: "rls",
+  status: "FAILING",
+  result: {
+    tables: [
+      {
+        name: "public.notes",
+        recommendations: [
+          { issue: "rls_disabled", severity: "critical", message: "off" },
+          { issue: "missing_command_policy", severity: "low", message: "low" },
+        ],
+      },
+    ],
+  },
+};
+
+const mfa = {
+  id: "mfa",
+  status: "PASSING",
+  result: {
+    users: [{ id: "u1", email: "a@x.io", mfa_required: false }],
+  },
+};
+
+test("the bundled frameworks are valid", () => {
+  const { frameworks, errors } = loadFrameworks();
+  assert.deepEqual(errors, []);
+  assert.deepEqual(frameworks.map((f) => f.id).sort(), [
+    "hipaa",
+    "iso27001",
+    "soc2",
+  ]);
+});
+
+test("invalid framework files are reported, not loaded", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "frameworks-"));
+  try {
+    fs.writeFileSync(path.join(dir, "ok.json"), JSON.stringify(framework));
+    fs.writeFileSync(path.join(dir, "broken.json"), "{");
+    fs.writeFileSync(
+      path.join(dir, "bad.json"),
+      JSON.stringify({
+        id: "bad",
+        name: "Bad",
+        controls: [
+          { id: "X", mappings: [{ check: "rls", minSeverity: "huge" }] },
+        ],
+      })
+    );
+    const { frameworks, errors } = loadFrameworks(dir);
+    assert.deepEqual(
+      frameworks.map((f) => f.id),
+      ["test"]
+    );
+    assert.deepEqual(errors.map((e) => e.file).sort(), [
+      "bad.json",
+      "broken.json",
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("controlsForCheck lists the controls a check maps to", () => {
+  assert.deepEqual(controlsForCheck([framework], "mfa"), [
+    {
+      framework: "test",
+      frameworkName: "Test Framework",
+      control: "C2",
+      title: "MFA",
+    },
+  ]);
+});
+
+test("checkFindings flattens check results", () => {
+  assert.deepEqual(
+    checkFindings(rls).map((f) => [f.subject, f.issue]),
+    [
+      ["public.notes", "rls_disabled"],
+      ["public.notes", "missing_command_policy"],
+    ]
+  );
+  assert.deepEqual(
+    checkFindings({
+      id: "pitr",
+      result: { details: { projects: [{ ref: "r", name: "app" }] } },
+    }).map((f) => f.issue),
+    ["pitr_disabled"]
+  );
+});
+
+test("controls are evaluated against a scan", () => {
+  const result = evaluateFramework(framework, [rls, mfa]);
+  const byId = Object.fromEntries(result.controls.map((c) => [c.id, c]));
+  assert.equal(byId.C1.status, "FAILING");
+  assert.deepEqual(
+    byId.C1.findings.map((f) => f.issue),
+    ["rls_disabled"]
+  );
+  assert.equal(byId.C2.status, "PASSING");
+  assert.equal(byId.C3.status, "NOT_COVERED");
+  assert.equal(byId.C3.reason, "None of the mapped checks ran in this scan.");
+  assert.equal(byId.C4.reason, "No check maps to this control.");
+  assert.deepEqual(result.counts, {
+    PASSING: 1,
+    FAILING: 1,
+    ERROR: 0,
+    NOT_COVERED: 2,
+  });
+});
+
+test("controls whose mapped check errored name the check", () => {
+  const pitr = { id: "pitr", status: "ERROR", message: "timeout" };
+  const result = evaluateFramework(framework, [rls, mfa, pitr]);
+  const byId = Object.fromEntries(result.controls.map((c) => [c.id, c]));
+  assert.equal(byId.C3.status, "ERROR");
+  assert.equal(
+    byId.C3.reason,
+    'Could not be evaluated: check "pitr" ended in ERROR.'
+  );
+  assert.equal(result.counts.ERROR, 1);
+  const failing = evaluateFramework(
+    {
+      ...framework,
+      controls: [{ id: "C5", mappings: [{ check: "rls" }, { check: "pitr" }] }],
+    },
+    [rls, pitr]
+  );
+  assert.equal(failing.controls[0].status, "FAILING");
+});
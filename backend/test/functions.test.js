@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  analyzeFunction,
+  parseSearchPath,
+  setSearchPathStatement,
+  executeStatement,
+} = require("../lib/functions");
+
+function fn(overrides) {
+  return {
+    schema: "public",
+    name: "add_note",
+    arguments: "title text",
+    security_definer: false,
+    owner: "postgres",
+    owner_superuser: true,
+    owner_bypassrls: false,
+    search_path: "",
+    execute: { anon: false, authenticated: false, public: false },
+    ...overrides,
+  };
+}
+
+function issues(findings) {
+  return findings.map((f) => [f.issue, f.severity]);
+}
+
+test("a pinned invoker function has no findings", () => {
+  assert.deepEqual(analyzeFunction(fn()), []);
+});
+
+test("an unpinned invoker function is low", () => {
+  assert.deepEqual(issues(analyzeFunction(fn({ search_path: null }))), [
+    ["mutable_search_path", "low"],
+  ]);
+});
+
+test("a definer function anon can call through PUBLIC", () => {
+  const findings = analyzeFunction(
+    fn({
+      security_definer: true,
+      search_path: null,
+      execute: { anon: false, authenticated: false, public: true },
+    })
+  );
+  assert.deepEqual(issues(findings), [
+    ["definer_anon_execute", "critical"],
+    ["definer_mutable_search_path", "high"],
+  ]);
+  assert.equal(findings[0].fix, "revoke_execute");
+  assert.match(findings[0].message, /bypasses RLS/);
+});
+
+test("a pinned definer function for signed-in users is medium", () => {
+  const findings = analyzeFunction(
+    fn({
+      security_definer: true,
+      owner_superuser: false,
+      execute: { anon: false, authenticated: true, public: false },
+    })
+  );
+  assert.deepEqual(issues(findings), [
+    ["definer_authenticated_execute", "medium"],
+  ]);
+  assert.equal(findings[0].fix, null);
+});
+
+test("parseSearchPath reads stored values", () => {
+  assert.equal(parseSearchPath(null), null);
+  assert.deepEqual(parseSearchPath('""'), []);
+  assert.deepEqual(parseSearchPath("public, extensions"), [
+    "public",
+    "extensions",
+  ]);
+});
+
+test("search_path and EXECUTE statements", () => {
+  const signature = "public.add_note(title text)";
+  assert.equal(
+    setSearchPathStatement(signature, []),
+    "ALTER FUNCTION public.add_note(title text) SET search_path = '';"
+  );
+  assert.equal(
+    setSearchPathStatement(signature, ["public"]),
+    'ALTER FUNCTION public.add_note(title text) SET search_path = "public";'
+  );
+  assert.equal(
+    setSearchPathStatement(signature, null),
+    "ALTER FUNCTION public.add_note(title text) RESET search_path;"
+  );
+  assert.equal(
+    executeStatement(signature, false, ["anon", "public"]),
+    'REVOKE EXECUTE ON FUNCTION public.add_note(title text) FROM "anon", PUBLIC;'
+  );
+});
@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  analyzeGrants,
+  buildRevokeStatements,
+  buildGrantRestoreStatements,
+} = require("../lib/grants");
+
+function relation(overrides) {
+  return {
+    name: "public.notes",
+    kind: "table",
+    rlsEnabled: true,
+    grants: {},
+    columnGrants: {},
+    ...overrides,
+  };
+}
+
+test("anon writes without RLS are critical", () => {
+  const [finding] = analyzeGrants(
+    relation({ rlsEnabled: false, grants: { anon: ["SELECT", "INSERT"] } })
+  );
+  assert.equal(finding.issue, "anonymous_write");
+  assert.equal(finding.severity, "critical");
+  assert.deepEqual(finding.privileges, ["INSERT"]);
+});
+
+test("anon writes limited by RLS are medium", () => {
+  const [finding] = analyzeGrants(relation({ grants: { anon: ["UPDATE"] } }));
+  assert.equal(finding.severity, "medium");
+});
+
+test("RLS does not protect views", () => {
+  const [finding] = analyzeGrants(
+    relation({ kind: "view", grants: { public: ["DELETE"] } })
+  );
+  assert.equal(finding.severity, "critical");
+});
+
+test("TRUNCATE is flagged for every API role", () => {
+  const findings = analyzeGrants(
+    relation({
+      grants: { anon: ["TRUNCATE"], authenticated: ["TRUNCATE"] },
+    })
+  );
+  assert.deepEqual(
+    findings.map((f) => [f.issue, f.grantee, f.severity]),
+    [
+      ["truncate_grant", "anon", "high"],
+      ["truncate_grant", "authenticated", "medium"],
+    ]
+  );
+});
+
+test("anonymous column writes are flagged", () => {
+  const [finding] = analyzeGrants(
+    relation({
+      rlsEnabled: false,
+      columnGrants: { anon: { UPDATE: ["title", "body"], SELECT: ["id"] } },
+    })
+  );
+  assert.equal(finding.issue, "anonymous_column_write");
+  assert.equal(finding.severity, "high");
+  assert.deepEqual(finding.columns, ["title", "body"]);
+});
+
+test("sequences only flag UPDATE for anonymous roles", () => {
+  const findings = analyzeGrants(
+    relation({
+      kind: "sequence",
+      grants: { anon: ["USAGE", "UPDATE"], authenticated: ["UPDATE"] },
+    })
+  );
+  assert.deepEqual(
+    findings.map((f) => [f.issue, f.grantee]),
+    [["sequence_update", "anon"]]
+  );
+});
+
+test("an authenticated read grant has no findings", () => {
+  assert.deepEqual(
+    analyzeGrants(relation({ grants: { authenticated: ["SELECT"] } })),
+    []
+  );
+});
+
+test("REVOKE combines the columns of one privilege", () => {
+  const target = {
+    schema: "public",
+    name: "notes",
+    kind: "table",
+    grantee: "public",
+  };
+  assert.deepEqual(
+    buildRevokeStatements(target, [
+      { privilege: "INSERT", column: null },
+      { privilege: "UPDATE", column: "title" },
+      { privilege: "UPDATE", column: "body" },
+    ]),
+    [
+      'REVOKE INSERT ON TABLE "public"."notes" FROM PUBLIC;',
+      'REVOKE UPDATE ("title", "body") ON TABLE "public"."notes" FROM PUBLIC;',
+    ]
+  );
+});
+
+test("restore GRANTs only what the snapshot had and is now missing", () => {
+  const snapshot = {
+    schema: "public",
+    name: "seq",
+    kind: "sequence",
+    grantee: "anon",
+    privileges: [
+      { privilege: "USAGE", column: null, grantable: false },
+      { privilege: "UPDATE", column: null, grantable: true },
+    ],
+  };
+  const current = {
+    ...snapshot,
+    privileges: [{ privilege: "USAGE", column: null, grantable: false }],
+  };
+  assert.deepEqual(buildGrantRestoreStatements(current, snapshot), [
+    'GRANT UPDATE ON SEQUENCE "public"."seq" TO "anon" WITH GRANT OPTION;',
+  ]);
+});
@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  resolveMfaOptions,
+  classifyUser,
+  summarizeMfaUsers,
+} = require("../lib/mfa");
+
+const NOW = new Date("2026-01-01T00:00:00Z");
+const ALL = { requireFor: "all", elevatedRoles: ["admin"] };
+const ELEVATED = { requireFor: "elevated", elevatedRoles: ["admin"] };
+
+function user(overrides) {
+  return {
+    id: "u1",
+    email: "a@x.io",
+    email_confirmed_at: "2025-01-01T00:00:00Z",
+    factors: [],
+    app_metadata: {},
+    ...overrides,
+  };
+}
+
+test("resolveMfaOptions defaults to everyone and the default roles", () => {
+  delete process.env.MFA_REQUIRED_FOR;
+  delete process.env.MFA_ELEVATED_ROLES;
+  assert.deepEqual(resolveMfaOptions(), {
+    requireFor: "all",
+    elevatedRoles: ["admin", "owner", "super_admin"],
+  });
+  assert.deepEqual(
+    resolveMfaOptions({ requireFor: "elevated", elevatedRoles: "ops, dba" }),
+    { requireFor: "elevated", elevatedRoles: ["ops", "dba"] }
+  );
+  assert.throws(() => resolveMfaOptions({ requireFor: "some" }), /one of/);
+});
+
+test("only verified factors count as MFA", () => {
+  const classified = classifyUser(
+    user({
+      factors: [
+        { id: "f1", factor_type: "totp", status: "verified" },
+        { id: "f2", factor_type: "totp", status: "verified" },
+        { id: "f3", factor_type: "phone", status: "unverified" },
+      ],
+    }),
+    ALL,
+    NOW
+  );
+  assert.equal(classified.mfa_enabled, true);
+  assert.deepEqual(classified.factor_types, ["totp"]);
+  assert.equal(classified.unverified_factors, 1);
+  assert.equal(
+    classifyUser(
+      user({
+        factors: [{ id: "f", factor_type: "totp", status: "unverified" }],
+      }),
+      ALL,
+      NOW
+    ).mfa_enabled,
+    false
+  );
+});
+
+test("elevated roles are read from role and roles", () => {
+  const admin = classifyUser(
+    user({ app_metadata: { roles: ["viewer", "admin"] } }),
+    ELEVATED,
+    NOW
+  );
+  assert.deepEqual(admin.roles, ["viewer", "admin"]);
+  assert.equal(admin.elevated, true);
+  assert.equal(admin.mfa_required, true);
+  const single = classifyUser(
+    user({ app_metadata: { role: "admin" } }),
+    ELEVATED,
+    NOW
+  );
+  assert.equal(single.elevated, true);
+  const member = classifyUser(
+    user({ app_metadata: { role: "member" } }),
+    ELEVATED,
+    NOW
+  );
+  assert.equal(member.mfa_required, false);
+  assert.equal(classifyUser(user({}), ALL, NOW).mfa_required, true);
+});
+
+test("banned users are never required to have MFA", () => {
+  const banned = classifyUser(
+    user({ banned_until: "2027-01-01T00:00:00Z" }),
+    ALL,
+    NOW
+  );
+  assert.equal(banned.banned, true);
+  assert.equal(banned.mfa_required, false);
+  const expired = classifyUser(
+    user({ banned_until: "2025-01-01T00:00:00Z" }),
+    ALL,
+    NOW
+  );
+  assert.equal(expired.banned, false);
+});
+
+test("summarizeMfaUsers counts the population", () => {
+  const users = [
+    user({
+      id: "1",
+      app_metadata: { role: "admin" },
+      factors: [{ id: "f", factor_type: "totp", status: "verified" }],
+    }),
+    user({ id: "2", app_metadata: { role: "admin" } }),
+    user({ id: "3", email_confirmed_at: null }),
+    user({ id: "4", banned_until: "2027-01-01T00:00:00Z" }),
+  ].map((u) => classifyUser(u, ALL, NOW));
+  assert.deepEqual(summarizeMfaUsers(users), {
+    total: 4,
+    mfa_enabled: 1,
+    without_mfa: 3,
+    required: 3,
+    required_without_mfa: 2,
+    by_factor: { totp: 1 },
+    unverified_factors: 0,
+    elevated: 2,
+    elevated_without_mfa: 1,
+    banned: 1,
+    unconfirmed: 1,
+  });
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  listPolicyTemplates,
+  buildRlsFixStatements,
+} = require("../lib/policyTemplates");
+
+function tableInfo(columns, existingPolicies = []) {
+  return { schema: "public", table: "notes", columns, existingPolicies };
+}
+
+test("templates are offered only when the table has their columns", () => {
+  const templates = listPolicyTemplates(
+    tableInfo([{ name: "id", type: "bigint" }])
+  );
+  const available = Object.fromEntries(
+    templates.map((t) => [t.id, t.available])
+  );
+  assert.deepEqual(available, {
+    owner_only: false,
+    tenant_scoped: false,
+    authenticated_read: true,
+    deny_all: true,
+  });
+  assert.deepEqual(templates[0].sql, []);
+});
+
+test("owner_only compares the owner column with auth.uid()", () => {
+  const statements = buildRlsFixStatements(
+    "owner_only",
+    tableInfo([{ name: "user_id", type: "uuid" }])
+  );
+  assert.equal(
+    statements[0],
+    'ALTER TABLE "public"."notes" ENABLE ROW LEVEL SECURITY;'
+  );
+  assert.equal(statements.length, 5);
+  assert.match(statements[2], /FOR INSERT TO authenticated WITH CHECK/);
+  assert.ok(statements.slice(1).every((s) => s.includes("= auth.uid())")));
+});
+
+test("a text owner column is compared as text", () => {
+  const [, select] = buildRlsFixStatements(
+    "owner_only",
+    tableInfo([{ name: "owner_id", type: "text" }])
+  );
+  assert.match(select, /"owner_id" = auth\.uid\(\)::text/);
+});
+
+test("tenant_scoped reads org_id from the JWT", () => {
+  const [, select] = buildRlsFixStatements(
+    "tenant_scoped",
+    tableInfo([{ name: "org_id", type: "uuid" }])
+  );
+  assert.match(select, /"org_id" = \(auth\.jwt\(\) ->> 'org_id'\)::uuid/);
+});
+
+test("existing policies are never widened by a template", () => {
+  const statements = buildRlsFixStatements(
+    "authenticated_read",
+    tableInfo([{ name: "id", type: "bigint" }], [{ policyname: "p" }])
+  );
+  assert.equal(statements.length, 1);
+});
+
+test("unavailable and unknown templates are rejected", () => {
+  assert.throws(
+    () => buildRlsFixStatements("owner_only", tableInfo([])),
+    /Requires a user_id or owner_id column/
+  );
+  assert.throws(
+    () => buildRlsFixStatements("nope", tableInfo([])),
+    /Unknown policy template/
+  );
+});
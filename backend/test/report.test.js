@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "report-"));
+process.env.SCAN_HISTORY_PATH = path.join(dir, "scans.db");
+delete process.env.REPORT_ORG_NAME;
+const { getDb, saveScan, getScan } = require("../lib/scanHistory");
+const { renderReportHtml } = require("../lib/report");
+
+test.after(() => {
+  getDb().close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const PROJECT = "https://<script>alert(1)</script>.example.com";
+
+const RESULT = {
+  project: PROJECT,
+  checks: [
+    {
+      id: "rls",
+      title: "Row-Level Security",
+      category: "Database",
+      severity: "critical",
+      status: "FAILING",
+      result: {
+        tables: [
+          {
+            name: 'public."<img src=x onerror=alert(1)>"',
+            status: "FAILING",
+            rls_enabled: true,
+            current_policies: [
+              {
+                policyname: "<b>owner</b> & co",
+                permissive: "PERMISSIVE",
+                cmd: "SELECT",
+                roles: ["authenticated"],
+                qual: "(auth.uid() = user_id) AND name <> '<x>'",
+                with_check: null,
+              },
+            ],
+            recommendations: [
+              { severity: "high", message: 'Policy "<b>owner</b>" is open.' },
+            ],
+          },
+        ],
+      },
+    },
+    {
+      id: "pitr",
+      title: "Point-in-Time Recovery",
+      category: "Backups",
+      severity: "high",
+      status: "PASSING",
+      result: {
+        status: "PASSING",
+        message: "PITR status checked for all projects.",
+        details: {
+          projects: [
+            { name: "app", ref: "ref", pitrEnabled: true, status: "active" },
+          ],
+        },
+      },
+    },
+  ],
+};
+
+function render(fields = {}) {
+  const saved = saveScan({
+    project: PROJECT,
+    projectRef: "ref",
+    result: RESULT,
+  });
+  return renderReportHtml({
+    scan: getScan(saved.id),
+    remediations: [],
+    evidence: [
+      {
+        seq: 7,
+        timestamp: "2026-01-01T00:00:00.000Z",
+        actor: "user:<a>@x.io",
+        action: "check.result",
+        check: "rls",
+        outcome: "FAILING",
+        message: "RLS check done",
+        hash: "a".repeat(64),
+      },
+    ],
+    verification: { valid: true, entries: 7, lastHash: "a".repeat(64) },
+    ...fields,
+  });
+}
+
+test("the report renders every section of a saved scan", () => {
+  const html = render();
+  assert.match(html, /^<!DOCTYPE html>/);
+  for (const heading of [
+    "Executive summary",
+    "Check results",
+    "Row-Level Security",
+    "Point-in-time recovery",
+    "Remediations applied",
+    "Evidence log excerpts",
+  ]) {
+    assert.ok(html.includes(`<h2>${heading}</h2>`), heading);
+  }
+  assert.ok(
+    html.includes("0 of 1 tables pass the RLS check; 1 need attention.")
+  );
+  assert.ok(html.includes("1 of 1 projects have point-in-time recovery."));
+  assert.ok(html.includes("No remediations were applied before this scan."));
+  assert.ok(html.includes("hash chain was verified intact (7 entries"));
+});
+
+test("project, table and policy names are escaped", () => {
+  const html = render();
+  assert.ok(!html.includes("<script>"));
+  assert.ok(!html.includes("<img"));
+  assert.ok(!html.includes("<b>owner</b>"));
+  assert.ok(!html.includes("<a>@x.io"));
+  assert.ok(html.includes("&lt;script&gt;alert(1)&lt;/script&gt;"));
+  assert.ok(html.includes("&lt;img src=x onerror=alert(1)&gt;"));
+  assert.ok(html.includes("&lt;b&gt;owner&lt;/b&gt; &amp; co"));
+  assert.ok(html.includes("name &lt;&gt; &#39;&lt;x&gt;&#39;"));
+});
+
+test("a broken evidence chain is called out", () => {
+  const html = render({
+    verification: {
+      valid: false,
+      error: { reason: "Entry 3 was <altered>." },
+    },
+  });
+  assert.ok(
+    html.includes(
+      "<b>The evidence log hash chain is broken</b>: Entry 3 was &lt;altered&gt;."
+    )
+  );
+});
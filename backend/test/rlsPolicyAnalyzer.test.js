@@ -0,0 +1,149 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  analyzePolicies,
+  isBlockingFinding,
+  normalizeRoles,
+  SEVERITY_RANK,
+} = require("../lib/rlsPolicyAnalyzer");
+
+function policy(overrides) {
+  return {
+    policyname: "p",
+    cmd: "SELECT",
+    permissive: "PERMISSIVE",
+    roles: ["authenticated"],
+    qual: "(auth.uid() = user_id)",
+    with_check: null,
+    ...overrides,
+  };
+}
+
+function issues(findings) {
+  return findings.map((f) => f.issue);
+}
+
+test("normalizeRoles parses name[] literals", () => {
+  assert.deepEqual(normalizeRoles("{anon,authenticated}"), [
+    "anon",
+    "authenticated",
+  ]);
+  assert.deepEqual(normalizeRoles(["anon"]), ["anon"]);
+  assert.deepEqual(normalizeRoles(null), ["public"]);
+});
+
+test("a scoped policy per command has no findings", () => {
+  const findings = analyzePolicies(
+    [
+      policy({ policyname: "read", cmd: "SELECT" }),
+      policy({
+        policyname: "add",
+        cmd: "INSERT",
+        qual: null,
+        with_check: "(auth.uid() = user_id)",
+      }),
+      policy({
+        policyname: "change",
+        cmd: "UPDATE",
+        with_check: "(auth.uid() = user_id)",
+      }),
+      policy({ policyname: "remove", cmd: "DELETE" }),
+    ],
+    { rlsEnabled: true }
+  );
+  assert.deepEqual(findings, []);
+});
+
+test("an unconditional true policy for anon is critical", () => {
+  const findings = analyzePolicies(
+    [policy({ roles: "{anon}", qual: "true" })],
+    { rlsEnabled: true }
+  );
+  assert.equal(findings[0].issue, "permissive_true");
+  assert.equal(findings[0].severity, "critical");
+  assert.ok(findings.some(isBlockingFinding));
+});
+
+test("anon writes are flagged", () => {
+  const findings = analyzePolicies(
+    [
+      policy({
+        cmd: "DELETE",
+        roles: ["anon"],
+      }),
+    ],
+    { rlsEnabled: false }
+  );
+  assert.ok(issues(findings).includes("anonymous_write"));
+});
+
+test("INSERT and UPDATE policies without WITH CHECK are flagged", () => {
+  const findings = analyzePolicies(
+    [
+      policy({ policyname: "add", cmd: "INSERT", qual: null }),
+      policy({ policyname: "change", cmd: "UPDATE" }),
+    ],
+    { rlsEnabled: false }
+  );
+  const missing = findings.filter((f) => f.issue === "missing_with_check");
+  assert.deepEqual(missing.map((f) => [f.command, f.severity]).sort(), [
+    ["INSERT", "high"],
+    ["UPDATE", "medium"],
+  ]);
+});
+
+test("ALL policies without WITH CHECK are flagged", () => {
+  const findings = analyzePolicies([policy({ cmd: "ALL" })], {
+    rlsEnabled: false,
+  });
+  const [missing] = findings.filter((f) => f.issue === "missing_with_check");
+  assert.equal(missing.command, "ALL");
+  assert.equal(missing.severity, "medium");
+});
+
+test("restrictive policies without WITH CHECK are not flagged", () => {
+  const findings = analyzePolicies(
+    [
+      policy({ permissive: "RESTRICTIVE", cmd: "ALL" }),
+      policy({ permissive: "RESTRICTIVE", cmd: "INSERT", qual: null }),
+    ],
+    { rlsEnabled: false }
+  );
+  assert.deepEqual(issues(findings), []);
+});
+
+test("RLS without policies is reported once", () => {
+  const findings = analyzePolicies([], { rlsEnabled: true });
+  assert.deepEqual(issues(findings), ["no_policies"]);
+  assert.equal(findings.some(isBlockingFinding), false);
+});
+
+test("uncovered commands and overlapping permissive policies", () => {
+  const findings = analyzePolicies(
+    [
+      policy({ policyname: "a", roles: ["authenticated"] }),
+      policy({ policyname: "b", roles: ["public"] }),
+    ],
+    { rlsEnabled: true }
+  );
+  assert.equal(
+    findings.filter((f) => f.issue === "missing_command_policy").length,
+    3
+  );
+  const overlap = findings.find((f) => f.issue === "overlapping_permissive");
+  assert.equal(overlap.policy, "a, b");
+  assert.equal(overlap.command, "SELECT");
+});
+
+test("findings are sorted by severity", () => {
+  const findings = analyzePolicies(
+    [policy({ roles: ["anon"], cmd: "ALL", qual: "true" })],
+    { rlsEnabled: true }
+  );
+  const ranks = findings.map((f) => SEVERITY_RANK[f.severity]);
+  assert.equal(findings[0].severity, "critical");
+  assert.deepEqual(
+    ranks,
+    [...ranks].sort((a, b) => b - a)
+  );
+});
@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffScans } = require("../lib/scanDiff");
+
+function scan(checks) {
+  return { project: "https://ref.supabase.co", checks };
+}
+
+function table(name, overrides) {
+  return {
+    name,
+    rls_enabled: true,
+    rls_forced: false,
+    status: "PASSING",
+    recommendations: [],
+    current_policies: [],
+    ...overrides,
+  };
+}
+
+function rls(tables, status = "PASSING") {
+  return { id: "rls", title: "RLS", status, result: { tables } };
+}
+
+function types(diff) {
+  return diff.items.map((i) => [i.type, i.classification]);
+}
+
+test("identical scans have no changes", () => {
+  const before = scan([rls([table("public.notes")])]);
+  const diff = diffScans(before, before);
+  assert.deepEqual(diff, {
+    items: [],
+    counts: { regression: 0, improvement: 0, neutral: 0 },
+  });
+});
+
+test("check statuses are classified", () => {
+  const diff = diffScans(
+    scan([
+      { id: "pitr", title: "PITR", status: "PASSING" },
+      { id: "grants", title: "Grants", status: "FAILING" },
+    ]),
+    scan([
+      { id: "pitr", title: "PITR", status: "FAILING" },
+      { id: "grants", title: "Grants", status: "PASSING" },
+      { id: "storage", title: "Storage", status: "N/A" },
+    ])
+  );
+  assert.deepEqual(types(diff), [
+    ["check_status", "regression"],
+    ["check_status", "improvement"],
+    ["check_added", "neutral"],
+  ]);
+  assert.deepEqual(diff.counts, { regression: 1, improvement: 1, neutral: 1 });
+});
+
+test("a table losing RLS is a regression", () => {
+  const diff = diffScans(
+    scan([rls([table("public.notes")])]),
+    scan([
+      rls(
+        [
+          table("public.notes", { rls_enabled: false, status: "FAILING" }),
+          table("public.new", { status: "FAILING" }),
+        ],
+        "FAILING"
+      ),
+    ])
+  );
+  assert.deepEqual(types(diff), [
+    ["check_status", "regression"],
+    ["rls_enabled", "regression"],
+    ["table_status", "regression"],
+    ["table_added", "regression"],
+  ]);
+});
+
+test("a policy that adds a blocking finding is a regression", () => {
+  const open = {
+    policyname: "open",
+    cmd: "SELECT",
+    permissive: "PERMISSIVE",
+    roles: ["anon"],
+    qual: "true",
+  };
+  const diff = diffScans(
+    scan([rls([table("public.notes")])]),
+    scan([
+      rls([
+        table("public.notes", {
+          current_policies: [open],
+          recommendations: [
+            { severity: "critical", issue: "permissive_true", policy: "open" },
+          ],
+        }),
+      ]),
+    ])
+  );
+  assert.deepEqual(types(diff), [["policy_added", "regression"]]);
+  assert.equal(diff.items[0].subject, "public.notes: open");
+});
+
+test("MFA enrollment and PITR changes are compared", () => {
+  const user = (mfa) => ({ id: "u1", email: "a@x.io", mfa_enabled: mfa });
+  const project = (pitrEnabled) => ({
+    ref: "abc",
+    name: "app",
+    pitrEnabled,
+    status: pitrEnabled ? "PASSING" : "FAILING",
+  });
+  const diff = diffScans(
+    scan([
+      {
+        id: "mfa",
+        title: "MFA",
+        status: "PASSING",
+        result: { users: [user(true)] },
+      },
+      {
+        id: "pitr",
+        title: "PITR",
+        status: "PASSING",
+        result: { details: { projects: [project(true)] } },
+      },
+    ]),
+    scan([
+      {
+        id: "mfa",
+        title: "MFA",
+        status: "PASSING",
+        result: { users: [user(false)] },
+      },
+      {
+        id: "pitr",
+        title: "PITR",
+        status: "PASSING",
+        result: { details: { projects: [project(false)] } },
+      },
+    ])
+  );
+  assert.deepEqual(types(diff), [
+    ["user_mfa", "regression"],
+    ["users_without_mfa", "regression"],
+    ["pitr_enabled", "regression"],
+  ]);
+});
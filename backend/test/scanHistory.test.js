@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "scans-"));
+process.env.SCAN_HISTORY_PATH = path.join(dir, "scans.db");
+delete process.env.SCAN_RETENTION_DAYS;
+
+// A database from before the source and schedule_id columns
+const legacy = new Database(process.env.SCAN_HISTORY_PATH);
+legacy.exec(`
+  CREATE TABLE scans (
+    id TEXT PRIMARY KEY,
+    project TEXT NOT NULL,
+    project_ref TEXT NOT NULL,
+    scanned_at TEXT NOT NULL,
+    checks TEXT NOT NULL,
+    statuses TEXT NOT NULL,
+    overall_status TEXT NOT NULL,
+    result TEXT NOT NULL
+  );
+  INSERT INTO scans VALUES ('old', 'https://ref.supabase.co', 'ref',
+    '2020-01-01T00:00:00.000Z', '["pitr"]', '{"pitr":"PASSING"}', 'PASSING',
+    '{"checks":[]}');
+`);
+legacy.close();
+
+const {
+  getDb,
+  retentionDays,
+  saveScan,
+  listScans,
+  getScan,
+  getPreviousScan,
+  deleteScan,
+  pruneScans,
+} = require("../lib/scanHistory");
+
+test.after(() => {
+  getDb().close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const PROJECT = "https://ref.supabase.co";
+
+function save(statuses, fields = {}) {
+  return saveScan({
+    project: PROJECT,
+    projectRef: "ref",
+    result: {
+      project: PROJECT,
+      checks: Object.entries(statuses).map(([id, status]) => ({ id, status })),
+    },
+    ...fields,
+  });
+}
+
+function setScannedAt(id, scannedAt) {
+  getDb()
+    .prepare(`UPDATE scans SET scanned_at = ? WHERE id = ?`)
+    .run(scannedAt, id);
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test("older databases gain the source and schedule columns", () => {
+  const old = getScan("old");
+  assert.equal(old.source, "manual");
+  assert.equal(old.scheduleId, null);
+  assert.deepEqual(old.result, { checks: [] });
+});
+
+test("scans are saved with their statuses and listed newest first", () => {
+  const first = save({ rls: "PASSING", mfa: "ERROR" });
+  const second = save(
+    { rls: "FAILING", mfa: "PASSING" },
+    { source: "schedule", scheduleId: "s1" }
+  );
+  setScannedAt(first.id, new Date(Date.now() - 60 * 1000).toISOString());
+  assert.equal(first.overallStatus, "ERROR");
+  assert.equal(second.overallStatus, "FAILING");
+  assert.deepEqual(second.checks, ["rls", "mfa"]);
+  assert.deepEqual(second.statuses, { rls: "FAILING", mfa: "PASSING" });
+
+  const listed = listScans({ project: PROJECT, limit: 2 });
+  assert.deepEqual(
+    listed.map((s) => s.id),
+    [second.id, first.id]
+  );
+  assert.equal(listed[0].source, "schedule");
+  assert.equal(listed[0].scheduleId, "s1");
+  assert.equal(listed[0].result, undefined);
+  assert.equal(listScans({ project: "https://other.supabase.co" }).length, 0);
+  assert.equal(listScans({ until: "2021-01-01T00:00:00Z" }).length, 1);
+
+  assert.equal(getScan(second.id).result.checks.length, 2);
+  assert.equal(getPreviousScan(getScan(second.id)).id, first.id);
+  assert.equal(getPreviousScan(getScan("old")), null);
+});
+
+test("deleteScan reports whether a scan was removed", () => {
+  const scan = save({ pitr: "PASSING" });
+  assert.equal(deleteScan(scan.id), true);
+  assert.equal(deleteScan(scan.id), false);
+  assert.equal(getScan(scan.id), null);
+});
+
+test("pruneScans deletes scans past the retention period", () => {
+  const recent = save({ pitr: "PASSING" });
+  const stale = save({ pitr: "PASSING" });
+  setScannedAt(stale.id, new Date(Date.now() - 40 * DAY).toISOString());
+  assert.equal(pruneScans({ olderThanDays: 30, project: "other" }), 0);
+  assert.equal(pruneScans({ olderThanDays: 30 }), 2);
+  assert.equal(getScan(stale.id), null);
+  assert.equal(getScan("old"), null);
+  assert.ok(getScan(recent.id));
+});
+
+test("SCAN_RETENTION_DAYS prunes on save", (t) => {
+  process.env.SCAN_RETENTION_DAYS = "7";
+  t.after(() => delete process.env.SCAN_RETENTION_DAYS);
+  assert.equal(retentionDays(), 7);
+  const stale = save({ pitr: "PASSING" });
+  setScannedAt(stale.id, "2020-01-01T00:00:00.000Z");
+  save({ pitr: "PASSING" });
+  assert.equal(getScan(stale.id), null);
+});
@@ -0,0 +1,187 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "server-"));
+process.env.SCAN_HISTORY_PATH = path.join(dir, "scans.db");
+process.env.EVIDENCE_LOG_PATH = path.join(dir, "evidence.jsonl");
+process.env.CAMPAIGNS_PATH = path.join(dir, "campaigns.json");
+process.env.MAIL_OUTBOX_PATH = path.join(dir, "mail-outbox.json");
+process.env.REMEDIATIONS_PATH = path.join(dir, "remediations.json");
+process.env.COMPLIANCE_CHECKS_DIR = path.join(dir, "checks");
+const { getDb, listScans } = require("../lib/scanHistory");
+const { createUser, createSession } = require("../lib/auth");
+const { queryEvidence } = require("../lib/evidenceLog");
+const { app, registerCheck, runMFACheck, runRLSCheck } = require("../server");
+
+let server;
+let baseUrl;
+let token;
+
+test.before(async () => {
+  console.log = () => {};
+  const user = createUser({
+    email: "operator@example.com",
+    password: "correct horse battery",
+    role: "operator",
+  });
+  token = createSession(user.id).token;
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  getDb().close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+registerCheck({
+  id: "stream-quick",
+  run: async ({ reportProgress }) => {
+    reportProgress({ message: "Halfway." });
+    return { status: "PASSING" };
+  },
+});
+
+// Waits for the scan to be cancelled, and tells the test it started and
+// whether it saw the abort
+let slowCheck;
+registerCheck({
+  id: "stream-slow",
+  run: ({ signal }) =>
+    new Promise((resolve, reject) => {
+      slowCheck.started();
+      signal.addEventListener("abort", () => {
+        slowCheck.aborted();
+        reject(signal.reason);
+      });
+    }),
+});
+
+function stream(body, init = {}) {
+  return fetch(`${baseUrl}/api/run-checks/stream`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify(body),
+    ...init,
+  });
+}
+
+function parseEvents(text) {
+  return text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((message) => ({
+      event: message.match(/^event: (.*)$/m)[1],
+      data: JSON.parse(message.match(/^data: (.*)$/m)[1]),
+    }));
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((ok) => (resolve = ok));
+  return { promise, resolve };
+}
+
+test("the stream reports each check and ends with the saved scan", async () => {
+  const res = await stream({
+    projectUrl: "https://quick.supabase.co",
+    checks: ["stream-quick"],
+  });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+  const events = parseEvents(await res.text());
+  assert.deepEqual(
+    events.map((e) => e.event),
+    ["check-start", "check-progress", "check-result", "done"]
+  );
+  assert.equal(events[0].data.id, "stream-quick");
+  assert.deepEqual(events[1].data, { id: "stream-quick", message: "Halfway." });
+  assert.equal(events[2].data.status, "PASSING");
+  const done = events[3].data;
+  assert.ok(done.scanId);
+  assert.equal(done.overallStatus, undefined);
+  assert.deepEqual(
+    done.checks.map((c) => [c.id, c.status]),
+    [["stream-quick", "PASSING"]]
+  );
+  assert.equal(listScans({ project: "https://quick.supabase.co" }).length, 1);
+});
+
+test("a scan that cannot start ends with an error event", async () => {
+  const res = await stream({
+    projectUrl: "ftp://broken.example.com",
+    serviceKey: "sb_secret_abcdef",
+    checks: ["stream-quick"],
+  });
+  const events = parseEvents(await res.text());
+  assert.deepEqual(
+    events.map((e) => e.event),
+    ["error"]
+  );
+  assert.match(
+    events[0].data.error,
+    /^Failed to connect to Supabase or run checks: Invalid Supabase project URL/
+  );
+});
+
+test("invalid requests are rejected before the stream starts", async () => {
+  const res = await stream({ checks: ["stream-quick"] });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), {
+    error: "Supabase Project URL is required.",
+  });
+});
+
+test("closing the stream cancels the scan", async () => {
+  const started = deferred();
+  const aborted = deferred();
+  slowCheck = { started: started.resolve, aborted: aborted.resolve };
+  const controller = new AbortController();
+  const res = await stream(
+    { projectUrl: "https://slow.supabase.co", checks: ["stream-slow"] },
+    { signal: controller.signal }
+  );
+  await started.promise;
+  controller.abort();
+  await res.body.cancel().catch(() => {});
+  await aborted.promise;
+
+  // The route logs the cancellation once the check has rethrown the abort
+  for (let i = 0; i < 50; i++) {
+    if (queryEvidence({ action: "scan.cancel" }).length) break;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  const [cancelled] = queryEvidence({ action: "scan.cancel" });
+  assert.equal(cancelled.project, "https://slow.supabase.co");
+  assert.equal(queryEvidence({ check: "stream-slow" }).length, 0);
+  assert.equal(listScans({ project: "https://slow.supabase.co" }).length, 0);
+});
+
+test("the MFA and RLS checks rethrow a cancellation", async () => {
+  const supabase = {
+    auth: { admin: { listUsers: async () => assert.fail("not cancelled") } },
+  };
+  await assert.rejects(
+    runMFACheck(supabase, "https://ref.supabase.co", {}, null, {
+      signal: AbortSignal.abort(),
+    }),
+    { name: "AbortError" }
+  );
+  const result = await runRLSCheck("postgresql://u:p@127.0.0.1:1/postgres");
+  assert.equal(result.overallStatus, "ERROR");
+  await assert.rejects(
+    runRLSCheck(
+      "postgresql://u:p@127.0.0.1:1/postgres",
+      {},
+      { signal: AbortSignal.abort() }
+    )
+  );
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  listStoragePolicies,
+  policyBuckets,
+  analyzeBucket,
+} = require("../lib/storage");
+
+function bucket(overrides) {
+  return {
+    name: "avatars",
+    public: false,
+    file_size_limit: 1048576,
+    allowed_mime_types: ["image/png"],
+    ...overrides,
+  };
+}
+
+function policy(overrides) {
+  return {
+    policyname: "p",
+    cmd: "SELECT",
+    permissive: "PERMISSIVE",
+    roles: "{authenticated}",
+    qual: "(bucket_id = 'avatars'::text)",
+    with_check: null,
+    ...overrides,
+  };
+}
+
+function issues(findings) {
+  return findings.map((f) => f.issue);
+}
+
+test("policyBuckets reads literal and ANY bucket comparisons", () => {
+  assert.deepEqual(policyBuckets(policy({})), ["avatars"]);
+  assert.deepEqual(
+    policyBuckets(
+      policy({
+        qual: "(bucket_id = ANY (ARRAY['a'::text, 'b'::text]))",
+      })
+    ),
+    ["a", "b"]
+  );
+  assert.deepEqual(
+    policyBuckets(policy({ qual: "(bucket_id = (auth.uid())::text)" })),
+    []
+  );
+  assert.equal(policyBuckets(policy({ qual: "true" })), null);
+});
+
+test("public buckets are high unless allowed", () => {
+  const [open] = analyzeBucket(bucket({ public: true }), {
+    storagePolicies: null,
+  }).findings;
+  assert.deepEqual([open.issue, open.severity], ["public_bucket", "high"]);
+  const [allowed] = analyzeBucket(bucket({ public: true }), {
+    storagePolicies: null,
+    allowedPublic: true,
+  }).findings;
+  assert.equal(allowed.severity, "low");
+});
+
+test("missing upload limits are flagged", () => {
+  const { findings, policies } = analyzeBucket(
+    bucket({ file_size_limit: null, allowed_mime_types: [] }),
+    { storagePolicies: null }
+  );
+  assert.deepEqual(issues(findings), [
+    "no_file_size_limit",
+    "no_mime_restriction",
+  ]);
+  assert.equal(policies, null);
+});
+
+test("unscoped policies apply to every bucket", () => {
+  const storagePolicies = {
+    rlsEnabled: true,
+    policies: [
+      policy({ policyname: "own" }),
+      policy({ policyname: "other", qual: "(bucket_id = 'docs'::text)" }),
+      policy({ policyname: "everything", qual: "true", roles: "{anon}" }),
+    ],
+  };
+  const { findings, policies } = analyzeBucket(bucket({}), {
+    storagePolicies,
+  });
+  assert.deepEqual(
+    policies.map((p) => p.policyname),
+    ["own", "everything"]
+  );
+  assert.ok(issues(findings).includes("unscoped_policy"));
+  assert.ok(issues(findings).includes("permissive_true"));
+  assert.ok(!issues(findings).includes("missing_command_policy"));
+});
+
+test("private buckets without policies are backend-only", () => {
+  const { findings } = analyzeBucket(bucket({}), {
+    storagePolicies: { rlsEnabled: true, policies: [] },
+  });
+  assert.deepEqual(issues(findings), ["no_policies"]);
+});
+
+test("listStoragePolicies returns null without storage.objects", async () => {
+  const pool = (rows) => ({ query: async () => ({ rows }) });
+  assert.equal(await listStoragePolicies(pool([])), null);
+  assert.deepEqual(
+    await listStoragePolicies(
+      pool([
+        { rls_enabled: true, policyname: "own", cmd: "SELECT" },
+        { rls_enabled: true, policyname: null },
+      ])
+    ),
+    { rlsEnabled: true, policies: [{ policyname: "own", cmd: "SELECT" }] }
+  );
+});
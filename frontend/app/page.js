@@ -3,6 +3,29 @@
 import { useState, Fragment, useRef, useEffect } from "react";
 import axios from "axios";
 import { toast } from "sonner";
+import { readServerEvents } from "./serverEvents.mjs";
+
+const BUILT_IN_CHECKS = [
+  "mfa",
+  "rls",
+  "grants",
+  "functions",
+  "storage",
+  "auth-config",
+  "pitr",
+];
+
+function getSeverityPillClass(severity) {
+  if (severity === "critical") return "bg-red-200 text-red-800";
+  if (severity === "high") return "bg-red-100 text-red-700";
+  if (severity === "medium") return "bg-yellow-100 text-yellow-700";
+  return "bg-slate-100 text-slate-700";
+}
+
+// Tables fail on disabled RLS or on high/critical policy findings
+function isTablePassing(table) {
+  return table.status ? table.status === "PASSING" : table.rls_enabled;
+}
 
 function getStatusPillClass(status) {
   if (status === "PASSING") return "bg-green-100 text-green-700";
@@ -13,7 +36,90 @@ function getStatusPillClass(status) {
   return "bg-slate-100 text-slate-700";
 }
 
+const SESSION_TOKEN_KEY = "sessionToken";
+
+// Every backend request carries the session token once signed in
+function setAuthToken(token) {
+  if (token) {
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+    localStorage.setItem(SESSION_TOKEN_KEY, token);
+  } else {
+    delete axios.defaults.headers.common.Authorization;
+    localStorage.removeItem(SESSION_TOKEN_KEY);
+  }
+}
+
 export default function HomePage() {
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+
+  const backendUrl =
+    process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:3001";
+
+  // Restores the session of an earlier visit; an expired session, here or on
+  // any later request, signs the user out
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      (err) => {
+        if (err.response?.status === 401) {
+          setAuthToken(null);
+          setUser(null);
+        }
+        return Promise.reject(err);
+      }
+    );
+    const token = localStorage.getItem(SESSION_TOKEN_KEY);
+    if (token) {
+      setAuthToken(token);
+      axios
+        .get(`${backendUrl}/api/auth/me`)
+        .then((response) => setUser(response.data.user))
+        .catch(() => setAuthToken(null))
+        .finally(() => setAuthChecked(true));
+    } else {
+      setAuthChecked(true);
+    }
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [backendUrl]);
+
+  const handleSignIn = async (email, password) => {
+    const response = await axios.post(`${backendUrl}/api/auth/login`, {
+      email,
+      password,
+    });
+    setAuthToken(response.data.token);
+    setUser(response.data.user);
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await axios.post(`${backendUrl}/api/auth/logout`);
+    } catch (err) {
+      console.log("[Auth] Failed to end the session:", err);
+    }
+    setAuthToken(null);
+    setUser(null);
+  };
+
+  // For requests made outside axios, which the interceptor does not see
+  const handleSessionExpired = () => {
+    setAuthToken(null);
+    setUser(null);
+  };
+
+  if (!authChecked) return null;
+  if (!user) return <SignIn onSignIn={handleSignIn} />;
+  return (
+    <ComplianceChecker
+      user={user}
+      onSignOut={handleSignOut}
+      onSessionExpired={handleSessionExpired}
+    />
+  );
+}
+
+function ComplianceChecker({ user, onSignOut, onSessionExpired }) {
   const [projectUrl, setProjectUrl] = useState("");
   const [serviceKey, setServiceKey] = useState("");
   const [results, setResults] = useState(null);
@@ -26,18 +132,95 @@ export default function HomePage() {
   const [isAiLoading, setIsAiLoading] = useState(false);
   const [rlsActionMessage, setRlsActionMessage] = useState("");
   const [hasMounted, setHasMounted] = useState(false);
+  const [availableChecks, setAvailableChecks] = useState([]);
+  const [selectedChecks, setSelectedChecks] = useState([]);
+  const [rlsPicker, setRlsPicker] = useState(null);
+  const [pendingPlans, setPendingPlans] = useState([]);
+  const [remediations, setRemediations] = useState([]);
+  const [campaigns, setCampaigns] = useState([]);
+  const [scans, setScans] = useState([]);
+  const [scanDiff, setScanDiff] = useState(null);
+  const [schedules, setSchedules] = useState([]);
+  const [scheduleCron, setScheduleCron] = useState("0 2 * * *");
+  const [frameworkView, setFrameworkView] = useState(null);
+  const [enrollUrl, setEnrollUrl] = useState("");
+  const [orgScan, setOrgScan] = useState(null);
+  const [vault, setVault] = useState({ configured: false, projects: [] });
+  const [projectId, setProjectId] = useState("");
+  const [scanProgress, setScanProgress] = useState(null);
+  const scanAbortRef = useRef(null);
 
   const backendUrl =
     process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:3001";
 
+  // The backend enforces the same rules; controls a role cannot use are hidden
+  const canScan = ["operator", "admin"].includes(user.role);
+  const canFix = user.role === "admin";
+
+  // What requests send to identify the project: its vault id once it is
+  // saved, otherwise the credentials typed into the form
+  const credentials = () =>
+    projectId
+      ? { projectId }
+      : {
+          projectUrl,
+          serviceKey,
+          dbConnectionString: dbConnectionString.trim() || undefined,
+        };
+
+  const handleSelectVaultProject = (id) => {
+    setProjectId(id);
+    const project = vault.projects.find((p) => p.id === id);
+    if (project) setProjectUrl(project.projectUrl);
+    setServiceKey("");
+    setDbConnectionString("");
+  };
+
+  // Stores the credentials in the backend vault; from then on only the
+  // project id is sent and the secrets are dropped from the page
+  const handleSaveToVault = async () => {
+    setError("");
+    try {
+      const response = await axios.post(`${backendUrl}/api/projects`, {
+        projectUrl,
+        serviceKey,
+        dbConnectionString: dbConnectionString.trim() || undefined,
+      });
+      const { project } = response.data;
+      setVault((prev) => ({ ...prev, projects: [...prev.projects, project] }));
+      setProjectId(project.id);
+      setServiceKey("");
+      setDbConnectionString("");
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to save the project.");
+    }
+  };
+
+  const handleRemoveFromVault = async () => {
+    setError("");
+    try {
+      await axios.delete(`${backendUrl}/api/projects/${projectId}`);
+      setVault((prev) => ({
+        ...prev,
+        projects: prev.projects.filter((p) => p.id !== projectId),
+      }));
+      setProjectId("");
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to remove the project.");
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (!canScan) return handleLoadLatestScan();
     setIsLoading(true);
     setError("");
     setResults(null);
+    setScanDiff(null);
+    setFrameworkView(null);
     setFixMessage("");
 
-    if (!projectUrl.trim() || !serviceKey.trim()) {
+    if (!projectId && (!projectUrl.trim() || !serviceKey.trim())) {
       setError("Project URL and Service Key cannot be empty.");
       setIsLoading(false);
       return;
@@ -51,107 +234,554 @@ export default function HomePage() {
       return;
     }
 
+    // Results fill in as each check finishes; checks still running are
+    // listed with their latest progress message
+    const controller = new AbortController();
+    scanAbortRef.current = controller;
+    setResults({ checks: [] });
+    setScanProgress({});
     try {
-      const response = await axios.post(`${backendUrl}/api/run-checks`, {
-        projectUrl,
-        serviceKey,
-        dbConnectionString: dbConnectionString.trim() || undefined,
+      const response = await fetch(`${backendUrl}/api/run-checks/stream`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: axios.defaults.headers.common.Authorization,
+        },
+        body: JSON.stringify({
+          ...credentials(),
+          checks: selectedChecks.length > 0 ? selectedChecks : undefined,
+        }),
+        signal: controller.signal,
+      });
+      if (response.status === 401) {
+        onSessionExpired();
+        return;
+      }
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Request failed (${response.status}).`);
+      }
+      await readServerEvents(response, (event, data) => {
+        if (event === "check-start") {
+          setScanProgress((prev) => ({
+            ...prev,
+            [data.id]: { title: data.title, message: null },
+          }));
+        } else if (event === "check-progress") {
+          setScanProgress((prev) => ({
+            ...prev,
+            [data.id]: { ...prev[data.id], message: data.message },
+          }));
+        } else if (event === "check-result") {
+          setScanProgress(({ [data.id]: _, ...prev }) => prev);
+          setResults((prev) => ({ ...prev, checks: [...prev.checks, data] }));
+        } else if (event === "done") {
+          setResults(data);
+          loadRemediations(data.project);
+          loadCampaigns(data.project);
+          loadScans(data.project);
+          loadSchedules(data.project);
+          if (data.scanId) loadFrameworkView(data.scanId);
+        } else if (event === "error") {
+          setError(data.error);
+        }
       });
-      setResults(response.data);
     } catch (err) {
-      setError(
-        err.response?.data?.error ||
-          err.message ||
-          "Failed to fetch compliance status."
+      if (err.name === "AbortError") {
+        setFixMessage("Scan cancelled. Partial results were not saved.");
+      } else {
+        setError(err.message || "Failed to fetch compliance status.");
+      }
+    } finally {
+      scanAbortRef.current = null;
+      setScanProgress(null);
+      setIsLoading(false);
+    }
+  };
+
+  const handleCancelScan = () => {
+    scanAbortRef.current?.abort();
+  };
+
+  // Viewers cannot run checks; they see the latest saved scan of the project
+  const handleLoadLatestScan = async () => {
+    setError("");
+    setScanDiff(null);
+    setFrameworkView(null);
+    const project = projectUrl.includes("supabase.co")
+      ? projectUrl.substring(0, projectUrl.indexOf(".")) + ".supabase.co"
+      : projectUrl;
+    try {
+      const response = await axios.get(`${backendUrl}/api/scans`, {
+        params: { project, limit: 1 },
+      });
+      const [latest] = response.data.scans;
+      if (!latest) {
+        setResults(null);
+        setError("This project has not been scanned yet.");
+        return;
+      }
+      await handleViewScan(latest);
+      loadRemediations(project);
+      loadCampaigns(project);
+      loadScans(project);
+      loadSchedules(project);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load the latest scan.");
+    }
+  };
+
+  // The report needs the session token, so it is fetched rather than linked
+  const handleDownloadReport = async () => {
+    setError("");
+    try {
+      const response = await axios.get(
+        `${backendUrl}/api/scans/${results.scanId}/report`,
+        { responseType: "blob" }
+      );
+      const url = URL.createObjectURL(response.data);
+      window.open(url, "_blank");
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      setError("Failed to download the PDF report.");
+    }
+  };
+
+  const loadRemediations = async (project) => {
+    try {
+      const response = await axios.get(`${backendUrl}/api/remediations`, {
+        params: { project },
+      });
+      setRemediations(response.data.remediations);
+    } catch (err) {
+      console.log("[Remediations] Failed to load remediations:", err);
+    }
+  };
+
+  const loadCampaigns = async (project) => {
+    try {
+      const response = await axios.get(`${backendUrl}/api/mfa-campaigns`, {
+        params: { project },
+      });
+      setCampaigns(response.data.campaigns);
+    } catch (err) {
+      console.log("[Campaigns] Failed to load MFA campaigns:", err);
+    }
+  };
+
+  const loadScans = async (project) => {
+    try {
+      const response = await axios.get(`${backendUrl}/api/scans`, {
+        params: { project },
+      });
+      setScans(response.data.scans);
+    } catch (err) {
+      console.log("[Scans] Failed to load scan history:", err);
+    }
+  };
+
+  const loadFrameworkView = async (scanId) => {
+    try {
+      const response = await axios.get(
+        `${backendUrl}/api/scans/${scanId}/frameworks`
+      );
+      setFrameworkView(response.data);
+    } catch (err) {
+      console.log("[Frameworks] Failed to evaluate framework controls:", err);
+    }
+  };
+
+  const loadSchedules = async (project) => {
+    try {
+      const response = await axios.get(`${backendUrl}/api/schedules`, {
+        params: { project },
+      });
+      setSchedules(response.data.schedules);
+    } catch (err) {
+      console.log("[Schedules] Failed to load scan schedules:", err);
+    }
+  };
+
+  const updateScheduleInList = (schedule) =>
+    setSchedules((prev) =>
+      prev.map((s) => (s.id === schedule.id ? schedule : s))
+    );
+
+  // Schedules the checks selected above with the credentials entered above
+  const handleCreateSchedule = async () => {
+    setError("");
+    try {
+      const response = await axios.post(`${backendUrl}/api/schedules`, {
+        ...credentials(),
+        checks: selectedChecks.length > 0 ? selectedChecks : undefined,
+        cron: scheduleCron,
+      });
+      setSchedules((prev) => [...prev, response.data.schedule]);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to create the schedule.");
+    }
+  };
+
+  const handleToggleSchedule = async (schedule) => {
+    setError("");
+    try {
+      const response = await axios.patch(
+        `${backendUrl}/api/schedules/${schedule.id}`,
+        { enabled: !schedule.enabled }
+      );
+      updateScheduleInList(response.data.schedule);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to update the schedule.");
+    }
+  };
+
+  const handleRunSchedule = async (schedule) => {
+    setIsLoading(true);
+    setError("");
+    try {
+      const response = await axios.post(
+        `${backendUrl}/api/schedules/${schedule.id}/run`
       );
+      updateScheduleInList(response.data.schedule);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to run the schedule.");
     } finally {
       setIsLoading(false);
     }
   };
 
-  const handleFixRls = async (tableName) => {
+  const handleDeleteSchedule = async (schedule) => {
+    setError("");
+    try {
+      await axios.delete(`${backendUrl}/api/schedules/${schedule.id}`);
+      setSchedules((prev) => prev.filter((s) => s.id !== schedule.id));
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to delete the schedule.");
+    }
+  };
+
+  const handleViewScan = async (scan) => {
     setIsLoading(true);
-    setFixMessage("");
     setError("");
     try {
-      const response = await axios.post(`${backendUrl}/api/fix-rls`, {
-        projectUrl,
-        serviceKey,
-        tableName,
-        dbConnectionString: dbConnectionString.trim() || undefined,
+      const response = await axios.get(`${backendUrl}/api/scans/${scan.id}`);
+      const saved = response.data.scan;
+      setResults({
+        ...saved.result,
+        scanId: saved.id,
+        scannedAt: saved.scannedAt,
       });
-      setFixMessage(
-        response.data.message +
-          " Consider re-running checks to see the updated status."
+      loadFrameworkView(saved.id);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load the saved scan.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Diffs the shown scan against another one; the older scan is the baseline
+  const handleCompareScan = async (scan) => {
+    setIsLoading(true);
+    setError("");
+    try {
+      const response = await axios.get(
+        `${backendUrl}/api/scans/${results.scanId}/diff`,
+        { params: { against: scan.id } }
       );
+      setScanDiff(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to compare the scans.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Starts an org scan with the selected checks; it is polled while it runs
+  const handleOrgScan = async () => {
+    setError("");
+    try {
+      const response = await axios.post(`${backendUrl}/api/org-scans`, {
+        checks: selectedChecks.length > 0 ? selectedChecks : undefined,
+      });
+      setOrgScan(response.data.orgScan);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to run the org scan.");
+    }
+  };
+
+  const handleViewOrgProject = (project) => {
+    handleViewScan({ id: project.scanId });
+    const displayUrl = `https://${project.ref}.supabase.co`;
+    loadRemediations(displayUrl);
+    loadCampaigns(displayUrl);
+    loadScans(displayUrl);
+    loadSchedules(displayUrl);
+  };
+
+  const handleDeleteScan = async (scan) => {
+    setError("");
+    try {
+      await axios.delete(`${backendUrl}/api/scans/${scan.id}`);
+      setScans((prev) => prev.filter((s) => s.id !== scan.id));
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to delete the scan.");
+    }
+  };
+
+  const handleOpenRlsTemplates = async (table) => {
+    if (!projectId && !dbConnectionString.trim()) {
+      setError("A Postgres connection string is required to enable RLS.");
+      return;
+    }
+    setIsLoading(true);
+    setError("");
+    try {
+      const response = await axios.post(`${backendUrl}/api/rls-templates`, {
+        tableName: table.table,
+        schema: table.schema,
+        ...credentials(),
+      });
+      const firstAvailable = response.data.templates.find((t) => t.available);
+      setRlsPicker({
+        key: table.name,
+        schema: table.schema,
+        table: table.table,
+        existingPolicies: response.data.existingPolicies,
+        templates: response.data.templates,
+        selected: firstAvailable?.id || response.data.defaultTemplate,
+      });
     } catch (err) {
       setError(
-        err.response?.data?.error || `Failed to fix RLS for ${tableName}.`
+        err.response?.data?.error ||
+          `Failed to load policy templates for ${table.name}.`
       );
     } finally {
       setIsLoading(false);
     }
   };
 
-  const handleFixMfa = async (userId) => {
+  // Every fix is planned with dryRun first; the plan is shown for review and
+  // only applied (by plan id) once the user confirms it.
+  const requestFixPlan = async (endpoint, body, { successHint, failure }) => {
     setIsLoading(true);
     setFixMessage("");
     setError("");
     try {
-      const response = await axios.post(`${backendUrl}/api/fix-mfa`, {
-        projectUrl,
-        serviceKey,
-        userId,
+      const response = await axios.post(`${backendUrl}/api/${endpoint}`, {
+        ...body,
+        dryRun: true,
       });
-      setFixMessage(
-        response.data.message +
-          " The user will need to complete the MFA setup process."
-      );
+      setPendingPlans((prev) => [
+        ...prev,
+        { endpoint, body, plan: response.data.plan, successHint, failure },
+      ]);
     } catch (err) {
-      setError(
-        err.response?.data?.error || `Failed to enable MFA for user ${userId}.`
-      );
+      setError(err.response?.data?.error || failure);
     } finally {
       setIsLoading(false);
     }
   };
 
-  const handleFixPitr = async (projectRef) => {
+  const handleApplyPlan = async () => {
+    const pending = pendingPlans[0];
+    if (!pending) return;
     setIsLoading(true);
     setFixMessage("");
     setError("");
     try {
-      // Extract project reference from URL if not provided
-      const ref =
-        projectRef || projectUrl.replace(/^https?:\/\//, "").split(".")[0];
+      const response = await axios.post(
+        `${backendUrl}/api/${pending.endpoint}`,
+        { ...pending.body, planId: pending.plan.id }
+      );
+      if (pending.endpoint === "fix-rls") setRlsPicker(null);
+      setFixMessage(response.data.message + " " + pending.successHint);
+      if (results?.project) {
+        loadRemediations(results.project);
+        loadCampaigns(results.project);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || pending.failure);
+    } finally {
+      setPendingPlans((prev) => prev.slice(1));
+      setIsLoading(false);
+    }
+  };
 
-      const response = await axios.post(`${backendUrl}/api/fix-pitr`, {
-        projectUrl,
-        serviceKey,
-        projectRef: ref,
-      });
-      setFixMessage(
-        response.data.message +
-          " The changes may take a few minutes to take effect."
+  const handleCancelPlan = () => {
+    setPendingPlans((prev) => prev.slice(1));
+  };
+
+  const handleFixRls = (tableName, schema, template) =>
+    requestFixPlan(
+      "fix-rls",
+      {
+        ...credentials(),
+        tableName,
+        schema,
+        template,
+      },
+      {
+        successHint: "Consider re-running checks to see the updated status.",
+        failure: `Failed to fix RLS for ${tableName}.`,
+      }
+    );
+
+  const handleForceRls = (tableName, schema) =>
+    requestFixPlan(
+      "fix-rls-force",
+      {
+        ...credentials(),
+        tableName,
+        schema,
+      },
+      {
+        successHint: "Consider re-running checks to see the updated status.",
+        failure: `Failed to force RLS for ${tableName}.`,
+      }
+    );
+
+  const handleRequireAal2 = (tableName, schema) =>
+    requestFixPlan(
+      "fix-rls-aal2",
+      {
+        ...credentials(),
+        tableName,
+        schema,
+      },
+      {
+        successHint:
+          "Signed-in users now need a verified MFA factor in their session to access this table.",
+        failure: `Failed to require MFA for ${tableName}.`,
+      }
+    );
+
+  const handleRevokeGrant = (object, finding) =>
+    requestFixPlan(
+      "fix-grants",
+      {
+        ...credentials(),
+        objectName: object.object,
+        schema: object.schema,
+        grantee: finding.grantee,
+        privileges: finding.privileges,
+        columns: finding.columns,
+      },
+      {
+        successHint: "Consider re-running checks to see the updated status.",
+        failure: `Failed to revoke grants on ${object.name}.`,
+      }
+    );
+
+  const handleFixFunction = (fn, fix) =>
+    requestFixPlan(
+      fix === "pin_search_path"
+        ? "fix-function-search-path"
+        : "fix-function-execute",
+      {
+        ...credentials(),
+        schema: fn.schema,
+        functionName: fn.name,
+        arguments: fn.arguments,
+      },
+      {
+        successHint: "Consider re-running checks to see the updated status.",
+        failure: `Failed to fix function ${fn.schema}.${fn.name}.`,
+      }
+    );
+
+  const handleMakeBucketPrivate = (bucketId) =>
+    requestFixPlan(
+      "fix-storage-bucket",
+      { ...credentials(), bucketId },
+      {
+        successHint: "Consider re-running checks to see the updated status.",
+        failure: `Failed to make bucket ${bucketId} private.`,
+      }
+    );
+
+  const handleFixAuthConfig = (settings) =>
+    requestFixPlan(
+      "fix-auth-config",
+      { ...credentials(), settings },
+      {
+        successHint: "Consider re-running checks to see the updated status.",
+        failure: "Failed to update the auth config.",
+      }
+    );
+
+  const handleFixMfa = (userId) =>
+    requestFixPlan(
+      "fix-mfa",
+      { ...credentials(), userId },
+      {
+        successHint: "The user will need to complete the MFA setup process.",
+        failure: `Failed to enable MFA for user ${userId}.`,
+      }
+    );
+
+  const handleStartCampaign = (userIds) =>
+    requestFixPlan(
+      "mfa-campaigns",
+      { ...credentials(), userIds, enrollUrl: enrollUrl.trim() },
+      {
+        successHint: "Use Re-check factors to track who has enrolled.",
+        failure: "Failed to start the MFA enrollment campaign.",
+      }
+    );
+
+  const handleRemindCampaign = (campaign) =>
+    requestFixPlan(`mfa-campaigns/${campaign.id}/remind`, credentials(), {
+      successHint: "",
+      failure: "Failed to send MFA enrollment reminders.",
+    });
+
+  const handleRefreshCampaign = async (campaign) => {
+    setIsLoading(true);
+    setError("");
+    try {
+      const response = await axios.post(
+        `${backendUrl}/api/mfa-campaigns/${campaign.id}/refresh`,
+        credentials()
       );
+      setFixMessage(response.data.message);
+      loadCampaigns(campaign.project);
     } catch (err) {
       setError(
-        err.response?.data?.error ||
-          `Failed to enable PITR for project ${projectRef}.`
+        err.response?.data?.error || "Failed to re-check MFA enrollment."
       );
     } finally {
       setIsLoading(false);
     }
   };
 
+  const handleRevertRemediation = (remediation) =>
+    requestFixPlan(`remediations/${remediation.id}/revert`, credentials(), {
+      successHint: "Consider re-running checks to see the restored status.",
+      failure: `Failed to revert ${remediation.action}.`,
+    });
+
+  const handleFixPitr = (projectRef) =>
+    requestFixPlan(
+      "fix-pitr",
+      {
+        ...credentials(),
+        // Extract project reference from URL if not provided
+        projectRef:
+          projectRef || projectUrl.replace(/^https?:\/\//, "").split(".")[0],
+      },
+      {
+        successHint: "The changes may take a few minutes to take effect.",
+        failure: `Failed to enable PITR for project ${projectRef}.`,
+      }
+    );
+
   const handleAiChat = async (message, context) => {
     setIsAiLoading(true);
     setError("");
     setChatHistory((prev) => [...prev, { role: "user", content: message }]);
     try {
       const response = await axios.post(`${backendUrl}/api/ai-assist`, {
-        projectUrl,
-        serviceKey,
+        ...credentials(),
         issue: message,
         context,
       });
@@ -193,6 +823,102 @@ export default function HomePage() {
     setHasMounted(true);
   }, []);
 
+  // Load the check registry so the user can pick which checks to run
+  useEffect(() => {
+    axios
+      .get(`${backendUrl}/api/checks`)
+      .then((response) => {
+        setAvailableChecks(response.data.checks);
+        setSelectedChecks(response.data.checks.map((c) => c.id));
+      })
+      .catch((err) => {
+        console.log("[Checks] Failed to load check registry:", err);
+      });
+  }, [backendUrl]);
+
+  // Projects saved in the backend's credential vault
+  useEffect(() => {
+    axios
+      .get(`${backendUrl}/api/projects`)
+      .then((response) => setVault(response.data))
+      .catch((err) => {
+        console.log("[Vault] Failed to load saved projects:", err);
+      });
+  }, [backendUrl]);
+
+  // Show the latest org scan on the org dashboard
+  useEffect(() => {
+    axios
+      .get(`${backendUrl}/api/org-scans`)
+      .then((response) => {
+        const [latest] = response.data.orgScans;
+        if (!latest) return;
+        return axios
+          .get(`${backendUrl}/api/org-scans/${latest.id}`)
+          .then((scan) => setOrgScan(scan.data.orgScan));
+      })
+      .catch((err) => {
+        console.log("[Org scans] Failed to load org scans:", err);
+      });
+  }, [backendUrl]);
+
+  useEffect(() => {
+    if (orgScan?.status !== "RUNNING") return;
+    const timer = setTimeout(() => {
+      axios
+        .get(`${backendUrl}/api/org-scans/${orgScan.id}`)
+        .then((response) => setOrgScan(response.data.orgScan))
+        .catch((err) => {
+          console.log("[Org scans] Failed to refresh the org scan:", err);
+        });
+    }, 3000);
+    return () => clearTimeout(timer);
+  }, [orgScan, backendUrl]);
+
+  // Schedules started with "Run now" are polled until their scan is saved
+  useEffect(() => {
+    const running = schedules.find((s) => s.running);
+    if (!running) return;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(`${backendUrl}/api/schedules`, {
+          params: { project: running.project },
+        });
+        setSchedules(response.data.schedules);
+        if (!response.data.schedules.some((s) => s.running)) {
+          const scans = await axios.get(`${backendUrl}/api/scans`, {
+            params: { project: running.project },
+          });
+          setScans(scans.data.scans);
+        }
+      } catch (err) {
+        console.log("[Schedules] Failed to refresh scan schedules:", err);
+      }
+    }, 3000);
+    return () => clearTimeout(timer);
+  }, [schedules, backendUrl]);
+
+  const toggleCheck = (id) => {
+    setSelectedChecks((prev) =>
+      prev.includes(id) ? prev.filter((c) => c !== id) : [...prev, id]
+    );
+  };
+
+  // Index results by check id; built-in checks have dedicated renderers below
+  const checkResults = Object.fromEntries(
+    (results?.checks || []).map((check) => [check.id, check])
+  );
+  const mfa = checkResults.mfa?.result;
+  const rls = checkResults.rls?.result;
+  const grants = checkResults.grants?.result;
+  const functions = checkResults.functions?.result;
+  const storage = checkResults.storage?.result;
+  const authConfig = checkResults["auth-config"]?.result;
+  const pitr = checkResults.pitr?.result;
+  const customChecks = (results?.checks || []).filter(
+    (check) => !BUILT_IN_CHECKS.includes(check.id)
+  );
+
   // Show toast on error or fixMessage
   useEffect(() => {
     if (error) {
@@ -215,6 +941,16 @@ export default function HomePage() {
           <p className="mt-2 text-lg text-slate-700 dark:text-slate-200">
             Supabase Compliance Checker
           </p>
+          <p className="mt-1 text-sm text-slate-500 dark:text-slate-400">
+            Signed in as {user.email} ({user.role}) ·{" "}
+            <button
+              type="button"
+              onClick={onSignOut}
+              className="text-blue-600 dark:text-blue-400 hover:underline"
+            >
+              Sign out
+            </button>
+          </p>
         </div>
 
         <div className="bg-white dark:bg-slate-800 shadow-xl rounded-lg p-6 sm:p-8">
@@ -228,11 +964,35 @@ export default function HomePage() {
               key. This key grants administrative access to your project. Handle
               it with extreme care. Only use this tool with projects you
               own/manage and in a trusted environment. The key is sent to our
-              backend for processing the checks.
+              backend for processing the checks. Save it to the backend&apos;s
+              encrypted vault to send it only once.
             </p>
           </div>
 
           <form onSubmit={handleSubmit} className="space-y-6">
+            {vault.projects.length > 0 && (
+              <div>
+                <label
+                  htmlFor="vaultProject"
+                  className="block text-sm font-medium text-slate-700"
+                >
+                  Saved project
+                </label>
+                <select
+                  id="vaultProject"
+                  value={projectId}
+                  onChange={(e) => handleSelectVaultProject(e.target.value)}
+                  className="mt-1 block w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                >
+                  <option value="">Enter credentials below</option>
+                  {vault.projects.map((project) => (
+                    <option key={project.id} value={project.id}>
+                      {project.name || project.projectUrl}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
             <div>
               <label
                 htmlFor="projectUrl"
@@ -247,374 +1007,722 @@ export default function HomePage() {
                 onChange={(e) => setProjectUrl(e.target.value)}
                 placeholder="https://your-project-ref.supabase.co"
                 required
-                className="mt-1 block w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-              />
-            </div>
-            <div>
-              <label
-                htmlFor="serviceKey"
-                className="block text-sm font-medium text-slate-700"
-              >
-                Supabase Service Role Key
-              </label>
-              <input
-                type="password"
-                id="serviceKey"
-                value={serviceKey}
-                onChange={(e) => setServiceKey(e.target.value)}
-                placeholder="Enter your service_role key (kept confidential)"
-                required
-                className="mt-1 block w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-              />
-            </div>
-            <div>
-              <label
-                htmlFor="dbConnectionString"
-                className="block text-sm font-medium text-slate-700"
-              >
-                Postgres Connection String (optional)
-              </label>
-              <input
-                type="text"
-                id="dbConnectionString"
-                value={dbConnectionString}
-                onChange={(e) => setDbConnectionString(e.target.value)}
-                placeholder="postgresql://..."
-                className="mt-1 block w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                disabled={!!projectId}
+                className="mt-1 block w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm disabled:bg-slate-100"
               />
             </div>
+            {projectId ? (
+              <p className="text-sm text-slate-600 dark:text-slate-300">
+                The service key and connection string of this project are stored
+                encrypted in the backend vault; only the project id is sent.{" "}
+                {canFix && (
+                  <button
+                    type="button"
+                    onClick={handleRemoveFromVault}
+                    className="text-red-600 dark:text-red-400 hover:underline"
+                  >
+                    Remove from vault
+                  </button>
+                )}
+              </p>
+            ) : (
+              canScan && (
+                <>
+                  <div>
+                    <label
+                      htmlFor="serviceKey"
+                      className="block text-sm font-medium text-slate-700"
+                    >
+                      Supabase Service Role Key
+                    </label>
+                    <input
+                      type="password"
+                      id="serviceKey"
+                      value={serviceKey}
+                      onChange={(e) => setServiceKey(e.target.value)}
+                      placeholder="Enter your service_role key (kept confidential)"
+                      required
+                      className="mt-1 block w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label
+                      htmlFor="dbConnectionString"
+                      className="block text-sm font-medium text-slate-700"
+                    >
+                      Postgres Connection String (optional)
+                    </label>
+                    <input
+                      type="text"
+                      id="dbConnectionString"
+                      value={dbConnectionString}
+                      onChange={(e) => setDbConnectionString(e.target.value)}
+                      placeholder="postgresql://..."
+                      className="mt-1 block w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    />
+                  </div>
+                  {canFix && vault.configured && (
+                    <button
+                      type="button"
+                      onClick={handleSaveToVault}
+                      disabled={!projectUrl.trim() || !serviceKey.trim()}
+                      title="Store the key and connection string encrypted on the backend, so they are not sent with every request."
+                      className="text-sm text-blue-600 dark:text-blue-400 hover:underline disabled:text-slate-400 disabled:no-underline"
+                    >
+                      Save to vault
+                    </button>
+                  )}
+                </>
+              )
+            )}
+            {canScan && availableChecks.length > 0 && (
+              <fieldset>
+                <legend className="block text-sm font-medium text-slate-700">
+                  Checks to run
+                </legend>
+                <div className="mt-1 flex flex-wrap gap-4">
+                  {availableChecks.map((check) => (
+                    <label
+                      key={check.id}
+                      className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-200"
+                      title={`Category: ${check.category} · Severity: ${
+                        check.severity
+                      } · Requires: ${check.requires.join(", ") || "nothing"}`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={selectedChecks.includes(check.id)}
+                        onChange={() => toggleCheck(check.id)}
+                      />
+                      {check.title}
+                    </label>
+                  ))}
+                </div>
+              </fieldset>
+            )}
             <button
               type="submit"
-              disabled={isLoading}
+              disabled={
+                isLoading ||
+                (canScan &&
+                  availableChecks.length > 0 &&
+                  selectedChecks.length === 0)
+              }
               className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-slate-400 disabled:cursor-not-allowed"
             >
-              {isLoading ? "Checking Compliance..." : "Run Compliance Checks"}
+              {!canScan
+                ? "Load Latest Scan"
+                : isLoading
+                ? "Checking Compliance..."
+                : "Run Compliance Checks"}
             </button>
+            {scanProgress && (
+              <button
+                type="button"
+                onClick={handleCancelScan}
+                className="w-full flex justify-center py-2 px-4 border border-red-600 rounded-md text-sm font-medium text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-slate-700"
+              >
+                Cancel Scan
+              </button>
+            )}
           </form>
+          {canScan && (
+            <button
+              type="button"
+              onClick={handleOrgScan}
+              disabled={
+                orgScan?.status === "RUNNING" ||
+                (availableChecks.length > 0 && selectedChecks.length === 0)
+              }
+              title="Scan every project the backend's Management API token (SUPABASE_PAT) can see. Project URLs and keys are fetched for you."
+              className="mt-3 w-full flex justify-center py-2 px-4 border border-blue-600 rounded-md text-sm font-medium text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-slate-700 disabled:border-slate-400 disabled:text-slate-400 disabled:cursor-not-allowed"
+            >
+              {orgScan?.status === "RUNNING"
+                ? "Scanning Organization..."
+                : "Scan All Projects in the Organization"}
+            </button>
+          )}
         </div>
 
+        {hasMounted && orgScan && (
+          <OrgDashboard
+            orgScan={orgScan}
+            disabled={isLoading}
+            onView={handleViewOrgProject}
+          />
+        )}
+
         {/* Only render results after client has mounted to avoid hydration errors */}
         {hasMounted && results && (
           <div className="mt-8 bg-white dark:bg-slate-800 shadow-xl rounded-lg">
             <h2 className="text-2xl font-semibold text-slate-800 dark:text-slate-200 p-6 border-b border-slate-200 dark:border-slate-700">
               Compliance Report 📊
+              {results.scannedAt && (
+                <span className="block text-sm font-normal text-slate-500 dark:text-slate-400">
+                  Scanned {new Date(results.scannedAt).toLocaleString()}
+                  {results.scanId && (
+                    <button
+                      type="button"
+                      className="ml-3 text-blue-600 dark:text-blue-400 hover:underline"
+                      onClick={handleDownloadReport}
+                      title="Download this scan as a PDF report for auditors."
+                    >
+                      Download PDF report
+                    </button>
+                  )}
+                </span>
+              )}
             </h2>
+            {scanProgress && <ScanProgress progress={scanProgress} />}
             <div className="divide-y divide-slate-200 dark:divide-slate-700">
               {/* MFA Results */}
-              <CheckResultItem
-                title={
-                  results.mfa?.checkName || "Multi-Factor Authentication (MFA)"
-                }
-                error={results.mfa?.error}
-              >
-                {results.mfa?.users && results.mfa.users.length > 0 ? (
-                  <div className="overflow-x-auto">
-                    <table className="min-w-full text-sm border border-slate-200 dark:border-slate-700 rounded">
-                      <thead>
-                        <tr className="bg-slate-100 dark:bg-slate-800">
-                          <th className="px-3 py-2 text-left font-semibold">
-                            Email
-                          </th>
-                          <th className="px-3 py-2 text-left font-semibold">
-                            Phone
-                          </th>
-                          <th className="px-3 py-2 text-left font-semibold">
-                            MFA Enabled
-                          </th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {results.mfa.users.map((user) => (
-                          <tr
-                            key={user.id}
-                            className="border-t border-slate-200 dark:border-slate-700"
+              {checkResults.mfa && (
+                <CheckResultItem check={checkResults.mfa} error={mfa?.error}>
+                  {mfa?.users && mfa.users.length > 0 ? (
+                    <MfaCheckDetails
+                      result={mfa}
+                      disabled={isLoading}
+                      onEnable={canFix ? handleFixMfa : null}
+                      enrollUrl={enrollUrl}
+                      onEnrollUrlChange={setEnrollUrl}
+                      onStartCampaign={canFix ? handleStartCampaign : null}
+                    />
+                  ) : (
+                    <div className="text-slate-500 dark:text-slate-300">
+                      No users found.
+                    </div>
+                  )}
+                </CheckResultItem>
+              )}
+              {/* RLS Results */}
+              {checkResults.rls && (
+                <CheckResultItem check={checkResults.rls} error={rls?.error}>
+                  {rls?.schemas?.length > 0 && (
+                    <div className="text-sm text-slate-500 dark:text-slate-300 mb-2">
+                      Schemas checked:{" "}
+                      <span className="font-mono">
+                        {rls.schemas.join(", ")}
+                      </span>
+                    </div>
+                  )}
+                  {rls?.tables && rls.tables.length > 0 ? (
+                    <div className="space-y-4">
+                      {rls.tables.map((table) => (
+                        <div
+                          key={table.name}
+                          className={`border rounded p-3 mb-2 ${
+                            isTablePassing(table)
+                              ? "bg-green-50 dark:bg-green-900/30 border-green-200 dark:border-green-700"
+                              : "bg-red-50 dark:bg-red-900/40 border-red-200 dark:border-red-700"
+                          }`}
+                        >
+                          <div
+                            className={`font-semibold flex items-center gap-2 ${
+                              isTablePassing(table)
+                                ? "text-green-700 dark:text-green-200"
+                                : "text-red-700 dark:text-red-200"
+                            }`}
                           >
-                            <td className="px-3 py-1 font-mono">
-                              {user.email || (
-                                <span className="italic text-slate-400">
-                                  (none)
+                            Table:{" "}
+                            <span className="font-mono">{table.name}</span>
+                            {table.rls_forced && (
+                              <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200">
+                                Forced
+                              </span>
+                            )}
+                            {table.sensitive && (
+                              <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-200">
+                                Sensitive
+                              </span>
+                            )}
+                            {table.aal?.enforcement === "aal2" && (
+                              <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200">
+                                MFA (aal2)
+                              </span>
+                            )}
+                            {table.kind === "partitioned" && (
+                              <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200">
+                                Partitioned
+                              </span>
+                            )}
+                            {table.partition_of && (
+                              <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200">
+                                Partition of{" "}
+                                <span className="font-mono">
+                                  {table.partition_of}
                                 </span>
+                              </span>
+                            )}
+                            {table.is_empty && (
+                              <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200">
+                                Empty
+                              </span>
+                            )}
+                            {isTablePassing(table) ? (
+                              <span className="px-2 py-0.5 rounded-full text-xs bg-green-200 text-green-800 border border-green-300 ml-1">
+                                Passing
+                              </span>
+                            ) : (
+                              <span className="px-2 py-0.5 rounded-full text-xs bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-200 border border-red-200 dark:border-red-700 ml-1">
+                                Failing
+                              </span>
+                            )}
+                          </div>
+                          {table.error && (
+                            <div className="text-xs text-red-500 dark:text-red-300 mb-1">
+                              Error: {table.error}
+                            </div>
+                          )}
+                          <div className="text-sm text-slate-700 dark:text-slate-200 mb-1">
+                            <span className="font-bold">Current Policies:</span>{" "}
+                            {table.current_policies &&
+                            table.current_policies.length > 0 ? (
+                              <ul className="list-disc ml-5">
+                                {table.current_policies.map((p) => (
+                                  <li key={p.name + p.cmd}>
+                                    <span className="font-mono">{p.name}</span>{" "}
+                                    ({p.cmd}) - Roles:{" "}
+                                    {Array.isArray(p.roles)
+                                      ? p.roles.join(", ")
+                                      : p.roles || "All"}
+                                  </li>
+                                ))}
+                              </ul>
+                            ) : (
+                              "None"
+                            )}
+                          </div>
+                          {table.owner && (
+                            <div className="text-sm text-slate-700 dark:text-slate-200 mb-1">
+                              <span className="font-bold">Owner:</span>{" "}
+                              <span className="font-mono">{table.owner}</span>
+                              {table.bypass_roles?.length > 0 && (
+                                <>
+                                  {" "}
+                                  <span className="font-bold ml-2">
+                                    Bypasses RLS:
+                                  </span>{" "}
+                                  {table.bypass_roles
+                                    .map((b) => `${b.role} (${b.reason})`)
+                                    .join(", ")}
+                                </>
                               )}
-                            </td>
-                            <td className="px-3 py-1 font-mono">
-                              {user.phone || (
-                                <span className="italic text-slate-400">
-                                  (none)
+                            </div>
+                          )}
+                          {table.aal &&
+                            table.rls_enabled &&
+                            table.aal.enforcement !== "no_access" && (
+                              <div className="text-sm text-slate-700 dark:text-slate-200 mb-1">
+                                <span className="font-bold">MFA (aal2):</span>{" "}
+                                {table.aal.aal2_policies.length
+                                  ? `checked by ${table.aal.aal2_policies.join(
+                                      ", "
+                                    )}`
+                                  : "not required by any policy"}
+                                {table.aal.aal1_commands.length > 0 &&
+                                  `; reachable at aal1 for ${table.aal.aal1_commands.join(
+                                    ", "
+                                  )}`}
+                              </div>
+                            )}
+                          <div className="flex flex-wrap gap-2 mb-1">
+                            {Object.entries(table.policy_counts || {}).map(
+                              ([cmd, count]) => (
+                                <span
+                                  key={cmd}
+                                  className="px-2 py-0.5 rounded-full text-xs bg-slate-100 dark:bg-slate-800 text-slate-700 dark:text-slate-200 border border-slate-200 dark:border-slate-700"
+                                >
+                                  {cmd}: {count}
                                 </span>
+                              )
+                            )}
+                          </div>
+                          <div className="text-sm text-slate-700 dark:text-slate-200">
+                            <span className="font-bold">Recommendations:</span>
+                            <ul className="list-disc ml-5">
+                              {table.recommendations?.map((rec, i) =>
+                                typeof rec === "string" ? (
+                                  <li key={i}>{rec}</li>
+                                ) : (
+                                  <li key={i} className="mb-1">
+                                    <span
+                                      className={`mr-2 px-2 py-0.5 rounded-full text-xs font-semibold uppercase ${getSeverityPillClass(
+                                        rec.severity
+                                      )}`}
+                                    >
+                                      {rec.severity}
+                                    </span>
+                                    {rec.message}
+                                  </li>
+                                )
                               )}
-                            </td>
-                            <td className="px-3 py-1">
-                              {user.mfa_enabled ? (
-                                <span className="flex items-center gap-2">
-                                  <span className="px-2 py-0.5 rounded-full text-xs bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-200 border border-green-200 dark:border-green-700">
-                                    Yes
-                                  </span>
-                                  <span className="px-2 py-0.5 rounded-full text-xs bg-green-200 text-green-800 border border-green-300 ml-1">
-                                    Passing
-                                  </span>
-                                </span>
-                              ) : (
-                                <div className="flex items-center gap-2">
-                                  <span className="px-2 py-0.5 rounded-full text-xs bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-200 border border-red-200 dark:border-red-700">
-                                    Failing
-                                  </span>
+                            </ul>
+                          </div>
+                          {canFix &&
+                            table.rls_enabled &&
+                            !table.rls_forced &&
+                            table.owner &&
+                            table.owner !== "postgres" && (
+                              <div className="mt-2">
+                                <button
+                                  className="px-3 py-1 bg-green-600 dark:bg-green-700 text-white rounded hover:bg-green-700 dark:hover:bg-green-800 text-xs"
+                                  onClick={() =>
+                                    handleForceRls(table.table, table.schema)
+                                  }
+                                  title="Run FORCE ROW LEVEL SECURITY so the table owner is subject to policies."
+                                  disabled={isLoading}
+                                >
+                                  Force RLS (SQL)
+                                </button>
+                              </div>
+                            )}
+                          {canFix &&
+                            table.rls_enabled &&
+                            table.aal?.aal1_commands.length > 0 && (
+                              <div className="mt-2">
+                                <button
+                                  className="px-3 py-1 bg-green-600 dark:bg-green-700 text-white rounded hover:bg-green-700 dark:hover:bg-green-800 text-xs"
+                                  onClick={() =>
+                                    handleRequireAal2(table.table, table.schema)
+                                  }
+                                  title="Add a restrictive policy so signed-in users need a verified MFA factor (aal2)."
+                                  disabled={isLoading}
+                                >
+                                  Require MFA (SQL)
+                                </button>
+                              </div>
+                            )}
+                          {!table.rls_enabled && (
+                            <div className="mt-2 flex flex-col gap-1">
+                              <div className="flex gap-2">
+                                {canFix && (
                                   <button
-                                    className="px-2 py-0.5 bg-blue-600 dark:bg-blue-700 text-white rounded hover:bg-blue-700 dark:hover:bg-blue-800 text-xs disabled:opacity-50 disabled:cursor-not-allowed"
-                                    onClick={() => handleFixMfa(user.id)}
-                                    disabled={isLoading || !user.email}
-                                    title={
-                                      !user.email
-                                        ? "Cannot enable MFA without an email address"
-                                        : "Enable MFA"
+                                    className="px-3 py-1 bg-green-600 dark:bg-green-700 text-white rounded hover:bg-green-700 dark:hover:bg-green-800 text-xs"
+                                    onClick={() =>
+                                      handleOpenRlsTemplates(table)
                                     }
+                                    title="Pick a policy template and preview the SQL before enabling RLS."
+                                    disabled={isLoading}
                                   >
-                                    Enable MFA
+                                    Enable RLS (SQL)
                                   </button>
-                                </div>
+                                )}
+                                <button
+                                  className="px-3 py-1 bg-blue-600 dark:bg-blue-700 text-white rounded hover:bg-blue-700 dark:hover:bg-blue-800 text-xs"
+                                  onClick={() => {
+                                    const projectRef = projectUrl
+                                      .replace(/^https?:\/\//, "")
+                                      .split(".")[0];
+                                    window.open(
+                                      `https://supabase.com/dashboard/project/${projectRef}/auth/policies`,
+                                      "_blank"
+                                    );
+                                  }}
+                                  title="Open the Supabase Dashboard to enable RLS manually."
+                                >
+                                  Open RLS Settings in Dashboard
+                                </button>
+                              </div>
+                              {rlsPicker?.key === table.name && (
+                                <RlsTemplatePicker
+                                  picker={rlsPicker}
+                                  disabled={isLoading}
+                                  onSelect={(id) =>
+                                    setRlsPicker((prev) => ({
+                                      ...prev,
+                                      selected: id,
+                                    }))
+                                  }
+                                  onApply={() =>
+                                    handleFixRls(
+                                      rlsPicker.table,
+                                      rlsPicker.schema,
+                                      rlsPicker.selected
+                                    )
+                                  }
+                                  onCancel={() => setRlsPicker(null)}
+                                />
                               )}
-                            </td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
-                ) : (
-                  <div className="text-slate-500 dark:text-slate-300">
-                    No users found.
-                  </div>
-                )}
-              </CheckResultItem>
-              {/* RLS Results */}
-              <CheckResultItem
-                title={results.rls?.checkName || "Row Level Security (RLS)"}
-                error={results.rls?.error}
-              >
-                {results.rls?.tables && results.rls.tables.length > 0 ? (
-                  <div className="space-y-4">
-                    {results.rls.tables.map((table) => (
-                      <div
-                        key={table.name}
-                        className={`border rounded p-3 mb-2 ${
-                          table.rls_enabled
-                            ? "bg-green-50 dark:bg-green-900/30 border-green-200 dark:border-green-700"
-                            : "bg-red-50 dark:bg-red-900/40 border-red-200 dark:border-red-700"
-                        }`}
-                      >
-                        <div
-                          className={`font-semibold flex items-center gap-2 ${
-                            table.rls_enabled
-                              ? "text-green-700 dark:text-green-200"
-                              : "text-red-700 dark:text-red-200"
-                          }`}
-                        >
-                          Table: <span className="font-mono">{table.name}</span>
-                          {table.is_empty && (
-                            <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200">
-                              Empty
-                            </span>
-                          )}
-                          {table.rls_enabled ? (
-                            <span className="px-2 py-0.5 rounded-full text-xs bg-green-200 text-green-800 border border-green-300 ml-1">
-                              Passing
-                            </span>
-                          ) : (
-                            <span className="px-2 py-0.5 rounded-full text-xs bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-200 border border-red-200 dark:border-red-700 ml-1">
-                              Failing
-                            </span>
-                          )}
-                        </div>
-                        {table.error && (
-                          <div className="text-xs text-red-500 dark:text-red-300 mb-1">
-                            Error: {table.error}
-                          </div>
-                        )}
-                        <div className="text-sm text-slate-700 dark:text-slate-200 mb-1">
-                          <span className="font-bold">Current Policies:</span>{" "}
-                          {table.current_policies &&
-                          table.current_policies.length > 0 ? (
-                            <ul className="list-disc ml-5">
-                              {table.current_policies.map((p) => (
-                                <li key={p.name + p.cmd}>
-                                  <span className="font-mono">{p.name}</span> (
-                                  {p.cmd}) - Roles:{" "}
-                                  {Array.isArray(p.roles)
-                                    ? p.roles.join(", ")
-                                    : p.roles || "All"}
-                                </li>
-                              ))}
-                            </ul>
-                          ) : (
-                            "None"
-                          )}
-                        </div>
-                        <div className="flex flex-wrap gap-2 mb-1">
-                          {Object.entries(table.policy_counts || {}).map(
-                            ([cmd, count]) => (
-                              <span
-                                key={cmd}
-                                className="px-2 py-0.5 rounded-full text-xs bg-slate-100 dark:bg-slate-800 text-slate-700 dark:text-slate-200 border border-slate-200 dark:border-slate-700"
-                              >
-                                {cmd}: {count}
+                              <span className="text-xs text-slate-500 dark:text-slate-300">
+                                For security reasons, enabling RLS can be done
+                                either programmatically (SQL) or manually in the
+                                Supabase Dashboard. The SQL button uses your
+                                credentials to enable RLS directly; the
+                                Dashboard button opens the manual settings page.
                               </span>
-                            )
+                            </div>
                           )}
                         </div>
-                        <div className="text-sm text-slate-700 dark:text-slate-200">
-                          <span className="font-bold">Recommendations:</span>
-                          <ul className="list-disc ml-5">
-                            {table.recommendations?.map((rec, i) => (
-                              <li key={i}>{rec}</li>
-                            ))}
-                          </ul>
-                        </div>
-                        {!table.rls_enabled && (
-                          <div className="mt-2 flex flex-col gap-1">
-                            <div className="flex gap-2">
-                              <button
-                                className="px-3 py-1 bg-green-600 dark:bg-green-700 text-white rounded hover:bg-green-700 dark:hover:bg-green-800 text-xs"
-                                onClick={() => handleFixRls(table.name)}
-                                title="Enable RLS for this table using a direct SQL command."
-                                disabled={isLoading}
-                              >
-                                Enable RLS (SQL)
-                              </button>
-                              <button
-                                className="px-3 py-1 bg-blue-600 dark:bg-blue-700 text-white rounded hover:bg-blue-700 dark:hover:bg-blue-800 text-xs"
-                                onClick={() => {
-                                  const projectRef = projectUrl
-                                    .replace(/^https?:\/\//, "")
-                                    .split(".")[0];
-                                  window.open(
-                                    `https://supabase.com/dashboard/project/${projectRef}/auth/policies`,
-                                    "_blank"
-                                  );
-                                }}
-                                title="Open the Supabase Dashboard to enable RLS manually."
-                              >
-                                Open RLS Settings in Dashboard
-                              </button>
-                            </div>
-                            <span className="text-xs text-slate-500 dark:text-slate-300">
-                              For security reasons, enabling RLS can be done
-                              either programmatically (SQL) or manually in the
-                              Supabase Dashboard. The SQL button uses your
-                              credentials to enable RLS directly; the Dashboard
-                              button opens the manual settings page.
-                            </span>
-                          </div>
-                        )}
-                      </div>
-                    ))}
-                  </div>
-                ) : (
-                  <div className="text-slate-500">No tables found.</div>
-                )}
-              </CheckResultItem>
-              {/* PITR Results */}
-              <CheckResultItem
-                title={
-                  results.pitr?.checkName || "Point-in-Time Recovery (PITR)"
-                }
-                error={results.pitr?.error}
-              >
-                <div className="text-slate-700 dark:text-slate-200">
-                  {results.pitr?.message && (
-                    <div className="mb-2">{results.pitr.message}</div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="text-slate-500">No tables found.</div>
                   )}
-                  {results.pitr?.details?.projects &&
-                  results.pitr.details.projects.length > 0 ? (
-                    <div className="overflow-x-auto">
-                      <table className="min-w-full text-sm border border-slate-200 dark:border-slate-700 rounded">
-                        <thead>
-                          <tr className="bg-slate-100 dark:bg-slate-800">
-                            <th className="px-3 py-2 text-left font-semibold">
-                              Project Name
-                            </th>
-                            <th className="px-3 py-2 text-left font-semibold">
-                              Ref
-                            </th>
-                            <th className="px-3 py-2 text-left font-semibold">
-                              PITR Enabled
-                            </th>
-                            <th className="px-3 py-2 text-left font-semibold">
-                              Addon Details
-                            </th>
-                          </tr>
-                        </thead>
-                        <tbody>
-                          {results.pitr.details.projects.map((project) => (
-                            <tr
-                              key={project.ref}
-                              className="border-t border-slate-200 dark:border-slate-700"
-                            >
-                              <td className="px-3 py-1 font-mono">
-                                {project.name}
-                              </td>
-                              <td className="px-3 py-1 font-mono">
-                                {project.ref}
-                              </td>
-                              <td className="px-3 py-1">
-                                {project.pitrEnabled ? (
-                                  <span className="flex items-center gap-2">
-                                    <span className="px-2 py-0.5 rounded-full text-xs bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-200 border border-green-200 dark:border-green-700">
-                                      Yes
+                </CheckResultItem>
+              )}
+              {/* Grants Results */}
+              {checkResults.grants && (
+                <CheckResultItem
+                  check={checkResults.grants}
+                  error={grants?.error}
+                >
+                  <GrantsCheckDetails
+                    result={grants}
+                    disabled={isLoading}
+                    onRevoke={canFix ? handleRevokeGrant : null}
+                  />
+                </CheckResultItem>
+              )}
+              {/* Functions Results */}
+              {checkResults.functions && (
+                <CheckResultItem
+                  check={checkResults.functions}
+                  error={functions?.error}
+                >
+                  <FunctionsCheckDetails
+                    result={functions}
+                    disabled={isLoading}
+                    onFix={canFix ? handleFixFunction : null}
+                  />
+                </CheckResultItem>
+              )}
+              {/* Storage Results */}
+              {checkResults.storage && (
+                <CheckResultItem
+                  check={checkResults.storage}
+                  error={storage?.error}
+                >
+                  <StorageCheckDetails
+                    result={storage}
+                    disabled={isLoading}
+                    onMakePrivate={canFix ? handleMakeBucketPrivate : null}
+                  />
+                </CheckResultItem>
+              )}
+              {/* Auth Config Results */}
+              {checkResults["auth-config"] && (
+                <CheckResultItem
+                  check={checkResults["auth-config"]}
+                  error={authConfig?.error}
+                >
+                  <AuthConfigDetails
+                    result={authConfig}
+                    disabled={isLoading}
+                    onFix={canFix ? handleFixAuthConfig : null}
+                  />
+                </CheckResultItem>
+              )}
+              {/* PITR Results */}
+              {checkResults.pitr && (
+                <CheckResultItem check={checkResults.pitr} error={pitr?.error}>
+                  <div className="text-slate-700 dark:text-slate-200">
+                    {pitr?.message && (
+                      <div className="mb-2">{pitr.message}</div>
+                    )}
+                    {pitr?.details?.projects &&
+                    pitr.details.projects.length > 0 ? (
+                      <div className="overflow-x-auto">
+                        <table className="min-w-full text-sm border border-slate-200 dark:border-slate-700 rounded">
+                          <thead>
+                            <tr className="bg-slate-100 dark:bg-slate-800">
+                              <th className="px-3 py-2 text-left font-semibold">
+                                Project Name
+                              </th>
+                              <th className="px-3 py-2 text-left font-semibold">
+                                Ref
+                              </th>
+                              <th className="px-3 py-2 text-left font-semibold">
+                                PITR Enabled
+                              </th>
+                              <th className="px-3 py-2 text-left font-semibold">
+                                Addon Details
+                              </th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {pitr.details.projects.map((project) => (
+                              <tr
+                                key={project.ref}
+                                className="border-t border-slate-200 dark:border-slate-700"
+                              >
+                                <td className="px-3 py-1 font-mono">
+                                  {project.name}
+                                </td>
+                                <td className="px-3 py-1 font-mono">
+                                  {project.ref}
+                                </td>
+                                <td className="px-3 py-1">
+                                  {project.pitrEnabled ? (
+                                    <span className="flex items-center gap-2">
+                                      <span className="px-2 py-0.5 rounded-full text-xs bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-200 border border-green-200 dark:border-green-700">
+                                        Yes
+                                      </span>
+                                      <span className="px-2 py-0.5 rounded-full text-xs bg-green-200 text-green-800 border border-green-300 ml-1">
+                                        Passing
+                                      </span>
                                     </span>
-                                    <span className="px-2 py-0.5 rounded-full text-xs bg-green-200 text-green-800 border border-green-300 ml-1">
-                                      Passing
+                                  ) : (
+                                    <span className="flex items-center gap-2">
+                                      <span className="px-2 py-0.5 rounded-full text-xs bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-200 border border-red-200 dark:border-red-700">
+                                        Failing
+                                      </span>
+                                      {/* Only show buttons when PITR is failing */}
+                                      <div className="flex gap-2">
+                                        {canFix && (
+                                          <button
+                                            className="px-2 py-0.5 bg-green-600 dark:bg-green-700 text-white rounded hover:bg-green-700 dark:hover:bg-green-800 text-xs"
+                                            onClick={() =>
+                                              handleFixPitr(project.ref)
+                                            }
+                                            disabled={isLoading}
+                                          >
+                                            Try Enable PITR (API)
+                                          </button>
+                                        )}
+                                        <button
+                                          className="px-2 py-0.5 bg-blue-600 dark:bg-blue-700 text-white rounded hover:bg-blue-700 dark:hover:bg-blue-800 text-xs"
+                                          onClick={() =>
+                                            window.open(
+                                              `https://app.supabase.com/project/${project.ref}/database/backups/pitr`,
+                                              "_blank"
+                                            )
+                                          }
+                                        >
+                                          Enable PITR (Dashboard)
+                                        </button>
+                                      </div>
                                     </span>
-                                  </span>
-                                ) : (
-                                  <span className="flex items-center gap-2">
-                                    <span className="px-2 py-0.5 rounded-full text-xs bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-200 border border-red-200 dark:border-red-700">
-                                      Failing
+                                  )}
+                                </td>
+                                <td className="px-3 py-1 text-xs">
+                                  {project.pitrAddon ? (
+                                    JSON.stringify(project.pitrAddon)
+                                  ) : (
+                                    <span className="italic text-slate-400">
+                                      None
                                     </span>
-                                    {/* Only show buttons when PITR is failing */}
-                                    <div className="flex gap-2">
-                                      <button
-                                        className="px-2 py-0.5 bg-green-600 dark:bg-green-700 text-white rounded hover:bg-green-700 dark:hover:bg-green-800 text-xs"
-                                        onClick={() =>
-                                          handleFixPitr(project.ref)
-                                        }
-                                        disabled={isLoading}
-                                      >
-                                        Try Enable PITR (API)
-                                      </button>
-                                      <button
-                                        className="px-2 py-0.5 bg-blue-600 dark:bg-blue-700 text-white rounded hover:bg-blue-700 dark:hover:bg-blue-800 text-xs"
-                                        onClick={() =>
-                                          window.open(
-                                            `https://app.supabase.com/project/${project.ref}/database/backups/pitr`,
-                                            "_blank"
-                                          )
-                                        }
-                                      >
-                                        Enable PITR (Dashboard)
-                                      </button>
-                                    </div>
-                                  </span>
-                                )}
-                              </td>
-                              <td className="px-3 py-1 text-xs">
-                                {project.pitrAddon ? (
-                                  JSON.stringify(project.pitrAddon)
-                                ) : (
-                                  <span className="italic text-slate-400">
-                                    None
-                                  </span>
-                                )}
-                              </td>
-                            </tr>
-                          ))}
-                        </tbody>
-                      </table>
-                    </div>
-                  ) : (
-                    <div className="text-slate-500 dark:text-slate-300">
-                      No project details found.
-                    </div>
-                  )}
+                                  )}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    ) : (
+                      <div className="text-slate-500 dark:text-slate-300">
+                        No project details found.
+                      </div>
+                    )}
+                  </div>
+                </CheckResultItem>
+              )}
+              {/* MFA enrollment campaigns */}
+              {campaigns.length > 0 && (
+                <MfaCampaigns
+                  campaigns={campaigns}
+                  disabled={isLoading}
+                  onRemind={canFix ? handleRemindCampaign : null}
+                  onRefresh={canScan ? handleRefreshCampaign : null}
+                />
+              )}
+              {/* Framework controls */}
+              {frameworkView?.frameworks.length > 0 && (
+                <FrameworkControls frameworks={frameworkView.frameworks} />
+              )}
+              {/* Scan history */}
+              {scans.length > 0 && (
+                <ScanHistory
+                  scans={scans}
+                  currentScanId={results.scanId}
+                  disabled={isLoading}
+                  onView={handleViewScan}
+                  onCompare={handleCompareScan}
+                  onDelete={canFix ? handleDeleteScan : null}
+                />
+              )}
+              {scanDiff && (
+                <ScanDiff diff={scanDiff} onClose={() => setScanDiff(null)} />
+              )}
+              {/* Scheduled scans */}
+              <ScanSchedules
+                schedules={schedules}
+                cron={scheduleCron}
+                disabled={isLoading}
+                readOnly={!canScan}
+                onCronChange={setScheduleCron}
+                onCreate={handleCreateSchedule}
+                onToggle={handleToggleSchedule}
+                onRun={handleRunSchedule}
+                onDelete={handleDeleteSchedule}
+              />
+              {/* Applied remediations */}
+              {remediations.length > 0 && (
+                <div className="p-6">
+                  <h3 className="text-lg font-semibold mb-2">
+                    Applied Remediations
+                  </h3>
+                  <ul className="space-y-2 text-sm text-slate-700 dark:text-slate-200">
+                    {remediations.map((remediation) => (
+                      <li
+                        key={remediation.id}
+                        className="flex items-center justify-between gap-2 border-t border-slate-200 dark:border-slate-700 pt-2"
+                      >
+                        <span>
+                          <span className="font-mono">
+                            {remediation.action}
+                          </span>{" "}
+                          {remediation.params?.schema
+                            ? `${remediation.params.schema}.${
+                                remediation.params.table ||
+                                remediation.params.name
+                              }`
+                            : remediation.params?.projectRef ||
+                              remediation.params?.bucketId ||
+                              remediation.params?.email}{" "}
+                          <span className="text-xs text-slate-500 dark:text-slate-400">
+                            {new Date(remediation.appliedAt).toLocaleString()}
+                          </span>
+                        </span>
+                        {remediation.revertedAt ? (
+                          <span className="text-xs italic text-slate-500">
+                            Reverted{" "}
+                            {new Date(remediation.revertedAt).toLocaleString()}
+                          </span>
+                        ) : remediation.revertible ? (
+                          canFix && (
+                            <button
+                              className="px-2 py-0.5 bg-slate-600 dark:bg-slate-700 text-white rounded hover:bg-slate-700 text-xs"
+                              onClick={() =>
+                                handleRevertRemediation(remediation)
+                              }
+                              disabled={isLoading}
+                            >
+                              Revert
+                            </button>
+                          )
+                        ) : (
+                          <span
+                            className="text-xs italic text-slate-500"
+                            title={remediation.reason}
+                          >
+                            Not revertible
+                          </span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
                 </div>
-              </CheckResultItem>
+              )}
+              {/* Custom check results */}
+              {customChecks.map((check) => (
+                <CheckResultItem
+                  key={check.id}
+                  check={check}
+                  error={check.result?.error}
+                >
+                  <GenericCheckDetails result={check.result} />
+                </CheckResultItem>
+              ))}
             </div>
           </div>
         )}
@@ -661,23 +1769,26 @@ export default function HomePage() {
                       >
                         {msg.content}
                         {/* If assistant and SQL, show RLS apply button */}
-                        {msg.role === "assistant" &&
+                        {canFix &&
+                          msg.role === "assistant" &&
                           msg.content.includes("```sql") && (
                             <div className="mt-2">
                               <button
                                 onClick={() => {
-                                  // Extract table names from the SQL policies
-                                  const tableNames = msg.content
+                                  // Extract (optionally schema-qualified) table names from the SQL policies
+                                  const tables = msg.content
                                     .match(/```sql\n([\s\S]*?)```/g)
                                     ?.map((block) => {
                                       const match = block.match(
-                                        /ALTER TABLE "([^"]+)"/
+                                        /ALTER TABLE (?:"?([\w$]+)"?\.)?"?([\w$]+)"?/
                                       );
-                                      return match ? match[1] : null;
+                                      return match
+                                        ? { schema: match[1], table: match[2] }
+                                        : null;
                                     })
                                     .filter(Boolean);
-                                  tableNames?.forEach((tableName) => {
-                                    handleFixRls(tableName);
+                                  tables?.forEach(({ schema, table }) => {
+                                    handleFixRls(table, schema);
                                   });
                                 }}
                                 className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 text-xs mt-2"
@@ -693,51 +1804,63 @@ export default function HomePage() {
                 </div>
               )}
             </div>
-            <form
-              onSubmit={(e) => {
-                e.preventDefault();
-                const input = e.target.elements.message;
-                if (input.value.trim()) {
-                  handleAiChat(input.value, {
-                    results,
-                    systemContext: {
-                      projectUrl,
-                      hasServiceKey: !!serviceKey,
-                      checksRun: !!results,
-                      mfaStatus: results?.mfa?.overallStatus,
-                      rlsStatus: results?.rls?.overallStatus,
-                      pitrStatus: results?.pitr?.status,
-                      tables: results?.rls?.tables?.map((t) => ({
-                        name: t.name,
-                        rls_enabled: t.rls_enabled,
-                        current_policies: t.current_policies,
-                      })),
-                    },
-                  });
-                  input.value = "";
-                }
-              }}
-              className="flex gap-2"
-            >
-              <input
-                type="text"
-                name="message"
-                placeholder="Ask about your compliance status..."
-                disabled={isAiLoading || !results}
-                className="flex-1 px-4 py-2 border border-slate-300 dark:border-slate-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-slate-800 dark:text-white"
-                autoComplete="off"
-              />
-              <button
-                type="submit"
-                disabled={isAiLoading || !results}
-                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            {canScan && (
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  const input = e.target.elements.message;
+                  if (input.value.trim()) {
+                    handleAiChat(input.value, {
+                      results,
+                      systemContext: {
+                        projectUrl,
+                        hasServiceKey: !!serviceKey || !!projectId,
+                        checksRun: !!results,
+                        checkStatuses: Object.fromEntries(
+                          (results?.checks || []).map((c) => [c.id, c.status])
+                        ),
+                        tables: rls?.tables?.map((t) => ({
+                          name: t.name,
+                          rls_enabled: t.rls_enabled,
+                          current_policies: t.current_policies,
+                        })),
+                      },
+                    });
+                    input.value = "";
+                  }
+                }}
+                className="flex gap-2"
               >
-                {isAiLoading ? "Thinking..." : "Send"}
-              </button>
-            </form>
+                <input
+                  type="text"
+                  name="message"
+                  placeholder="Ask about your compliance status..."
+                  disabled={isAiLoading || !results}
+                  className="flex-1 px-4 py-2 border border-slate-300 dark:border-slate-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-slate-800 dark:text-white"
+                  autoComplete="off"
+                />
+                <button
+                  type="submit"
+                  disabled={isAiLoading || !results}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {isAiLoading ? "Thinking..." : "Send"}
+                </button>
+              </form>
+            )}
           </div>
         </div>
 
+        {pendingPlans.length > 0 && (
+          <PlanReview
+            plan={pendingPlans[0].plan}
+            queued={pendingPlans.length - 1}
+            disabled={isLoading}
+            onApply={handleApplyPlan}
+            onCancel={handleCancelPlan}
+          />
+        )}
+
         {rlsActionMessage && (
           <div className="mt-2 text-sm text-blue-700 dark:text-blue-200">
             {rlsActionMessage}
@@ -748,15 +1871,63 @@ export default function HomePage() {
   );
 }
 
-function CheckResultItem({ title, error, children }) {
+function ScanProgress({ progress }) {
+  const running = Object.entries(progress);
+  if (!running.length) return null;
+  return (
+    <ul className="p-6 border-b border-slate-200 dark:border-slate-700 space-y-2 text-sm">
+      {running.map(([id, check]) => (
+        <li key={id} className="flex items-center justify-between gap-2">
+          <span className="font-semibold text-slate-700 dark:text-slate-200">
+            {check.title}
+          </span>
+          <span className="text-slate-500 dark:text-slate-400">
+            {check.message || "Running..."}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function CheckResultItem({ check, error, children }) {
   return (
     <div className="p-6">
       <div className="flex items-center justify-between mb-2">
-        <h3 className="text-lg font-semibold">{title}</h3>
+        <h3 className="text-lg font-semibold">
+          {check.result?.checkName || check.title}
+        </h3>
+        <span
+          className={`px-2 py-0.5 rounded-full text-xs font-semibold ${getStatusPillClass(
+            check.status
+          )}`}
+        >
+          {check.status}
+        </span>
       </div>
-      {error ? (
+      {check.controls?.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-2">
+          {check.controls.map((c) => (
+            <span
+              key={`${c.framework}-${c.control}`}
+              className="px-2 py-0.5 rounded-full text-xs bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-100"
+              title={c.title}
+            >
+              {c.frameworkName} {c.control}
+            </span>
+          ))}
+        </div>
+      )}
+      {check.status === "SKIPPED" ? (
+        <div className="text-slate-500 dark:text-slate-300 text-sm mb-2">
+          {check.message}
+        </div>
+      ) : error || !check.result ? (
         <div className="text-red-600 text-sm mb-2">
-          Error: {typeof error === "object" ? JSON.stringify(error) : error}
+          Error:{" "}
+          {typeof error === "object"
+            ? JSON.stringify(error)
+            : error || check.message}
         </div>
       ) : (
         <div className="mb-2">{children}</div>
@@ -764,3 +1935,1356 @@ function CheckResultItem({ title, error, children }) {
     </div>
   );
 }
+
+// Privileges of anon, authenticated and PUBLIC per exposed table or sequence
+const MFA_SEGMENTS = {
+  all: { label: "All users", match: () => true },
+  required: {
+    label: "MFA required, not enrolled",
+    match: (u) => u.mfa_required && !u.mfa_enabled,
+  },
+  without_mfa: { label: "Without MFA", match: (u) => !u.mfa_enabled },
+  elevated: {
+    label: "Elevated without MFA",
+    match: (u) => u.elevated && !u.mfa_enabled,
+  },
+  unverified: {
+    label: "Unverified factors",
+    match: (u) => u.unverified_factors > 0,
+  },
+  banned: { label: "Banned", match: (u) => u.banned },
+  unconfirmed: { label: "Unconfirmed", match: (u) => !u.confirmed },
+};
+
+function MfaCheckDetails({
+  result,
+  disabled,
+  onEnable,
+  enrollUrl,
+  onEnrollUrlChange,
+  onStartCampaign,
+}) {
+  const [segment, setSegment] = useState("all");
+  const summary = result.summary;
+  const users = result.users.filter(MFA_SEGMENTS[segment].match);
+  // Campaigns only email reachable users who still have to enroll
+  const campaignUserIds = users
+    .filter((u) => !u.mfa_enabled && !u.banned && u.email)
+    .map((u) => u.id);
+  return (
+    <div className="text-sm text-slate-700 dark:text-slate-200">
+      {result.message && <div className="mb-2">{result.message}</div>}
+      {summary && (
+        <ul className="mb-2 text-xs text-slate-500 dark:text-slate-400 grid grid-cols-2 gap-x-4">
+          <li>
+            MFA required for:{" "}
+            <span className="font-mono">
+              {result.requireFor === "elevated"
+                ? `roles ${result.elevatedRoles.join(", ")}`
+                : "all users"}
+            </span>
+          </li>
+          <li>
+            Enrolled: {summary.mfa_enabled} of {summary.total}
+          </li>
+          <li>
+            Factors:{" "}
+            {Object.entries(summary.by_factor)
+              .map(([type, count]) => `${type} ${count}`)
+              .join(", ") || "none"}
+          </li>
+          <li>Unverified factors: {summary.unverified_factors}</li>
+          <li>
+            Elevated without MFA: {summary.elevated_without_mfa} of{" "}
+            {summary.elevated}
+          </li>
+          <li>
+            Banned: {summary.banned}, unconfirmed: {summary.unconfirmed}
+          </li>
+        </ul>
+      )}
+      {result.enforcement && (
+        <div className="mb-2 text-xs text-slate-500 dark:text-slate-400">
+          Tables requiring aal2:{" "}
+          <span className="font-mono">
+            {result.enforcement.aal2_tables.join(", ") || "none"}
+          </span>
+          {result.enforcement.partial_tables.length > 0 && (
+            <>
+              {"; "}partially:{" "}
+              <span className="font-mono">
+                {result.enforcement.partial_tables.join(", ")}
+              </span>
+            </>
+          )}
+          {result.enforcement.sensitive_at_aal1.length > 0 && (
+            <div className="text-red-700 dark:text-red-300">
+              Sensitive tables reachable without MFA:{" "}
+              <span className="font-mono">
+                {result.enforcement.sensitive_at_aal1.join(", ")}
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+      <select
+        className="mb-2 px-2 py-1 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-xs"
+        value={segment}
+        onChange={(e) => setSegment(e.target.value)}
+      >
+        {Object.entries(MFA_SEGMENTS).map(([id, { label }]) => (
+          <option key={id} value={id}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {onStartCampaign && campaignUserIds.length > 0 && (
+        <div className="mb-2 flex items-center gap-2">
+          <input
+            type="url"
+            className="flex-1 px-2 py-1 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-xs"
+            placeholder="Enrollment page URL, e.g. https://app.example.com/settings/mfa"
+            value={enrollUrl}
+            onChange={(e) => onEnrollUrlChange(e.target.value)}
+          />
+          <button
+            className="px-2 py-1 bg-blue-600 dark:bg-blue-700 text-white rounded hover:bg-blue-700 dark:hover:bg-blue-800 text-xs disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={() => onStartCampaign(campaignUserIds)}
+            disabled={disabled}
+            title="Preview enrollment emails to the users without MFA in this segment."
+          >
+            Start enrollment campaign ({campaignUserIds.length})
+          </button>
+        </div>
+      )}
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm border border-slate-200 dark:border-slate-700 rounded">
+          <thead>
+            <tr className="bg-slate-100 dark:bg-slate-800">
+              <th className="px-3 py-2 text-left font-semibold">User</th>
+              <th className="px-3 py-2 text-left font-semibold">Factors</th>
+              <th className="px-3 py-2 text-left font-semibold">Roles</th>
+              <th className="px-3 py-2 text-left font-semibold">Status</th>
+              <th className="px-3 py-2 text-left font-semibold">MFA</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((user) => (
+              <tr
+                key={user.id}
+                className="border-t border-slate-200 dark:border-slate-700"
+              >
+                <td className="px-3 py-1 font-mono">
+                  {user.email || user.phone || (
+                    <span className="italic text-slate-400">{user.id}</span>
+                  )}
+                </td>
+                <td className="px-3 py-1 font-mono text-xs">
+                  {user.factor_types.join(", ") || "-"}
+                  {user.unverified_factors > 0 && (
+                    <span className="ml-1 text-yellow-700 dark:text-yellow-300">
+                      (+{user.unverified_factors} unverified)
+                    </span>
+                  )}
+                </td>
+                <td className="px-3 py-1 font-mono text-xs">
+                  {user.roles.join(", ") || "-"}
+                </td>
+                <td className="px-3 py-1 text-xs">
+                  {user.banned
+                    ? "Banned"
+                    : user.confirmed
+                    ? "Active"
+                    : "Unconfirmed"}
+                </td>
+                <td className="px-3 py-1">
+                  {user.mfa_enabled ? (
+                    <span className="px-2 py-0.5 rounded-full text-xs bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-200 border border-green-200 dark:border-green-700">
+                      Enrolled
+                    </span>
+                  ) : (
+                    <div className="flex items-center gap-2">
+                      <span
+                        className={`px-2 py-0.5 rounded-full text-xs border ${
+                          user.mfa_required
+                            ? "bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-200 border-red-200 dark:border-red-700"
+                            : "bg-slate-100 dark:bg-slate-700 text-slate-600 dark:text-slate-300 border-slate-200 dark:border-slate-600"
+                        }`}
+                      >
+                        {user.mfa_required ? "Failing" : "Not required"}
+                      </span>
+                      {onEnable && (
+                        <button
+                          className="px-2 py-0.5 bg-blue-600 dark:bg-blue-700 text-white rounded hover:bg-blue-700 dark:hover:bg-blue-800 text-xs disabled:opacity-50 disabled:cursor-not-allowed"
+                          onClick={() => onEnable(user.id)}
+                          disabled={disabled || !user.email}
+                          title={
+                            !user.email
+                              ? "Cannot enable MFA without an email address"
+                              : "Enable MFA"
+                          }
+                        >
+                          Enable MFA
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+const DIFF_CLASS_STYLES = {
+  regression: "bg-red-100 text-red-700",
+  improvement: "bg-green-100 text-green-700",
+  neutral: "bg-slate-100 text-slate-700",
+};
+
+function ScanDiff({ diff, onClose }) {
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold">
+          Changes from {new Date(diff.from.scannedAt).toLocaleString()} to{" "}
+          {new Date(diff.to.scannedAt).toLocaleString()}
+        </h3>
+        <button
+          className="text-xs text-slate-500 hover:underline"
+          onClick={onClose}
+        >
+          Close
+        </button>
+      </div>
+      <div className="flex gap-2 mb-2 text-xs">
+        {Object.entries(diff.counts).map(([classification, count]) => (
+          <span
+            key={classification}
+            className={`px-2 py-0.5 rounded-full ${DIFF_CLASS_STYLES[classification]}`}
+          >
+            {count}{" "}
+            {classification === "neutral" ? "neutral" : `${classification}s`}
+          </span>
+        ))}
+      </div>
+      {diff.items.length ? (
+        <ul className="space-y-1 text-sm text-slate-700 dark:text-slate-200">
+          {diff.items.map((change, i) => (
+            <li key={i}>
+              <span
+                className={`mr-2 px-2 py-0.5 rounded-full text-xs font-semibold uppercase ${
+                  DIFF_CLASS_STYLES[change.classification]
+                }`}
+              >
+                {change.classification}
+              </span>
+              <span className="mr-1 font-mono text-xs text-slate-500">
+                {change.check}
+              </span>
+              {change.message}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="text-sm text-slate-500 dark:text-slate-300">
+          Nothing changed between these scans.
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ScanHistory({
+  scans,
+  currentScanId,
+  disabled,
+  onView,
+  onCompare,
+  onDelete,
+}) {
+  return (
+    <div className="p-6">
+      <h3 className="text-lg font-semibold mb-2">Scan History</h3>
+      <ul className="space-y-2 text-sm text-slate-700 dark:text-slate-200">
+        {scans.map((scan) => (
+          <li
+            key={scan.id}
+            className="flex items-center justify-between gap-2 border-t border-slate-200 dark:border-slate-700 pt-2"
+          >
+            <span className="flex flex-wrap items-center gap-1">
+              <span
+                className={`px-2 py-0.5 rounded-full text-xs ${getStatusPillClass(
+                  scan.overallStatus
+                )}`}
+              >
+                {scan.overallStatus}
+              </span>
+              {new Date(scan.scannedAt).toLocaleString()}
+              {scan.source === "schedule" && (
+                <span className="px-2 py-0.5 rounded-full text-xs bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-100">
+                  Scheduled
+                </span>
+              )}
+              {scan.source === "org" && (
+                <span className="px-2 py-0.5 rounded-full text-xs bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-100">
+                  Org scan
+                </span>
+              )}
+              <span className="text-xs text-slate-500 dark:text-slate-400">
+                {Object.entries(scan.statuses)
+                  .map(([id, status]) => `${id}: ${status}`)
+                  .join(", ")}
+              </span>
+            </span>
+            <span className="flex gap-2">
+              {scan.id === currentScanId ? (
+                <span className="text-xs italic text-slate-500">Shown</span>
+              ) : (
+                <>
+                  <button
+                    className="px-2 py-0.5 bg-slate-600 dark:bg-slate-700 text-white rounded hover:bg-slate-700 text-xs"
+                    onClick={() => onView(scan)}
+                    disabled={disabled}
+                  >
+                    View
+                  </button>
+                  {currentScanId && (
+                    <button
+                      className="px-2 py-0.5 bg-blue-600 dark:bg-blue-700 text-white rounded hover:bg-blue-700 text-xs"
+                      onClick={() => onCompare(scan)}
+                      disabled={disabled}
+                      title="Show what changed between this scan and the one shown."
+                    >
+                      Compare
+                    </button>
+                  )}
+                </>
+              )}
+              {onDelete && (
+                <button
+                  className="px-2 py-0.5 bg-red-600 dark:bg-red-700 text-white rounded hover:bg-red-700 text-xs"
+                  onClick={() => onDelete(scan)}
+                  disabled={disabled}
+                >
+                  Delete
+                </button>
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+const ORG_PROJECT_DONE = ["PASSING", "FAILING", "ERROR", "N/A", "SKIPPED"];
+
+function OrgDashboard({ orgScan, disabled, onView }) {
+  const { rollup } = orgScan;
+  const done = orgScan.projects.filter((p) =>
+    ORG_PROJECT_DONE.includes(p.status)
+  ).length;
+  return (
+    <div className="mt-8 bg-white dark:bg-slate-800 shadow-xl rounded-lg">
+      <h2 className="text-2xl font-semibold text-slate-800 dark:text-slate-200 p-6 border-b border-slate-200 dark:border-slate-700">
+        Organization Dashboard 🏢
+        <span className="block text-sm font-normal text-slate-500 dark:text-slate-400">
+          {orgScan.status === "RUNNING"
+            ? `Scanning… ${done} of ${rollup.projects} projects done`
+            : `${orgScan.status === "COMPLETED" ? "Scanned" : "Interrupted"} ${
+                rollup.projects
+              } projects on ${new Date(orgScan.startedAt).toLocaleString()}`}
+        </span>
+      </h2>
+      <div className="p-6 space-y-4 text-sm text-slate-700 dark:text-slate-200">
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(rollup.byStatus).map(([status, count]) => (
+            <span
+              key={status}
+              className={`px-2 py-0.5 rounded-full text-xs ${getStatusPillClass(
+                status
+              )}`}
+            >
+              {count} {status}
+            </span>
+          ))}
+        </div>
+        {Object.keys(rollup.checks).length > 0 && (
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr className="text-left text-slate-500 dark:text-slate-400">
+                <th className="py-1 pr-4">Check</th>
+                <th className="py-1 pr-4">Projects by status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(rollup.checks).map(([check, statuses]) => (
+                <tr
+                  key={check}
+                  className="border-t border-slate-200 dark:border-slate-700"
+                >
+                  <td className="py-1 pr-4 font-mono">{check}</td>
+                  <td className="py-1 pr-4">
+                    <span className="flex flex-wrap gap-1">
+                      {Object.entries(statuses).map(([status, count]) => (
+                        <span
+                          key={status}
+                          className={`px-2 py-0.5 rounded-full ${getStatusPillClass(
+                            status
+                          )}`}
+                        >
+                          {count} {status}
+                        </span>
+                      ))}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <ul className="space-y-2">
+          {orgScan.projects.map((project) => (
+            <li
+              key={project.ref}
+              className="flex items-center justify-between gap-2 border-t border-slate-200 dark:border-slate-700 pt-2"
+            >
+              <span className="flex flex-wrap items-center gap-1">
+                <span
+                  className={`px-2 py-0.5 rounded-full text-xs ${getStatusPillClass(
+                    project.status
+                  )}`}
+                >
+                  {project.status}
+                </span>
+                <span className="font-semibold">{project.name}</span>
+                <span className="text-xs text-slate-500 dark:text-slate-400">
+                  {project.ref} · {project.region}
+                </span>
+                <span className="text-xs text-slate-500 dark:text-slate-400">
+                  {Object.entries(project.statuses)
+                    .map(([id, status]) => `${id}: ${status}`)
+                    .join(", ")}
+                </span>
+                {project.error && (
+                  <span className="text-xs text-red-600 dark:text-red-400">
+                    {project.error}
+                  </span>
+                )}
+              </span>
+              {project.scanId && (
+                <button
+                  className="px-2 py-0.5 bg-slate-600 dark:bg-slate-700 text-white rounded hover:bg-slate-700 text-xs"
+                  onClick={() => onView(project)}
+                  disabled={disabled}
+                >
+                  View
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+const CONTROL_STATUS_LABELS = {
+  PASSING: "Passing",
+  FAILING: "Failing",
+  ERROR: "Error",
+  NOT_COVERED: "Not covered",
+};
+
+function FrameworkControls({ frameworks }) {
+  const [selected, setSelected] = useState(frameworks[0].id);
+  const framework = frameworks.find((f) => f.id === selected) || frameworks[0];
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold">Framework Controls</h3>
+        <select
+          className="px-2 py-1 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 text-sm"
+          value={framework.id}
+          onChange={(e) => setSelected(e.target.value)}
+        >
+          {frameworks.map((f) => (
+            <option key={f.id} value={f.id}>
+              {f.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="text-sm text-slate-500 dark:text-slate-400 mb-2">
+        {framework.version && <span>{framework.version} · </span>}
+        {Object.entries(CONTROL_STATUS_LABELS)
+          .map(
+            ([status, label]) =>
+              `${framework.counts[status]} ${label.toLowerCase()}`
+          )
+          .join(", ")}
+      </div>
+      <ul className="space-y-2 text-sm text-slate-700 dark:text-slate-200">
+        {framework.controls.map((control) => (
+          <li
+            key={control.id}
+            className="border-t border-slate-200 dark:border-slate-700 pt-2"
+          >
+            <div className="flex items-center justify-between gap-2">
+              <span>
+                <span className="font-mono font-semibold">{control.id}</span>{" "}
+                {control.title}
+              </span>
+              <span
+                className={`px-2 py-0.5 rounded-full text-xs font-semibold ${getStatusPillClass(
+                  control.status
+                )}`}
+              >
+                {CONTROL_STATUS_LABELS[control.status]}
+              </span>
+            </div>
+            <div className="text-xs text-slate-500 dark:text-slate-400">
+              {control.reason ||
+                `Evidence: ${control.mappings
+                  .map((m) => (m.issue ? `${m.check} (${m.issue})` : m.check))
+                  .join(", ")}`}
+            </div>
+            {control.findings.length > 0 && (
+              <ul className="mt-1 ml-4 list-disc text-xs">
+                {control.findings.slice(0, 5).map((f, i) => (
+                  <li key={i}>
+                    <span
+                      className={`px-1 rounded ${getSeverityPillClass(
+                        f.severity
+                      )}`}
+                    >
+                      {f.severity}
+                    </span>{" "}
+                    {f.subject}: {f.message}
+                  </li>
+                ))}
+                {control.findingCount > 5 && (
+                  <li className="italic">
+                    and {control.findingCount - 5} more
+                  </li>
+                )}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function formatScheduleTime(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+function ScanSchedules({
+  schedules,
+  cron,
+  disabled,
+  readOnly,
+  onCronChange,
+  onCreate,
+  onToggle,
+  onRun,
+  onDelete,
+}) {
+  return (
+    <div className="p-6">
+      <h3 className="text-lg font-semibold mb-2">Scheduled Scans</h3>
+      {schedules.length > 0 && (
+        <ul className="space-y-2 mb-4 text-sm text-slate-700 dark:text-slate-200">
+          {schedules.map((schedule) => (
+            <li
+              key={schedule.id}
+              className="flex items-center justify-between gap-2 border-t border-slate-200 dark:border-slate-700 pt-2"
+            >
+              <span className="flex flex-col gap-1">
+                <span className="flex flex-wrap items-center gap-1">
+                  <code className="font-mono">{schedule.cron}</code>
+                  <span className="text-xs text-slate-500 dark:text-slate-400">
+                    UTC ·{" "}
+                    {schedule.checks
+                      ? schedule.checks.join(", ")
+                      : "all checks"}
+                  </span>
+                  {!schedule.enabled && (
+                    <span className="px-2 py-0.5 rounded-full text-xs bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-200">
+                      Paused
+                    </span>
+                  )}
+                </span>
+                <span className="flex flex-wrap items-center gap-1 text-xs text-slate-500 dark:text-slate-400">
+                  Last run: {formatScheduleTime(schedule.lastRunAt)}
+                  {schedule.lastStatus && (
+                    <span
+                      className={`px-2 py-0.5 rounded-full ${getStatusPillClass(
+                        schedule.lastStatus
+                      )}`}
+                      title={schedule.lastError || undefined}
+                    >
+                      {schedule.lastStatus}
+                    </span>
+                  )}
+                  · Next run: {formatScheduleTime(schedule.nextRunAt)}
+                </span>
+              </span>
+              {!readOnly && (
+                <span className="flex gap-2">
+                  <button
+                    className="px-2 py-0.5 bg-blue-600 dark:bg-blue-700 text-white rounded hover:bg-blue-700 text-xs"
+                    onClick={() => onRun(schedule)}
+                    disabled={disabled || schedule.running}
+                  >
+                    {schedule.running ? "Running…" : "Run now"}
+                  </button>
+                  <button
+                    className="px-2 py-0.5 bg-slate-600 dark:bg-slate-700 text-white rounded hover:bg-slate-700 text-xs"
+                    onClick={() => onToggle(schedule)}
+                    disabled={disabled}
+                  >
+                    {schedule.enabled ? "Pause" : "Resume"}
+                  </button>
+                  <button
+                    className="px-2 py-0.5 bg-red-600 dark:bg-red-700 text-white rounded hover:bg-red-700 text-xs"
+                    onClick={() => onDelete(schedule)}
+                    disabled={disabled}
+                  >
+                    Delete
+                  </button>
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {readOnly ? (
+        schedules.length === 0 && (
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            No scans are scheduled for this project.
+          </p>
+        )
+      ) : (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label
+            htmlFor="scheduleCron"
+            className="text-slate-700 dark:text-slate-200"
+          >
+            Cron (UTC)
+          </label>
+          <input
+            id="scheduleCron"
+            type="text"
+            value={cron}
+            onChange={(e) => onCronChange(e.target.value)}
+            className="px-2 py-1 border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-700 font-mono text-xs"
+            placeholder="0 2 * * *"
+          />
+          <button
+            className="px-2 py-1 bg-blue-600 dark:bg-blue-700 text-white rounded hover:bg-blue-700 dark:hover:bg-blue-800 text-xs disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={onCreate}
+            disabled={disabled || !cron.trim()}
+            title="Runs the selected checks with the credentials above on this schedule."
+          >
+            Add schedule
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function MfaCampaigns({ campaigns, disabled, onRemind, onRefresh }) {
+  return (
+    <div className="p-6">
+      <h3 className="text-lg font-semibold mb-2">MFA Enrollment Campaigns</h3>
+      <ul className="space-y-3 text-sm text-slate-700 dark:text-slate-200">
+        {campaigns.map((campaign) => {
+          const { total, enrolled, notified, failed, reminders } =
+            campaign.progress;
+          return (
+            <li
+              key={campaign.id}
+              className="border-t border-slate-200 dark:border-slate-700 pt-2"
+            >
+              <div className="flex items-center justify-between gap-2">
+                <span>
+                  Started {new Date(campaign.createdAt).toLocaleString()}
+                  {campaign.completedAt && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-700">
+                      Completed
+                    </span>
+                  )}
+                </span>
+                {!campaign.completedAt && (
+                  <span className="flex gap-2">
+                    {onRefresh && (
+                      <button
+                        className="px-2 py-0.5 bg-slate-600 dark:bg-slate-700 text-white rounded hover:bg-slate-700 text-xs"
+                        onClick={() => onRefresh(campaign)}
+                        disabled={disabled}
+                        title="Re-check users' MFA factors and mark who has enrolled."
+                      >
+                        Re-check factors
+                      </button>
+                    )}
+                    {onRemind && (
+                      <button
+                        className="px-2 py-0.5 bg-blue-600 dark:bg-blue-700 text-white rounded hover:bg-blue-700 text-xs"
+                        onClick={() => onRemind(campaign)}
+                        disabled={disabled}
+                        title="Preview reminders to users who have not enrolled."
+                      >
+                        Send reminders
+                      </button>
+                    )}
+                  </span>
+                )}
+              </div>
+              <div className="mt-1 h-2 rounded bg-slate-200 dark:bg-slate-700 overflow-hidden">
+                <div
+                  className="h-2 bg-green-500"
+                  style={{ width: `${total ? (enrolled / total) * 100 : 0}%` }}
+                />
+              </div>
+              <div className="mt-1 text-xs text-slate-500 dark:text-slate-400">
+                {enrolled} of {total} enrolled, {notified} waiting, {failed}{" "}
+                failed to send, {reminders} reminders sent
+                {campaign.checkedAt &&
+                  `; factors checked ${new Date(
+                    campaign.checkedAt
+                  ).toLocaleString()}`}
+              </div>
+              <details className="mt-1 text-xs">
+                <summary className="cursor-pointer">Recipients</summary>
+                <ul className="ml-4 mt-1">
+                  {campaign.recipients.map((r) => {
+                    const last = r.notifications[r.notifications.length - 1];
+                    return (
+                      <li key={r.userId}>
+                        <span className="font-mono">{r.email}</span>{" "}
+                        {r.status === "enrolled"
+                          ? `enrolled ${new Date(
+                              r.enrolledAt
+                            ).toLocaleString()} (${r.factorTypes.join(", ")})`
+                          : r.status}
+                        {last &&
+                          r.status !== "enrolled" &&
+                          `, last ${last.type} ${new Date(
+                            last.sentAt
+                          ).toLocaleString()}`}
+                        {last?.error && (
+                          <span className="text-red-600"> ({last.error})</span>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </details>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+function GrantsCheckDetails({ result, disabled, onRevoke }) {
+  if (!result.objects?.length) {
+    return (
+      <div className="text-slate-500">
+        {result.message || "No grants found."}
+      </div>
+    );
+  }
+  return (
+    <div className="space-y-4">
+      {result.schemas?.length > 0 && (
+        <div className="text-sm text-slate-500 dark:text-slate-300">
+          Schemas checked:{" "}
+          <span className="font-mono">{result.schemas.join(", ")}</span>
+        </div>
+      )}
+      {result.objects.map((object) => (
+        <div
+          key={object.name}
+          className={`border rounded p-3 mb-2 ${
+            object.status === "PASSING"
+              ? "bg-green-50 dark:bg-green-900/30 border-green-200 dark:border-green-700"
+              : "bg-red-50 dark:bg-red-900/40 border-red-200 dark:border-red-700"
+          }`}
+        >
+          <div className="font-semibold flex items-center gap-2">
+            <span className="capitalize">{object.kind}:</span>{" "}
+            <span className="font-mono">{object.name}</span>
+            {object.kind !== "sequence" && object.kind !== "view" && (
+              <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200">
+                RLS {object.rls_enabled ? "on" : "off"}
+              </span>
+            )}
+            <span
+              className={`px-2 py-0.5 rounded-full text-xs ml-1 ${getStatusPillClass(
+                object.status
+              )}`}
+            >
+              {object.status === "PASSING" ? "Passing" : "Failing"}
+            </span>
+          </div>
+          <table className="text-sm text-slate-700 dark:text-slate-200 my-2">
+            <tbody>
+              {Object.entries(object.grants).map(([role, privileges]) => {
+                const columns = Object.entries(object.column_grants[role]);
+                if (!privileges.length && !columns.length) return null;
+                return (
+                  <tr key={role}>
+                    <td className="pr-3 font-mono align-top">{role}</td>
+                    <td>
+                      {privileges.join(", ")}
+                      {columns.map(([privilege, names]) => (
+                        <span key={privilege} className="ml-2">
+                          {privilege} ({names.join(", ")})
+                        </span>
+                      ))}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {object.recommendations.length > 0 && (
+            <ul className="list-disc ml-5 text-sm text-slate-700 dark:text-slate-200">
+              {object.recommendations.map((rec, i) => (
+                <li key={i} className="mb-1">
+                  <span
+                    className={`mr-2 px-2 py-0.5 rounded-full text-xs font-semibold uppercase ${getSeverityPillClass(
+                      rec.severity
+                    )}`}
+                  >
+                    {rec.severity}
+                  </span>
+                  {rec.message}
+                  {onRevoke && (
+                    <button
+                      className="ml-2 px-2 py-0.5 bg-green-600 dark:bg-green-700 text-white rounded hover:bg-green-700 dark:hover:bg-green-800 text-xs"
+                      onClick={() => onRevoke(object, rec)}
+                      title="Preview the REVOKE statement before running it."
+                      disabled={disabled}
+                    >
+                      Revoke {rec.privileges.join(", ")} (SQL)
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function formatSettingValue(value) {
+  if (Array.isArray(value)) return value.length ? value.join(", ") : "none";
+  if (typeof value === "boolean") return value ? "yes" : "no";
+  return value ?? "not set";
+}
+
+// Auth settings scored against the configured baseline
+function AuthConfigDetails({ result, disabled, onFix }) {
+  const fixable = result.settings.filter((s) => s.fixable).map((s) => s.id);
+  return (
+    <div className="text-sm text-slate-700 dark:text-slate-200">
+      {result.message && <div className="mb-2">{result.message}</div>}
+      <table className="w-full mb-2">
+        <thead>
+          <tr className="text-left text-xs text-slate-500 dark:text-slate-400">
+            <th className="pr-3">Setting</th>
+            <th className="pr-3">Current</th>
+            <th className="pr-3">Baseline</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {result.settings.map((setting) => (
+            <Fragment key={setting.id}>
+              <tr>
+                <td className="pr-3 py-1">
+                  <span
+                    className={`mr-2 px-2 py-0.5 rounded-full text-xs ${getStatusPillClass(
+                      setting.status
+                    )}`}
+                  >
+                    {setting.status === "PASSING" ? "Pass" : "Fail"}
+                  </span>
+                  {setting.title}
+                </td>
+                <td className="pr-3 font-mono">
+                  {formatSettingValue(setting.actual)}
+                </td>
+                <td className="pr-3 font-mono">
+                  {formatSettingValue(setting.expected)}
+                </td>
+                <td>
+                  {onFix && setting.fixable && (
+                    <button
+                      className="px-2 py-0.5 bg-green-600 dark:bg-green-700 text-white rounded hover:bg-green-700 dark:hover:bg-green-800 text-xs"
+                      onClick={() => onFix([setting.id])}
+                      title="Preview the auth config change before applying it."
+                      disabled={disabled}
+                    >
+                      Fix
+                    </button>
+                  )}
+                </td>
+              </tr>
+              {setting.message && (
+                <tr>
+                  <td
+                    colSpan={4}
+                    className="pb-2 text-xs text-slate-500 dark:text-slate-400"
+                  >
+                    <span
+                      className={`mr-2 px-2 py-0.5 rounded-full font-semibold uppercase ${getSeverityPillClass(
+                        setting.severity
+                      )}`}
+                    >
+                      {setting.severity}
+                    </span>
+                    {setting.message}
+                  </td>
+                </tr>
+              )}
+            </Fragment>
+          ))}
+        </tbody>
+      </table>
+      {onFix && fixable.length > 1 && (
+        <button
+          className="px-3 py-1 bg-green-600 dark:bg-green-700 text-white rounded hover:bg-green-700 dark:hover:bg-green-800 text-xs"
+          onClick={() => onFix(fixable)}
+          title="Preview one PATCH that brings every fixable setting to the baseline."
+          disabled={disabled}
+        >
+          Fix all {fixable.length} settings
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Buckets with their limits, applicable storage.objects policies and findings
+function StorageCheckDetails({ result, disabled, onMakePrivate }) {
+  return (
+    <div className="space-y-4">
+      {result.message && (
+        <div className="text-sm text-slate-500 dark:text-slate-300">
+          {result.message}
+        </div>
+      )}
+      {result.buckets?.map((bucket) => (
+        <div
+          key={bucket.id}
+          className={`border rounded p-3 mb-2 ${
+            bucket.status === "PASSING"
+              ? "bg-green-50 dark:bg-green-900/30 border-green-200 dark:border-green-700"
+              : "bg-red-50 dark:bg-red-900/40 border-red-200 dark:border-red-700"
+          }`}
+        >
+          <div className="font-semibold flex items-center gap-2">
+            Bucket: <span className="font-mono">{bucket.name}</span>
+            <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200">
+              {bucket.public ? "Public" : "Private"}
+            </span>
+            <span
+              className={`px-2 py-0.5 rounded-full text-xs ml-1 ${getStatusPillClass(
+                bucket.status
+              )}`}
+            >
+              {bucket.status === "PASSING" ? "Passing" : "Failing"}
+            </span>
+          </div>
+          <div className="text-sm text-slate-700 dark:text-slate-200 my-1">
+            <span className="font-bold">File size limit:</span>{" "}
+            {bucket.file_size_limit
+              ? `${bucket.file_size_limit} bytes`
+              : "None"}
+            <span className="font-bold ml-2">MIME types:</span>{" "}
+            {bucket.allowed_mime_types?.length
+              ? bucket.allowed_mime_types.join(", ")
+              : "Any"}
+          </div>
+          {bucket.current_policies && (
+            <div className="text-sm text-slate-700 dark:text-slate-200 mb-1">
+              <span className="font-bold">Policies:</span>{" "}
+              {bucket.current_policies.length > 0
+                ? bucket.current_policies
+                    .map((p) => `${p.policyname} (${p.cmd})`)
+                    .join(", ")
+                : "None"}
+            </div>
+          )}
+          {bucket.recommendations.length > 0 && (
+            <ul className="list-disc ml-5 text-sm text-slate-700 dark:text-slate-200">
+              {bucket.recommendations.map((rec, i) => (
+                <li key={i} className="mb-1">
+                  <span
+                    className={`mr-2 px-2 py-0.5 rounded-full text-xs font-semibold uppercase ${getSeverityPillClass(
+                      rec.severity
+                    )}`}
+                  >
+                    {rec.severity}
+                  </span>
+                  {rec.message}
+                </li>
+              ))}
+            </ul>
+          )}
+          {onMakePrivate && bucket.public && (
+            <div className="mt-2">
+              <button
+                className="px-3 py-1 bg-green-600 dark:bg-green-700 text-white rounded hover:bg-green-700 dark:hover:bg-green-800 text-xs"
+                onClick={() => onMakePrivate(bucket.id)}
+                title="Preview the change before making the bucket private."
+                disabled={disabled}
+              >
+                Make Private
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const FUNCTION_FIX_LABELS = {
+  pin_search_path: "Pin search_path (SQL)",
+  revoke_execute: "Revoke EXECUTE from anon (SQL)",
+};
+
+// SECURITY DEFINER functions and functions without a pinned search_path
+function FunctionsCheckDetails({ result, disabled, onFix }) {
+  if (!result.functions?.length) {
+    return (
+      <div className="text-slate-500">
+        {result.message || "No functions found."}
+      </div>
+    );
+  }
+  return (
+    <div className="space-y-4">
+      {result.functions.map((fn) => (
+        <div
+          key={fn.signature}
+          className={`border rounded p-3 mb-2 ${
+            fn.status === "PASSING"
+              ? "bg-green-50 dark:bg-green-900/30 border-green-200 dark:border-green-700"
+              : "bg-red-50 dark:bg-red-900/40 border-red-200 dark:border-red-700"
+          }`}
+        >
+          <div className="font-semibold flex items-center gap-2">
+            <span className="font-mono">
+              {fn.schema}.{fn.name}({fn.arguments})
+            </span>
+            {fn.security_definer && (
+              <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200">
+                Security definer
+              </span>
+            )}
+            <span
+              className={`px-2 py-0.5 rounded-full text-xs ml-1 ${getStatusPillClass(
+                fn.status
+              )}`}
+            >
+              {fn.status === "PASSING" ? "Passing" : "Failing"}
+            </span>
+          </div>
+          <div className="text-sm text-slate-700 dark:text-slate-200 my-1">
+            <span className="font-bold">Owner:</span>{" "}
+            <span className="font-mono">{fn.owner}</span>
+            <span className="font-bold ml-2">search_path:</span>{" "}
+            <span className="font-mono">{fn.search_path ?? "not set"}</span>
+            <span className="font-bold ml-2">EXECUTE:</span>{" "}
+            {Object.entries(fn.execute)
+              .filter(([, allowed]) => allowed)
+              .map(([role]) => role)
+              .join(", ") || "none"}
+          </div>
+          {fn.recommendations.length > 0 && (
+            <ul className="list-disc ml-5 text-sm text-slate-700 dark:text-slate-200">
+              {fn.recommendations.map((rec, i) => (
+                <li key={i} className="mb-1">
+                  <span
+                    className={`mr-2 px-2 py-0.5 rounded-full text-xs font-semibold uppercase ${getSeverityPillClass(
+                      rec.severity
+                    )}`}
+                  >
+                    {rec.severity}
+                  </span>
+                  {rec.message}
+                  {onFix && rec.fix && (
+                    <button
+                      className="ml-2 px-2 py-0.5 bg-green-600 dark:bg-green-700 text-white rounded hover:bg-green-700 dark:hover:bg-green-800 text-xs"
+                      onClick={() => onFix(fn, rec.fix)}
+                      title="Preview the SQL before running it."
+                      disabled={disabled}
+                    >
+                      {FUNCTION_FIX_LABELS[rec.fix]}
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Fallback renderer for checks registered outside the built-in set
+function GenericCheckDetails({ result }) {
+  return (
+    <div className="text-slate-700 dark:text-slate-200 text-sm">
+      {result.message && <div className="mb-2">{result.message}</div>}
+      {result.findings && result.findings.length > 0 && (
+        <ul className="list-disc ml-5 mb-2">
+          {result.findings.map((finding, i) => (
+            <li key={i}>
+              {typeof finding === "string" ? finding : JSON.stringify(finding)}
+            </li>
+          ))}
+        </ul>
+      )}
+      {result.details && (
+        <pre className="text-xs bg-slate-50 dark:bg-slate-900 p-2 rounded overflow-x-auto">
+          {JSON.stringify(result.details, null, 2)}
+        </pre>
+      )}
+    </div>
+  );
+}
+
+// Lets the user pick an RLS policy template and review its SQL before applying
+function RlsTemplatePicker({ picker, disabled, onSelect, onApply, onCancel }) {
+  const selected = picker.templates.find((t) => t.id === picker.selected);
+  return (
+    <div className="mt-2 p-3 border border-slate-200 dark:border-slate-700 rounded bg-white dark:bg-slate-900 text-sm">
+      <div className="font-semibold mb-2">Choose a policy template</div>
+      {picker.existingPolicies > 0 && (
+        <div className="text-xs text-yellow-700 dark:text-yellow-200 mb-2">
+          This table already has {picker.existingPolicies} policies, so only RLS
+          will be enabled and no template policies will be added.
+        </div>
+      )}
+      <div className="space-y-1 mb-2">
+        {picker.templates.map((template) => (
+          <label
+            key={template.id}
+            className={`flex items-start gap-2 ${
+              template.available ? "" : "opacity-50"
+            }`}
+          >
+            <input
+              type="radio"
+              name={`rls-template-${picker.schema}-${picker.table}`}
+              checked={picker.selected === template.id}
+              disabled={!template.available}
+              onChange={() => onSelect(template.id)}
+              className="mt-1"
+            />
+            <span>
+              <span className="font-medium">{template.title}</span> -{" "}
+              {template.description}
+              {template.reason && (
+                <span className="block text-xs italic">{template.reason}</span>
+              )}
+            </span>
+          </label>
+        ))}
+      </div>
+      {selected?.available && (
+        <pre className="text-xs bg-slate-50 dark:bg-slate-800 p-2 rounded overflow-x-auto mb-2">
+          {selected.sql.join("\n")}
+        </pre>
+      )}
+      <div className="flex gap-2">
+        <button
+          className="px-3 py-1 bg-green-600 dark:bg-green-700 text-white rounded hover:bg-green-700 dark:hover:bg-green-800 text-xs disabled:opacity-50"
+          onClick={onApply}
+          disabled={disabled || !selected?.available}
+        >
+          Review plan
+        </button>
+        <button
+          className="px-3 py-1 bg-slate-200 dark:bg-slate-700 text-slate-800 dark:text-slate-100 rounded text-xs"
+          onClick={onCancel}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Shows a dry-run plan (exact SQL / HTTP requests) before it is applied
+function PlanReview({ plan, queued, disabled, onApply, onCancel }) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <div className="bg-white dark:bg-slate-800 rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6 text-sm text-slate-700 dark:text-slate-200">
+        <h3 className="text-lg font-semibold mb-1">Review fix plan</h3>
+        <div className="mb-3">{plan.summary}</div>
+        <div className="text-xs text-slate-500 dark:text-slate-400 mb-3">
+          Plan <span className="font-mono">{plan.id}</span> · expires{" "}
+          {new Date(plan.expiresAt).toLocaleTimeString()}
+          {queued > 0 && ` · ${queued} more plan(s) queued`}
+        </div>
+        {plan.steps.length > 0 ? (
+          <div className="mb-3">
+            <div className="font-bold mb-1">Steps</div>
+            <pre className="text-xs bg-slate-50 dark:bg-slate-900 p-2 rounded overflow-x-auto">
+              {plan.steps
+                .map((step) =>
+                  step.type === "sql"
+                    ? step.statement
+                    : `${step.method} ${step.url}\n${JSON.stringify(
+                        step.body,
+                        null,
+                        2
+                      )}`
+                )
+                .join("\n\n")}
+            </pre>
+          </div>
+        ) : (
+          <div className="mb-3 italic">No changes are needed.</div>
+        )}
+        {plan.affected.length > 0 && (
+          <div className="mb-3">
+            <div className="font-bold mb-1">Affected objects</div>
+            <ul className="list-disc ml-5">
+              {plan.affected.map((item) => (
+                <li key={item} className="font-mono">
+                  {item}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {plan.sideEffects.length > 0 && (
+          <div className="mb-3">
+            <div className="font-bold mb-1">Expected side effects</div>
+            <ul className="list-disc ml-5">
+              {plan.sideEffects.map((effect) => (
+                <li key={effect}>{effect}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+        <div className="flex gap-2 justify-end">
+          <button
+            className="px-3 py-1 bg-slate-200 dark:bg-slate-700 text-slate-800 dark:text-slate-100 rounded text-xs"
+            onClick={onCancel}
+            disabled={disabled}
+          >
+            Cancel
+          </button>
+          <button
+            className="px-3 py-1 bg-green-600 dark:bg-green-700 text-white rounded hover:bg-green-700 dark:hover:bg-green-800 text-xs disabled:opacity-50"
+            onClick={onApply}
+            disabled={disabled}
+          >
+            Apply plan
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SignIn({ onSignIn }) {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    try {
+      await onSignIn(email, password);
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to sign in.", {
+        duration: 6000,
+      });
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-100 dark:bg-slate-900 py-8 px-4 sm:px-6 lg:px-8">
+      <main className="max-w-sm mx-auto">
+        <div className="text-center mb-10">
+          <h1 className="text-4xl font-bold text-blue-600 dark:text-blue-400">
+            Delve 🛡️
+          </h1>
+          <p className="mt-2 text-lg text-slate-700 dark:text-slate-200">
+            Supabase Compliance Checker
+          </p>
+        </div>
+        <form
+          onSubmit={handleSubmit}
+          className="bg-white dark:bg-slate-800 shadow-xl rounded-lg p-6 space-y-4"
+        >
+          <div>
+            <label
+              htmlFor="email"
+              className="block text-sm font-medium text-slate-700"
+            >
+              Email
+            </label>
+            <input
+              type="email"
+              id="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              autoComplete="username"
+              className="mt-1 block w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            />
+          </div>
+          <div>
+            <label
+              htmlFor="password"
+              className="block text-sm font-medium text-slate-700"
+            >
+              Password
+            </label>
+            <input
+              type="password"
+              id="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              autoComplete="current-password"
+              className="mt-1 block w-full px-3 py-2 border border-slate-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-slate-400 disabled:cursor-not-allowed"
+          >
+            {isLoading ? "Signing in..." : "Sign In"}
+          </button>
+        </form>
+      </main>
+    </div>
+  );
+}
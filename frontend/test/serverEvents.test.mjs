@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { readServerEvents } from "../app/serverEvents.mjs";
+
+// A streamed response that arrives in the given chunks
+function response(chunks) {
+  const encoder = new TextEncoder();
+  const bytes = chunks.map((chunk) =>
+    typeof chunk === "string" ? encoder.encode(chunk) : chunk
+  );
+  return new Response(
+    new ReadableStream({
+      start(controller) {
+        for (const chunk of bytes) controller.enqueue(chunk);
+        controller.close();
+      },
+    })
+  );
+}
+
+async function read(chunks) {
+  const events = [];
+  await readServerEvents(response(chunks), (event, data) =>
+    events.push([event, data])
+  );
+  return events;
+}
+
+test("events are read in order", async () => {
+  assert.deepEqual(
+    await read([
+      'event: check-start\ndata: {"id":"rls"}\n\n' +
+        'event: check-result\ndata: {"id":"rls","status":"PASSING"}\n\n',
+      'event: done\ndata: {"scanId":"s1"}\n\n',
+    ]),
+    [
+      ["check-start", { id: "rls" }],
+      ["check-result", { id: "rls", status: "PASSING" }],
+      ["done", { scanId: "s1" }],
+    ]
+  );
+});
+
+test("events split across chunks are reassembled", async () => {
+  const euro = new TextEncoder().encode("€");
+  assert.deepEqual(
+    await read([
+      "event: check-progress\nda",
+      'ta: {"message":"',
+      euro.slice(0, 1),
+      euro.slice(1),
+      '"}\n',
+      "\nevent: error\n",
+      'data: {"error":"Failed"}\n\n',
+    ]),
+    [
+      ["check-progress", { message: "€" }],
+      ["error", { error: "Failed" }],
+    ]
+  );
+});
+
+test("unnamed events default to message and events without data are skipped", async () => {
+  assert.deepEqual(
+    await read([
+      "event: ping\n\n",
+      'data: {"n":1}\n\n',
+      'event: done\ndata: {"n":2}',
+    ]),
+    [["message", { n: 1 }]]
+  );
+});